@@ -8,6 +8,7 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
 const fs = require('fs');
+const { pipeline } = require('stream');
 
 const database = require('./database');
 const config = require('./config');
@@ -18,7 +19,8 @@ const {
   corsHandler, 
   errorHandler, 
   requestLogger,
-  authenticateToken 
+  authenticateToken,
+  optionalAuth
 } = require('./middleware/auth');
 
 // 路由
@@ -26,11 +28,24 @@ const authRoutes = require('./routes/auth');
 const chatroomRoutes = require('./routes/chatrooms');
 const fileRoutes = require('./routes/files');
 const bilibiliRoutes = require('./routes/bilibili');
+const directMessageRoutes = require('./routes/directMessages');
+const meRoutes = require('./routes/me');
 
 // 服务
 const userService = require('./services/userService');
 const messageService = require('./services/messageService');
 const chatroomService = require('./services/chatroomService');
+const directMessageService = require('./services/directMessageService');
+const mentionService = require('./services/mentionService');
+const scheduledMessageService = require('./services/scheduledMessageService');
+const storageService = require('./services/storageService');
+const chunkedUploadService = require('./services/chunkedUploadService');
+const quarantineService = require('./services/quarantineService');
+const fileAccessService = require('./services/fileAccessService');
+const sessionService = require('./services/sessionService');
+const passwordResetService = require('./services/passwordResetService');
+const twoFactorService = require('./services/twoFactorService');
+const oidcService = require('./services/oidcService');
 
 class ChatroomServer {
   constructor() {
@@ -69,6 +84,7 @@ class ChatroomServer {
     this.setupRoutes();
     this.setupWebSocket();
     this.setupCleanupTasks();
+    this.setupScheduledTasks();
     
     // 将io实例设置到app中，供路由使用
     this.app.set('io', this.io);
@@ -119,9 +135,6 @@ class ChatroomServer {
     this.app.use(express.json({ limit: '10mb' }));
     this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-    // 静态文件服务
-    this.app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-    
     // 前端静态文件（生产环境）
     // 只有在前端构建文件存在时才提供静态文件服务
     const frontendDistPath = path.join(__dirname, '../client/dist');
@@ -140,42 +153,85 @@ class ChatroomServer {
     this.app.use('/api/chatrooms', chatroomRoutes);
     this.app.use('/api/files', fileRoutes);
     this.app.use('/api/bilibili', bilibiliRoutes);
+    this.app.use('/api/direct', directMessageRoutes);
+    this.app.use('/api/me', meRoutes);
 
-    // 头像静态文件服务 - 支持多种格式
-    this.app.get('/avatars/:uid', (req, res) => {
-      const { uid } = req.params;
-      
-      // 支持的文件扩展名，按优先级排序
-      const extensions = ['png', 'jpg', 'jpeg', 'webp'];
-      let avatarPath = null;
-      
-      // 查找存在的头像文件
-      for (const ext of extensions) {
-        const testPath = path.join(__dirname, 'uploads', 'avatars', `${uid}.${ext}`);
-        if (fs.existsSync(testPath)) {
-          avatarPath = testPath;
-          break;
+    // 聊天图片（从存储中读取；需要是图片所在聊天室的成员，或使用签名链接）
+    this.app.get('/uploads/images/:filename', optionalAuth, async (req, res) => {
+      try {
+        const { filename } = req.params;
+        if (!storageService.isValidImageName(filename)) {
+          return res.status(404).json(utils.errorResponse('图片不存在'));
+        }
+
+        const imageUrl = `/uploads/images/${filename}`;
+        const denied = await fileAccessService.checkAccess(req, uid => fileAccessService.canAccessImage(uid, imageUrl));
+        if (denied) {
+          return res.status(denied.status).json(utils.errorResponse(denied.message));
+        }
+
+        const object = await storageService.stream(storageService.getImageKey(filename));
+        if (!object) {
+          return res.status(404).json(utils.errorResponse('图片不存在'));
+        }
+
+        if (object.contentType) {
+          res.set('Content-Type', object.contentType);
+        } else {
+          res.type(path.extname(filename));
         }
-      }
-      
-      if (avatarPath) {
-        // 设置缓存头
         res.set({
-          'Cache-Control': 'public, max-age=86400', // 24小时缓存
-          'ETag': `"${uid}-${fs.statSync(avatarPath).mtime.getTime()}"`
+          'Content-Length': object.size,
+          'Cache-Control': 'private, max-age=86400' // 图片文件名唯一，可长期缓存（仅限浏览器缓存）
         });
-        res.sendFile(avatarPath);
-      } else {
-        // 返回默认头像
-        const defaultAvatarPath = path.join(__dirname, 'avatar.jpg');
-        if (fs.existsSync(defaultAvatarPath)) {
+
+        pipeline(object.stream, res, (err) => {
+          if (err) {
+            console.error('发送图片失败:', err);
+          }
+        });
+      } catch (error) {
+        console.error('读取图片错误:', error);
+        res.status(500).json(utils.errorResponse('读取图片失败'));
+      }
+    });
+
+    // 头像文件服务 - 支持多种格式
+    this.app.get('/avatars/:uid', async (req, res) => {
+      try {
+        const { uid } = req.params;
+
+        // 查找存在的头像文件
+        const avatar = await userService.findAvatar(uid);
+
+        if (avatar) {
+          // 设置缓存头
+          res.type(avatar.extension);
           res.set({
-            'Cache-Control': 'public, max-age=86400'
+            'Content-Length': avatar.size,
+            'Cache-Control': 'public, max-age=86400', // 24小时缓存
+            'ETag': `"${uid}-${avatar.lastModified}"`
+          });
+          pipeline(avatar.stream, res, (err) => {
+            if (err) {
+              console.error('发送头像失败:', err);
+            }
           });
-          res.sendFile(defaultAvatarPath);
         } else {
-          res.status(404).json(utils.errorResponse('头像不存在'));
+          // 返回默认头像
+          const defaultAvatarPath = path.join(__dirname, 'avatar.jpg');
+          if (fs.existsSync(defaultAvatarPath)) {
+            res.set({
+              'Cache-Control': 'public, max-age=86400'
+            });
+            res.sendFile(defaultAvatarPath);
+          } else {
+            res.status(404).json(utils.errorResponse('头像不存在'));
+          }
         }
+      } catch (error) {
+        console.error('读取头像错误:', error);
+        res.status(500).json(utils.errorResponse('读取头像失败'));
       }
     });
 
@@ -242,10 +298,12 @@ class ChatroomServer {
           return next(new Error('认证失败：缺少令牌'));
         }
 
-        const decoded = utils.verifyToken(token);
+        // 令牌所属的登录会话被撤销后拒绝连接，已建立的连接在撤销时通过 session:<会话ID> 频道断开
+        const decoded = await sessionService.verifyAccessToken(token);
         if (!decoded) {
           return next(new Error('认证失败：无效令牌'));
         }
+        socket.sessionId = decoded.sid;
 
         // 获取用户信息
         try {
@@ -276,6 +334,12 @@ class ChatroomServer {
       // 存储用户socket
       this.userSockets.set(socket.user.uid, socket);
 
+      // 加入用户个人频道（用于私信等定向推送，支持同一用户多个连接）
+      socket.join(`user:${socket.user.uid}`);
+
+      // 加入登录会话频道（会话被撤销时断开连接）
+      socket.join(`session:${socket.sessionId}`);
+
       // 加入聊天室
       socket.on('join-room', async (data) => {
         try {
@@ -283,6 +347,11 @@ class ChatroomServer {
           
           // 验证聊天室
           const chatroomInfo = await chatroomService.getChatroomInfo(roomId);
+
+          // 要求已验证邮箱的聊天室（创建者不受限制）
+          if (chatroomInfo.requireVerifiedEmail && chatroomInfo.creatorUid !== socket.user.uid) {
+            await chatroomService.checkVerifiedEmail(socket.user.type === 'user' ? socket.user.uid : null);
+          }
           
           // 加入Socket.IO房间
           socket.join(roomId);
@@ -336,7 +405,7 @@ class ChatroomServer {
       // 发送消息
       socket.on('send-message', async (data) => {
         try {
-          const { content, roomId, replyToMessageId } = data;
+          const { content, roomId, replyToMessageId, threadRootId } = data;
           
           if (!socket.currentRoom || socket.currentRoom !== roomId) {
             socket.emit('error', { message: '请先加入聊天室' });
@@ -351,11 +420,17 @@ class ChatroomServer {
             userUid: socket.user.uid,
             userType: socket.user.type,
             content,
-            replyToMessageId
+            replyToMessageId,
+            threadRootId
           });
 
-          // 广播消息给房间内所有用户
-          this.io.to(roomId).emit('new-message', message);
+          // 在话题中回复时自动关注该话题
+          if (message.threadRootId) {
+            socket.join(messageService.getThreadChannel(message.threadRootId));
+          }
+
+          // 广播消息给房间内所有用户（话题回复推送给关注该话题的用户）
+          await messageService.broadcastNewMessage(this.io, message);
 
         } catch (error) {
           console.error('发送消息错误:', error);
@@ -363,6 +438,124 @@ class ChatroomServer {
         }
       });
 
+      // 发送私信
+      socket.on('send-direct-message', async (data) => {
+        try {
+          const { targetUid, content, messageType = 'text', markdownContent, replyToMessageId } = data;
+
+          if (socket.user.type !== 'user') {
+            socket.emit('error', { message: '匿名用户无法使用私信' });
+            return;
+          }
+
+          if (!['text', 'markdown'].includes(messageType)) {
+            socket.emit('error', { message: '该消息类型请通过接口发送' });
+            return;
+          }
+
+          const { conversation, message } = await directMessageService.sendDirectMessage(
+            socket.user.uid,
+            targetUid,
+            { content, messageType, markdownContent, replyToMessageId }
+          );
+
+          // 推送给会话双方
+          directMessageService.broadcastDirectMessage(this.io, conversation, message);
+
+        } catch (error) {
+          console.error('发送私信错误:', error);
+          socket.emit('error', { message: error.message });
+        }
+      });
+
+      // 编辑消息
+      socket.on('edit-message', async (data) => {
+        try {
+          const { roomId, messageId, content, markdownContent } = data;
+
+          if (!socket.currentRoom || socket.currentRoom !== roomId) {
+            socket.emit('error', { message: '请先加入聊天室' });
+            return;
+          }
+
+          const { newMentions, ...result } = await messageService.editMessage(
+            messageId,
+            socket.user.uid,
+            roomId,
+            { content, markdownContent }
+          );
+
+          // 广播编辑结果给房间内所有用户
+          this.io.to(roomId).emit('message-edited', {
+            ...result,
+            roomId,
+            editedBy: socket.user.uid,
+            timestamp: Date.now()
+          });
+
+          // 编辑后新增的提及同样需要通知
+          mentionService.notifyMentions(this.io, result, newMentions);
+
+        } catch (error) {
+          console.error('编辑消息错误:', error);
+          socket.emit('error', { message: error.message });
+        }
+      });
+
+      // 标记消息已读
+      socket.on('mark-read', async (data) => {
+        try {
+          const { roomId, messageId } = data;
+
+          const result = await chatroomService.markAsRead(roomId, socket.user.uid, messageId);
+
+          // 同步已读状态（开启已读人数展示的聊天室同时广播已读人数）
+          await chatroomService.broadcastReadUpdate(this.io, result);
+        } catch (error) {
+          console.error('标记已读错误:', error);
+          socket.emit('error', { message: error.message });
+        }
+      });
+
+      // 关注话题（只接收该话题的新回复，无需加载整个聊天室）
+      socket.on('follow-thread', async (data) => {
+        try {
+          const { roomId, messageId } = data;
+
+          const thread = await messageService.getThreadMessages(
+            roomId,
+            messageId,
+            socket.user.uid,
+            socket.user.type
+          );
+
+          socket.join(messageService.getThreadChannel(thread.root.id));
+          socket.emit('thread-followed', {
+            roomId,
+            ...thread,
+            timestamp: Date.now()
+          });
+        } catch (error) {
+          console.error('关注话题错误:', error);
+          socket.emit('error', { message: error.message });
+        }
+      });
+
+      // 取消关注话题
+      socket.on('unfollow-thread', (data) => {
+        const { threadRootId } = data;
+        socket.leave(messageService.getThreadChannel(threadRootId));
+      });
+
+      // 添加/移除表情回应
+      socket.on('add-reaction', async (data) => {
+        await this.handleReaction(socket, data, 'add');
+      });
+
+      socket.on('remove-reaction', async (data) => {
+        await this.handleReaction(socket, data, 'remove');
+      });
+
       // 用户开始输入
       socket.on('typing-start', (data) => {
         const { roomId } = data;
@@ -452,6 +645,34 @@ class ChatroomServer {
     }
   }
 
+  // 处理表情回应
+  async handleReaction(socket, data, action) {
+    try {
+      const { roomId, messageId, emoji } = data;
+
+      if (!socket.currentRoom || socket.currentRoom !== roomId) {
+        socket.emit('error', { message: '请先加入聊天室' });
+        return;
+      }
+
+      const result = action === 'add'
+        ? await messageService.addReaction(messageId, socket.user.uid, roomId, emoji)
+        : await messageService.removeReaction(messageId, socket.user.uid, roomId, emoji);
+
+      // 广播表情回应变化给房间内所有用户
+      if (result.changed) {
+        this.io.to(roomId).emit('reaction-updated', {
+          ...result,
+          roomId,
+          timestamp: Date.now()
+        });
+      }
+    } catch (error) {
+      console.error('表情回应错误:', error);
+      socket.emit('error', { message: error.message });
+    }
+  }
+
   // 获取在线用户列表
   async getOnlineUserList(roomId) {
     const userList = [];
@@ -508,6 +729,57 @@ class ChatroomServer {
       }
     }, 60 * 60 * 1000);
 
+    // 每小时清理过期和已撤销的登录会话，以及过期的密码重置令牌、两步验证挑战和单点登录请求
+    setInterval(async () => {
+      try {
+        await sessionService.cleanupExpiredSessions();
+      } catch (error) {
+        console.error('清理过期登录会话错误:', error);
+      }
+      try {
+        await passwordResetService.cleanupExpiredTokens();
+      } catch (error) {
+        console.error('清理过期密码重置令牌错误:', error);
+      }
+      try {
+        await twoFactorService.cleanupExpiredChallenges();
+      } catch (error) {
+        console.error('清理过期两步验证挑战错误:', error);
+      }
+      try {
+        await oidcService.cleanupExpiredStates();
+      } catch (error) {
+        console.error('清理过期单点登录请求错误:', error);
+      }
+    }, 60 * 60 * 1000);
+
+    // 每10分钟清理过期文件（从存储中删除）
+    setInterval(async () => {
+      try {
+        await database.cleanupExpiredFiles();
+      } catch (error) {
+        console.error('清理过期文件错误:', error);
+      }
+    }, 10 * 60 * 1000);
+
+    // 每10分钟清理长时间未完成的分片上传
+    setInterval(async () => {
+      try {
+        await chunkedUploadService.cleanupAbandonedSessions();
+      } catch (error) {
+        console.error('清理未完成的分片上传错误:', error);
+      }
+    }, 10 * 60 * 1000);
+
+    // 每小时清理长时间未审核的隔离文件
+    setInterval(async () => {
+      try {
+        await quarantineService.cleanupExpiredQuarantine();
+      } catch (error) {
+        console.error('清理隔离文件错误:', error);
+      }
+    }, 60 * 60 * 1000);
+
     // 每天清理旧消息
     setInterval(async () => {
       try {
@@ -518,6 +790,20 @@ class ChatroomServer {
     }, 24 * 60 * 60 * 1000);
   }
 
+  // 设置定时消息调度
+  setupScheduledTasks() {
+    setInterval(async () => {
+      try {
+        const delivered = await scheduledMessageService.deliverDueMessages(this.io);
+        if (delivered > 0) {
+          console.log(`已发送 ${delivered} 条定时消息`);
+        }
+      } catch (error) {
+        console.error('发送定时消息错误:', error);
+      }
+    }, config.scheduledMessage.checkInterval);
+  }
+
   // 启动服务器
   async start() {
     try {
@@ -525,6 +811,12 @@ class ChatroomServer {
       console.log('正在初始化数据库...');
       await database.initialize();
       console.log('数据库已就绪');
+
+      // 恢复上次关闭时中断的定时消息，服务停止期间到期的消息会在下一次调度时补发
+      const recovered = await scheduledMessageService.recoverInterruptedMessages();
+      if (recovered > 0) {
+        console.log(`已恢复 ${recovered} 条中断的定时消息`);
+      }
       
       // 启动服务器
       this.server.listen(config.port, () => {
@@ -5,7 +5,161 @@ module.exports = {
   dbPath: process.env.DB_PATH || './database.sqlite',
   uploadPath: process.env.UPLOAD_PATH || './uploads',
   corsOrigin: process.env.CORS_ORIGIN || 'http://localhost:5173',
-  
+
+  // 登录会话配置（访问令牌短期有效，到期后用服务端保存的刷新令牌换取新令牌，刷新令牌每次使用后轮换）
+  auth: {
+    accessTokenTtl: parseInt(process.env.ACCESS_TOKEN_TTL) || 15 * 60 * 1000, // 15分钟
+    refreshTokenTtl: parseInt(process.env.REFRESH_TOKEN_TTL) || 30 * 24 * 60 * 60 * 1000 // 30天（匿名用户使用 anonymous.sessionExpiry）
+  },
+
+  // OpenID Connect 单点登录配置（授权码模式 + PKCE）
+  // 单个提供方使用 OIDC_ISSUER 等环境变量配置，多个提供方通过 OIDC_PROVIDERS 以 JSON 数组配置：
+  // [{ "id": "corp", "name": "公司账号", "issuer": "...", "clientId": "...", "clientSecret": "...", "scopes": "openid profile email" }]
+  // redirectUri 为前端回调页面，前端收到 code 和 state 后提交到 POST /api/auth/oidc/callback
+  oidc: {
+    providers: process.env.OIDC_PROVIDERS ? JSON.parse(process.env.OIDC_PROVIDERS) :
+      process.env.OIDC_ISSUER ? [{
+        id: process.env.OIDC_PROVIDER_ID || 'oidc',
+        name: process.env.OIDC_PROVIDER_NAME || '单点登录',
+        issuer: process.env.OIDC_ISSUER,
+        clientId: process.env.OIDC_CLIENT_ID,
+        clientSecret: process.env.OIDC_CLIENT_SECRET,
+        scopes: process.env.OIDC_SCOPES
+      }] : [],
+    redirectUri: process.env.OIDC_REDIRECT_URI || 'http://localhost:5173/oidc/callback',
+    allowRegistration: process.env.OIDC_ALLOW_REGISTRATION !== 'false', // 是否允许通过单点登录自动创建账号
+    stateTtl: parseInt(process.env.OIDC_STATE_TTL) || 10 * 60 * 1000, // 发起登录到回调完成的最长时间
+    metadataCacheTtl: parseInt(process.env.OIDC_METADATA_CACHE_TTL) || 60 * 60 * 1000, // 提供方配置和签名公钥的缓存时间
+    timeout: parseInt(process.env.OIDC_TIMEOUT) || 10 * 1000
+  },
+
+  // 两步验证配置（TOTP，兼容常见的身份验证器应用；密钥加密后保存）
+  twoFactor: {
+    issuer: process.env.TWO_FACTOR_ISSUER || 'ChatFlow',
+    secretKey: process.env.TWO_FACTOR_SECRET_KEY || process.env.JWT_SECRET || 'chatroom_secret_key_change_in_production',
+    window: parseInt(process.env.TWO_FACTOR_WINDOW) || 1, // 允许前后各偏差的30秒周期数
+    challengeTtl: parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL) || 5 * 60 * 1000, // 登录时输入验证码的有效时间
+    maxAttempts: parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS) || 5, // 每次登录验证码最多尝试次数
+    backupCodeCount: parseInt(process.env.TWO_FACTOR_BACKUP_CODE_COUNT) || 10
+  },
+
+  // 密码重置配置（重置链接为 resetUrl?token=<令牌>，令牌只能使用一次）
+  passwordReset: {
+    tokenTtl: parseInt(process.env.PASSWORD_RESET_TOKEN_TTL) || 60 * 60 * 1000, // 1小时
+    requestInterval: parseInt(process.env.PASSWORD_RESET_REQUEST_INTERVAL) || 60 * 1000, // 同一账号两次发送重置邮件的最小间隔
+    resetUrl: process.env.PASSWORD_RESET_URL || 'http://localhost:5173/reset-password'
+  },
+
+  // 邮箱验证配置（验证链接为 verifyUrl?token=<令牌>，令牌为包含UID、邮箱和过期时间的签名，邮箱变更后旧链接失效）
+  emailVerification: {
+    secret: process.env.EMAIL_VERIFICATION_SECRET || process.env.JWT_SECRET || 'chatroom_secret_key_change_in_production',
+    tokenTtl: parseInt(process.env.EMAIL_VERIFICATION_TOKEN_TTL) || 24 * 60 * 60 * 1000, // 24小时
+    resendInterval: parseInt(process.env.EMAIL_VERIFICATION_RESEND_INTERVAL) || 60 * 1000, // 两次发送验证邮件的最小间隔
+    verifyUrl: process.env.EMAIL_VERIFICATION_URL || 'http://localhost:5173/verify-email'
+  },
+
+  // 邮件发送配置（smtp: SMTP服务器，file: 写入本地目录的 .eml 文件，console: 输出到控制台；后两者用于开发和测试）
+  mail: {
+    driver: process.env.MAIL_DRIVER || 'console',
+    from: process.env.MAIL_FROM || 'ChatFlow <no-reply@localhost>',
+    fileDir: process.env.MAIL_FILE_DIR || './data/mail',
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true', // true: 直接使用TLS连接（通常为465端口），否则在服务器支持时使用 STARTTLS
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+      timeout: parseInt(process.env.SMTP_TIMEOUT) || 30 * 1000
+    }
+  },
+
+  // 上传文件存储配置（local: 本地磁盘，s3: S3兼容对象存储；多实例部署时应使用 s3）
+  storage: {
+    driver: process.env.STORAGE_DRIVER || 'local',
+    s3: {
+      endpoint: process.env.S3_ENDPOINT,
+      region: process.env.S3_REGION || 'us-east-1',
+      bucket: process.env.S3_BUCKET,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false', // MinIO 等需要路径风格访问
+      prefix: process.env.S3_PREFIX || '',
+      timeout: parseInt(process.env.S3_TIMEOUT) || 30 * 1000,
+      partSize: parseInt(process.env.S3_PART_SIZE) || 8 * 1024 * 1024 // 流式写入时的分段大小（不小于 5MB），内存中最多缓存一个分段
+    }
+  },
+
+  // 上传限制配置（聊天室创建者可以在 max* 范围内为自己的聊天室单独设置）
+  upload: {
+    fileMaxSize: parseInt(process.env.UPLOAD_FILE_MAX_SIZE) || 10 * 1024 * 1024, // 10MB
+    imageMaxSize: parseInt(process.env.UPLOAD_IMAGE_MAX_SIZE) || 1024 * 1024, // 1MB
+    fileRetention: parseInt(process.env.UPLOAD_FILE_RETENTION) || 7 * 24 * 60 * 60 * 1000, // 7天
+    maxFileMaxSize: parseInt(process.env.UPLOAD_MAX_FILE_MAX_SIZE) || 100 * 1024 * 1024, // 100MB
+    maxImageMaxSize: parseInt(process.env.UPLOAD_MAX_IMAGE_MAX_SIZE) || 10 * 1024 * 1024, // 10MB
+    maxFileRetention: parseInt(process.env.UPLOAD_MAX_FILE_RETENTION) || 90 * 24 * 60 * 60 * 1000, // 90天
+    // 存储配额按压缩后大小（files.compressed_size）统计未过期的文件，0 表示不限制
+    userQuota: process.env.UPLOAD_USER_QUOTA ? parseInt(process.env.UPLOAD_USER_QUOTA) : 500 * 1024 * 1024, // 500MB
+    roomQuota: process.env.UPLOAD_ROOM_QUOTA ? parseInt(process.env.UPLOAD_ROOM_QUOTA) : 2 * 1024 * 1024 * 1024, // 2GB
+    maxRoomQuota: parseInt(process.env.UPLOAD_MAX_ROOM_QUOTA) || 20 * 1024 * 1024 * 1024, // 20GB
+    // 分片上传
+    chunkSize: parseInt(process.env.UPLOAD_CHUNK_SIZE) || 1024 * 1024, // 每个分片1MB
+    sessionExpiry: parseInt(process.env.UPLOAD_SESSION_EXPIRY) || 24 * 60 * 60 * 1000, // 24小时无进展的上传会话会被清理
+    maxPendingSessions: parseInt(process.env.UPLOAD_MAX_PENDING_SESSIONS) || 10
+  },
+
+  // 上传文件类型检查（按文件内容识别类型，并与声明的MIME类型和扩展名比对）
+  // policy 为 deny 时拒绝 deniedTypes 中的类型，为 allow 时只接受 allowedTypes 中的类型；类型支持 video/* 形式的通配符
+  // 被拒绝或内容与声明不符的文件放入隔离区，由站点管理员审核后放行或删除
+  fileType: {
+    policy: process.env.FILE_TYPE_POLICY || 'deny',
+    allowedTypes: process.env.FILE_ALLOWED_TYPES ?
+      process.env.FILE_ALLOWED_TYPES.split(',') :
+      [
+        // 图片
+        'image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/svg+xml',
+        // 文档
+        'application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        'application/vnd.ms-excel', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'application/vnd.ms-powerpoint', 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+        'text/plain', 'text/csv', 'application/rtf',
+        // 压缩文件
+        'application/zip', 'application/x-rar-compressed', 'application/x-7z-compressed',
+        'application/gzip', 'application/x-tar',
+        // 音频
+        'audio/mpeg', 'audio/wav', 'audio/ogg', 'audio/mp4', 'audio/aac', 'audio/flac',
+        // 视频
+        'video/mp4', 'video/x-msvideo', 'video/quicktime', 'video/x-ms-wmv', 'video/x-flv', 'video/webm',
+        // 其他
+        'application/json', 'application/xml', 'text/xml'
+      ],
+    deniedTypes: process.env.FILE_DENIED_TYPES ?
+      process.env.FILE_DENIED_TYPES.split(',') :
+      [
+        'application/x-msdownload', 'application/x-executable', 'application/x-mach-binary',
+        'application/java-archive', 'application/java-vm', 'application/vnd.android.package-archive',
+        'application/x-msi', 'text/x-shellscript'
+      ],
+    deniedExtensions: process.env.FILE_DENIED_EXTENSIONS ?
+      process.env.FILE_DENIED_EXTENSIONS.split(',') :
+      ['.exe', '.dll', '.bat', '.cmd', '.com', '.pif', '.scr', '.vbs', '.js', '.jar', '.sh', '.msi', '.ps1', '.apk'],
+    quarantineRetention: parseInt(process.env.FILE_QUARANTINE_RETENTION) || 30 * 24 * 60 * 60 * 1000 // 30天未审核的隔离文件会被删除
+  },
+
+  // 文件和聊天图片的访问控制（成员可以申请短时有效的签名链接，用于 <img>、<video> 等无法携带令牌的场景）
+  fileAccess: {
+    urlSecret: process.env.FILE_URL_SECRET || process.env.JWT_SECRET || 'chatroom_secret_key_change_in_production',
+    signedUrlTtl: parseInt(process.env.FILE_SIGNED_URL_TTL) || 15 * 60 * 1000 // 15分钟
+  },
+
+  // 聊天图片处理配置（移除元数据并生成缩略图、预览图，最长边超过对应尺寸时才生成）
+  image: {
+    thumbnailSize: parseInt(process.env.IMAGE_THUMBNAIL_SIZE) || 320,
+    previewSize: parseInt(process.env.IMAGE_PREVIEW_SIZE) || 1280,
+    jpegQuality: parseInt(process.env.IMAGE_JPEG_QUALITY) || 85,
+    maxPixels: parseInt(process.env.IMAGE_MAX_PIXELS) || 16 * 1000 * 1000, // 超过1600万像素的图片拒绝处理（解码一张最大尺寸的图片约需数百MB内存）
+    workers: parseInt(process.env.IMAGE_WORKERS) || 2 // 图片处理线程数（同时处理的图片数量上限）
+  },
+
   // 头像配置
   avatar: {
     maxSize: parseInt(process.env.AVATAR_MAX_SIZE) || 50 * 1024, // 50kb
@@ -34,5 +188,12 @@ module.exports = {
     idLength: parseInt(process.env.CHATROOM_ID_LENGTH) || 8,
     maxNameLength: parseInt(process.env.CHATROOM_MAX_NAME_LENGTH) || 50,
     maxPasswordLength: parseInt(process.env.CHATROOM_MAX_PASSWORD_LENGTH) || 50
+  },
+
+  // 定时消息配置
+  scheduledMessage: {
+    checkInterval: parseInt(process.env.SCHEDULED_MESSAGE_CHECK_INTERVAL) || 15 * 1000, // 每15秒检查一次
+    maxAhead: parseInt(process.env.SCHEDULED_MESSAGE_MAX_AHEAD) || 30 * 24 * 60 * 60 * 1000, // 最多提前30天
+    maxPendingPerUser: parseInt(process.env.SCHEDULED_MESSAGE_MAX_PENDING) || 50
   }
 }; 
\ No newline at end of file
@@ -1,5 +1,6 @@
 const utils = require('../utils');
 const userService = require('../services/userService');
+const sessionService = require('../services/sessionService');
 
 // JWT身份验证中间件
 const authenticateToken = async (req, res, next) => {
@@ -11,10 +12,12 @@ const authenticateToken = async (req, res, next) => {
       return res.status(401).json(utils.errorResponse('访问令牌不存在'));
     }
 
-    const decoded = utils.verifyToken(token);
+    // 验证令牌签名以及所属登录会话是否仍然有效（已撤销的会话返回 401，客户端应重新登录）
+    const decoded = await sessionService.verifyAccessToken(token);
     if (!decoded) {
-      return res.status(403).json(utils.errorResponse('无效的访问令牌'));
+      return res.status(401).json(utils.errorResponse('访问令牌无效或已过期'));
     }
+    req.sessionId = decoded.sid;
 
     // 验证用户是否仍然存在且有效
     try {
@@ -61,11 +64,12 @@ const optionalAuth = async (req, res, next) => {
       return next();
     }
 
-    const decoded = utils.verifyToken(token);
+    const decoded = await sessionService.verifyAccessToken(token);
     if (!decoded) {
       req.user = null;
       return next();
     }
+    req.sessionId = decoded.sid;
 
     try {
       if (decoded.type === 'user') {
@@ -0,0 +1,69 @@
+// 数据库迁移命令行工具
+//   node migrate.js up [--to <版本号>]                 执行未应用的迁移
+//   node migrate.js down [--steps <数量>] [--to <版本号>] 回滚迁移（默认回滚最近一次，--to 0 回滚全部）
+//   node migrate.js status                           查看迁移状态
+const database = require('./database');
+const migrator = require('./migrator');
+
+// 解析命令行参数
+function parseArgs(argv) {
+  const [command = 'status', ...rest] = argv;
+  const options = {};
+
+  for (let i = 0; i < rest.length; i++) {
+    const flag = rest[i];
+    if (flag !== '--to' && flag !== '--steps') {
+      throw new Error(`未知参数: ${flag}`);
+    }
+
+    const value = parseInt(rest[i + 1], 10);
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`参数 ${flag} 需要一个非负整数`);
+    }
+    options[flag.slice(2)] = value;
+    i++;
+  }
+
+  return { command, options };
+}
+
+// 格式化时间
+function formatTime(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString('zh-CN', { hour12: false }) : '';
+}
+
+async function main() {
+  const { command, options } = parseArgs(process.argv.slice(2));
+
+  await database.connect();
+
+  try {
+    if (command === 'up') {
+      const applied = await migrator.migrate(database, { to: options.to ?? null });
+      console.log(applied.length > 0 ? `已执行 ${applied.length} 个迁移` : '没有需要执行的迁移');
+    } else if (command === 'down') {
+      const rolledBack = await migrator.rollback(database, {
+        steps: options.steps ?? 1,
+        to: options.to ?? null
+      });
+      console.log(rolledBack.length > 0 ? `已回滚 ${rolledBack.length} 个迁移` : '没有可回滚的迁移');
+    } else if (command === 'status') {
+      const statusLabels = { applied: '已执行', pending: '待执行', missing: '文件缺失' };
+      const migrations = await migrator.status(database);
+
+      for (const migration of migrations) {
+        const version = String(migration.version).padStart(3, '0');
+        console.log(`${version}  ${statusLabels[migration.status].padEnd(6)}  ${migration.name}  ${formatTime(migration.appliedAt)}`);
+      }
+    } else {
+      throw new Error(`未知命令: ${command}（可用命令: up, down, status）`);
+    }
+  } finally {
+    await database.close();
+  }
+}
+
+main().catch((error) => {
+  console.error('数据库迁移失败:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,185 @@
+// 初始表结构：用户、聊天室、消息、成员、禁言和文件
+// 旧版本由启动时建表逻辑创建的数据库也会执行本迁移，因此建表和加字段都需要可重复执行
+module.exports = {
+  async up(db, schema) {
+    // 用户表
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        uid TEXT UNIQUE NOT NULL,
+        nickname TEXT NOT NULL,
+        email TEXT UNIQUE,
+        password_hash TEXT NOT NULL,
+        avatar_url TEXT,
+        is_admin INTEGER DEFAULT 0,
+        is_banned INTEGER DEFAULT 0,
+        created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+        updated_at INTEGER DEFAULT (strftime('%s', 'now') * 1000)
+      )
+    `);
+
+    // 匿名用户表
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS anonymous_users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        uid TEXT NOT NULL,
+        chatroom_id TEXT NOT NULL,
+        nickname TEXT NOT NULL,
+        avatar_url TEXT,
+        mute_until INTEGER,
+        is_active INTEGER DEFAULT 1,
+        join_time INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+        last_active INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+        UNIQUE(uid, chatroom_id)
+      )
+    `);
+
+    // 聊天室表
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS chatrooms (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        room_id TEXT UNIQUE NOT NULL,
+        name TEXT NOT NULL,
+        password_hash TEXT,
+        creator_uid TEXT NOT NULL,
+        max_users INTEGER DEFAULT 100,
+        is_active INTEGER DEFAULT 1,
+        created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+        updated_at INTEGER DEFAULT (strftime('%s', 'now') * 1000)
+      )
+    `);
+
+    // 聊天室管理员表
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS chatroom_admins (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chatroom_id TEXT NOT NULL,
+        user_uid TEXT NOT NULL,
+        granted_by TEXT NOT NULL,
+        granted_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+        UNIQUE(chatroom_id, user_uid),
+        FOREIGN KEY (chatroom_id) REFERENCES chatrooms(room_id),
+        FOREIGN KEY (user_uid) REFERENCES users(uid),
+        FOREIGN KEY (granted_by) REFERENCES users(uid)
+      )
+    `);
+
+    // 消息表
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        message_id TEXT UNIQUE NOT NULL,
+        chatroom_id TEXT NOT NULL,
+        sender_uid TEXT NOT NULL,
+        sender_type TEXT NOT NULL CHECK(sender_type IN ('user', 'anonymous', 'system')),
+        content TEXT NOT NULL,
+        message_type TEXT DEFAULT 'text' CHECK(message_type IN ('text', 'image', 'file', 'system', 'bilibili', 'markdown')),
+        system_message_type TEXT CHECK(system_message_type IN ('persistent', 'temporary')),
+        visibility_scope TEXT DEFAULT 'all' CHECK(visibility_scope IN ('all', 'specific')),
+        visible_to_users TEXT,
+        reply_to_message_id INTEGER,
+        is_deleted INTEGER DEFAULT 0,
+        created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+        FOREIGN KEY (chatroom_id) REFERENCES chatrooms(room_id),
+        FOREIGN KEY (reply_to_message_id) REFERENCES messages(id)
+      )
+    `);
+
+    // 图片、B站视频、Markdown和文件消息的扩展字段
+    await schema.addColumn(db, 'messages', 'reply_to_message_id', 'INTEGER');
+    await schema.addColumn(db, 'messages', 'image_url', 'TEXT');
+    await schema.addColumn(db, 'messages', 'bilibili_bv', 'TEXT');
+    await schema.addColumn(db, 'messages', 'markdown_content', 'TEXT');
+    await schema.addColumn(db, 'messages', 'file_id', 'TEXT');
+    await schema.addColumn(db, 'messages', 'file_name', 'TEXT');
+    await schema.addColumn(db, 'messages', 'file_size', 'INTEGER');
+    await schema.addColumn(db, 'messages', 'file_expiry', 'INTEGER');
+
+    // 用户禁言记录表
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS user_mutes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chatroom_id TEXT NOT NULL,
+        user_uid TEXT NOT NULL,
+        muted_by TEXT NOT NULL,
+        reason TEXT,
+        mute_until INTEGER NOT NULL,
+        is_active INTEGER DEFAULT 1,
+        created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+        FOREIGN KEY (chatroom_id) REFERENCES chatrooms(room_id),
+        FOREIGN KEY (muted_by) REFERENCES users(uid)
+      )
+    `);
+
+    // 用户加入聊天室记录表
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS chatroom_members (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chatroom_id TEXT NOT NULL,
+        user_uid TEXT NOT NULL,
+        user_type TEXT NOT NULL CHECK(user_type IN ('user', 'anonymous')),
+        nickname TEXT NOT NULL,
+        avatar_url TEXT,
+        join_time INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+        last_active INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+        status TEXT DEFAULT 'online' CHECK(status IN ('online', 'offline', 'left')),
+        is_active INTEGER DEFAULT 1,
+        UNIQUE(chatroom_id, user_uid),
+        FOREIGN KEY (chatroom_id) REFERENCES chatrooms(room_id)
+      )
+    `);
+
+    // 文件表
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS files (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        file_id TEXT UNIQUE NOT NULL,
+        original_name TEXT NOT NULL,
+        stored_name TEXT NOT NULL,
+        mime_type TEXT NOT NULL,
+        file_size INTEGER NOT NULL,
+        compressed_size INTEGER,
+        uploader_uid TEXT NOT NULL,
+        chatroom_id TEXT NOT NULL,
+        message_id TEXT,
+        upload_time INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+        expiry_time INTEGER NOT NULL,
+        download_count INTEGER DEFAULT 0,
+        is_expired INTEGER DEFAULT 0,
+        FOREIGN KEY (chatroom_id) REFERENCES chatrooms(room_id),
+        FOREIGN KEY (message_id) REFERENCES messages(message_id)
+      )
+    `);
+
+    // 旧版本建表逻辑在文件表创建之前添加该字段，新建的数据库会缺少此字段
+    await schema.addColumn(db, 'files', 'compressed_size', 'INTEGER');
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_users_uid ON users(uid)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_anonymous_users_uid ON anonymous_users(uid)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_anonymous_users_chatroom ON anonymous_users(chatroom_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_chatrooms_room_id ON chatrooms(room_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_messages_chatroom ON messages(chatroom_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_messages_sender ON messages(sender_uid)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_messages_created_at ON messages(created_at)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_messages_reply_to ON messages(reply_to_message_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_chatroom_members_chatroom ON chatroom_members(chatroom_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_chatroom_members_user ON chatroom_members(user_uid)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_files_file_id ON files(file_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_files_chatroom ON files(chatroom_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_files_uploader ON files(uploader_uid)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_files_expiry ON files(expiry_time)');
+  },
+
+  async down(db) {
+    // 按外键依赖的逆序删除
+    await db.run('DROP TABLE IF EXISTS files');
+    await db.run('DROP TABLE IF EXISTS chatroom_members');
+    await db.run('DROP TABLE IF EXISTS user_mutes');
+    await db.run('DROP TABLE IF EXISTS messages');
+    await db.run('DROP TABLE IF EXISTS chatroom_admins');
+    await db.run('DROP TABLE IF EXISTS chatrooms');
+    await db.run('DROP TABLE IF EXISTS anonymous_users');
+    await db.run('DROP TABLE IF EXISTS users');
+  }
+};
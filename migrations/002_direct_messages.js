@@ -0,0 +1,45 @@
+// 私信会话与用户屏蔽列表
+module.exports = {
+  async up(db, schema) {
+    // 聊天室类型（group: 聊天室，direct: 私信会话）
+    await schema.addColumn(db, 'chatrooms', 'room_type', "TEXT DEFAULT 'group'");
+
+    // 私信会话表（每个会话对应一个 room_type = 'direct' 的聊天室记录，复用消息存储）
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS direct_conversations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        conversation_id TEXT UNIQUE NOT NULL,
+        user_a_uid TEXT NOT NULL,
+        user_b_uid TEXT NOT NULL,
+        created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+        UNIQUE(user_a_uid, user_b_uid),
+        FOREIGN KEY (conversation_id) REFERENCES chatrooms(room_id),
+        FOREIGN KEY (user_a_uid) REFERENCES users(uid),
+        FOREIGN KEY (user_b_uid) REFERENCES users(uid)
+      )
+    `);
+
+    // 用户屏蔽列表
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS user_blocks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        blocker_uid TEXT NOT NULL,
+        blocked_uid TEXT NOT NULL,
+        created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+        UNIQUE(blocker_uid, blocked_uid),
+        FOREIGN KEY (blocker_uid) REFERENCES users(uid),
+        FOREIGN KEY (blocked_uid) REFERENCES users(uid)
+      )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_direct_conversations_user_a ON direct_conversations(user_a_uid)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_direct_conversations_user_b ON direct_conversations(user_b_uid)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_user_blocks_blocker ON user_blocks(blocker_uid)');
+  },
+
+  async down(db, schema) {
+    await db.run('DROP TABLE IF EXISTS user_blocks');
+    await db.run('DROP TABLE IF EXISTS direct_conversations');
+    await schema.dropColumn(db, 'chatrooms', 'room_type');
+  }
+};
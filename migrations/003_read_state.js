@@ -0,0 +1,24 @@
+// 成员已读位置与聊天室已读回执开关
+module.exports = {
+  async up(db, schema) {
+    const added = await schema.addColumn(db, 'chatroom_members', 'last_read_message_id', 'INTEGER');
+    await schema.addColumn(db, 'chatroom_members', 'last_read_at', 'INTEGER');
+
+    // 现有成员视为已读到当前最新消息，避免升级后出现大量未读
+    if (added) {
+      await db.run(`
+        UPDATE chatroom_members
+        SET last_read_message_id = (SELECT MAX(m.id) FROM messages m WHERE m.chatroom_id = chatroom_members.chatroom_id)
+      `);
+    }
+
+    // 是否向成员展示"已读人数"
+    await schema.addColumn(db, 'chatrooms', 'read_receipts_enabled', 'INTEGER DEFAULT 0');
+  },
+
+  async down(db, schema) {
+    await schema.dropColumn(db, 'chatrooms', 'read_receipts_enabled');
+    await schema.dropColumn(db, 'chatroom_members', 'last_read_at');
+    await schema.dropColumn(db, 'chatroom_members', 'last_read_message_id');
+  }
+};
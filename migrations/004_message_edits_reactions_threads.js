@@ -0,0 +1,51 @@
+// 消息编辑历史、表情回应和话题回复
+module.exports = {
+  async up(db, schema) {
+    await schema.addColumn(db, 'messages', 'edited_at', 'INTEGER');
+
+    // 话题回复所属的根消息
+    await schema.addColumn(db, 'messages', 'thread_root_id', 'INTEGER');
+
+    // 消息编辑历史表（保存每次编辑前的版本）
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS message_edits (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        message_id INTEGER NOT NULL,
+        chatroom_id TEXT NOT NULL,
+        editor_uid TEXT NOT NULL,
+        content TEXT,
+        markdown_content TEXT,
+        edited_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+        FOREIGN KEY (message_id) REFERENCES messages(id),
+        FOREIGN KEY (chatroom_id) REFERENCES chatrooms(room_id)
+      )
+    `);
+
+    // 消息表情回应表
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS message_reactions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        message_id INTEGER NOT NULL,
+        chatroom_id TEXT NOT NULL,
+        user_uid TEXT NOT NULL,
+        emoji TEXT NOT NULL,
+        created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+        UNIQUE(message_id, user_uid, emoji),
+        FOREIGN KEY (message_id) REFERENCES messages(id),
+        FOREIGN KEY (chatroom_id) REFERENCES chatrooms(room_id)
+      )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_messages_thread_root ON messages(thread_root_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_message_edits_message ON message_edits(message_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_message_reactions_message ON message_reactions(message_id)');
+  },
+
+  async down(db, schema) {
+    await db.run('DROP TABLE IF EXISTS message_reactions');
+    await db.run('DROP TABLE IF EXISTS message_edits');
+    await db.run('DROP INDEX IF EXISTS idx_messages_thread_root');
+    await schema.dropColumn(db, 'messages', 'thread_root_id');
+    await schema.dropColumn(db, 'messages', 'edited_at');
+  }
+};
@@ -0,0 +1,72 @@
+// @提及、置顶消息和定时消息
+module.exports = {
+  async up(db) {
+    // 消息提及表（@昵称 / @UID）
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS message_mentions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        message_id INTEGER NOT NULL,
+        chatroom_id TEXT NOT NULL,
+        mentioned_uid TEXT NOT NULL,
+        sender_uid TEXT NOT NULL,
+        is_read INTEGER DEFAULT 0,
+        read_at INTEGER,
+        created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+        UNIQUE(message_id, mentioned_uid),
+        FOREIGN KEY (message_id) REFERENCES messages(id),
+        FOREIGN KEY (chatroom_id) REFERENCES chatrooms(room_id)
+      )
+    `);
+
+    // 置顶消息表
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS message_pins (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        message_id INTEGER UNIQUE NOT NULL,
+        chatroom_id TEXT NOT NULL,
+        pinned_by TEXT NOT NULL,
+        pinned_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+        FOREIGN KEY (message_id) REFERENCES messages(id),
+        FOREIGN KEY (chatroom_id) REFERENCES chatrooms(room_id)
+      )
+    `);
+
+    // 定时消息表（status: pending / sending / sent / cancelled / failed）
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS scheduled_messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chatroom_id TEXT NOT NULL,
+        sender_uid TEXT NOT NULL,
+        sender_type TEXT NOT NULL,
+        message_type TEXT NOT NULL,
+        content TEXT,
+        markdown_content TEXT,
+        bilibili_bv TEXT,
+        image_url TEXT,
+        file_id TEXT,
+        reply_to_message_id INTEGER,
+        thread_root_id INTEGER,
+        scheduled_at INTEGER NOT NULL,
+        status TEXT DEFAULT 'pending',
+        failure_reason TEXT,
+        message_id INTEGER,
+        sent_at INTEGER,
+        created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+        updated_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+        FOREIGN KEY (chatroom_id) REFERENCES chatrooms(room_id)
+      )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_message_mentions_message ON message_mentions(message_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_message_mentions_user ON message_mentions(mentioned_uid, is_read)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_message_pins_chatroom ON message_pins(chatroom_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_scheduled_messages_due ON scheduled_messages(status, scheduled_at)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_scheduled_messages_sender ON scheduled_messages(sender_uid, chatroom_id)');
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS scheduled_messages');
+    await db.run('DROP TABLE IF EXISTS message_pins');
+    await db.run('DROP TABLE IF EXISTS message_mentions');
+  }
+};
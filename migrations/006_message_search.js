@@ -0,0 +1,51 @@
+// 消息全文索引（FTS5 外部内容表，trigram 分词以支持中文等无空格分隔的文本）
+module.exports = {
+  async up(db, schema) {
+    const exists = await schema.hasTable(db, 'messages_fts');
+
+    await db.run(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+        content,
+        markdown_content,
+        file_name,
+        content = 'messages',
+        content_rowid = 'id',
+        tokenize = 'trigram'
+      )
+    `);
+
+    // 通过触发器保持索引与消息表同步
+    await db.run(`
+      CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages BEGIN
+        INSERT INTO messages_fts (rowid, content, markdown_content, file_name)
+        VALUES (new.id, new.content, new.markdown_content, new.file_name);
+      END
+    `);
+    await db.run(`
+      CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+        INSERT INTO messages_fts (messages_fts, rowid, content, markdown_content, file_name)
+        VALUES ('delete', old.id, old.content, old.markdown_content, old.file_name);
+      END
+    `);
+    await db.run(`
+      CREATE TRIGGER IF NOT EXISTS messages_fts_update AFTER UPDATE OF content, markdown_content, file_name ON messages BEGIN
+        INSERT INTO messages_fts (messages_fts, rowid, content, markdown_content, file_name)
+        VALUES ('delete', old.id, old.content, old.markdown_content, old.file_name);
+        INSERT INTO messages_fts (rowid, content, markdown_content, file_name)
+        VALUES (new.id, new.content, new.markdown_content, new.file_name);
+      END
+    `);
+
+    // 首次创建索引时为已有消息建立索引
+    if (!exists) {
+      await db.run("INSERT INTO messages_fts (messages_fts) VALUES ('rebuild')");
+    }
+  },
+
+  async down(db) {
+    await db.run('DROP TRIGGER IF EXISTS messages_fts_update');
+    await db.run('DROP TRIGGER IF EXISTS messages_fts_delete');
+    await db.run('DROP TRIGGER IF EXISTS messages_fts_insert');
+    await db.run('DROP TABLE IF EXISTS messages_fts');
+  }
+};
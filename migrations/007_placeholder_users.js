@@ -0,0 +1,10 @@
+// 导入聊天记录时为本站不存在的发送者创建的占位身份
+module.exports = {
+  async up(db, schema) {
+    await schema.addColumn(db, 'users', 'is_placeholder', 'INTEGER DEFAULT 0');
+  },
+
+  async down(db, schema) {
+    await schema.dropColumn(db, 'users', 'is_placeholder');
+  }
+};
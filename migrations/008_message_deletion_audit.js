@@ -0,0 +1,12 @@
+// 记录消息的删除者和删除时间（管理员批量删除用户消息时写入）
+module.exports = {
+  async up(db, schema) {
+    await schema.addColumn(db, 'messages', 'deleted_by', 'TEXT');
+    await schema.addColumn(db, 'messages', 'deleted_at', 'INTEGER');
+  },
+
+  async down(db, schema) {
+    await schema.dropColumn(db, 'messages', 'deleted_at');
+    await schema.dropColumn(db, 'messages', 'deleted_by');
+  }
+};
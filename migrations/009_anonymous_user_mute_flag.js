@@ -0,0 +1,16 @@
+// 匿名用户禁言标记（禁言时间仍以 mute_until 为准）
+module.exports = {
+  async up(db, schema) {
+    await schema.addColumn(db, 'anonymous_users', 'is_muted', 'INTEGER DEFAULT 0');
+
+    // 根据现有禁言时间回填
+    await db.run(
+      'UPDATE anonymous_users SET is_muted = 1 WHERE mute_until IS NOT NULL AND mute_until > ?',
+      [Date.now()]
+    );
+  },
+
+  async down(db, schema) {
+    await schema.dropColumn(db, 'anonymous_users', 'is_muted');
+  }
+};
@@ -0,0 +1,23 @@
+// 聊天室级别的上传限制（为空时使用 config.upload 中的全局默认值）
+module.exports = {
+  async up(db, schema) {
+    await schema.addColumn(db, 'chatrooms', 'file_max_size', 'INTEGER');
+    await schema.addColumn(db, 'chatrooms', 'image_max_size', 'INTEGER');
+    await schema.addColumn(db, 'chatrooms', 'file_retention', 'INTEGER');
+    await schema.addColumn(db, 'chatrooms', 'storage_quota', 'INTEGER');
+
+    // 按上传者和聊天室统计存储用量（001 已创建同名的单列索引，复合索引使用单独的名称）
+    await db.run('CREATE INDEX IF NOT EXISTS idx_files_uploader_active ON files(uploader_uid, is_expired)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_files_chatroom_active ON files(chatroom_id, is_expired)');
+  },
+
+  async down(db, schema) {
+    await db.run('DROP INDEX IF EXISTS idx_files_chatroom_active');
+    await db.run('DROP INDEX IF EXISTS idx_files_uploader_active');
+
+    await schema.dropColumn(db, 'chatrooms', 'storage_quota');
+    await schema.dropColumn(db, 'chatrooms', 'file_retention');
+    await schema.dropColumn(db, 'chatrooms', 'image_max_size');
+    await schema.dropColumn(db, 'chatrooms', 'file_max_size');
+  }
+};
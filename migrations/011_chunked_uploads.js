@@ -0,0 +1,41 @@
+// 分片上传会话（status: uploading / assembling）及已接收的分片
+module.exports = {
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS upload_sessions (
+        upload_id TEXT PRIMARY KEY,
+        uploader_uid TEXT NOT NULL,
+        chatroom_id TEXT NOT NULL,
+        original_name TEXT NOT NULL,
+        mime_type TEXT NOT NULL,
+        file_size INTEGER NOT NULL,
+        chunk_size INTEGER NOT NULL,
+        total_chunks INTEGER NOT NULL,
+        checksum TEXT NOT NULL,
+        status TEXT DEFAULT 'uploading',
+        created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+        updated_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+        FOREIGN KEY (chatroom_id) REFERENCES chatrooms(room_id)
+      )
+    `);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS upload_chunks (
+        upload_id TEXT NOT NULL,
+        chunk_index INTEGER NOT NULL,
+        size INTEGER NOT NULL,
+        received_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+        PRIMARY KEY (upload_id, chunk_index),
+        FOREIGN KEY (upload_id) REFERENCES upload_sessions(upload_id) ON DELETE CASCADE
+      )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_upload_sessions_uploader ON upload_sessions(uploader_uid)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_upload_sessions_updated ON upload_sessions(updated_at)');
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS upload_chunks');
+    await db.run('DROP TABLE IF EXISTS upload_sessions');
+  }
+};
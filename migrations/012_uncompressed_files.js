@@ -0,0 +1,10 @@
+// 标记文件在存储中是否经过gzip压缩（已压缩格式的文件直接存储原始内容）
+module.exports = {
+  async up(db, schema) {
+    await schema.addColumn(db, 'files', 'is_compressed', 'INTEGER DEFAULT 1');
+  },
+
+  async down(db, schema) {
+    await schema.dropColumn(db, 'files', 'is_compressed');
+  }
+};
@@ -0,0 +1,12 @@
+// 按图片地址查找所属聊天室（图片访问权限检查）
+module.exports = {
+  async up(db) {
+    await db.run('CREATE INDEX IF NOT EXISTS idx_messages_image_url ON messages(image_url)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_scheduled_messages_image_url ON scheduled_messages(image_url)');
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_scheduled_messages_image_url');
+    await db.run('DROP INDEX IF EXISTS idx_messages_image_url');
+  }
+};
@@ -0,0 +1,25 @@
+// 记录聊天图片的缩略图、预览图地址和原图尺寸
+const COLUMNS = [
+  ['thumbnail_url', 'TEXT'],
+  ['preview_url', 'TEXT'],
+  ['image_width', 'INTEGER'],
+  ['image_height', 'INTEGER']
+];
+
+module.exports = {
+  async up(db, schema) {
+    for (const table of ['messages', 'scheduled_messages']) {
+      for (const [column, definition] of COLUMNS) {
+        await schema.addColumn(db, table, column, definition);
+      }
+    }
+  },
+
+  async down(db, schema) {
+    for (const table of ['messages', 'scheduled_messages']) {
+      for (const [column] of COLUMNS) {
+        await schema.dropColumn(db, table, column);
+      }
+    }
+  }
+};
@@ -0,0 +1,34 @@
+// 未通过类型检查的上传文件（verdict: rejected / suspicious；status: pending / released / deleted / expired）
+module.exports = {
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS quarantined_files (
+        quarantine_id TEXT PRIMARY KEY,
+        uploader_uid TEXT NOT NULL,
+        chatroom_id TEXT NOT NULL,
+        original_name TEXT NOT NULL,
+        declared_type TEXT,
+        detected_type TEXT,
+        mime_type TEXT NOT NULL,
+        file_size INTEGER NOT NULL,
+        stored_name TEXT NOT NULL,
+        compressed_size INTEGER NOT NULL,
+        is_compressed INTEGER DEFAULT 1,
+        verdict TEXT NOT NULL,
+        reason TEXT NOT NULL,
+        status TEXT DEFAULT 'pending',
+        file_id TEXT,
+        reviewed_by TEXT,
+        reviewed_at INTEGER,
+        created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+        FOREIGN KEY (chatroom_id) REFERENCES chatrooms(room_id)
+      )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_quarantined_files_status ON quarantined_files(status, created_at)');
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS quarantined_files');
+  }
+};
@@ -0,0 +1,27 @@
+// 登录会话：保存刷新令牌的哈希（轮换后保留上一个哈希用于发现令牌被重复使用），撤销后访问令牌随之失效
+module.exports = {
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS auth_sessions (
+        session_id TEXT PRIMARY KEY,
+        user_uid TEXT NOT NULL,
+        user_type TEXT NOT NULL,
+        refresh_token_hash TEXT NOT NULL,
+        previous_token_hash TEXT,
+        user_agent TEXT,
+        ip_address TEXT,
+        created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+        last_used_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+        expires_at INTEGER NOT NULL,
+        revoked_at INTEGER
+      )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_auth_sessions_user ON auth_sessions(user_uid, revoked_at)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_auth_sessions_expires ON auth_sessions(expires_at)');
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS auth_sessions');
+  }
+};
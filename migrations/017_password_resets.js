@@ -0,0 +1,22 @@
+// 密码重置令牌（只保存令牌哈希；used_at 不为空表示已使用或已作废）
+module.exports = {
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        token_hash TEXT PRIMARY KEY,
+        user_uid TEXT NOT NULL,
+        ip_address TEXT,
+        created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+        expires_at INTEGER NOT NULL,
+        used_at INTEGER,
+        FOREIGN KEY (user_uid) REFERENCES users(uid)
+      )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user ON password_reset_tokens(user_uid, created_at)');
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS password_reset_tokens');
+  }
+};
@@ -0,0 +1,19 @@
+// 邮箱验证：用户邮箱验证状态，聊天室可以要求只允许已验证邮箱的注册用户加入
+module.exports = {
+  async up(db, schema) {
+    await schema.addColumn(db, 'users', 'email_verified', 'INTEGER DEFAULT 0');
+    await schema.addColumn(db, 'users', 'email_verified_at', 'INTEGER');
+    await schema.addColumn(db, 'users', 'verification_sent_at', 'INTEGER');
+    await schema.addColumn(db, 'chatrooms', 'require_verified_email', 'INTEGER DEFAULT 0');
+
+    // 引入邮箱验证之前注册的账号视为已验证，避免升级后无法加入要求验证的聊天室
+    await db.run('UPDATE users SET email_verified = 1 WHERE email IS NOT NULL');
+  },
+
+  async down(db, schema) {
+    await schema.dropColumn(db, 'chatrooms', 'require_verified_email');
+    await schema.dropColumn(db, 'users', 'verification_sent_at');
+    await schema.dropColumn(db, 'users', 'email_verified_at');
+    await schema.dropColumn(db, 'users', 'email_verified');
+  }
+};
@@ -0,0 +1,41 @@
+// 两步验证：用户的 TOTP 密钥（加密保存，totp_enabled 为 0 时表示尚未确认）、备用验证码和登录验证挑战
+module.exports = {
+  async up(db, schema) {
+    await schema.addColumn(db, 'users', 'totp_secret', 'TEXT');
+    await schema.addColumn(db, 'users', 'totp_enabled', 'INTEGER DEFAULT 0');
+    await schema.addColumn(db, 'users', 'totp_enabled_at', 'INTEGER');
+    await schema.addColumn(db, 'users', 'totp_last_step', 'INTEGER'); // 最近一次使用的验证码周期，防止同一验证码被重复使用
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS two_factor_backup_codes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_uid TEXT NOT NULL,
+        code_hash TEXT NOT NULL,
+        used_at INTEGER,
+        created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+        FOREIGN KEY (user_uid) REFERENCES users(uid)
+      )
+    `);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_two_factor_backup_codes_user ON two_factor_backup_codes(user_uid)');
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS two_factor_challenges (
+        challenge_hash TEXT PRIMARY KEY,
+        user_uid TEXT NOT NULL,
+        attempts INTEGER DEFAULT 0,
+        created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+        expires_at INTEGER NOT NULL,
+        FOREIGN KEY (user_uid) REFERENCES users(uid)
+      )
+    `);
+  },
+
+  async down(db, schema) {
+    await db.run('DROP TABLE IF EXISTS two_factor_challenges');
+    await db.run('DROP TABLE IF EXISTS two_factor_backup_codes');
+    await schema.dropColumn(db, 'users', 'totp_last_step');
+    await schema.dropColumn(db, 'users', 'totp_enabled_at');
+    await schema.dropColumn(db, 'users', 'totp_enabled');
+    await schema.dropColumn(db, 'users', 'totp_secret');
+  }
+};
@@ -0,0 +1,41 @@
+// 单点登录：用户关联的外部身份（提供方 + 提供方用户ID）和进行中的登录请求
+module.exports = {
+  async up(db, schema) {
+    // 通过单点登录创建的账号没有可用的密码（has_password = 0），需要通过重置密码设置
+    await schema.addColumn(db, 'users', 'has_password', 'INTEGER DEFAULT 1');
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS user_identities (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_uid TEXT NOT NULL,
+        provider TEXT NOT NULL,
+        subject TEXT NOT NULL,
+        email TEXT,
+        created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+        last_login_at INTEGER,
+        UNIQUE(provider, subject),
+        UNIQUE(user_uid, provider),
+        FOREIGN KEY (user_uid) REFERENCES users(uid)
+      )
+    `);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS oidc_login_states (
+        state TEXT PRIMARY KEY,
+        provider TEXT NOT NULL,
+        code_verifier TEXT NOT NULL,
+        nonce TEXT NOT NULL,
+        redirect_uri TEXT NOT NULL,
+        link_uid TEXT,
+        created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+        expires_at INTEGER NOT NULL
+      )
+    `);
+  },
+
+  async down(db, schema) {
+    await db.run('DROP TABLE IF EXISTS oidc_login_states');
+    await db.run('DROP TABLE IF EXISTS user_identities');
+    await schema.dropColumn(db, 'users', 'has_password');
+  }
+};
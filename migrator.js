@@ -0,0 +1,193 @@
+const path = require('path');
+const fs = require('fs');
+
+// 迁移文件目录，文件名格式：<版本号>_<名称>.js，如 001_initial_schema.js
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// 提供给迁移文件使用的表结构辅助方法
+const schema = {
+  // 检查表是否存在
+  async hasTable(db, table) {
+    const row = await db.get(
+      "SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?",
+      [table]
+    );
+    return Boolean(row);
+  },
+
+  // 检查字段是否存在
+  async hasColumn(db, table, column) {
+    const columns = await db.all(`PRAGMA table_info(${table})`);
+    return columns.some(col => col.name === column);
+  },
+
+  // 添加字段（已存在时跳过，兼容由旧版本建表逻辑创建的数据库），返回是否实际添加
+  async addColumn(db, table, column, definition) {
+    if (await schema.hasColumn(db, table, column)) {
+      return false;
+    }
+    await db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    return true;
+  },
+
+  // 删除字段（不存在时跳过）
+  async dropColumn(db, table, column) {
+    if (!(await schema.hasColumn(db, table, column))) {
+      return false;
+    }
+    await db.run(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+    return true;
+  }
+};
+
+class Migrator {
+  constructor(migrationsDir = MIGRATIONS_DIR) {
+    this.migrationsDir = migrationsDir;
+  }
+
+  // 读取全部迁移文件，按版本号升序排列
+  loadMigrations() {
+    const files = fs.readdirSync(this.migrationsDir)
+      .filter(file => MIGRATION_FILE_PATTERN.test(file));
+
+    const migrations = files.map(file => {
+      const [, version, name] = file.match(MIGRATION_FILE_PATTERN);
+      const migration = require(path.join(this.migrationsDir, file));
+
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`迁移文件 ${file} 必须同时导出 up 和 down 方法`);
+      }
+
+      return {
+        version: parseInt(version, 10),
+        name,
+        file,
+        up: migration.up,
+        down: migration.down
+      };
+    });
+
+    migrations.sort((a, b) => a.version - b.version);
+
+    for (let i = 1; i < migrations.length; i++) {
+      if (migrations[i].version === migrations[i - 1].version) {
+        throw new Error(`迁移版本号重复: ${migrations[i - 1].file} 与 ${migrations[i].file}`);
+      }
+    }
+
+    return migrations;
+  }
+
+  // 创建迁移记录表
+  async ensureMigrationsTable(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at INTEGER DEFAULT (strftime('%s', 'now') * 1000)
+      )
+    `);
+  }
+
+  // 获取已执行的迁移记录
+  async getAppliedMigrations(db) {
+    await this.ensureMigrationsTable(db);
+    return db.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC');
+  }
+
+  // 执行未应用的迁移（可指定目标版本），返回本次执行的迁移
+  async migrate(db, options = {}) {
+    const { to = null } = options;
+    const migrations = this.loadMigrations();
+    const applied = new Set((await this.getAppliedMigrations(db)).map(row => row.version));
+
+    const pending = migrations.filter(migration =>
+      !applied.has(migration.version) && (to === null || migration.version <= to)
+    );
+
+    for (const migration of pending) {
+      console.log(`正在执行迁移 ${migration.file}...`);
+      await this.runInTransaction(db, async () => {
+        await migration.up(db, schema);
+        await db.run(
+          'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+          [migration.version, migration.name, Date.now()]
+        );
+      });
+      console.log(`迁移 ${migration.file} 执行完成`);
+    }
+
+    return pending;
+  }
+
+  // 回滚迁移：默认回滚最近一次，可指定回滚步数或回滚到某个版本（不含该版本）
+  async rollback(db, options = {}) {
+    const { steps = 1, to = null } = options;
+    const migrations = new Map(this.loadMigrations().map(migration => [migration.version, migration]));
+    const applied = (await this.getAppliedMigrations(db)).reverse();
+
+    const targets = to !== null
+      ? applied.filter(row => row.version > to)
+      : applied.slice(0, steps);
+
+    for (const row of targets) {
+      const migration = migrations.get(row.version);
+      if (!migration) {
+        throw new Error(`找不到版本 ${row.version}（${row.name}）的迁移文件，无法回滚`);
+      }
+
+      console.log(`正在回滚迁移 ${migration.file}...`);
+      await this.runInTransaction(db, async () => {
+        await migration.down(db, schema);
+        await db.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+      });
+      console.log(`迁移 ${migration.file} 回滚完成`);
+    }
+
+    return targets;
+  }
+
+  // 获取迁移状态：applied 已执行，pending 待执行，missing 已执行但迁移文件缺失
+  async status(db) {
+    const migrations = this.loadMigrations();
+    const applied = new Map((await this.getAppliedMigrations(db)).map(row => [row.version, row]));
+
+    const result = migrations.map(migration => {
+      const row = applied.get(migration.version);
+      return {
+        version: migration.version,
+        name: migration.name,
+        status: row ? 'applied' : 'pending',
+        appliedAt: row ? row.applied_at : null
+      };
+    });
+
+    for (const row of applied.values()) {
+      if (!migrations.some(migration => migration.version === row.version)) {
+        result.push({
+          version: row.version,
+          name: row.name,
+          status: 'missing',
+          appliedAt: row.applied_at
+        });
+      }
+    }
+
+    return result.sort((a, b) => a.version - b.version);
+  }
+
+  // 在事务中执行迁移步骤，失败时回滚
+  async runInTransaction(db, callback) {
+    await db.beginTransaction();
+    try {
+      await callback();
+      await db.commit();
+    } catch (error) {
+      await db.rollback();
+      throw error;
+    }
+  }
+}
+
+module.exports = new Migrator();
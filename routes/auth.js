@@ -1,14 +1,17 @@
 const express = require('express');
 const multer = require('multer');
 // const sharp = require('sharp'); // 暂时移除Sharp依赖
-const path = require('path');
-const fs = require('fs').promises;
 const router = express.Router();
 
 const userService = require('../services/userService');
+const sessionService = require('../services/sessionService');
+const passwordResetService = require('../services/passwordResetService');
+const emailVerificationService = require('../services/emailVerificationService');
+const twoFactorService = require('../services/twoFactorService');
+const oidcService = require('../services/oidcService');
 const utils = require('../utils');
 const config = require('../config');
-const { validateRequest, authenticateToken } = require('../middleware/auth');
+const { validateRequest, authenticateToken, optionalAuth } = require('../middleware/auth');
 
 // 配置头像上传
 const storage = multer.memoryStorage();
@@ -56,6 +59,16 @@ const handleMulterError = (error, req, res, next) => {
   next(error);
 };
 
+// 断开已撤销会话的实时连接
+const disconnectSessions = (req, sessionIds) => {
+  const io = req.app.get('io');
+  if (!io) return;
+
+  for (const sessionId of sessionIds) {
+    io.in(`session:${sessionId}`).disconnectSockets(true);
+  }
+};
+
 // 用户注册
 router.post('/register', 
   upload.single('avatar'),
@@ -98,28 +111,17 @@ router.post('/register',
             email,
             password,
             avatarUrl: null
-          });
+          }, sessionService.getClientInfo(req));
 
-          // 使用UID作为文件名，保持原始格式
-          const extension = validation.detectedType === 'image/jpeg' ? 'jpg' : 
-                          validation.detectedType === 'image/png' ? 'png' : 'webp';
-          const filename = `${tempUserData.user.uid}.${extension}`;
-          const avatarPath = path.join(config.uploadPath, 'avatars', filename);
-
-          // 确保目录存在
-          await fs.mkdir(path.dirname(avatarPath), { recursive: true });
-
-          // 保存头像文件
-          await fs.writeFile(avatarPath, req.file.buffer);
-
-          // 更新用户头像URL
-          avatarUrl = `/avatars/${tempUserData.user.uid}`;
+          // 保存头像文件并更新用户头像URL
+          avatarUrl = await userService.saveAvatar(tempUserData.user.uid, req.file.buffer);
           await userService.updateUser(tempUserData.user.uid, { avatarUrl });
 
           // 返回完整用户数据
           const updatedUserData = await userService.getUserInfo(tempUserData.user.uid);
+          const { user, ...session } = tempUserData;
           return res.status(201).json(utils.successResponse('注册成功', {
-            token: tempUserData.token,
+            ...session,
             user: updatedUserData
           }));
         } catch (error) {
@@ -134,7 +136,7 @@ router.post('/register',
         email,
         password,
         avatarUrl
-      });
+      }, sessionService.getClientInfo(req));
 
       res.status(201).json(utils.successResponse('注册成功', userData));
     } catch (error) {
@@ -160,7 +162,12 @@ router.post('/login',
     try {
       const { identifier, password } = req.body;
       
-      const result = await userService.login(identifier, password);
+      const result = await userService.login(identifier, password, sessionService.getClientInfo(req));
+
+      // 开启了两步验证，需要再调用 /login/2fa 提交验证码
+      if (result.twoFactorRequired) {
+        return res.json(utils.successResponse('请输入两步验证码', result));
+      }
       
       res.json(utils.successResponse('登录成功', result));
     } catch (error) {
@@ -170,6 +177,32 @@ router.post('/login',
   }
 );
 
+// 两步验证登录（提交登录时返回的挑战令牌和身份验证器中的验证码或备用验证码）
+router.post('/login/2fa',
+  validateRequest({
+    challengeToken: {
+      required: true,
+      type: 'string'
+    },
+    code: {
+      required: true,
+      type: 'string'
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { challengeToken, code } = req.body;
+
+      const result = await userService.completeTwoFactorLogin(challengeToken, code, sessionService.getClientInfo(req));
+
+      res.json(utils.successResponse('登录成功', result));
+    } catch (error) {
+      console.error('两步验证登录错误:', error);
+      res.status(401).json(utils.errorResponse(error.message));
+    }
+  }
+);
+
 // 创建匿名用户
 router.post('/anonymous',
   validateRequest({
@@ -184,15 +217,11 @@ router.post('/anonymous',
       
       const anonymousUser = await userService.createAnonymousUser(chatroomId);
       
-      // 生成JWT令牌
-      const token = utils.generateToken({
-        uid: anonymousUser.uid,
-        nickname: anonymousUser.nickname,
-        type: 'anonymous'
-      });
+      // 创建登录会话
+      const session = await sessionService.createSession(anonymousUser, sessionService.getClientInfo(req));
 
       res.status(201).json(utils.successResponse('匿名用户创建成功', {
-        token,
+        ...session,
         user: anonymousUser
       }));
     } catch (error) {
@@ -220,15 +249,11 @@ router.post('/anonymous/rejoin',
       
       const anonymousUser = await userService.reactivateAnonymousUser(uid, chatroomId);
       
-      // 生成JWT令牌
-      const token = utils.generateToken({
-        uid: anonymousUser.uid,
-        nickname: anonymousUser.nickname,
-        type: 'anonymous'
-      });
+      // 创建登录会话
+      const session = await sessionService.createSession(anonymousUser, sessionService.getClientInfo(req));
 
       res.json(utils.successResponse('匿名用户重新激活成功', {
-        token,
+        ...session,
         user: anonymousUser
       }));
     } catch (error) {
@@ -281,31 +306,8 @@ router.put('/me',
             return res.status(400).json(utils.errorResponse(`头像验证失败：${validation.error}`));
           }
 
-          // 使用UID作为文件名，保持原始格式
-          const extension = validation.detectedType === 'image/jpeg' ? 'jpg' : 
-                          validation.detectedType === 'image/png' ? 'png' : 'webp';
-          const filename = `${req.user.uid}.${extension}`;
-          const avatarPath = path.join(config.uploadPath, 'avatars', filename);
-
-          // 确保目录存在
-          await fs.mkdir(path.dirname(avatarPath), { recursive: true });
-
-          // 删除旧的头像文件（所有格式）
-          const oldExtensions = ['jpg', 'jpeg', 'png', 'webp'];
-          for (const oldExt of oldExtensions) {
-            const oldPath = path.join(config.uploadPath, 'avatars', `${req.user.uid}.${oldExt}`);
-            try {
-              await fs.unlink(oldPath);
-            } catch (error) {
-              // 忽略文件不存在的错误
-            }
-          }
-
-          // 保存新头像文件
-          await fs.writeFile(avatarPath, req.file.buffer);
-
-          // 设置固定的头像URL
-          updateData.avatarUrl = `/avatars/${req.user.uid}`;
+          // 保存新头像文件（替换所有格式的旧头像），设置固定的头像URL
+          updateData.avatarUrl = await userService.saveAvatar(req.user.uid, req.file.buffer);
 
         } catch (error) {
           console.error('头像处理错误:', error);
@@ -394,35 +396,15 @@ router.post('/avatar',
           return res.status(400).json(utils.errorResponse(`头像验证失败：${validation.error}`));
         }
 
-        // 使用UID作为文件名，保持原始格式
-        const extension = validation.detectedType === 'image/jpeg' ? 'jpg' : 
-                        validation.detectedType === 'image/png' ? 'png' : 'webp';
-        const filename = `${req.user.uid}.${extension}`;
-        const avatarPath = path.join(config.uploadPath, 'avatars', filename);
-
-        // 确保目录存在
-        await fs.mkdir(path.dirname(avatarPath), { recursive: true });
-
-        // 删除旧的头像文件（所有格式）
-        const oldExtensions = ['jpg', 'jpeg', 'png', 'webp'];
-        for (const oldExt of oldExtensions) {
-          const oldPath = path.join(config.uploadPath, 'avatars', `${req.user.uid}.${oldExt}`);
-          try {
-            await fs.unlink(oldPath);
-          } catch (error) {
-            // 忽略文件不存在的错误
-          }
-        }
-
-        // 保存新头像文件
-        await fs.writeFile(avatarPath, req.file.buffer);
+        // 保存新头像文件（替换所有格式的旧头像）
+        const storedAvatarUrl = await userService.saveAvatar(req.user.uid, req.file.buffer);
 
         // 设置固定的头像URL（添加时间戳避免缓存）
-        const avatarUrl = `/avatars/${req.user.uid}?t=${Date.now()}`;
+        const avatarUrl = `${storedAvatarUrl}?t=${Date.now()}`;
         
         // 更新用户头像URL
         const updatedUser = await userService.updateUserInfo(req.user.uid, { 
-          avatarUrl: `/avatars/${req.user.uid}` // 数据库中不存时间戳
+          avatarUrl: storedAvatarUrl // 数据库中不存时间戳
         });
 
         res.json(utils.successResponse('头像上传成功', { 
@@ -439,20 +421,417 @@ router.post('/avatar',
   }
 );
 
-// 刷新令牌
-router.post('/refresh', authenticateToken, async (req, res) => {
+// 刷新令牌（使用刷新令牌换取新的访问令牌，刷新令牌同时轮换）
+router.post('/refresh',
+  validateRequest({
+    refreshToken: {
+      required: true,
+      type: 'string'
+    }
+  }),
+  async (req, res) => {
+    try {
+      const session = await sessionService.refreshSession(req.body.refreshToken, sessionService.getClientInfo(req));
+
+      res.json(utils.successResponse('令牌刷新成功', session));
+    } catch (error) {
+      console.error('令牌刷新错误:', error);
+      res.status(401).json(utils.errorResponse(error.message));
+    }
+  }
+);
+
+// 获取当前用户的登录会话列表
+router.get('/sessions', authenticateToken, async (req, res) => {
   try {
-    // 生成新的令牌
-    const token = utils.generateToken({
-      uid: req.user.uid,
-      nickname: req.user.nickname,
-      type: req.user.type
-    });
-
-    res.json(utils.successResponse('令牌刷新成功', { token }));
+    const sessions = await sessionService.getSessions(req.user.uid, req.sessionId);
+
+    res.json(utils.successResponse('获取登录会话成功', { sessions }));
+  } catch (error) {
+    console.error('获取登录会话错误:', error);
+    res.status(500).json(utils.errorResponse('获取登录会话失败'));
+  }
+});
+
+// 撤销指定登录会话（该会话的令牌立即失效，实时连接被断开）
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    await sessionService.revokeSession(req.user.uid, sessionId);
+    disconnectSessions(req, [sessionId]);
+
+    res.json(utils.successResponse('登录会话已撤销', { sessionId }));
+  } catch (error) {
+    console.error('撤销登录会话错误:', error);
+    res.status(404).json(utils.errorResponse(error.message));
+  }
+});
+
+// 退出登录（allSessions 为 true 时退出所有设备）
+router.post('/logout',
+  authenticateToken,
+  validateRequest({
+    allSessions: {
+      type: 'boolean'
+    }
+  }),
+  async (req, res) => {
+    try {
+      let sessionIds;
+      if (req.body.allSessions) {
+        sessionIds = await sessionService.revokeAllSessions(req.user.uid);
+      } else {
+        await sessionService.revokeSession(req.user.uid, req.sessionId);
+        sessionIds = [req.sessionId];
+      }
+
+      disconnectSessions(req, sessionIds);
+
+      res.json(utils.successResponse('退出登录成功', { revokedSessions: sessionIds.length }));
+    } catch (error) {
+      console.error('退出登录错误:', error);
+      res.status(500).json(utils.errorResponse('退出登录失败'));
+    }
+  }
+);
+
+// 修改密码（需要当前密码，尚未设置密码的单点登录账号除外），其他设备上的登录会话会被撤销
+router.put('/password',
+  authenticateToken,
+  validateRequest({
+    currentPassword: {
+      type: 'string'
+    },
+    newPassword: {
+      required: true,
+      type: 'string',
+      minLength: 6,
+      maxLength: 50
+    }
+  }),
+  async (req, res) => {
+    try {
+      if (req.user.type !== 'user') {
+        return res.status(403).json(utils.errorResponse('匿名用户无法修改密码'));
+      }
+
+      const { currentPassword, newPassword } = req.body;
+      const sessionIds = await userService.changePassword(req.user.uid, currentPassword, newPassword, {
+        currentSessionId: req.sessionId
+      });
+
+      disconnectSessions(req, sessionIds);
+
+      res.json(utils.successResponse('密码修改成功', { revokedSessions: sessionIds.length }));
+    } catch (error) {
+      console.error('修改密码错误:', error);
+      res.status(400).json(utils.errorResponse(error.message));
+    }
+  }
+);
+
+// 申请重置密码（无论邮箱是否注册都返回相同结果，避免泄露注册信息）
+router.post('/password/forgot',
+  validateRequest({
+    email: {
+      required: true,
+      type: 'string',
+      pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+    }
+  }),
+  async (req, res) => {
+    // 邮件在后台发送，响应时间不随邮箱是否注册而变化
+    passwordResetService.requestReset(req.body.email, sessionService.getClientInfo(req))
+      .catch(error => console.error('发送密码重置邮件错误:', error));
+
+    res.json(utils.successResponse('如果该邮箱已注册，重置密码的链接将发送到该邮箱'));
+  }
+);
+
+// 使用邮件中的令牌重置密码，成功后需要重新登录
+router.post('/password/reset',
+  validateRequest({
+    token: {
+      required: true,
+      type: 'string'
+    },
+    password: {
+      required: true,
+      type: 'string',
+      minLength: 6,
+      maxLength: 50
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { token, password } = req.body;
+      const { revokedSessions } = await passwordResetService.resetPassword(token, password);
+
+      disconnectSessions(req, revokedSessions);
+
+      res.json(utils.successResponse('密码重置成功，请使用新密码登录'));
+    } catch (error) {
+      console.error('重置密码错误:', error);
+      res.status(400).json(utils.errorResponse(error.message));
+    }
+  }
+);
+
+// 重新发送邮箱验证邮件
+router.post('/email/verification', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.type !== 'user') {
+      return res.status(403).json(utils.errorResponse('匿名用户无法验证邮箱'));
+    }
+
+    const result = await emailVerificationService.sendVerification(req.user.uid);
+
+    res.json(utils.successResponse('验证邮件已发送', result));
+  } catch (error) {
+    if (error.code === 'VERIFICATION_THROTTLED') {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(429).json(utils.errorResponse(error.message, { retryAfter: error.retryAfter }));
+    }
+    console.error('发送验证邮件错误:', error);
+    res.status(400).json(utils.errorResponse(error.message));
+  }
+});
+
+// 使用邮件中的令牌验证邮箱
+router.post('/email/verify',
+  validateRequest({
+    token: {
+      required: true,
+      type: 'string'
+    }
+  }),
+  async (req, res) => {
+    try {
+      const result = await emailVerificationService.verifyEmail(req.body.token);
+
+      res.json(utils.successResponse('邮箱验证成功', { ...result, emailVerified: true }));
+    } catch (error) {
+      console.error('验证邮箱错误:', error);
+      res.status(400).json(utils.errorResponse(error.message));
+    }
+  }
+);
+
+// 获取两步验证状态
+router.get('/2fa', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.type !== 'user') {
+      return res.status(403).json(utils.errorResponse('匿名用户无法使用两步验证'));
+    }
+
+    const status = await twoFactorService.getStatus(req.user.uid);
+
+    res.json(utils.successResponse('获取两步验证状态成功', status));
+  } catch (error) {
+    console.error('获取两步验证状态错误:', error);
+    res.status(500).json(utils.errorResponse('获取两步验证状态失败'));
+  }
+});
+
+// 开始开启两步验证（返回密钥和 otpauth 链接，需要调用 /2fa/confirm 确认）
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.type !== 'user') {
+      return res.status(403).json(utils.errorResponse('匿名用户无法使用两步验证'));
+    }
+
+    const result = await twoFactorService.beginEnrollment(req.user.uid);
+
+    res.json(utils.successResponse('请使用身份验证器扫描二维码', result));
+  } catch (error) {
+    console.error('开启两步验证错误:', error);
+    res.status(400).json(utils.errorResponse(error.message));
+  }
+});
+
+// 确认开启两步验证，返回备用验证码
+router.post('/2fa/confirm',
+  authenticateToken,
+  validateRequest({
+    code: {
+      required: true,
+      type: 'string'
+    }
+  }),
+  async (req, res) => {
+    try {
+      if (req.user.type !== 'user') {
+        return res.status(403).json(utils.errorResponse('匿名用户无法使用两步验证'));
+      }
+
+      const result = await twoFactorService.confirmEnrollment(req.user.uid, req.body.code);
+
+      res.json(utils.successResponse('两步验证已开启，请妥善保存备用验证码', result));
+    } catch (error) {
+      console.error('确认两步验证错误:', error);
+      res.status(400).json(utils.errorResponse(error.message));
+    }
+  }
+);
+
+// 重新生成备用验证码（需要身份验证器中的验证码）
+router.post('/2fa/backup-codes',
+  authenticateToken,
+  validateRequest({
+    code: {
+      required: true,
+      type: 'string'
+    }
+  }),
+  async (req, res) => {
+    try {
+      if (req.user.type !== 'user') {
+        return res.status(403).json(utils.errorResponse('匿名用户无法使用两步验证'));
+      }
+
+      const result = await twoFactorService.regenerateBackupCodes(req.user.uid, req.body.code);
+
+      res.json(utils.successResponse('备用验证码已重新生成', result));
+    } catch (error) {
+      console.error('生成备用验证码错误:', error);
+      res.status(400).json(utils.errorResponse(error.message));
+    }
+  }
+);
+
+// 关闭两步验证（需要密码和验证码，尚未设置密码的单点登录账号只需要验证码）
+router.post('/2fa/disable',
+  authenticateToken,
+  validateRequest({
+    password: {
+      type: 'string'
+    },
+    code: {
+      required: true,
+      type: 'string'
+    }
+  }),
+  async (req, res) => {
+    try {
+      if (req.user.type !== 'user') {
+        return res.status(403).json(utils.errorResponse('匿名用户无法使用两步验证'));
+      }
+
+      await twoFactorService.disable(req.user.uid, req.body.password, req.body.code);
+
+      res.json(utils.successResponse('两步验证已关闭', { enabled: false }));
+    } catch (error) {
+      console.error('关闭两步验证错误:', error);
+      res.status(400).json(utils.errorResponse(error.message));
+    }
+  }
+);
+
+// 获取可用的单点登录方式
+router.get('/oidc/providers', (req, res) => {
+  res.json(utils.successResponse('获取单点登录方式成功', { providers: oidcService.getProviders() }));
+});
+
+// 发起单点登录（link 为 true 时为当前登录用户关联外部账号），返回提供方的授权地址
+router.post('/oidc/:providerId/authorize',
+  optionalAuth,
+  validateRequest({
+    link: {
+      type: 'boolean'
+    }
+  }),
+  async (req, res) => {
+    try {
+      let linkUid = null;
+      if (req.body.link) {
+        if (!req.user || req.user.type !== 'user') {
+          return res.status(401).json(utils.errorResponse('请先登录后再关联外部账号'));
+        }
+        linkUid = req.user.uid;
+      }
+
+      const result = await oidcService.createAuthorization(req.params.providerId, { linkUid });
+
+      res.json(utils.successResponse('请跳转到授权地址', result));
+    } catch (error) {
+      console.error('发起单点登录错误:', error);
+      res.status(400).json(utils.errorResponse(error.message));
+    }
+  }
+);
+
+// 单点登录回调（前端回调页面提交提供方返回的 code 和 state）
+// 登录时返回与 /login 相同的结果，关联外部账号时返回关联的身份
+router.post('/oidc/callback',
+  optionalAuth,
+  validateRequest({
+    code: {
+      required: true,
+      type: 'string'
+    },
+    state: {
+      required: true,
+      type: 'string'
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { providerId, claims, linkUid } = await oidcService.handleCallback(req.body);
+
+      if (linkUid) {
+        // 关联必须由发起关联的用户完成
+        if (!req.user || req.user.uid !== linkUid) {
+          return res.status(403).json(utils.errorResponse('请使用发起关联的账号完成关联'));
+        }
+
+        const identity = await oidcService.linkIdentity(linkUid, providerId, claims);
+        return res.json(utils.successResponse('外部账号关联成功', { identity }));
+      }
+
+      const result = await userService.loginWithOidc(providerId, claims, sessionService.getClientInfo(req));
+
+      if (result.twoFactorRequired) {
+        return res.json(utils.successResponse('请输入两步验证码', result));
+      }
+
+      res.json(utils.successResponse('登录成功', result));
+    } catch (error) {
+      console.error('单点登录回调错误:', error);
+      res.status(400).json(utils.errorResponse(error.message));
+    }
+  }
+);
+
+// 获取当前用户关联的外部账号
+router.get('/oidc/identities', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.type !== 'user') {
+      return res.status(403).json(utils.errorResponse('匿名用户无法关联外部账号'));
+    }
+
+    const identities = await oidcService.getIdentities(req.user.uid);
+
+    res.json(utils.successResponse('获取关联账号成功', { identities }));
+  } catch (error) {
+    console.error('获取关联账号错误:', error);
+    res.status(500).json(utils.errorResponse('获取关联账号失败'));
+  }
+});
+
+// 解除外部账号关联
+router.delete('/oidc/identities/:providerId', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.type !== 'user') {
+      return res.status(403).json(utils.errorResponse('匿名用户无法关联外部账号'));
+    }
+
+    await oidcService.unlinkIdentity(req.user.uid, req.params.providerId);
+
+    res.json(utils.successResponse('已解除关联', { provider: req.params.providerId }));
   } catch (error) {
-    console.error('令牌刷新错误:', error);
-    res.status(500).json(utils.errorResponse('令牌刷新失败'));
+    console.error('解除关联错误:', error);
+    res.status(400).json(utils.errorResponse(error.message));
   }
 });
 
@@ -2,35 +2,29 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs');
+const { Readable, pipeline } = require('stream');
 
 const chatroomService = require('../services/chatroomService');
 const messageService = require('../services/messageService');
+const mentionService = require('../services/mentionService');
+const scheduledMessageService = require('../services/scheduledMessageService');
+const exportService = require('../services/exportService');
+const importService = require('../services/importService');
+const storageService = require('../services/storageService');
+const imageService = require('../services/imageService');
+const uploadLimitService = require('../services/uploadLimitService');
+const sessionService = require('../services/sessionService');
 const utils = require('../utils');
-const { authenticateToken, validateRequest, requireChatroomAdmin, checkMuteStatus } = require('../middleware/auth');
+const { authenticateToken, validateRequest, requireAdmin, requireChatroomAdmin, checkMuteStatus } = require('../middleware/auth');
 
-// 配置multer用于图片上传
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    const uploadDir = path.join(__dirname, '../uploads/images');
-    // 确保目录存在
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    cb(null, uploadDir);
-  },
-  filename: function (req, file, cb) {
-    // 生成唯一文件名
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname);
-    cb(null, 'img-' + uniqueSuffix + ext);
-  }
-});
+// 配置multer用于图片上传（读入内存后写入存储）
+const storage = multer.memoryStorage();
 
-const upload = multer({
+// 创建指定大小限制的图片上传中间件
+const createImageUpload = (maxSize) => multer({
   storage: storage,
   limits: {
-    fileSize: 1024 * 1024 // 1MB限制
+    fileSize: maxSize
   },
   fileFilter: function (req, file, cb) {
     // 只允许图片文件
@@ -42,6 +36,41 @@ const upload = multer({
   }
 });
 
+// 按聊天室的图片大小限制解析上传的图片
+const uploadRoomImage = async (req, res, next) => {
+  let settings;
+  try {
+    settings = await uploadLimitService.getRoomSettings(req.params.roomId);
+  } catch (error) {
+    return res.status(404).json(utils.errorResponse(error.message));
+  }
+
+  createImageUpload(settings.imageMaxSize).single('image')(req, res, (error) => {
+    if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json(utils.errorResponse(`图片大小不能超过${utils.formatFileSize(settings.imageMaxSize)}`));
+    }
+    if (error) {
+      return res.status(400).json(utils.errorResponse(error.message));
+    }
+    next();
+  });
+};
+
+// 聊天记录归档上传（JSON文件，读入内存解析）
+const archiveUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 50 * 1024 * 1024 // 50MB限制
+  },
+  fileFilter: function (req, file, cb) {
+    if (file.mimetype === 'application/json' || path.extname(file.originalname).toLowerCase() === '.json') {
+      cb(null, true);
+    } else {
+      cb(new Error('只能上传JSON格式的聊天记录归档'));
+    }
+  }
+});
+
 // 创建聊天室
 router.post('/',
   authenticateToken,
@@ -55,6 +84,9 @@ router.post('/',
     password: { 
       type: 'string', 
       maxLength: 50 
+    },
+    requireVerifiedEmail: {
+      type: 'boolean'
     }
   }),
   async (req, res) => {
@@ -64,11 +96,12 @@ router.post('/',
         return res.status(403).json(utils.errorResponse('匿名用户无法创建聊天室'));
       }
 
-      const { name, password } = req.body;
+      const { name, password, requireVerifiedEmail } = req.body;
       
       const chatroom = await chatroomService.createChatroom(req.user.uid, {
         name,
-        password
+        password,
+        requireVerifiedEmail
       });
 
       // 发送系统消息
@@ -106,7 +139,7 @@ router.post('/join',
       if (authHeader && authHeader.startsWith('Bearer ')) {
         try {
           const token = authHeader.substring(7);
-          const decoded = utils.verifyToken(token);
+          const decoded = await sessionService.verifyAccessToken(token);
           if (decoded && decoded.type === 'user') {
             userUid = decoded.uid;
           }
@@ -125,6 +158,38 @@ router.post('/join',
   }
 );
 
+// 导入聊天记录归档（站点管理员），重建聊天室及其消息
+// 支持 multipart 上传 archive 文件，或直接以 JSON 请求体提交归档
+router.post('/import',
+  authenticateToken,
+  requireAdmin,
+  archiveUpload.single('archive'),
+  async (req, res) => {
+    try {
+      let archive = req.body;
+      const options = {};
+
+      if (req.file) {
+        try {
+          archive = JSON.parse(req.file.buffer.toString('utf8'));
+        } catch (error) {
+          return res.status(400).json(utils.errorResponse('归档文件不是有效的JSON'));
+        }
+        // multipart 请求中可通过表单字段指定新的聊天室名称和密码
+        options.name = req.body.name || undefined;
+        options.password = req.body.password;
+      }
+
+      const result = await importService.importArchive(req.user.uid, archive, options);
+
+      res.status(201).json(utils.successResponse('聊天记录导入成功', result));
+    } catch (error) {
+      console.error('导入聊天记录错误:', error);
+      res.status(400).json(utils.errorResponse(error.message));
+    }
+  }
+);
+
 // 获取用户创建的聊天室列表
 router.get('/my/rooms',
   authenticateToken,
@@ -282,6 +347,57 @@ router.delete('/:roomId/admins/:targetUid',
   }
 );
 
+// 获取聊天室上传限制
+router.get('/:roomId/upload-settings',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { roomId } = req.params;
+
+      const settings = await uploadLimitService.getRoomSettings(roomId);
+
+      res.json(utils.successResponse('获取上传限制成功', settings));
+    } catch (error) {
+      console.error('获取上传限制错误:', error);
+      res.status(404).json(utils.errorResponse(error.message));
+    }
+  }
+);
+
+// 更新聊天室上传限制（仅创建者，值为 null 时恢复默认值）
+router.put('/:roomId/upload-settings',
+  authenticateToken,
+  validateRequest({
+    fileMaxSize: { type: 'number' },
+    imageMaxSize: { type: 'number' },
+    fileRetention: { type: 'number' },
+    storageQuota: { type: 'number' }
+  }),
+  async (req, res) => {
+    try {
+      const { roomId } = req.params;
+
+      const settings = await uploadLimitService.updateRoomSettings(roomId, req.user.uid, req.body);
+
+      // 通知房间内用户上传限制已更新
+      const io = req.app.get('io');
+      if (io) {
+        io.to(roomId).emit('room-upload-settings-updated', {
+          roomId,
+          settings,
+          updatedBy: req.user.uid,
+          timestamp: Date.now()
+        });
+      }
+
+      res.json(utils.successResponse('上传限制更新成功', settings));
+    } catch (error) {
+      console.error('更新上传限制错误:', error);
+      res.status(400).json(utils.errorResponse(error.message));
+    }
+  }
+);
+
 // 获取管理员列表
 router.get('/:roomId/admins',
   async (req, res) => {
@@ -575,239 +691,908 @@ router.delete('/:roomId',
   }
 );
 
-// 获取聊天室消息历史
-router.get('/:roomId/messages',
+// 标记消息已读
+router.post('/:roomId/read',
   authenticateToken,
+  validateRequest({
+    messageId: {
+      type: 'number'
+    }
+  }),
   async (req, res) => {
     try {
       const { roomId } = req.params;
-      const limit = parseInt(req.query.limit) || 50;
-      const offset = parseInt(req.query.offset) || 0;
+      const { messageId } = req.body;
 
-      // 限制每次最多获取100条消息
-      const actualLimit = Math.min(limit, 100);
+      const result = await chatroomService.markAsRead(roomId, req.user.uid, messageId);
 
-      const messages = await messageService.getChatroomMessages(
-        roomId,
-        req.user.uid,
-        req.user.type,
-        actualLimit,
-        offset
-      );
+      // 通过WebSocket同步已读状态
+      await chatroomService.broadcastReadUpdate(req.app.get('io'), result);
 
-      res.json(utils.successResponse('获取消息历史成功', {
-        messages,
-        total: messages.length,
-        hasMore: messages.length === actualLimit
-      }));
+      res.json(utils.successResponse('已标记为已读', result));
     } catch (error) {
-      console.error('获取消息历史错误:', error);
+      console.error('标记已读错误:', error);
       res.status(400).json(utils.errorResponse(error.message));
     }
   }
 );
 
-// 搜索消息
-router.get('/:roomId/messages/search',
+// 获取最近消息的已读人数
+router.get('/:roomId/read-receipts',
   authenticateToken,
-  validateRequest({
-    q: { 
-      required: true, 
-      type: 'string', 
-      minLength: 1,
-      maxLength: 100
-    }
-  }),
   async (req, res) => {
     try {
       const { roomId } = req.params;
-      const { q: keyword } = req.query;
-      const limit = parseInt(req.query.limit) || 20;
 
-      const messages = await messageService.searchMessages(
-        roomId,
-        keyword,
-        req.user.uid,
-        req.user.type,
-        Math.min(limit, 50)
-      );
+      // 只有聊天室成员可以查看已读人数
+      await messageService.assertActiveMember(roomId, req.user.uid);
 
-      res.json(utils.successResponse('搜索消息成功', {
-        messages,
-        keyword,
-        total: messages.length
-      }));
+      if (!await chatroomService.isReadReceiptsEnabled(roomId)) {
+        return res.status(403).json(utils.errorResponse('该聊天室未开启已读人数展示'));
+      }
+
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+      const receipts = await chatroomService.getReadReceipts(roomId, limit);
+
+      res.json(utils.successResponse('获取已读人数成功', receipts));
     } catch (error) {
-      console.error('搜索消息错误:', error);
-      res.status(400).json(utils.errorResponse(error.message));
+      console.error('获取已读人数错误:', error);
+      res.status(error.code === 'NOT_MEMBER' ? 403 : 400).json(utils.errorResponse(error.message));
     }
   }
 );
 
-// 发送消息
-router.post('/:roomId/messages',
+// 开启/关闭已读人数展示
+router.put('/:roomId/read-receipts',
   authenticateToken,
-  checkMuteStatus,
+  requireChatroomAdmin,
   validateRequest({
-    content: { 
-      required: true, 
-      type: 'string', 
-      minLength: 1,
-      maxLength: 1000
-    },
-    messageType: { 
-      type: 'string',
-      custom: (value) => ['text', 'system'].includes(value)
-    },
-    replyToMessageId: {
-      type: 'number'
+    enabled: {
+      required: true,
+      type: 'boolean'
     }
   }),
   async (req, res) => {
     try {
       const { roomId } = req.params;
-      const { content, messageType = 'text', replyToMessageId } = req.body;
+      const { enabled } = req.body;
 
-      const message = await messageService.sendMessage({
-        chatroomId: roomId,
-        userUid: req.user.uid,
-        userType: req.user.type,
-        content,
-        messageType,
-        replyToMessageId
-      });
+      const result = await chatroomService.setReadReceiptsEnabled(roomId, enabled, req.user.uid);
 
-      res.status(201).json(utils.successResponse('消息发送成功', message));
+      // 通知房间内所有用户设置已变化
+      const io = req.app.get('io');
+      if (io) {
+        io.to(roomId).emit('read-receipts-toggled', {
+          ...result,
+          updatedBy: req.user.uid,
+          timestamp: Date.now()
+        });
+      }
+
+      res.json(utils.successResponse(enabled ? '已开启已读人数展示' : '已关闭已读人数展示', result));
     } catch (error) {
-      console.error('发送消息错误:', error);
+      console.error('设置已读人数展示错误:', error);
       res.status(400).json(utils.errorResponse(error.message));
     }
   }
 );
 
-// 发送图片消息
-router.post('/:roomId/messages/image',
+// 设置是否只允许已验证邮箱的注册用户加入
+router.put('/:roomId/verified-email-requirement',
   authenticateToken,
-  checkMuteStatus,
-  upload.single('image'),
+  requireChatroomAdmin,
+  validateRequest({
+    required: {
+      required: true,
+      type: 'boolean'
+    }
+  }),
   async (req, res) => {
     try {
       const { roomId } = req.params;
-      const { replyToMessageId } = req.body;
-
-      if (!req.file) {
-        return res.status(400).json(utils.errorResponse('请选择要上传的图片'));
-      }
-
-      // 构建图片URL
-      const imageUrl = `/uploads/images/${req.file.filename}`;
+      const { required } = req.body;
 
-      const message = await messageService.sendMessage({
-        chatroomId: roomId,
-        userUid: req.user.uid,
-        userType: req.user.type,
-        content: req.body.caption || '', // 图片说明文字（可选）
-        messageType: 'image',
-        imageUrl: imageUrl,
-        replyToMessageId: replyToMessageId ? parseInt(replyToMessageId) : undefined
-      });
+      const result = await chatroomService.setVerifiedEmailRequired(roomId, required, req.user.uid);
 
-      // 通过WebSocket广播图片消息给房间内所有用户
+      // 通知房间内所有用户设置已变化
       const io = req.app.get('io');
       if (io) {
-        io.to(roomId).emit('new-message', message);
+        io.to(roomId).emit('verified-email-requirement-changed', {
+          ...result,
+          updatedBy: req.user.uid,
+          timestamp: Date.now()
+        });
       }
 
-      res.status(201).json(utils.successResponse('图片发送成功', message));
+      res.json(utils.successResponse(required ? '已开启邮箱验证要求' : '已关闭邮箱验证要求', result));
     } catch (error) {
-      console.error('发送图片错误:', error);
-      
-      // 如果出错，删除已上传的文件
-      if (req.file) {
-        try {
-          fs.unlinkSync(req.file.path);
-        } catch (unlinkError) {
-          console.error('删除上传文件失败:', unlinkError);
-        }
-      }
-      
+      console.error('设置邮箱验证要求错误:', error);
       res.status(400).json(utils.errorResponse(error.message));
     }
   }
 );
 
-// 删除消息
-router.delete('/:roomId/messages/:messageId',
+// 获取聊天室消息历史
+router.get('/:roomId/messages',
   authenticateToken,
   async (req, res) => {
     try {
-      const { roomId, messageId } = req.params;
-      
-      const result = await messageService.deleteMessage(
-        parseInt(messageId),
-        req.user.uid,
-        roomId
-      );
+      const { roomId } = req.params;
+      const limit = parseInt(req.query.limit) || 50;
 
-      // 通过WebSocket通知所有在线用户消息已被删除
-      const io = req.app.get('io');
-      if (io) {
-        io.to(roomId).emit('message-deleted', {
-          messageId: parseInt(messageId),
+      // 限制每次最多获取100条消息
+      const actualLimit = Math.min(limit, 100);
+
+      // 兼容旧的 offset 分页方式
+      if (req.query.offset !== undefined) {
+        const offset = parseInt(req.query.offset) || 0;
+        const messages = await messageService.getChatroomMessages(
           roomId,
-          deletedBy: req.user.uid,
-          timestamp: Date.now()
-        });
+          req.user.uid,
+          req.user.type,
+          actualLimit,
+          offset
+        );
+
+        return res.json(utils.successResponse('获取消息历史成功', {
+          messages,
+          total: messages.length,
+          hasMore: messages.length === actualLimit
+        }));
       }
 
-      res.json(utils.successResponse('消息删除成功', result));
+      // 游标分页：before/after/around 均为消息ID，同时只能使用一个
+      const cursors = {};
+      for (const key of ['before', 'after', 'around']) {
+        if (req.query[key] !== undefined) {
+          const value = parseInt(req.query[key]);
+          if (!Number.isInteger(value) || value <= 0) {
+            return res.status(400).json(utils.errorResponse(`${key} 参数无效`));
+          }
+          cursors[key] = value;
+        }
+      }
+
+      if (Object.keys(cursors).length > 1) {
+        return res.status(400).json(utils.errorResponse('before、after、around 参数只能使用一个'));
+      }
+
+      const result = await messageService.getChatroomMessagesByCursor(
+        roomId,
+        req.user.uid,
+        req.user.type,
+        { limit: actualLimit, ...cursors }
+      );
+
+      res.json(utils.successResponse('获取消息历史成功', {
+        ...result,
+        total: result.messages.length
+      }));
     } catch (error) {
-      console.error('删除消息错误:', error);
+      console.error('获取消息历史错误:', error);
       res.status(400).json(utils.errorResponse(error.message));
     }
   }
 );
 
-// 批量删除用户消息
-router.delete('/:roomId/messages/user/:targetUid',
+// 搜索消息
+router.get('/:roomId/messages/search',
   authenticateToken,
-  requireChatroomAdmin,
   async (req, res) => {
     try {
-      const { roomId, targetUid } = req.params;
-      
-      const result = await messageService.deleteUserMessages(
-        targetUid,
+      const { roomId } = req.params;
+      const { q: keyword, sender, type } = req.query;
+
+      // 验证搜索关键词（GET 请求的参数在查询字符串中）
+      if (!keyword || typeof keyword !== 'string' || keyword.trim().length === 0) {
+        return res.status(400).json(utils.errorResponse('q 是必需的'));
+      }
+      if (keyword.length > 100) {
+        return res.status(400).json(utils.errorResponse('q 长度不能超过 100 个字符'));
+      }
+
+      const messageTypes = ['text', 'image', 'bilibili', 'markdown', 'file', 'system'];
+      if (type !== undefined && !messageTypes.includes(type)) {
+        return res.status(400).json(utils.errorResponse('type 参数无效'));
+      }
+
+      // 时间范围：毫秒时间戳或日期字符串
+      const range = {};
+      for (const key of ['from', 'to']) {
+        if (req.query[key] !== undefined) {
+          const raw = req.query[key];
+          const value = /^\d+$/.test(raw) ? parseInt(raw) : Date.parse(raw);
+          if (!Number.isFinite(value)) {
+            return res.status(400).json(utils.errorResponse(`${key} 参数无效`));
+          }
+          range[key] = value;
+        }
+      }
+
+      const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+      const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+      const result = await messageService.searchMessages(
         roomId,
-        req.user.uid
+        keyword,
+        req.user.uid,
+        req.user.type,
+        {
+          limit,
+          offset,
+          senderUid: sender || null,
+          messageType: type || null,
+          ...range
+        }
       );
 
-      res.json(utils.successResponse('批量删除消息成功', result));
+      res.json(utils.successResponse('搜索消息成功', {
+        messages: result.messages,
+        keyword,
+        total: result.messages.length,
+        hasMore: result.hasMore
+      }));
     } catch (error) {
-      console.error('批量删除消息错误:', error);
+      console.error('搜索消息错误:', error);
       res.status(400).json(utils.errorResponse(error.message));
     }
   }
 );
 
-// 发送B站视频消息
-router.post('/:roomId/messages/bilibili',
+// 导出聊天记录（仅管理员，流式输出完整历史）
+router.get('/:roomId/export',
   authenticateToken,
-  checkMuteStatus,
-  validateRequest({
-    bilibiliId: { 
-      required: true, 
+  requireChatroomAdmin,
+  async (req, res) => {
+    try {
+      const { roomId } = req.params;
+      const { format = 'json' } = req.query;
+
+      const exportFormat = exportService.getFormat(format);
+      if (!exportFormat) {
+        return res.status(400).json(utils.errorResponse('format 参数无效，可选 json、html、md'));
+      }
+
+      // 时间范围：毫秒时间戳或日期字符串
+      const range = {};
+      for (const key of ['from', 'to']) {
+        if (req.query[key] !== undefined) {
+          const raw = req.query[key];
+          const value = /^\d+$/.test(raw) ? parseInt(raw) : Date.parse(raw);
+          if (!Number.isFinite(value)) {
+            return res.status(400).json(utils.errorResponse(`${key} 参数无效`));
+          }
+          range[key] = value;
+        }
+      }
+
+      // 开始输出前确认聊天室存在
+      await exportService.getExportRoom(roomId);
+
+      const fileName = `chatroom-${roomId}-${new Date().toISOString().slice(0, 10)}.${exportFormat.extension}`;
+      res.setHeader('Content-Type', exportFormat.contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+      pipeline(
+        Readable.from(exportService.generateExport(roomId, req.user.uid, req.user.type, format, range)),
+        res,
+        (error) => {
+          if (error) {
+            console.error('导出聊天记录中断:', error.message);
+          }
+        }
+      );
+    } catch (error) {
+      console.error('导出聊天记录错误:', error);
+      res.status(400).json(utils.errorResponse(error.message));
+    }
+  }
+);
+
+// 获取置顶消息
+router.get('/:roomId/pins',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { roomId } = req.params;
+
+      const messages = await messageService.getPinnedMessages(roomId, req.user.uid, req.user.type);
+
+      res.json(utils.successResponse('获取置顶消息成功', {
+        messages,
+        total: messages.length
+      }));
+    } catch (error) {
+      console.error('获取置顶消息错误:', error);
+      res.status(400).json(utils.errorResponse(error.message));
+    }
+  }
+);
+
+// 置顶消息（仅管理员）
+router.post('/:roomId/pins/:messageId',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { roomId, messageId } = req.params;
+
+      const result = await messageService.pinMessage(parseInt(messageId), req.user.uid, roomId);
+
+      // 通过WebSocket通知所有在线用户
+      const io = req.app.get('io');
+      if (io) {
+        io.to(roomId).emit('message-pinned', {
+          ...result,
+          roomId,
+          timestamp: Date.now()
+        });
+      }
+
+      res.json(utils.successResponse('消息已置顶', result));
+    } catch (error) {
+      console.error('置顶消息错误:', error);
+      res.status(400).json(utils.errorResponse(error.message));
+    }
+  }
+);
+
+// 取消置顶（仅管理员）
+router.delete('/:roomId/pins/:messageId',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { roomId, messageId } = req.params;
+
+      const result = await messageService.unpinMessage(parseInt(messageId), req.user.uid, roomId);
+
+      // 通过WebSocket通知所有在线用户
+      const io = req.app.get('io');
+      if (io) {
+        io.to(roomId).emit('message-unpinned', {
+          ...result,
+          roomId,
+          timestamp: Date.now()
+        });
+      }
+
+      res.json(utils.successResponse('已取消置顶', result));
+    } catch (error) {
+      console.error('取消置顶错误:', error);
+      res.status(400).json(utils.errorResponse(error.message));
+    }
+  }
+);
+
+// 解析定时消息的发送时间（毫秒时间戳或日期字符串）
+const parseScheduledAt = (value) => {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (typeof value === 'string' && value.trim() !== '') {
+    return /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+  }
+  return NaN;
+};
+
+// 获取自己的定时消息
+router.get('/:roomId/scheduled',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { roomId } = req.params;
+      const { status = 'pending' } = req.query;
+
+      if (!['pending', 'sent', 'cancelled', 'failed', 'all'].includes(status)) {
+        return res.status(400).json(utils.errorResponse('status 参数无效'));
+      }
+
+      const scheduledMessages = await scheduledMessageService.getScheduledMessages(roomId, req.user.uid, status);
+
+      res.json(utils.successResponse('获取定时消息成功', scheduledMessages));
+    } catch (error) {
+      console.error('获取定时消息错误:', error);
+      res.status(400).json(utils.errorResponse(error.message));
+    }
+  }
+);
+
+// 创建定时消息（文本、Markdown、B站视频、文件）
+router.post('/:roomId/scheduled',
+  authenticateToken,
+  checkMuteStatus,
+  validateRequest({
+    messageType: {
+      type: 'string',
+      custom: (value) => ['text', 'markdown', 'bilibili', 'file'].includes(value)
+    },
+    content: {
+      type: 'string',
+      maxLength: 1000
+    },
+    markdownContent: {
+      type: 'string',
+      maxLength: 5000
+    },
+    bilibiliId: {
+      type: 'string'
+    },
+    fileId: {
+      type: 'string'
+    },
+    replyToMessageId: {
+      type: 'number'
+    },
+    threadRootId: {
+      type: 'number'
+    },
+    scheduledAt: {
+      required: true,
+      custom: (value) => Number.isFinite(parseScheduledAt(value))
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { roomId } = req.params;
+      const { messageType = 'text', content, markdownContent, bilibiliId, fileId, replyToMessageId, threadRootId, scheduledAt } = req.body;
+
+      const scheduledMessage = await scheduledMessageService.scheduleMessage({
+        chatroomId: roomId,
+        userUid: req.user.uid,
+        userType: req.user.type,
+        messageType,
+        content,
+        markdownContent,
+        bilibiliId: bilibiliId ? bilibiliId.trim() : null,
+        fileId,
+        replyToMessageId,
+        threadRootId,
+        scheduledAt: parseScheduledAt(scheduledAt)
+      });
+
+      res.status(201).json(utils.successResponse('定时消息已创建', scheduledMessage));
+    } catch (error) {
+      console.error('创建定时消息错误:', error);
+      res.status(400).json(utils.errorResponse(error.message));
+    }
+  }
+);
+
+// 创建定时图片消息
+router.post('/:roomId/scheduled/image',
+  authenticateToken,
+  checkMuteStatus,
+  uploadRoomImage,
+  async (req, res) => {
+    let image = null;
+    try {
+      const { roomId } = req.params;
+      const { replyToMessageId, threadRootId, scheduledAt } = req.body;
+
+      if (!req.file) {
+        return res.status(400).json(utils.errorResponse('请选择要上传的图片'));
+      }
+
+      // 处理图片（移除元数据、生成缩略图）并保存到存储
+      image = await imageService.saveChatImage(req.file);
+
+      const scheduledMessage = await scheduledMessageService.scheduleMessage({
+        chatroomId: roomId,
+        userUid: req.user.uid,
+        userType: req.user.type,
+        messageType: 'image',
+        content: req.body.caption || '', // 图片说明文字（可选）
+        ...image,
+        replyToMessageId: replyToMessageId ? parseInt(replyToMessageId) : undefined,
+        threadRootId: threadRootId ? parseInt(threadRootId) : undefined,
+        scheduledAt: parseScheduledAt(scheduledAt)
+      });
+
+      res.status(201).json(utils.successResponse('定时消息已创建', scheduledMessage));
+    } catch (error) {
+      console.error('创建定时图片消息错误:', error);
+
+      // 如果出错，删除已上传的图片
+      await storageService.deleteImage(image && image.imageUrl);
+
+      res.status(400).json(utils.errorResponse(error.message));
+    }
+  }
+);
+
+// 修改定时消息（内容和发送时间）
+router.put('/:roomId/scheduled/:scheduleId',
+  authenticateToken,
+  validateRequest({
+    content: {
+      type: 'string',
+      maxLength: 1000
+    },
+    markdownContent: {
+      type: 'string',
+      maxLength: 5000
+    },
+    bilibiliId: {
+      type: 'string'
+    },
+    scheduledAt: {
+      custom: (value) => Number.isFinite(parseScheduledAt(value))
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { roomId, scheduleId } = req.params;
+      const { content, markdownContent, bilibiliId, scheduledAt } = req.body;
+
+      const scheduledMessage = await scheduledMessageService.updateScheduledMessage(
+        parseInt(scheduleId),
+        req.user.uid,
+        roomId,
+        {
+          content,
+          markdownContent,
+          bilibiliId: bilibiliId !== undefined ? bilibiliId.trim() : undefined,
+          scheduledAt: scheduledAt !== undefined ? parseScheduledAt(scheduledAt) : undefined
+        }
+      );
+
+      res.json(utils.successResponse('定时消息已修改', scheduledMessage));
+    } catch (error) {
+      console.error('修改定时消息错误:', error);
+      res.status(400).json(utils.errorResponse(error.message));
+    }
+  }
+);
+
+// 取消定时消息
+router.delete('/:roomId/scheduled/:scheduleId',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { roomId, scheduleId } = req.params;
+
+      const scheduledMessage = await scheduledMessageService.cancelScheduledMessage(
+        parseInt(scheduleId),
+        req.user.uid,
+        roomId
+      );
+
+      res.json(utils.successResponse('定时消息已取消', scheduledMessage));
+    } catch (error) {
+      console.error('取消定时消息错误:', error);
+      res.status(400).json(utils.errorResponse(error.message));
+    }
+  }
+);
+
+// 获取话题（根消息及全部回复）
+router.get('/:roomId/threads/:messageId',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { roomId, messageId } = req.params;
+
+      const thread = await messageService.getThreadMessages(
+        roomId,
+        parseInt(messageId),
+        req.user.uid,
+        req.user.type
+      );
+
+      res.json(utils.successResponse('获取话题成功', thread));
+    } catch (error) {
+      console.error('获取话题错误:', error);
+      res.status(error.code === 'NOT_MEMBER' ? 403 : 400).json(utils.errorResponse(error.message));
+    }
+  }
+);
+
+// 发送消息
+router.post('/:roomId/messages',
+  authenticateToken,
+  checkMuteStatus,
+  validateRequest({
+    content: { 
+      required: true, 
+      type: 'string', 
+      minLength: 1,
+      maxLength: 1000
+    },
+    messageType: { 
+      type: 'string',
+      custom: (value) => ['text', 'system'].includes(value)
+    },
+    replyToMessageId: {
+      type: 'number'
+    },
+    threadRootId: {
+      type: 'number'
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { roomId } = req.params;
+      const { content, messageType = 'text', replyToMessageId, threadRootId } = req.body;
+
+      const message = await messageService.sendMessage({
+        chatroomId: roomId,
+        userUid: req.user.uid,
+        userType: req.user.type,
+        content,
+        messageType,
+        replyToMessageId,
+        threadRootId
+      });
+
+      // 通过WebSocket广播消息（话题回复推送给关注该话题的用户）
+      await messageService.broadcastNewMessage(req.app.get('io'), message);
+
+      res.status(201).json(utils.successResponse('消息发送成功', message));
+    } catch (error) {
+      console.error('发送消息错误:', error);
+      res.status(400).json(utils.errorResponse(error.message));
+    }
+  }
+);
+
+// 发送图片消息
+router.post('/:roomId/messages/image',
+  authenticateToken,
+  checkMuteStatus,
+  uploadRoomImage,
+  async (req, res) => {
+    let image = null;
+    try {
+      const { roomId } = req.params;
+      const { replyToMessageId, threadRootId } = req.body;
+
+      if (!req.file) {
+        return res.status(400).json(utils.errorResponse('请选择要上传的图片'));
+      }
+
+      // 处理图片（移除元数据、生成缩略图）并保存到存储
+      image = await imageService.saveChatImage(req.file);
+
+      const message = await messageService.sendMessage({
+        chatroomId: roomId,
+        userUid: req.user.uid,
+        userType: req.user.type,
+        content: req.body.caption || '', // 图片说明文字（可选）
+        messageType: 'image',
+        ...image,
+        replyToMessageId: replyToMessageId ? parseInt(replyToMessageId) : undefined,
+        threadRootId: threadRootId ? parseInt(threadRootId) : undefined
+      });
+
+      // 通过WebSocket广播图片消息给房间内所有用户（话题回复推送给关注该话题的用户）
+      await messageService.broadcastNewMessage(req.app.get('io'), message);
+
+      res.status(201).json(utils.successResponse('图片发送成功', message));
+    } catch (error) {
+      console.error('发送图片错误:', error);
+      
+      // 如果出错，删除已上传的图片
+      await storageService.deleteImage(image && image.imageUrl);
+      
+      res.status(400).json(utils.errorResponse(error.message));
+    }
+  }
+);
+
+// 删除消息
+router.delete('/:roomId/messages/:messageId',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { roomId, messageId } = req.params;
+      
+      const result = await messageService.deleteMessage(
+        parseInt(messageId),
+        req.user.uid,
+        roomId
+      );
+
+      // 通过WebSocket通知所有在线用户消息已被删除
+      const io = req.app.get('io');
+      if (io) {
+        io.to(roomId).emit('message-deleted', {
+          messageId: parseInt(messageId),
+          roomId,
+          deletedBy: req.user.uid,
+          timestamp: Date.now()
+        });
+      }
+
+      res.json(utils.successResponse('消息删除成功', result));
+    } catch (error) {
+      console.error('删除消息错误:', error);
+      res.status(400).json(utils.errorResponse(error.message));
+    }
+  }
+);
+
+// 编辑消息
+router.put('/:roomId/messages/:messageId',
+  authenticateToken,
+  validateRequest({
+    content: { 
+      type: 'string', 
+      maxLength: 1000
+    },
+    markdownContent: { 
+      type: 'string',
+      maxLength: 5000
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { roomId, messageId } = req.params;
+      const { content, markdownContent } = req.body;
+
+      const { newMentions, ...result } = await messageService.editMessage(
+        parseInt(messageId),
+        req.user.uid,
+        roomId,
+        { content, markdownContent }
+      );
+
+      // 通过WebSocket通知所有在线用户消息已被编辑
+      const io = req.app.get('io');
+      if (io) {
+        io.to(roomId).emit('message-edited', {
+          ...result,
+          roomId,
+          editedBy: req.user.uid,
+          timestamp: Date.now()
+        });
+
+        // 编辑后新增的提及同样需要通知
+        mentionService.notifyMentions(io, result, newMentions);
+      }
+
+      res.json(utils.successResponse('消息编辑成功', result));
+    } catch (error) {
+      console.error('编辑消息错误:', error);
+      res.status(400).json(utils.errorResponse(error.message));
+    }
+  }
+);
+
+// 获取消息编辑历史
+router.get('/:roomId/messages/:messageId/revisions',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { roomId, messageId } = req.params;
+
+      const revisions = await messageService.getMessageRevisions(
+        parseInt(messageId),
+        req.user.uid,
+        roomId
+      );
+
+      res.json(utils.successResponse('获取编辑历史成功', revisions));
+    } catch (error) {
+      console.error('获取编辑历史错误:', error);
+      res.status(400).json(utils.errorResponse(error.message));
+    }
+  }
+);
+
+// 添加表情回应
+router.post('/:roomId/messages/:messageId/reactions',
+  authenticateToken,
+  validateRequest({
+    emoji: { 
+      required: true, 
+      type: 'string',
+      maxLength: 32
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { roomId, messageId } = req.params;
+      const { emoji } = req.body;
+
+      const result = await messageService.addReaction(
+        parseInt(messageId),
+        req.user.uid,
+        roomId,
+        emoji
+      );
+
+      // 通过WebSocket广播表情回应变化
+      const io = req.app.get('io');
+      if (io && result.changed) {
+        io.to(roomId).emit('reaction-updated', {
+          ...result,
+          roomId,
+          timestamp: Date.now()
+        });
+      }
+
+      res.json(utils.successResponse('表情回应成功', result));
+    } catch (error) {
+      console.error('添加表情回应错误:', error);
+      res.status(error.code === 'NOT_MEMBER' ? 403 : 400).json(utils.errorResponse(error.message));
+    }
+  }
+);
+
+// 移除表情回应
+router.delete('/:roomId/messages/:messageId/reactions/:emoji',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { roomId, messageId, emoji } = req.params;
+
+      const result = await messageService.removeReaction(
+        parseInt(messageId),
+        req.user.uid,
+        roomId,
+        emoji
+      );
+
+      // 通过WebSocket广播表情回应变化
+      const io = req.app.get('io');
+      if (io && result.changed) {
+        io.to(roomId).emit('reaction-updated', {
+          ...result,
+          roomId,
+          timestamp: Date.now()
+        });
+      }
+
+      res.json(utils.successResponse('表情回应已移除', result));
+    } catch (error) {
+      console.error('移除表情回应错误:', error);
+      res.status(error.code === 'NOT_MEMBER' ? 403 : 400).json(utils.errorResponse(error.message));
+    }
+  }
+);
+
+// 批量删除用户消息
+router.delete('/:roomId/messages/user/:targetUid',
+  authenticateToken,
+  requireChatroomAdmin,
+  async (req, res) => {
+    try {
+      const { roomId, targetUid } = req.params;
+      
+      const result = await messageService.deleteUserMessages(
+        targetUid,
+        roomId,
+        req.user.uid
+      );
+
+      res.json(utils.successResponse('批量删除消息成功', result));
+    } catch (error) {
+      console.error('批量删除消息错误:', error);
+      res.status(400).json(utils.errorResponse(error.message));
+    }
+  }
+);
+
+// 发送B站视频消息
+router.post('/:roomId/messages/bilibili',
+  authenticateToken,
+  checkMuteStatus,
+  validateRequest({
+    bilibiliId: { 
+      required: true, 
       type: 'string',
       custom: (value) => /^BV[a-zA-Z0-9]{10}$/.test(value)
     },
     replyToMessageId: {
       type: 'number'
+    },
+    threadRootId: {
+      type: 'number'
     }
   }),
   async (req, res) => {
     try {
       const { roomId } = req.params;
-      const { bilibiliId, replyToMessageId } = req.body;
+      const { bilibiliId, replyToMessageId, threadRootId } = req.body;
 
       const message = await messageService.sendMessage({
         chatroomId: roomId,
@@ -816,14 +1601,12 @@ router.post('/:roomId/messages/bilibili',
         content: '', // B站视频不需要描述
         messageType: 'bilibili',
         bilibiliId: bilibiliId,
-        replyToMessageId: replyToMessageId ? parseInt(replyToMessageId) : undefined
+        replyToMessageId: replyToMessageId ? parseInt(replyToMessageId) : undefined,
+        threadRootId: threadRootId ? parseInt(threadRootId) : undefined
       });
 
-      // 通过WebSocket广播消息给房间内所有用户
-      const io = req.app.get('io');
-      if (io) {
-        io.to(roomId).emit('new-message', message);
-      }
+      // 通过WebSocket广播消息给房间内所有用户（话题回复推送给关注该话题的用户）
+      await messageService.broadcastNewMessage(req.app.get('io'), message);
 
       res.status(201).json(utils.successResponse('B站视频发送成功', message));
     } catch (error) {
@@ -850,12 +1633,15 @@ router.post('/:roomId/messages/markdown',
     },
     replyToMessageId: {
       type: 'number'
+    },
+    threadRootId: {
+      type: 'number'
     }
   }),
   async (req, res) => {
     try {
       const { roomId } = req.params;
-      const { markdownContent, title = '', replyToMessageId } = req.body;
+      const { markdownContent, title = '', replyToMessageId, threadRootId } = req.body;
 
       const message = await messageService.sendMessage({
         chatroomId: roomId,
@@ -864,14 +1650,12 @@ router.post('/:roomId/messages/markdown',
         content: title,
         messageType: 'markdown',
         markdownContent: markdownContent,
-        replyToMessageId: replyToMessageId ? parseInt(replyToMessageId) : undefined
+        replyToMessageId: replyToMessageId ? parseInt(replyToMessageId) : undefined,
+        threadRootId: threadRootId ? parseInt(threadRootId) : undefined
       });
 
-      // 通过WebSocket广播消息给房间内所有用户
-      const io = req.app.get('io');
-      if (io) {
-        io.to(roomId).emit('new-message', message);
-      }
+      // 通过WebSocket广播消息给房间内所有用户（话题回复推送给关注该话题的用户）
+      await messageService.broadcastNewMessage(req.app.get('io'), message);
 
       res.status(201).json(utils.successResponse('Markdown消息发送成功', message));
     } catch (error) {
@@ -900,12 +1684,15 @@ router.post('/:roomId/messages/file',
     },
     replyToMessageId: {
       type: 'number'
+    },
+    threadRootId: {
+      type: 'number'
     }
   }),
   async (req, res) => {
     try {
       const { roomId } = req.params;
-      const { fileId, fileName, fileSize, replyToMessageId } = req.body;
+      const { fileId, fileName, fileSize, replyToMessageId, threadRootId } = req.body;
 
       // 验证文件是否存在且属于当前用户
       const database = require('../database');
@@ -934,7 +1721,8 @@ router.post('/:roomId/messages/file',
         fileName: fileName,
         fileSize: fileSize,
         fileExpiry: file.expiry_time,
-        replyToMessageId: replyToMessageId ? parseInt(replyToMessageId) : undefined
+        replyToMessageId: replyToMessageId ? parseInt(replyToMessageId) : undefined,
+        threadRootId: threadRootId ? parseInt(threadRootId) : undefined
       });
 
       // 更新文件记录的消息ID
@@ -943,11 +1731,8 @@ router.post('/:roomId/messages/file',
         [message.messageId, fileId]
       );
 
-      // 通过WebSocket广播文件消息给房间内所有用户
-      const io = req.app.get('io');
-      if (io) {
-        io.to(roomId).emit('new-message', message);
-      }
+      // 通过WebSocket广播文件消息给房间内所有用户（话题回复推送给关注该话题的用户）
+      await messageService.broadcastNewMessage(req.app.get('io'), message);
 
       res.status(201).json(utils.successResponse('文件发送成功', message));
     } catch (error) {
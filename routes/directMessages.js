@@ -0,0 +1,315 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+
+const directMessageService = require('../services/directMessageService');
+const messageService = require('../services/messageService');
+const database = require('../database');
+const storageService = require('../services/storageService');
+const imageService = require('../services/imageService');
+const utils = require('../utils');
+const config = require('../config');
+const { authenticateToken, validateRequest } = require('../middleware/auth');
+
+// 配置multer用于私信图片上传（读入内存后写入存储，与聊天室图片共用存储位置）
+const storage = multer.memoryStorage();
+
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: config.upload.imageMaxSize
+  },
+  fileFilter: function (req, file, cb) {
+    // 只允许图片文件
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('只能上传图片文件'));
+    }
+  }
+});
+
+// 私信仅限注册用户使用
+const requireRegisteredUser = (req, res, next) => {
+  if (req.user.type !== 'user') {
+    return res.status(403).json(utils.errorResponse('匿名用户无法使用私信'));
+  }
+  next();
+};
+
+router.use(authenticateToken, requireRegisteredUser);
+
+// 获取私信会话列表
+router.get('/conversations', async (req, res) => {
+  try {
+    const conversations = await directMessageService.getUserConversations(req.user.uid);
+
+    res.json(utils.successResponse('获取私信会话成功', conversations));
+  } catch (error) {
+    console.error('获取私信会话错误:', error);
+    res.status(500).json(utils.errorResponse(error.message));
+  }
+});
+
+// 打开（获取或创建）与指定用户的私信会话
+router.post('/conversations',
+  validateRequest({
+    targetUid: {
+      required: true,
+      type: 'string'
+    }
+  }),
+  async (req, res) => {
+    try {
+      const conversation = await directMessageService.getOrCreateConversation(
+        req.user.uid,
+        req.body.targetUid
+      );
+
+      res.json(utils.successResponse('获取私信会话成功', conversation));
+    } catch (error) {
+      console.error('打开私信会话错误:', error);
+      res.status(400).json(utils.errorResponse(error.message));
+    }
+  }
+);
+
+// 获取屏蔽列表
+router.get('/blocks', async (req, res) => {
+  try {
+    const blocks = await directMessageService.getBlockedUsers(req.user.uid);
+
+    res.json(utils.successResponse('获取屏蔽列表成功', blocks));
+  } catch (error) {
+    console.error('获取屏蔽列表错误:', error);
+    res.status(500).json(utils.errorResponse(error.message));
+  }
+});
+
+// 屏蔽用户
+router.post('/blocks',
+  validateRequest({
+    targetUid: {
+      required: true,
+      type: 'string'
+    }
+  }),
+  async (req, res) => {
+    try {
+      const result = await directMessageService.blockUser(req.user.uid, req.body.targetUid);
+
+      res.json(utils.successResponse('屏蔽成功', result));
+    } catch (error) {
+      console.error('屏蔽用户错误:', error);
+      res.status(400).json(utils.errorResponse(error.message));
+    }
+  }
+);
+
+// 解除屏蔽
+router.delete('/blocks/:targetUid', async (req, res) => {
+  try {
+    const result = await directMessageService.unblockUser(req.user.uid, req.params.targetUid);
+
+    res.json(utils.successResponse('已解除屏蔽', result));
+  } catch (error) {
+    console.error('解除屏蔽错误:', error);
+    res.status(400).json(utils.errorResponse(error.message));
+  }
+});
+
+// 获取与指定用户的私信历史
+router.get('/:targetUid/messages', async (req, res) => {
+  try {
+    const { targetUid } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+    // 游标分页：before/after/around 均为消息ID，同时只能使用一个
+    const cursors = {};
+    for (const key of ['before', 'after', 'around']) {
+      if (req.query[key] !== undefined) {
+        const value = parseInt(req.query[key]);
+        if (!Number.isInteger(value) || value <= 0) {
+          return res.status(400).json(utils.errorResponse(`${key} 参数无效`));
+        }
+        cursors[key] = value;
+      }
+    }
+
+    if (Object.keys(cursors).length > 1) {
+      return res.status(400).json(utils.errorResponse('before、after、around 参数只能使用一个'));
+    }
+
+    const result = await directMessageService.getDirectMessages(
+      req.user.uid,
+      targetUid,
+      { limit, ...cursors }
+    );
+
+    res.json(utils.successResponse('获取私信历史成功', {
+      ...result,
+      total: result.messages.length
+    }));
+  } catch (error) {
+    console.error('获取私信历史错误:', error);
+    res.status(400).json(utils.errorResponse(error.message));
+  }
+});
+
+// 发送私信（文本、Markdown、文件）
+router.post('/:targetUid/messages',
+  validateRequest({
+    messageType: {
+      type: 'string',
+      custom: (value) => ['text', 'markdown', 'file'].includes(value)
+    },
+    content: {
+      type: 'string',
+      maxLength: 1000
+    },
+    markdownContent: {
+      type: 'string',
+      maxLength: 5000
+    },
+    fileId: {
+      type: 'string'
+    },
+    replyToMessageId: {
+      type: 'number'
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { targetUid } = req.params;
+      const { messageType = 'text', content = '', markdownContent, fileId, replyToMessageId } = req.body;
+
+      const messageData = {
+        content,
+        messageType,
+        markdownContent,
+        replyToMessageId
+      };
+
+      // 文件消息：文件需先通过 /api/files/upload 上传到该私信会话
+      if (messageType === 'file') {
+        const conversation = await directMessageService.findConversation(req.user.uid, targetUid);
+        const file = conversation && await database.get(
+          'SELECT * FROM files WHERE file_id = ? AND uploader_uid = ? AND chatroom_id = ? AND is_expired = 0',
+          [fileId, req.user.uid, conversation.conversation_id]
+        );
+
+        if (!file || Date.now() > file.expiry_time) {
+          return res.status(404).json(utils.errorResponse('文件不存在或已过期'));
+        }
+
+        Object.assign(messageData, {
+          content: file.original_name,
+          fileId: file.file_id,
+          fileName: file.original_name,
+          fileSize: file.file_size,
+          fileExpiry: file.expiry_time
+        });
+      }
+
+      const { conversation, message } = await directMessageService.sendDirectMessage(
+        req.user.uid,
+        targetUid,
+        messageData
+      );
+
+      if (message.fileId) {
+        // 更新文件记录的消息ID
+        await database.run(
+          'UPDATE files SET message_id = ? WHERE file_id = ?',
+          [message.messageId, message.fileId]
+        );
+      }
+
+      // 通过WebSocket推送给会话双方
+      directMessageService.broadcastDirectMessage(req.app.get('io'), conversation, message);
+
+      res.status(201).json(utils.successResponse('私信发送成功', { conversation, message }));
+    } catch (error) {
+      console.error('发送私信错误:', error);
+      res.status(400).json(utils.errorResponse(error.message));
+    }
+  }
+);
+
+// 发送图片私信
+router.post('/:targetUid/messages/image',
+  upload.single('image'),
+  async (req, res) => {
+    let image = null;
+    try {
+      const { targetUid } = req.params;
+      const { replyToMessageId } = req.body;
+
+      if (!req.file) {
+        return res.status(400).json(utils.errorResponse('请选择要上传的图片'));
+      }
+
+      // 处理图片（移除元数据、生成缩略图）并保存到存储
+      image = await imageService.saveChatImage(req.file);
+
+      const { conversation, message } = await directMessageService.sendDirectMessage(
+        req.user.uid,
+        targetUid,
+        {
+          content: req.body.caption || '', // 图片说明文字（可选）
+          messageType: 'image',
+          ...image,
+          replyToMessageId: replyToMessageId ? parseInt(replyToMessageId) : undefined
+        }
+      );
+
+      // 通过WebSocket推送给会话双方
+      directMessageService.broadcastDirectMessage(req.app.get('io'), conversation, message);
+
+      res.status(201).json(utils.successResponse('图片发送成功', { conversation, message }));
+    } catch (error) {
+      console.error('发送图片私信错误:', error);
+
+      // 如果出错，删除已上传的图片
+      await storageService.deleteImage(image && image.imageUrl);
+
+      res.status(400).json(utils.errorResponse(error.message));
+    }
+  }
+);
+
+// 删除私信（只能删除自己发送的消息）
+router.delete('/:targetUid/messages/:messageId', async (req, res) => {
+  try {
+    const { targetUid, messageId } = req.params;
+
+    const conversation = await directMessageService.findConversation(req.user.uid, targetUid);
+    if (!conversation) {
+      return res.status(404).json(utils.errorResponse('私信会话不存在'));
+    }
+
+    const result = await messageService.deleteMessage(
+      parseInt(messageId),
+      req.user.uid,
+      conversation.conversation_id
+    );
+
+    // 通知会话双方消息已被删除
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`user:${req.user.uid}`).to(`user:${targetUid}`).emit('direct-message-deleted', {
+        conversationId: conversation.conversation_id,
+        messageId: parseInt(messageId),
+        deletedBy: req.user.uid,
+        timestamp: Date.now()
+      });
+    }
+
+    res.json(utils.successResponse('消息删除成功', result));
+  } catch (error) {
+    console.error('删除私信错误:', error);
+    res.status(400).json(utils.errorResponse(error.message));
+  }
+});
+
+module.exports = router;
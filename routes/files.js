@@ -1,156 +1,46 @@
 const express = require('express');
 const multer = require('multer');
-const crypto = require('crypto');
-const path = require('path');
-const fs = require('fs');
-const zlib = require('zlib');
-const { v4: uuidv4 } = require('uuid');
+const { pipeline } = require('stream');
 
 const database = require('../database');
+const storageService = require('../services/storageService');
+const uploadLimitService = require('../services/uploadLimitService');
+const fileService = require('../services/fileService');
+const chunkedUploadService = require('../services/chunkedUploadService');
+const fileAccessService = require('../services/fileAccessService');
+const fileTypeService = require('../services/fileTypeService');
+const quarantineService = require('../services/quarantineService');
+const config = require('../config');
 const utils = require('../utils');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, optionalAuth, validateRequest, requireAdmin } = require('../middleware/auth');
 
 const router = express.Router();
 
-// 允许的文件类型白名单（MIME类型）
-const ALLOWED_MIME_TYPES = [
-  // 图片
-  'image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp', 'image/svg+xml',
-  // 文档
-  'application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-  'application/vnd.ms-excel', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-  'application/vnd.ms-powerpoint', 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
-  'text/plain', 'text/csv', 'application/rtf',
-  // 压缩文件
-  'application/zip', 'application/x-rar-compressed', 'application/x-7z-compressed',
-  'application/gzip', 'application/x-tar',
-  // 音频
-  'audio/mpeg', 'audio/wav', 'audio/ogg', 'audio/mp4', 'audio/aac', 'audio/flac',
-  // 视频
-  'video/mp4', 'video/avi', 'video/mov', 'video/wmv', 'video/flv', 'video/webm',
-  // 其他
-  'application/json', 'application/xml', 'text/xml'
-];
-
-// 检查文件类型是否安全
-const isFileTypeSafe = (mimetype, originalname) => {
-  // 检查MIME类型
-  if (!ALLOWED_MIME_TYPES.includes(mimetype)) {
+// 可以在浏览器中直接预览的文件类型（不包含 HTML、SVG 等可执行脚本的类型）
+const isInlineSafe = (mimetype) => {
+  const type = (mimetype || '').toLowerCase();
+  if (type === 'image/svg+xml') {
     return false;
   }
-  
-  // 检查文件扩展名（防止文件名伪造）
-  const ext = path.extname(originalname).toLowerCase();
-  const dangerousExtensions = ['.exe', '.bat', '.cmd', '.com', '.pif', '.scr', '.vbs', '.js', '.jar', '.sh'];
-  
-  if (dangerousExtensions.includes(ext)) {
-    return false;
-  }
-  
-  return true;
+  return type.startsWith('image/') || type.startsWith('audio/') || type.startsWith('video/') ||
+    ['application/pdf', 'text/plain', 'text/csv', 'application/json'].includes(type);
 };
 
-// 确保uploads/files目录存在
-const UPLOAD_DIR = path.join(__dirname, '../uploads/files');
-if (!fs.existsSync(UPLOAD_DIR)) {
-  fs.mkdirSync(UPLOAD_DIR, { recursive: true });
-}
-
-// 压缩文件函数
-const compressFile = (inputPath, outputPath) => {
-  return new Promise((resolve, reject) => {
-    const readStream = fs.createReadStream(inputPath);
-    const writeStream = fs.createWriteStream(outputPath);
-    const gzipStream = zlib.createGzip({ level: 6 }); // 使用适中的压缩级别
-
-    readStream
-      .pipe(gzipStream)
-      .pipe(writeStream)
-      .on('finish', () => {
-        resolve();
-      })
-      .on('error', (error) => {
-        reject(error);
-      });
-  });
+// 生成 Content-Disposition 响应头（同时提供 RFC 5987 编码的文件名）
+const contentDisposition = (type, fileName) => {
+  const encoded = encodeURIComponent(fileName);
+  return `${type}; filename="${encoded}"; filename*=UTF-8''${encoded}`;
 };
 
-// 解压文件函数
-const decompressFile = (inputPath, outputPath) => {
-  return new Promise((resolve, reject) => {
-    const readStream = fs.createReadStream(inputPath);
-    const writeStream = fs.createWriteStream(outputPath);
-    const gunzipStream = zlib.createGunzip();
-
-    readStream
-      .pipe(gunzipStream)
-      .pipe(writeStream)
-      .on('finish', () => {
-        resolve();
-      })
-      .on('error', (error) => {
-        reject(error);
-      });
-  });
-};
+// 配置multer用于文件上传（读入内存后压缩写入存储）
+const storage = multer.memoryStorage();
 
-// 获取临时文件路径
-const getTempFilePath = (originalPath) => {
-  const ext = path.extname(originalPath);
-  const basename = path.basename(originalPath, ext);
-  const dir = path.dirname(originalPath);
-  return path.join(dir, `${basename}_temp${ext}`);
-};
-
-// 配置multer用于文件上传
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, UPLOAD_DIR);
-  },
-  filename: (req, file, cb) => {
-    // 生成唯一文件名，统一使用.file后缀以隐藏真实文件类型
-    const fileName = crypto.randomBytes(16).toString('hex') + '.file';
-    cb(null, fileName);
-  }
-});
-
-// 文件过滤器
-const fileFilter = (req, file, cb) => {
-  // 检查文件大小（2MB = 2 * 1024 * 1024 bytes）
-  const maxSize = 2 * 1024 * 1024;
-  
-  // 这里无法直接检查文件大小，在后面的中间件中检查
-  cb(null, true);
-};
-
-const upload = multer({ 
-  storage,
-  fileFilter,
-  limits: {
-    fileSize: 2 * 1024 * 1024 // 2MB
-  }
-});
-
-// 文件上传API
-router.post('/upload', authenticateToken, upload.single('file'), async (req, res) => {
+// 解析前检查目标聊天室（聊天室ID通过查询参数 chatroomId 传递），非成员的上传不会被读入内存
+const checkUploadTarget = async (req, res, next) => {
   try {
-    if (!req.file) {
-      return res.status(400).json(utils.errorResponse('未选择文件'));
-    }
+    const { chatroomId } = req.query;
 
-    // 暂时取消检查
-    // // 安全检查：验证文件类型
-    // if (!isFileTypeSafe(req.file.mimetype, req.file.originalname)) {
-    //   // 删除已上传的文件
-    //   fs.unlinkSync(req.file.path);
-    //   return res.status(400).json(utils.errorResponse('不支持的文件类型或存在安全风险'));
-    // }
-
-    const { chatroomId, replyToMessageId } = req.body;
-    
-    if (!chatroomId) {
-      // 删除已上传的文件
-      fs.unlinkSync(req.file.path);
+    if (!chatroomId || typeof chatroomId !== 'string') {
       return res.status(400).json(utils.errorResponse('缺少聊天室ID'));
     }
 
@@ -161,78 +51,115 @@ router.post('/upload', authenticateToken, upload.single('file'), async (req, res
     );
 
     if (!member) {
-      // 删除已上传的文件
-      fs.unlinkSync(req.file.path);
       return res.status(403).json(utils.errorResponse('您不在此聊天室中'));
     }
 
-    // 检查文件大小
-    if (req.file.size > 2 * 1024 * 1024) {
-      // 删除已上传的文件
-      fs.unlinkSync(req.file.path);
-      return res.status(400).json(utils.errorResponse('文件大小不能超过2MB'));
+    req.roomSettings = await uploadLimitService.getRoomSettings(chatroomId);
+    next();
+  } catch (error) {
+    console.error('检查上传目标失败:', error);
+    res.status(500).json(utils.errorResponse('文件上传失败'));
+  }
+};
+
+// 解析上传的文件（按聊天室的上传限制限制文件大小），处理超出大小限制等错误
+const parseUpload = (req, res, next) => {
+  const { fileMaxSize } = req.roomSettings;
+  const upload = multer({ storage, limits: { fileSize: fileMaxSize } });
+
+  upload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(400).json(utils.errorResponse(`文件大小不能超过${utils.formatFileSize(fileMaxSize)}`));
+      }
+      return res.status(400).json(utils.errorResponse('文件上传错误'));
+    }
+    next(error);
+  });
+};
+
+// 文件上传API（POST /upload?chatroomId=...，表单字段 file 为文件）
+router.post('/upload', authenticateToken, checkUploadTarget, parseUpload, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json(utils.errorResponse('未选择文件'));
     }
 
-    // 生成文件ID
-    const fileId = uuidv4();
-    
-    // 计算过期时间（30分钟后）
-    const expiryTime = Date.now() + (30 * 60 * 1000);
+    const { chatroomId } = req.query;
+    const { replyToMessageId } = req.body;
+    const roomSettings = req.roomSettings;
+
+    // 按文件内容识别类型，未通过检查的文件放入隔离区
+    const inspection = fileTypeService.inspect({
+      head: req.file.buffer,
+      declaredType: req.file.mimetype,
+      fileName: req.file.originalname
+    });
+    const quarantine = inspection.verdict !== 'accepted';
+
+    let storedName = null;
+    let fileId;
+    let expiryTime;
 
-    // 压缩文件
-    const originalFilePath = req.file.path;
-    const tempFilePath = getTempFilePath(originalFilePath);
-    
     try {
-      // 压缩原文件到临时文件
-      await compressFile(originalFilePath, tempFilePath);
-      
-      // 删除原未压缩文件
-      fs.unlinkSync(originalFilePath);
-      
-      // 将压缩文件重命名为最终文件
-      fs.renameSync(tempFilePath, originalFilePath);
+      // 写入存储（已压缩格式的文件直接存储）
+      const stored = await fileService.saveToStorage(req.file.buffer, inspection.mimeType, { quarantine });
+      storedName = stored.storedName;
+      const compressedSize = stored.compressedSize;
       
-      // 获取压缩后的文件大小
-      const compressedStats = fs.statSync(originalFilePath);
-      const compressedSize = compressedStats.size;
-      
-      console.log(`文件压缩完成: ${req.file.originalname}`);
-      console.log(`原始大小: ${req.file.size} 字节`);
-      console.log(`压缩后大小: ${compressedSize} 字节`);
-      console.log(`压缩率: ${(((req.file.size - compressedSize) / req.file.size) * 100).toFixed(2)}%`);
-
-      // 保存文件信息到数据库（保存原始文件大小用于显示，压缩大小用于存储管理）
-      await database.run(`
-        INSERT INTO files (
-          file_id, original_name, stored_name, mime_type, file_size,
-          uploader_uid, chatroom_id, upload_time, expiry_time, compressed_size
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `, [
-        fileId,
-        req.file.originalname,
-        req.file.filename,
-        req.file.mimetype,
-        req.file.size, // 保存原始文件大小
-        req.user.uid,
+      if (stored.isCompressed) {
+        console.log(`文件压缩完成: ${req.file.originalname}`);
+        console.log(`原始大小: ${req.file.size} 字节`);
+        console.log(`压缩后大小: ${compressedSize} 字节`);
+        console.log(`压缩率: ${(((req.file.size - compressedSize) / req.file.size) * 100).toFixed(2)}%`);
+      }
+
+      if (quarantine) {
+        const record = await quarantineService.quarantineFile({
+          uploaderUid: req.user.uid,
+          chatroomId,
+          originalName: req.file.originalname,
+          declaredType: req.file.mimetype,
+          inspection,
+          fileSize: req.file.size,
+          storedName,
+          compressedSize,
+          isCompressed: stored.isCompressed
+        });
+        throw quarantineService.quarantinedError(record);
+      }
+
+      // 检查存储配额并保存文件信息到数据库
+      ({ fileId, expiryTime } = await fileService.registerFile({
+        uploaderUid: req.user.uid,
         chatroomId,
-        Date.now(),
-        expiryTime,
-        compressedSize // 保存压缩后大小
-      ]);
-      
-    } catch (compressionError) {
-      console.error('文件压缩失败:', compressionError);
+        originalName: req.file.originalname,
+        mimeType: inspection.mimeType,
+        fileSize: req.file.size,
+        storedName,
+        compressedSize,
+        isCompressed: stored.isCompressed,
+        settings: roomSettings
+      }));
       
-      // 清理文件
-      if (fs.existsSync(originalFilePath)) {
-        fs.unlinkSync(originalFilePath);
+    } catch (storageError) {
+      // 文件已放入隔离区
+      if (storageError.code === 'FILE_QUARANTINED') {
+        return res.status(400).json(utils.errorResponse(storageError.message, storageError.quarantine));
       }
-      if (fs.existsSync(tempFilePath)) {
-        fs.unlinkSync(tempFilePath);
+
+      // 清理已写入存储的文件
+      if (storedName) {
+        await fileService.deleteFromStorage(storedName, { quarantine });
       }
-      
-      return res.status(500).json(utils.errorResponse('文件压缩失败'));
+
+      // 超出存储配额
+      if (storageError.code === 'QUOTA_EXCEEDED') {
+        return res.status(413).json(utils.errorResponse(storageError.message));
+      }
+
+      console.error('文件保存失败:', storageError);
+      return res.status(500).json(utils.errorResponse('文件保存失败'));
     }
 
     // 返回文件信息
@@ -240,25 +167,228 @@ router.post('/upload', authenticateToken, upload.single('file'), async (req, res
       fileId,
       fileName: req.file.originalname,
       fileSize: req.file.size,
-      mimeType: req.file.mimetype,
+      mimeType: inspection.mimeType,
       expiryTime,
       replyToMessageId: replyToMessageId || null
     }));
 
   } catch (error) {
     console.error('文件上传失败:', error);
-    
-    // 清理已上传的文件
-    if (req.file && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path);
-    }
-    
     res.status(500).json(utils.errorResponse('文件上传失败'));
   }
 });
 
-// 文件下载API
-router.get('/download/:fileId', async (req, res) => {
+// 解析分片内容（请求体为分片的原始字节）
+const parseChunk = (req, res, next) => {
+  express.raw({ type: () => true, limit: config.upload.chunkSize })(req, res, (error) => {
+    if (error && error.type === 'entity.too.large') {
+      return res.status(413).json(utils.errorResponse(`分片大小不能超过${utils.formatFileSize(config.upload.chunkSize)}`));
+    }
+    next(error);
+  });
+};
+
+// 创建分片上传会话
+router.post('/uploads',
+  authenticateToken,
+  validateRequest({
+    chatroomId: {
+      required: true,
+      type: 'string'
+    },
+    fileName: {
+      required: true,
+      type: 'string',
+      minLength: 1,
+      maxLength: 255
+    },
+    fileSize: {
+      required: true,
+      type: 'number'
+    },
+    mimeType: {
+      type: 'string',
+      maxLength: 255
+    },
+    checksum: {
+      required: true,
+      type: 'string'
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { chatroomId, fileName, fileSize, mimeType, checksum } = req.body;
+
+      const upload = await chunkedUploadService.createSession({
+        uploaderUid: req.user.uid,
+        chatroomId,
+        fileName,
+        fileSize,
+        mimeType,
+        checksum
+      });
+
+      res.status(201).json(utils.successResponse('上传会话已创建', upload));
+    } catch (error) {
+      console.error('创建上传会话失败:', error);
+      res.status(400).json(utils.errorResponse(error.message));
+    }
+  }
+);
+
+// 查询分片上传进度
+router.get('/uploads/:uploadId', authenticateToken, async (req, res) => {
+  try {
+    const upload = await chunkedUploadService.getUploadStatus(req.params.uploadId, req.user.uid);
+
+    res.json(utils.successResponse('获取上传进度成功', upload));
+  } catch (error) {
+    console.error('获取上传进度失败:', error);
+    res.status(404).json(utils.errorResponse(error.message));
+  }
+});
+
+// 上传分片
+router.put('/uploads/:uploadId/chunks/:index', authenticateToken, parseChunk, async (req, res) => {
+  try {
+    const index = Number(req.params.index);
+
+    const upload = await chunkedUploadService.saveChunk(req.params.uploadId, req.user.uid, index, req.body);
+
+    res.json(utils.successResponse('分片上传成功', upload));
+  } catch (error) {
+    console.error('分片上传失败:', error);
+    res.status(400).json(utils.errorResponse(error.message));
+  }
+});
+
+// 完成分片上传（合并分片并登记文件，之后与普通上传一样通过文件消息发送）
+router.post('/uploads/:uploadId/complete', authenticateToken, async (req, res) => {
+  try {
+    const file = await chunkedUploadService.completeUpload(req.params.uploadId, req.user.uid);
+
+    res.json(utils.successResponse('文件上传成功', file));
+  } catch (error) {
+    console.error('完成分片上传失败:', error);
+
+    if (error.code === 'QUOTA_EXCEEDED') {
+      return res.status(413).json(utils.errorResponse(error.message));
+    }
+
+    if (error.code === 'FILE_QUARANTINED') {
+      return res.status(400).json(utils.errorResponse(error.message, error.quarantine));
+    }
+
+    res.status(400).json(utils.errorResponse(error.message, error.missingChunks ? {
+      missingChunks: error.missingChunks
+    } : null));
+  }
+});
+
+// 取消分片上传
+router.delete('/uploads/:uploadId', authenticateToken, async (req, res) => {
+  try {
+    await chunkedUploadService.abortUpload(req.params.uploadId, req.user.uid);
+
+    res.json(utils.successResponse('上传已取消'));
+  } catch (error) {
+    console.error('取消分片上传失败:', error);
+    res.status(400).json(utils.errorResponse(error.message));
+  }
+});
+
+// 存储用量API（传入 chatroomId 时同时返回该聊天室的用量）
+router.get('/usage', authenticateToken, async (req, res) => {
+  try {
+    const { chatroomId } = req.query;
+    const usage = {
+      user: await uploadLimitService.getUserUsage(req.user.uid)
+    };
+
+    if (chatroomId) {
+      const member = await database.get(
+        'SELECT 1 FROM chatroom_members WHERE chatroom_id = ? AND user_uid = ? AND is_active = 1',
+        [chatroomId, req.user.uid]
+      );
+
+      if (!member) {
+        return res.status(403).json(utils.errorResponse('您不在此聊天室中'));
+      }
+
+      usage.room = await uploadLimitService.getRoomUsage(chatroomId);
+    }
+
+    res.json(utils.successResponse('获取存储用量成功', usage));
+  } catch (error) {
+    console.error('获取存储用量失败:', error);
+    res.status(400).json(utils.errorResponse(error.message));
+  }
+});
+
+// 获取文件的签名下载链接（用于浏览器直接下载或 <video>、<audio> 预览）
+router.get('/signed-url/:fileId', authenticateToken, async (req, res) => {
+  try {
+    const { fileId } = req.params;
+
+    const file = await database.get(
+      'SELECT file_id, chatroom_id FROM files WHERE file_id = ? AND is_expired = 0',
+      [fileId]
+    );
+
+    if (!file) {
+      return res.status(404).json(utils.errorResponse('文件不存在或已过期'));
+    }
+
+    if (!(await fileAccessService.isMember(req.user.uid, file.chatroom_id))) {
+      return res.status(403).json(utils.errorResponse('没有权限访问此文件'));
+    }
+
+    const signed = fileAccessService.createSignedUrl(`${req.baseUrl}/download/${file.file_id}`);
+
+    res.json(utils.successResponse('获取下载链接成功', signed));
+  } catch (error) {
+    console.error('获取下载链接失败:', error);
+    res.status(500).json(utils.errorResponse('获取下载链接失败'));
+  }
+});
+
+// 批量获取聊天图片的签名链接（无权访问的图片返回 null）
+router.post('/signed-image-urls',
+  authenticateToken,
+  validateRequest({
+    imageUrls: {
+      required: true,
+      custom: (value) => Array.isArray(value) && value.length <= 100 && value.every(url => typeof url === 'string')
+    }
+  }),
+  async (req, res) => {
+    try {
+      const urls = {};
+      let expiresAt = null;
+
+      for (const imageUrl of req.body.imageUrls) {
+        if (imageUrl in urls) continue;
+
+        if (!imageUrl.startsWith('/uploads/images/') || !(await fileAccessService.canAccessImage(req.user.uid, imageUrl))) {
+          urls[imageUrl] = null;
+          continue;
+        }
+
+        const signed = fileAccessService.createSignedUrl(imageUrl);
+        urls[imageUrl] = signed.url;
+        expiresAt = signed.expiresAt;
+      }
+
+      res.json(utils.successResponse('获取图片链接成功', { urls, expiresAt }));
+    } catch (error) {
+      console.error('获取图片链接失败:', error);
+      res.status(500).json(utils.errorResponse('获取图片链接失败'));
+    }
+  }
+);
+
+// 文件下载API（需要是文件所在聊天室的成员，或使用签名链接）
+router.get('/download/:fileId', optionalAuth, async (req, res) => {
   try {
     const { fileId } = req.params;
 
@@ -272,84 +402,104 @@ router.get('/download/:fileId', async (req, res) => {
       return res.status(404).json(utils.errorResponse('文件不存在或已过期'));
     }
 
+    const denied = await fileAccessService.checkAccess(req, uid => fileAccessService.isMember(uid, file.chatroom_id));
+    if (denied) {
+      return res.status(denied.status).json(utils.errorResponse(denied.message));
+    }
+
     // 检查文件是否过期
     if (Date.now() > file.expiry_time) {
       // 标记文件为过期
       await database.run('UPDATE files SET is_expired = 1 WHERE file_id = ?', [fileId]);
       
-      // 删除物理文件
-      const filePath = path.join(UPLOAD_DIR, file.stored_name);
-      if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
-      }
+      // 删除存储中的文件
+      await storageService.deleteFile(file.stored_name);
       
       return res.status(410).json(utils.errorResponse('文件已过期'));
     }
 
-    // 构建文件路径
-    const filePath = path.join(UPLOAD_DIR, file.stored_name);
+    const etag = fileService.getETag(file);
+    const inline = req.query.inline === 'true' && isInlineSafe(file.mime_type);
+
+    res.set({
+      'Content-Type': file.mime_type,
+      'Content-Disposition': contentDisposition(inline ? 'inline' : 'attachment', file.original_name),
+      'Accept-Ranges': 'bytes',
+      'ETag': etag,
+      'Cache-Control': 'private, no-cache',
+      'X-Content-Type-Options': 'nosniff'
+    });
+
+    // If-None-Match 命中时返回 304
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    // 解析 Range 请求（只支持单个范围；If-Range 与当前 ETag 不一致时返回完整文件）
+    let range = null;
+    const ifRange = req.headers['if-range'];
+    if (req.headers.range && (!ifRange || ifRange === etag)) {
+      const ranges = req.range(file.file_size, { combine: true });
+
+      if (ranges === -1) {
+        res.set('Content-Range', `bytes */${file.file_size}`);
+        return res.status(416).json(utils.errorResponse('请求的范围无效'));
+      }
+
+      if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+        range = ranges[0];
+      }
+    }
+
+    // 从存储中读取文件（压缩文件边解压边发送）
+    const stream = await fileService.openStream(file, range);
 
     // 检查文件是否存在
-    if (!fs.existsSync(filePath)) {
+    if (!stream) {
       return res.status(404).json(utils.errorResponse('文件不存在'));
     }
 
-    // 更新下载次数
-    await database.run(
-      'UPDATE files SET download_count = download_count + 1 WHERE file_id = ?',
-      [fileId]
-    );
-
-    // 创建临时解压文件
-    const tempDecompressPath = getTempFilePath(filePath).replace('.file', '_decomp');
-    
-    try {
-      // 解压文件
-      await decompressFile(filePath, tempDecompressPath);
-      
-      // 设置响应头
-      res.set({
-        'Content-Type': file.mime_type,
-        'Content-Disposition': `attachment; filename="${encodeURIComponent(file.original_name)}"`,
-        'Content-Length': file.file_size // 使用原始文件大小
+    if (range) {
+      res.status(206).set({
+        'Content-Range': `bytes ${range.start}-${range.end}/${file.file_size}`,
+        'Content-Length': range.end - range.start + 1
       });
+    } else {
+      res.set('Content-Length', file.file_size); // 使用原始文件大小
+    }
 
-      // 发送解压后的文件
-      res.sendFile(tempDecompressPath, (err) => {
-        // 发送完成后删除临时文件
-        if (fs.existsSync(tempDecompressPath)) {
-          fs.unlinkSync(tempDecompressPath);
-        }
-        
-        if (err) {
-          console.error('发送文件失败:', err);
-        }
-      });
-      
-    } catch (decompressionError) {
-      console.error('文件解压失败:', decompressionError);
-      
-      // 清理临时文件
-      if (fs.existsSync(tempDecompressPath)) {
-        fs.unlinkSync(tempDecompressPath);
-      }
-      
-      return res.status(500).json(utils.errorResponse('文件解压失败'));
+    if (req.method === 'HEAD') {
+      stream.destroy();
+      return res.end();
+    }
+
+    // 更新下载次数（分段请求只在从头读取时计数）
+    if (!range || range.start === 0) {
+      await database.run(
+        'UPDATE files SET download_count = download_count + 1 WHERE file_id = ?',
+        [fileId]
+      );
     }
 
+    pipeline(stream, res, (err) => {
+      if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        console.error('发送文件失败:', err);
+      }
+    });
+
   } catch (error) {
     console.error('文件下载失败:', error);
     res.status(500).json(utils.errorResponse('文件下载失败'));
   }
 });
 
-// 获取文件信息API
-router.get('/info/:fileId', async (req, res) => {
+// 获取文件信息API（访问权限与下载相同）
+router.get('/info/:fileId', optionalAuth, async (req, res) => {
   try {
     const { fileId } = req.params;
 
     const file = await database.get(
-      'SELECT file_id, original_name, file_size, mime_type, upload_time, expiry_time, is_expired FROM files WHERE file_id = ?',
+      'SELECT file_id, original_name, file_size, mime_type, upload_time, expiry_time, is_expired, chatroom_id FROM files WHERE file_id = ?',
       [fileId]
     );
 
@@ -357,6 +507,11 @@ router.get('/info/:fileId', async (req, res) => {
       return res.status(404).json(utils.errorResponse('文件不存在'));
     }
 
+    const denied = await fileAccessService.checkAccess(req, uid => fileAccessService.isMember(uid, file.chatroom_id));
+    if (denied) {
+      return res.status(denied.status).json(utils.errorResponse(denied.message));
+    }
+
     // 检查是否过期
     const isExpired = Date.now() > file.expiry_time;
     if (isExpired && !file.is_expired) {
@@ -380,4 +535,103 @@ router.get('/info/:fileId', async (req, res) => {
   }
 });
 
+// 隔离区文件列表（站点管理员）
+router.get('/quarantine', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    if (!['pending', 'released', 'deleted', 'expired'].includes(status)) {
+      return res.status(400).json(utils.errorResponse('无效的状态'));
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const result = await quarantineService.getQuarantinedFiles({ status, limit, offset });
+
+    res.json(utils.successResponse('获取隔离文件成功', result));
+  } catch (error) {
+    console.error('获取隔离文件失败:', error);
+    res.status(500).json(utils.errorResponse('获取隔离文件失败'));
+  }
+});
+
+// 下载隔离区文件用于审核（站点管理员，始终作为附件下载）
+router.get('/quarantine/:quarantineId/download', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    let quarantined;
+    try {
+      quarantined = await quarantineService.openStream(req.params.quarantineId);
+    } catch (error) {
+      return res.status(404).json(utils.errorResponse(error.message));
+    }
+
+    const { row, stream } = quarantined;
+    if (!stream) {
+      return res.status(404).json(utils.errorResponse('文件不存在'));
+    }
+
+    res.set({
+      'Content-Type': 'application/octet-stream',
+      'Content-Disposition': contentDisposition('attachment', row.original_name),
+      'Content-Length': row.file_size,
+      'Cache-Control': 'no-store',
+      'X-Content-Type-Options': 'nosniff'
+    });
+
+    pipeline(stream, res, (err) => {
+      if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        console.error('发送隔离文件失败:', err);
+      }
+    });
+  } catch (error) {
+    console.error('下载隔离文件失败:', error);
+    res.status(500).json(utils.errorResponse('下载隔离文件失败'));
+  }
+});
+
+// 放行隔离区文件（站点管理员），文件登记到原聊天室后上传者可以正常发送
+router.post('/quarantine/:quarantineId/release', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const file = await quarantineService.releaseFile(req.params.quarantineId, req.user.uid);
+
+    req.app.get('io').to(`user:${file.uploaderUid}`).emit('quarantine-reviewed', {
+      quarantineId: file.quarantineId,
+      fileName: file.fileName,
+      chatroomId: file.chatroomId,
+      status: file.status,
+      fileId: file.fileId
+    });
+
+    res.json(utils.successResponse('文件已放行', file));
+  } catch (error) {
+    console.error('放行隔离文件失败:', error);
+
+    if (error.code === 'QUOTA_EXCEEDED') {
+      return res.status(413).json(utils.errorResponse(error.message));
+    }
+
+    res.status(400).json(utils.errorResponse(error.message));
+  }
+});
+
+// 删除隔离区文件（站点管理员）
+router.delete('/quarantine/:quarantineId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const file = await quarantineService.deleteFile(req.params.quarantineId, req.user.uid);
+
+    req.app.get('io').to(`user:${file.uploaderUid}`).emit('quarantine-reviewed', {
+      quarantineId: file.quarantineId,
+      fileName: file.fileName,
+      chatroomId: file.chatroomId,
+      status: file.status,
+      fileId: null
+    });
+
+    res.json(utils.successResponse('隔离文件已删除', file));
+  } catch (error) {
+    console.error('删除隔离文件失败:', error);
+    res.status(400).json(utils.errorResponse(error.message));
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
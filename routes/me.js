@@ -0,0 +1,71 @@
+const express = require('express');
+const router = express.Router();
+
+const mentionService = require('../services/mentionService');
+const utils = require('../utils');
+const { authenticateToken, validateRequest } = require('../middleware/auth');
+
+router.use(authenticateToken);
+
+// 获取提及收件箱
+router.get('/mentions', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    let before = null;
+    if (req.query.before !== undefined) {
+      before = parseInt(req.query.before);
+      if (!Number.isInteger(before) || before <= 0) {
+        return res.status(400).json(utils.errorResponse('before 参数无效'));
+      }
+    }
+
+    const result = await mentionService.getUserMentions(req.user.uid, {
+      limit,
+      before,
+      unreadOnly: req.query.unread === 'true'
+    });
+
+    res.json(utils.successResponse('获取提及列表成功', result));
+  } catch (error) {
+    console.error('获取提及列表错误:', error);
+    res.status(500).json(utils.errorResponse(error.message));
+  }
+});
+
+// 标记提及为已读（可指定提及ID列表或聊天室，均不指定时全部标记）
+router.post('/mentions/read',
+  validateRequest({
+    mentionIds: {
+      custom: (value) => Array.isArray(value) && value.every(id => Number.isInteger(id) && id > 0)
+    },
+    roomId: {
+      type: 'string'
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { mentionIds, roomId } = req.body;
+
+      const result = await mentionService.markMentionsRead(req.user.uid, { mentionIds, roomId });
+
+      // 同步到该用户的其他连接
+      const io = req.app.get('io');
+      if (io) {
+        io.to(`user:${req.user.uid}`).emit('mentions-read', {
+          mentionIds: mentionIds || null,
+          roomId: roomId || null,
+          unreadCount: result.unreadCount,
+          timestamp: Date.now()
+        });
+      }
+
+      res.json(utils.successResponse('已标记为已读', result));
+    } catch (error) {
+      console.error('标记提及已读错误:', error);
+      res.status(400).json(utils.errorResponse(error.message));
+    }
+  }
+);
+
+module.exports = router;
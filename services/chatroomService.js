@@ -5,7 +5,7 @@ const config = require('../config');
 class ChatroomService {
   // 创建聊天室
   async createChatroom(creatorUid, chatroomData) {
-    const { name, password } = chatroomData;
+    const { name, password, requireVerifiedEmail } = chatroomData;
 
     // 验证输入数据
     if (!utils.isValidRoomName(name)) {
@@ -41,9 +41,9 @@ class ChatroomService {
 
     // 创建聊天室
     await database.run(`
-      INSERT INTO chatrooms (room_id, name, password_hash, creator_uid)
-      VALUES (?, ?, ?, ?)
-    `, [roomId, name, passwordHash, creatorUid]);
+      INSERT INTO chatrooms (room_id, name, password_hash, creator_uid, require_verified_email)
+      VALUES (?, ?, ?, ?, ?)
+    `, [roomId, name, passwordHash, creatorUid, requireVerifiedEmail ? 1 : 0]);
 
     // 发送欢迎系统消息
     const messageService = require('./messageService');
@@ -60,6 +60,7 @@ class ChatroomService {
       roomId,
       name,
       hasPassword: Boolean(password),
+      requireVerifiedEmail: Boolean(requireVerifiedEmail),
       creatorUid
     };
   }
@@ -68,7 +69,7 @@ class ChatroomService {
   async joinChatroom(roomId, password = null, userUid = null) {
     // 检查聊天室是否存在
     const chatroom = await database.get(
-      'SELECT * FROM chatrooms WHERE room_id = ? AND is_active = 1',
+      "SELECT * FROM chatrooms WHERE room_id = ? AND is_active = 1 AND room_type = 'group'",
       [roomId]
     );
 
@@ -93,19 +94,37 @@ class ChatroomService {
       }
     }
 
+    // 检查邮箱验证要求（创建者不受限制）
+    if (chatroom.require_verified_email && !(userUid && chatroom.creator_uid === userUid)) {
+      await this.checkVerifiedEmail(userUid);
+    }
+
     return {
       roomId: chatroom.room_id,
       name: chatroom.name,
       creatorUid: chatroom.creator_uid,
       createdAt: chatroom.created_at,
+      requireVerifiedEmail: Boolean(chatroom.require_verified_email),
       isOwner: userUid === chatroom.creator_uid
     };
   }
 
+  // 检查用户是否为已验证邮箱的注册用户（匿名用户传入 null）
+  async checkVerifiedEmail(userUid) {
+    if (!userUid) {
+      throw new Error('该聊天室仅允许已验证邮箱的注册用户加入');
+    }
+
+    const emailVerificationService = require('./emailVerificationService');
+    if (!await emailVerificationService.isVerified(userUid)) {
+      throw new Error('该聊天室仅允许已验证邮箱的用户加入，请先验证邮箱');
+    }
+  }
+
   // 获取聊天室信息
   async getChatroomInfo(roomId) {
     const chatroom = await database.get(
-      'SELECT room_id, name, creator_uid, created_at FROM chatrooms WHERE room_id = ? AND is_active = 1',
+      "SELECT room_id, name, creator_uid, created_at, require_verified_email FROM chatrooms WHERE room_id = ? AND is_active = 1 AND room_type = 'group'",
       [roomId]
     );
 
@@ -121,6 +140,7 @@ class ChatroomService {
       name: chatroom.name,
       creatorUid: chatroom.creator_uid,
       createdAt: chatroom.created_at,
+      requireVerifiedEmail: Boolean(chatroom.require_verified_email),
       userCount
     };
   }
@@ -129,12 +149,12 @@ class ChatroomService {
   async getUserChatrooms(userUid) {
     // 从chatroom_members表获取用户参与的所有聊天室
     const userChatrooms = await database.all(
-      `SELECT DISTINCT cm.chatroom_id, c.room_id, c.name, c.creator_uid, cm.join_time,
+      `SELECT DISTINCT cm.chatroom_id, c.room_id, c.name, c.creator_uid, cm.join_time, cm.last_read_message_id,
        CASE WHEN c.creator_uid = ? THEN 'created' ELSE 'joined' END as join_type,
        (SELECT COUNT(*) FROM chatroom_members cm2 WHERE cm2.chatroom_id = c.room_id AND cm2.is_active = 1) as member_count
        FROM chatroom_members cm
        JOIN chatrooms c ON cm.chatroom_id = c.room_id
-       WHERE cm.user_uid = ? AND cm.is_active = 1 AND c.is_active = 1
+       WHERE cm.user_uid = ? AND cm.is_active = 1 AND c.is_active = 1 AND c.room_type = 'group'
        ORDER BY cm.last_active DESC`,
       [userUid, userUid]
     );
@@ -142,15 +162,9 @@ class ChatroomService {
     // 为每个聊天室添加额外信息
     const chatroomsWithInfo = await Promise.all(
       userChatrooms.map(async (chatroom) => {
-        // 获取最近一条消息
-        const lastMessage = await database.get(
-          `SELECT content, sender_uid, created_at, message_type 
-           FROM messages 
-           WHERE chatroom_id = ? AND is_deleted = 0 
-           ORDER BY created_at DESC 
-           LIMIT 1`,
-          [chatroom.room_id]
-        );
+        // 获取最近一条消息和未读数量
+        const lastMessage = await this.getLastMessagePreview(chatroom.room_id, userUid);
+        const unreadCount = await this.getUnreadCount(chatroom.room_id, userUid, chatroom.last_read_message_id);
 
         return {
           roomId: chatroom.room_id,
@@ -159,12 +173,9 @@ class ChatroomService {
           joinType: chatroom.join_type,
           userCount: chatroom.member_count,
           isCreator: chatroom.creator_uid === userUid,
-          lastMessage: lastMessage ? {
-            content: lastMessage.content,
-            senderUid: lastMessage.sender_uid,
-            createdAt: lastMessage.created_at,
-            messageType: lastMessage.message_type
-          } : null
+          unreadCount,
+          lastReadMessageId: chatroom.last_read_message_id || null,
+          lastMessage
         };
       })
     );
@@ -179,6 +190,203 @@ class ChatroomService {
     return chatroomsWithInfo;
   }
 
+  // 对指定用户可见的聊天室主时间线消息条件（排除话题回复和不可见的系统消息）
+  getVisibleTimelineCondition() {
+    return `m.is_deleted = 0 AND m.thread_root_id IS NULL AND (
+      m.message_type != 'system' OR 
+      (m.system_message_type = 'persistent' AND (
+        m.visibility_scope = 'all' OR 
+        (m.visibility_scope = 'specific' AND m.visible_to_users LIKE '%"' || ? || '"%')
+      ))
+    )`;
+  }
+
+  // 获取最近一条消息预览
+  async getLastMessagePreview(roomId, userUid) {
+    const lastMessage = await database.get(
+      `SELECT m.id, m.content, m.sender_uid, m.sender_type, m.created_at, m.message_type, m.file_name,
+              CASE 
+                WHEN m.sender_type = 'anonymous' THEN a.nickname 
+                WHEN m.sender_type = 'system' THEN '系统'
+                ELSE u.nickname 
+              END as nickname
+       FROM messages m
+       LEFT JOIN users u ON m.sender_uid = u.uid AND m.sender_type = 'user'
+       LEFT JOIN anonymous_users a ON m.sender_uid = a.uid AND m.sender_type = 'anonymous' AND a.chatroom_id = m.chatroom_id
+       WHERE m.chatroom_id = ? AND ${this.getVisibleTimelineCondition()}
+       ORDER BY m.id DESC 
+       LIMIT 1`,
+      [roomId, userUid]
+    );
+
+    if (!lastMessage) {
+      return null;
+    }
+
+    // 非文本消息使用类型标签作为预览
+    const previewLabels = {
+      image: '[图片]',
+      file: '[文件]',
+      bilibili: '[B站视频]',
+      markdown: '[Markdown]'
+    };
+    let preview = lastMessage.content;
+    if (previewLabels[lastMessage.message_type]) {
+      const detail = lastMessage.message_type === 'file' ? lastMessage.file_name : lastMessage.content;
+      preview = detail ? `${previewLabels[lastMessage.message_type]} ${detail}` : previewLabels[lastMessage.message_type];
+    }
+
+    return {
+      id: lastMessage.id,
+      content: lastMessage.content,
+      preview: preview.length > 50 ? preview.slice(0, 50) + '…' : preview,
+      senderUid: lastMessage.sender_uid,
+      senderNickname: lastMessage.nickname,
+      createdAt: lastMessage.created_at,
+      messageType: lastMessage.message_type
+    };
+  }
+
+  // 获取未读消息数量（不包含自己发送的消息）
+  async getUnreadCount(roomId, userUid, lastReadMessageId = null) {
+    const result = await database.get(
+      `SELECT COUNT(*) as count
+       FROM messages m
+       WHERE m.chatroom_id = ? AND m.id > ? AND m.sender_uid != ? AND ${this.getVisibleTimelineCondition()}`,
+      [roomId, lastReadMessageId || 0, userUid, userUid]
+    );
+
+    return result.count;
+  }
+
+  // 标记消息已读（已读位置只前进不后退，未指定消息时标记到最新消息）
+  async markAsRead(roomId, userUid, messageId = null) {
+    const member = await database.get(
+      'SELECT last_read_message_id FROM chatroom_members WHERE chatroom_id = ? AND user_uid = ? AND is_active = 1',
+      [roomId, userUid]
+    );
+
+    if (!member) {
+      throw new Error('您不在此聊天室中');
+    }
+
+    let targetId = messageId;
+    if (targetId) {
+      const message = await database.get(
+        'SELECT id FROM messages WHERE id = ? AND chatroom_id = ?',
+        [targetId, roomId]
+      );
+      if (!message) {
+        throw new Error('消息不存在');
+      }
+    } else {
+      const latest = await database.get(
+        'SELECT MAX(id) as id FROM messages WHERE chatroom_id = ?',
+        [roomId]
+      );
+      targetId = latest.id || 0;
+    }
+
+    const lastReadMessageId = Math.max(member.last_read_message_id || 0, targetId);
+    const lastReadAt = Date.now();
+
+    await database.run(
+      'UPDATE chatroom_members SET last_read_message_id = ?, last_read_at = ? WHERE chatroom_id = ? AND user_uid = ?',
+      [lastReadMessageId, lastReadAt, roomId, userUid]
+    );
+
+    const unreadCount = await this.getUnreadCount(roomId, userUid, lastReadMessageId);
+
+    return {
+      roomId,
+      userUid,
+      lastReadMessageId,
+      lastReadAt,
+      unreadCount,
+      changed: lastReadMessageId !== (member.last_read_message_id || 0)
+    };
+  }
+
+  // 推送已读状态：同步给该用户的其他连接，开启已读人数展示的聊天室同时广播最近消息的已读人数
+  async broadcastReadUpdate(io, readResult) {
+    if (!io) {
+      return;
+    }
+
+    io.to(`user:${readResult.userUid}`).emit('read-updated', {
+      ...readResult,
+      timestamp: Date.now()
+    });
+
+    if (readResult.changed && await this.isReadReceiptsEnabled(readResult.roomId)) {
+      const receipts = await this.getReadReceipts(readResult.roomId);
+      io.to(readResult.roomId).emit('messages-seen', {
+        roomId: readResult.roomId,
+        receipts,
+        timestamp: Date.now()
+      });
+    }
+  }
+
+  // 设置是否展示已读人数
+  async setReadReceiptsEnabled(roomId, enabled, operatorUid) {
+    const hasPermission = await this.checkAdminPermission(operatorUid, roomId);
+    if (!hasPermission) {
+      throw new Error('没有权限修改聊天室设置');
+    }
+
+    await database.run(
+      'UPDATE chatrooms SET read_receipts_enabled = ? WHERE room_id = ?',
+      [enabled ? 1 : 0, roomId]
+    );
+
+    return { roomId, readReceiptsEnabled: Boolean(enabled) };
+  }
+
+  // 检查聊天室是否展示已读人数
+  async isReadReceiptsEnabled(roomId) {
+    const chatroom = await database.get(
+      'SELECT read_receipts_enabled FROM chatrooms WHERE room_id = ?',
+      [roomId]
+    );
+    return Boolean(chatroom && chatroom.read_receipts_enabled);
+  }
+
+  // 设置是否只允许已验证邮箱的用户加入
+  async setVerifiedEmailRequired(roomId, required, operatorUid) {
+    const hasPermission = await this.checkAdminPermission(operatorUid, roomId);
+    if (!hasPermission) {
+      throw new Error('没有权限修改聊天室设置');
+    }
+
+    await database.run(
+      'UPDATE chatrooms SET require_verified_email = ? WHERE room_id = ?',
+      [required ? 1 : 0, roomId]
+    );
+
+    return { roomId, requireVerifiedEmail: Boolean(required) };
+  }
+
+  // 获取最近消息的已读人数（不计算发送者本人）
+  async getReadReceipts(roomId, limit = 20) {
+    const receipts = await database.all(
+      `SELECT m.id as message_id,
+              (SELECT COUNT(*) FROM chatroom_members cm
+               WHERE cm.chatroom_id = m.chatroom_id AND cm.is_active = 1
+               AND cm.user_uid != m.sender_uid AND cm.last_read_message_id >= m.id) as seen_count
+       FROM messages m
+       WHERE m.chatroom_id = ? AND m.is_deleted = 0 AND m.thread_root_id IS NULL AND m.message_type != 'system'
+       ORDER BY m.id DESC
+       LIMIT ?`,
+      [roomId, limit]
+    );
+
+    return receipts.reverse().map(receipt => ({
+      messageId: receipt.message_id,
+      seenCount: receipt.seen_count
+    }));
+  }
+
   // 更新聊天室名称
   async updateChatroomName(roomId, newName, updaterUid) {
     // 验证新名称
@@ -376,11 +584,20 @@ class ChatroomService {
   // 添加成员到聊天室
   async addMemberToChatroom(roomId, userUid, userType, nickname, avatarUrl) {
     try {
+      // 新成员的已读位置从当前最新消息开始；重新加入时保留原有已读位置
       await database.run(`
-        INSERT OR REPLACE INTO chatroom_members 
-        (chatroom_id, user_uid, user_type, nickname, avatar_url, join_time, last_active, status, is_active)
-        VALUES (?, ?, ?, ?, ?, ?, ?, 'online', 1)
-      `, [roomId, userUid, userType, nickname, avatarUrl, Date.now(), Date.now()]);
+        INSERT INTO chatroom_members 
+        (chatroom_id, user_uid, user_type, nickname, avatar_url, join_time, last_active, status, is_active, last_read_message_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, 'online', 1, (SELECT MAX(id) FROM messages WHERE chatroom_id = ?))
+        ON CONFLICT(chatroom_id, user_uid) DO UPDATE SET
+          user_type = excluded.user_type,
+          nickname = excluded.nickname,
+          avatar_url = excluded.avatar_url,
+          join_time = excluded.join_time,
+          last_active = excluded.last_active,
+          status = 'online',
+          is_active = 1
+      `, [roomId, userUid, userType, nickname, avatarUrl, Date.now(), Date.now(), roomId]);
     } catch (error) {
       console.error('添加成员到聊天室失败:', error);
       // 不抛出错误，避免影响主流程
@@ -430,7 +647,7 @@ class ChatroomService {
   async getChatroomMembers(roomId) {
     // 检查聊天室是否存在
     const chatroom = await database.get(
-      'SELECT room_id, name, creator_uid FROM chatrooms WHERE room_id = ? AND is_active = 1',
+      "SELECT room_id, name, creator_uid FROM chatrooms WHERE room_id = ? AND is_active = 1 AND room_type = 'group'",
       [roomId]
     );
 
@@ -534,7 +751,7 @@ class ChatroomService {
 
     if (anonymousUser) {
       await database.run(
-        'UPDATE anonymous_users SET mute_until = ? WHERE uid = ? AND chatroom_id = ?',
+        'UPDATE anonymous_users SET is_muted = 1, mute_until = ? WHERE uid = ? AND chatroom_id = ?',
         [muteUntil, targetUid, roomId]
       );
     }
@@ -709,7 +926,7 @@ class ChatroomService {
 
     // 将所有成员设置为已退出状态
     await database.run(
-      'UPDATE chatroom_members SET status = "left", is_active = 0, last_active = ? WHERE chatroom_id = ?',
+      "UPDATE chatroom_members SET status = 'left', is_active = 0, last_active = ? WHERE chatroom_id = ?",
       [Date.now(), roomId]
     );
 
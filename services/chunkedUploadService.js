@@ -0,0 +1,338 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { v4: uuidv4 } = require('uuid');
+
+const database = require('../database');
+const config = require('../config');
+const utils = require('../utils');
+const storageService = require('./storageService');
+const uploadLimitService = require('./uploadLimitService');
+const fileService = require('./fileService');
+const fileTypeService = require('./fileTypeService');
+const quarantineService = require('./quarantineService');
+
+// 分片上传服务：创建会话 -> 按序号上传分片（可重传、可查询进度） -> 合并校验后登记为聊天文件
+class ChunkedUploadService {
+  // 创建上传会话
+  async createSession({ uploaderUid, chatroomId, fileName, fileSize, mimeType, checksum }) {
+    if (!(await this.isMember(chatroomId, uploaderUid))) {
+      throw new Error('您不在此聊天室中');
+    }
+
+    if (fileName.length > 255) {
+      throw new Error('文件名过长');
+    }
+
+    if (!Number.isInteger(fileSize) || fileSize <= 0) {
+      throw new Error('文件大小无效');
+    }
+
+    if (!/^[a-f0-9]{64}$/i.test(checksum)) {
+      throw new Error('checksum 必须是文件内容的 SHA-256 十六进制摘要');
+    }
+
+    const settings = await uploadLimitService.getRoomSettings(chatroomId);
+    if (fileSize > settings.fileMaxSize) {
+      throw new Error(`文件大小不能超过${utils.formatFileSize(settings.fileMaxSize)}`);
+    }
+
+    const pending = await database.get(
+      'SELECT COUNT(*) as count FROM upload_sessions WHERE uploader_uid = ?',
+      [uploaderUid]
+    );
+    if (pending.count >= config.upload.maxPendingSessions) {
+      throw new Error(`未完成的上传不能超过 ${config.upload.maxPendingSessions} 个`);
+    }
+
+    const uploadId = uuidv4();
+    const chunkSize = config.upload.chunkSize;
+    const totalChunks = Math.ceil(fileSize / chunkSize);
+
+    await database.run(`
+      INSERT INTO upload_sessions (
+        upload_id, uploader_uid, chatroom_id, original_name, mime_type,
+        file_size, chunk_size, total_chunks, checksum, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      uploadId,
+      uploaderUid,
+      chatroomId,
+      fileName,
+      mimeType || 'application/octet-stream',
+      fileSize,
+      chunkSize,
+      totalChunks,
+      checksum.toLowerCase(),
+      Date.now(),
+      Date.now()
+    ]);
+
+    return await this.getUploadStatus(uploadId, uploaderUid);
+  }
+
+  // 获取上传会话（只有上传者本人可以访问）
+  async getSession(uploadId, uploaderUid) {
+    const session = await database.get(
+      'SELECT * FROM upload_sessions WHERE upload_id = ? AND uploader_uid = ?',
+      [uploadId, uploaderUid]
+    );
+
+    if (!session) {
+      throw new Error('上传会话不存在或已过期');
+    }
+
+    return session;
+  }
+
+  // 保存一个分片（同一序号重复上传时覆盖）
+  async saveChunk(uploadId, uploaderUid, index, data) {
+    const session = await this.getSession(uploadId, uploaderUid);
+
+    if (session.status !== 'uploading') {
+      throw new Error('文件正在合并，不能继续上传分片');
+    }
+
+    if (!Number.isInteger(index) || index < 0 || index >= session.total_chunks) {
+      throw new Error(`分片序号必须在 0 到 ${session.total_chunks - 1} 之间`);
+    }
+
+    // 除最后一个分片外，每个分片大小必须等于 chunk_size
+    const expectedSize = index === session.total_chunks - 1
+      ? session.file_size - session.chunk_size * (session.total_chunks - 1)
+      : session.chunk_size;
+
+    if (!Buffer.isBuffer(data) || data.length !== expectedSize) {
+      throw new Error(`分片 ${index} 的大小应为 ${expectedSize} 字节`);
+    }
+
+    await storageService.put(storageService.getChunkKey(uploadId, index), data, {
+      contentType: 'application/octet-stream'
+    });
+
+    const now = Date.now();
+    await database.run(
+      'INSERT OR REPLACE INTO upload_chunks (upload_id, chunk_index, size, received_at) VALUES (?, ?, ?, ?)',
+      [uploadId, index, data.length, now]
+    );
+    await database.run(
+      'UPDATE upload_sessions SET updated_at = ? WHERE upload_id = ?',
+      [now, uploadId]
+    );
+
+    return await this.getUploadStatus(uploadId, uploaderUid);
+  }
+
+  // 查询上传进度：已接收的字节范围（包含两端）和缺失的分片序号
+  async getUploadStatus(uploadId, uploaderUid) {
+    const session = await this.getSession(uploadId, uploaderUid);
+    const chunks = await database.all(
+      'SELECT chunk_index FROM upload_chunks WHERE upload_id = ? ORDER BY chunk_index',
+      [uploadId]
+    );
+
+    const received = new Set(chunks.map(chunk => chunk.chunk_index));
+    const receivedRanges = [];
+    const missingChunks = [];
+    let receivedBytes = 0;
+
+    for (let index = 0; index < session.total_chunks; index++) {
+      if (!received.has(index)) {
+        missingChunks.push(index);
+        continue;
+      }
+
+      const start = index * session.chunk_size;
+      const end = Math.min(start + session.chunk_size, session.file_size) - 1;
+      receivedBytes += end - start + 1;
+
+      // 与上一个范围相邻时合并
+      const last = receivedRanges[receivedRanges.length - 1];
+      if (last && last.end + 1 === start) {
+        last.end = end;
+      } else {
+        receivedRanges.push({ start, end });
+      }
+    }
+
+    return {
+      uploadId: session.upload_id,
+      chatroomId: session.chatroom_id,
+      fileName: session.original_name,
+      fileSize: session.file_size,
+      mimeType: session.mime_type,
+      chunkSize: session.chunk_size,
+      totalChunks: session.total_chunks,
+      status: session.status,
+      receivedBytes,
+      receivedRanges,
+      missingChunks,
+      expiresAt: session.updated_at + config.upload.sessionExpiry
+    };
+  }
+
+  // 完成上传：按序合并分片、校验 SHA-256、检查文件类型后写入存储并登记文件（未通过类型检查时放入隔离区）
+  async completeUpload(uploadId, uploaderUid) {
+    const session = await this.getSession(uploadId, uploaderUid);
+
+    const status = await this.getUploadStatus(uploadId, uploaderUid);
+    if (status.missingChunks.length > 0) {
+      const error = new Error(`还有 ${status.missingChunks.length} 个分片未上传`);
+      error.missingChunks = status.missingChunks;
+      throw error;
+    }
+
+    if (!(await this.isMember(session.chatroom_id, uploaderUid))) {
+      throw new Error('您不在此聊天室中');
+    }
+
+    // 标记为合并中，防止重复完成或继续上传分片
+    const locked = await database.run(
+      "UPDATE upload_sessions SET status = 'assembling', updated_at = ? WHERE upload_id = ? AND status = 'uploading'",
+      [Date.now(), uploadId]
+    );
+    if (locked.changes === 0) {
+      throw new Error('文件正在合并中');
+    }
+
+    let storedName = null;
+    let quarantine = false;
+    let inspection;
+    let registered;
+    try {
+      // 按第一个分片的内容识别文件类型，未通过检查的文件放入隔离区
+      const head = await storageService.get(storageService.getChunkKey(uploadId, 0));
+      inspection = fileTypeService.inspect({
+        head: head || Buffer.alloc(0),
+        declaredType: session.mime_type,
+        fileName: session.original_name
+      });
+      quarantine = inspection.verdict !== 'accepted';
+
+      const hash = crypto.createHash('sha256');
+      const source = Readable.from(this.readChunks(session, hash));
+      const stored = await fileService.saveToStorage(source, inspection.mimeType, { quarantine });
+      storedName = stored.storedName;
+
+      if (hash.digest('hex') !== session.checksum) {
+        const error = new Error('文件校验失败，请重新上传');
+        error.code = 'CHECKSUM_MISMATCH';
+        throw error;
+      }
+
+      if (quarantine) {
+        const record = await quarantineService.quarantineFile({
+          uploaderUid,
+          chatroomId: session.chatroom_id,
+          originalName: session.original_name,
+          declaredType: session.mime_type,
+          inspection,
+          fileSize: session.file_size,
+          storedName,
+          compressedSize: stored.compressedSize,
+          isCompressed: stored.isCompressed
+        });
+        storedName = null;
+        throw quarantineService.quarantinedError(record);
+      }
+
+      registered = await fileService.registerFile({
+        uploaderUid,
+        chatroomId: session.chatroom_id,
+        originalName: session.original_name,
+        mimeType: inspection.mimeType,
+        fileSize: session.file_size,
+        storedName,
+        compressedSize: stored.compressedSize,
+        isCompressed: stored.isCompressed
+      });
+    } catch (error) {
+      if (storedName) {
+        await fileService.deleteFromStorage(storedName, { quarantine });
+      }
+
+      if (error.code === 'CHECKSUM_MISMATCH' || error.code === 'FILE_QUARANTINED') {
+        // 分片内容有误或文件已放入隔离区，丢弃整个会话
+        await this.discardSession(session);
+      } else {
+        // 超出配额等情况下保留分片，处理后可以再次完成上传
+        await database.run(
+          "UPDATE upload_sessions SET status = 'uploading', updated_at = ? WHERE upload_id = ?",
+          [Date.now(), uploadId]
+        );
+      }
+      throw error;
+    }
+
+    await this.discardSession(session);
+
+    return {
+      fileId: registered.fileId,
+      fileName: session.original_name,
+      fileSize: session.file_size,
+      mimeType: inspection.mimeType,
+      expiryTime: registered.expiryTime
+    };
+  }
+
+  // 取消上传
+  async abortUpload(uploadId, uploaderUid) {
+    const session = await this.getSession(uploadId, uploaderUid);
+
+    if (session.status !== 'uploading') {
+      throw new Error('文件正在合并，无法取消');
+    }
+
+    await this.discardSession(session);
+  }
+
+  // 按序读取全部分片，同时计算摘要
+  async *readChunks(session, hash) {
+    for (let index = 0; index < session.total_chunks; index++) {
+      const data = await storageService.get(storageService.getChunkKey(session.upload_id, index));
+      if (!data) {
+        throw new Error(`分片 ${index} 丢失`);
+      }
+      hash.update(data);
+      yield data;
+    }
+  }
+
+  // 删除会话及其全部分片（按前缀删除，本地存储时同时移除会话的分片目录）
+  async discardSession(session) {
+    try {
+      await storageService.deletePrefix(storageService.getChunkPrefix(session.upload_id));
+    } catch (error) {
+      console.warn(`删除分片失败: ${session.upload_id}`, error);
+    }
+
+    await database.run('DELETE FROM upload_sessions WHERE upload_id = ?', [session.upload_id]);
+  }
+
+  // 清理长时间没有进展的上传会话
+  async cleanupAbandonedSessions() {
+    const sessions = await database.all(
+      'SELECT upload_id FROM upload_sessions WHERE updated_at < ?',
+      [Date.now() - config.upload.sessionExpiry]
+    );
+
+    for (const session of sessions) {
+      await this.discardSession(session);
+    }
+
+    if (sessions.length > 0) {
+      console.log(`清理了 ${sessions.length} 个未完成的分片上传`);
+    }
+    return sessions.length;
+  }
+
+  // 检查用户是否在聊天室中
+  async isMember(chatroomId, uid) {
+    const member = await database.get(
+      'SELECT 1 FROM chatroom_members WHERE chatroom_id = ? AND user_uid = ? AND is_active = 1',
+      [chatroomId, uid]
+    );
+    return !!member;
+  }
+}
+
+module.exports = new ChunkedUploadService();
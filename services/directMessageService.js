@@ -0,0 +1,286 @@
+const database = require('../database');
+const utils = require('../utils');
+const messageService = require('./messageService');
+const chatroomService = require('./chatroomService');
+const mentionService = require('./mentionService');
+
+class DirectMessageService {
+  // 获取或创建两个注册用户之间的私信会话
+  async getOrCreateConversation(userUid, targetUid) {
+    if (!targetUid || userUid === targetUid) {
+      throw new Error('不能给自己发送私信');
+    }
+
+    const targetUser = await database.get(
+      'SELECT uid, nickname, avatar_url FROM users WHERE uid = ? AND is_banned = 0 AND is_placeholder = 0',
+      [targetUid]
+    );
+
+    if (!targetUser) {
+      throw new Error('目标用户不存在');
+    }
+
+    // 会话双方按UID排序存储，保证同一对用户只有一个会话
+    const [userA, userB] = [userUid, targetUid].sort();
+
+    const existing = await database.get(
+      'SELECT * FROM direct_conversations WHERE user_a_uid = ? AND user_b_uid = ?',
+      [userA, userB]
+    );
+
+    if (existing) {
+      return this.formatConversation(existing, userUid, targetUser);
+    }
+
+    // 生成唯一会话ID
+    let conversationId;
+    let attempts = 0;
+    do {
+      conversationId = utils.generateRoomId();
+      const existingRoom = await database.get(
+        'SELECT id FROM chatrooms WHERE room_id = ?',
+        [conversationId]
+      );
+      if (!existingRoom) break;
+      attempts++;
+    } while (attempts < 10);
+
+    if (attempts >= 10) {
+      throw new Error('系统繁忙，请稍后重试');
+    }
+
+    const currentUser = await database.get(
+      'SELECT uid, nickname, avatar_url FROM users WHERE uid = ?',
+      [userUid]
+    );
+
+    try {
+      // 开始事务
+      await database.beginTransaction();
+
+      // 私信会话复用聊天室记录存储消息，创建者为系统，双方都不具备管理员权限
+      await database.run(`
+        INSERT INTO chatrooms (room_id, name, creator_uid, max_users, room_type)
+        VALUES (?, ?, 'system', 2, 'direct')
+      `, [conversationId, `${userA}-${userB}`]);
+
+      await database.run(`
+        INSERT INTO direct_conversations (conversation_id, user_a_uid, user_b_uid)
+        VALUES (?, ?, ?)
+      `, [conversationId, userA, userB]);
+
+      // 双方作为会话成员（文件上传等功能依赖成员记录）
+      for (const member of [currentUser, targetUser]) {
+        await database.run(`
+          INSERT OR REPLACE INTO chatroom_members
+          (chatroom_id, user_uid, user_type, nickname, avatar_url, join_time, last_active, status, is_active)
+          VALUES (?, ?, 'user', ?, ?, ?, ?, 'offline', 1)
+        `, [conversationId, member.uid, member.nickname, member.avatar_url, Date.now(), Date.now()]);
+      }
+
+      // 提交事务
+      await database.commit();
+    } catch (error) {
+      // 回滚事务
+      await database.rollback();
+      console.error('创建私信会话失败:', error);
+      throw new Error('创建私信会话失败: ' + error.message);
+    }
+
+    const conversation = await database.get(
+      'SELECT * FROM direct_conversations WHERE conversation_id = ?',
+      [conversationId]
+    );
+
+    return this.formatConversation(conversation, userUid, targetUser);
+  }
+
+  // 获取用户参与的私信会话列表
+  async getUserConversations(userUid) {
+    const conversations = await database.all(`
+      SELECT dc.*, u.uid as peer_uid, u.nickname as peer_nickname, u.avatar_url as peer_avatar_url,
+             cm.last_read_message_id,
+             (SELECT MAX(m.created_at) FROM messages m WHERE m.chatroom_id = dc.conversation_id AND m.is_deleted = 0) as last_message_at
+      FROM direct_conversations dc
+      JOIN users u ON u.uid = CASE WHEN dc.user_a_uid = ? THEN dc.user_b_uid ELSE dc.user_a_uid END
+      LEFT JOIN chatroom_members cm ON cm.chatroom_id = dc.conversation_id AND cm.user_uid = ?
+      WHERE dc.user_a_uid = ? OR dc.user_b_uid = ?
+      ORDER BY COALESCE(last_message_at, dc.created_at) DESC
+    `, [userUid, userUid, userUid, userUid]);
+
+    return await Promise.all(conversations.map(async (conversation) => {
+      // 获取最近一条消息
+      const lastMessage = await database.get(
+        `SELECT id, content, sender_uid, created_at, message_type
+         FROM messages
+         WHERE chatroom_id = ? AND is_deleted = 0
+         ORDER BY id DESC
+         LIMIT 1`,
+        [conversation.conversation_id]
+      );
+
+      const formatted = this.formatConversation(conversation, userUid, {
+        uid: conversation.peer_uid,
+        nickname: conversation.peer_nickname,
+        avatar_url: conversation.peer_avatar_url
+      });
+
+      formatted.unreadCount = await chatroomService.getUnreadCount(
+        conversation.conversation_id,
+        userUid,
+        conversation.last_read_message_id
+      );
+      formatted.lastMessage = lastMessage ? {
+        id: lastMessage.id,
+        content: lastMessage.content,
+        senderUid: lastMessage.sender_uid,
+        createdAt: lastMessage.created_at,
+        messageType: lastMessage.message_type
+      } : null;
+
+      return formatted;
+    }));
+  }
+
+  // 查找两个用户之间已存在的私信会话
+  async findConversation(userUid, targetUid) {
+    const [userA, userB] = [userUid, targetUid].sort();
+    return await database.get(
+      'SELECT * FROM direct_conversations WHERE user_a_uid = ? AND user_b_uid = ?',
+      [userA, userB]
+    );
+  }
+
+  // 发送私信（会话不存在时自动创建）
+  async sendDirectMessage(userUid, targetUid, messageData) {
+    const conversation = await this.getOrCreateConversation(userUid, targetUid);
+
+    // 屏蔽关系由 messageService.sendMessage 统一检查
+    const message = await messageService.sendMessage({
+      ...messageData,
+      chatroomId: conversation.conversationId,
+      userUid,
+      userType: 'user'
+    });
+
+    return { conversation, message };
+  }
+
+  // 获取私信历史（游标分页）
+  async getDirectMessages(userUid, targetUid, options = {}) {
+    const conversation = await this.findConversation(userUid, targetUid);
+
+    if (!conversation) {
+      return {
+        conversationId: null,
+        messages: [],
+        nextCursor: null,
+        prevCursor: null,
+        hasMore: false,
+        hasNewer: false
+      };
+    }
+
+    const result = await messageService.getChatroomMessagesByCursor(
+      conversation.conversation_id,
+      userUid,
+      'user',
+      options
+    );
+
+    return {
+      conversationId: conversation.conversation_id,
+      ...result
+    };
+  }
+
+  // 推送私信给会话双方（每个用户的所有连接都加入 user:<uid> 房间）
+  broadcastDirectMessage(io, conversation, message) {
+    if (!io) {
+      return;
+    }
+
+    io.to(`user:${conversation.userUid}`).to(`user:${conversation.peer.uid}`).emit('new-direct-message', {
+      conversationId: conversation.conversationId,
+      participants: [conversation.userUid, conversation.peer.uid],
+      message
+    });
+
+    mentionService.notifyMentions(io, message, message.mentions);
+  }
+
+  // 屏蔽用户
+  async blockUser(blockerUid, blockedUid) {
+    if (blockerUid === blockedUid) {
+      throw new Error('不能屏蔽自己');
+    }
+
+    const targetUser = await database.get(
+      'SELECT id FROM users WHERE uid = ?',
+      [blockedUid]
+    );
+
+    if (!targetUser) {
+      throw new Error('目标用户不存在');
+    }
+
+    const result = await database.run(
+      'INSERT OR IGNORE INTO user_blocks (blocker_uid, blocked_uid) VALUES (?, ?)',
+      [blockerUid, blockedUid]
+    );
+
+    if (result.changes === 0) {
+      throw new Error('该用户已在屏蔽列表中');
+    }
+
+    return { success: true, message: '已屏蔽该用户', blockedUid };
+  }
+
+  // 解除屏蔽
+  async unblockUser(blockerUid, blockedUid) {
+    const result = await database.run(
+      'DELETE FROM user_blocks WHERE blocker_uid = ? AND blocked_uid = ?',
+      [blockerUid, blockedUid]
+    );
+
+    if (result.changes === 0) {
+      throw new Error('该用户不在屏蔽列表中');
+    }
+
+    return { success: true, message: '已解除屏蔽', blockedUid };
+  }
+
+  // 获取屏蔽列表
+  async getBlockedUsers(blockerUid) {
+    const blocks = await database.all(`
+      SELECT b.blocked_uid, b.created_at, u.nickname, u.avatar_url
+      FROM user_blocks b
+      LEFT JOIN users u ON b.blocked_uid = u.uid
+      WHERE b.blocker_uid = ?
+      ORDER BY b.created_at DESC
+    `, [blockerUid]);
+
+    return blocks.map(block => ({
+      uid: block.blocked_uid,
+      nickname: block.nickname,
+      avatarUrl: block.avatar_url,
+      blockedAt: block.created_at
+    }));
+  }
+
+  // 格式化会话信息
+  formatConversation(conversation, userUid, peer) {
+    return {
+      conversationId: conversation.conversation_id,
+      userUid,
+      peer: {
+        uid: peer.uid,
+        nickname: peer.nickname,
+        avatarUrl: peer.avatar_url
+      },
+      createdAt: conversation.created_at
+    };
+  }
+}
+
+module.exports = new DirectMessageService();
@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+
+const database = require('../database');
+const config = require('../config');
+const mailService = require('./mailService');
+
+// 邮箱验证：验证链接中的令牌为 <UID>.<过期时间>.<签名>，签名包含当前邮箱，邮箱变更后旧令牌自动失效
+class EmailVerificationService {
+  // 计算令牌签名
+  sign(uid, email, expires) {
+    return crypto
+      .createHmac('sha256', config.emailVerification.secret)
+      .update(`${uid}:${email}:${expires}`)
+      .digest('base64url');
+  }
+
+  // 生成验证令牌
+  createToken(uid, email, ttl = config.emailVerification.tokenTtl) {
+    const expires = Date.now() + ttl;
+    return `${uid}.${expires}.${this.sign(uid, email, expires)}`;
+  }
+
+  // 发送验证邮件（限制发送间隔），返回收件邮箱和发送时间
+  async sendVerification(uid) {
+    const user = await database.get(
+      'SELECT uid, nickname, email, email_verified, verification_sent_at FROM users WHERE uid = ? AND is_banned = 0',
+      [uid]
+    );
+
+    if (!user) {
+      throw new Error('用户不存在');
+    }
+
+    if (!user.email) {
+      throw new Error('尚未设置邮箱');
+    }
+
+    if (user.email_verified) {
+      throw new Error('邮箱已验证');
+    }
+
+    const now = Date.now();
+    const waitTime = user.verification_sent_at
+      ? user.verification_sent_at + config.emailVerification.resendInterval - now
+      : 0;
+
+    // 以上次发送时间为条件更新，防止并发请求重复发送
+    const result = waitTime > 0 ? { changes: 0 } : await database.run(
+      'UPDATE users SET verification_sent_at = ? WHERE uid = ? AND verification_sent_at IS ?',
+      [now, uid, user.verification_sent_at]
+    );
+    if (result.changes === 0) {
+      const error = new Error('验证邮件发送过于频繁，请稍后再试');
+      error.code = 'VERIFICATION_THROTTLED';
+      error.retryAfter = Math.max(Math.ceil(waitTime / 1000), 1);
+      throw error;
+    }
+
+    try {
+      await mailService.sendEmailVerification(user, this.createToken(user.uid, user.email));
+    } catch (error) {
+      // 发送失败时不计入发送间隔
+      await database.run(
+        'UPDATE users SET verification_sent_at = ? WHERE uid = ? AND verification_sent_at = ?',
+        [user.verification_sent_at, uid, now]
+      );
+      throw error;
+    }
+
+    return { email: user.email, sentAt: now };
+  }
+
+  // 验证邮箱，返回用户UID和已验证的邮箱
+  async verifyEmail(token) {
+    const [uid, expires, signature] = typeof token === 'string' ? token.split('.') : [];
+    const expiresAt = parseInt(expires);
+    if (!uid || !signature || !Number.isInteger(expiresAt) || expiresAt < Date.now()) {
+      throw new Error('验证链接无效或已过期');
+    }
+
+    const user = await database.get(
+      'SELECT uid, email, email_verified FROM users WHERE uid = ? AND is_banned = 0',
+      [uid]
+    );
+    if (!user || !user.email) {
+      throw new Error('验证链接无效或已过期');
+    }
+
+    const expected = Buffer.from(this.sign(user.uid, user.email, expiresAt));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw new Error('验证链接无效或已过期');
+    }
+
+    if (!user.email_verified) {
+      await database.run(
+        'UPDATE users SET email_verified = 1, email_verified_at = ? WHERE uid = ? AND email = ?',
+        [Date.now(), user.uid, user.email]
+      );
+    }
+
+    return { uid: user.uid, email: user.email };
+  }
+
+  // 检查用户邮箱是否已验证
+  async isVerified(uid) {
+    const user = await database.get(
+      'SELECT email_verified FROM users WHERE uid = ? AND email IS NOT NULL',
+      [uid]
+    );
+    return Boolean(user && user.email_verified);
+  }
+}
+
+module.exports = new EmailVerificationService();
@@ -0,0 +1,385 @@
+const database = require('../database');
+const messageService = require('./messageService');
+
+// 每批读取的消息数量
+const EXPORT_BATCH_SIZE = 200;
+
+class ExportService {
+  // 支持的导出格式
+  getFormat(format) {
+    const formats = {
+      json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+      html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+      md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' }
+    };
+
+    return formats[format] || null;
+  }
+
+  // 获取导出的聊天室信息
+  async getExportRoom(roomId) {
+    const chatroom = await database.get(
+      "SELECT room_id, name, creator_uid, created_at FROM chatrooms WHERE room_id = ? AND room_type = 'group'",
+      [roomId]
+    );
+
+    if (!chatroom) {
+      throw new Error('聊天室不存在');
+    }
+
+    return {
+      roomId: chatroom.room_id,
+      name: chatroom.name,
+      creatorUid: chatroom.creator_uid,
+      createdAt: chatroom.created_at
+    };
+  }
+
+  // 按批次读取聊天室全部历史（包含话题回复和系统消息），可见性规则与消息历史一致
+  async *iterateMessages(roomId, userUid, userType, range = {}) {
+    const visibility = await messageService.buildMessageVisibilityFilter(roomId, userUid, userType);
+
+    const conditions = ['m.is_deleted = 0'];
+    const params = [];
+    if (range.from) {
+      conditions.push('m.created_at >= ?');
+      params.push(range.from);
+    }
+    if (range.to) {
+      conditions.push('m.created_at <= ?');
+      params.push(range.to);
+    }
+
+    let lastId = 0;
+    while (true) {
+      const rows = await messageService.queryChatroomMessages(visibility, {
+        where: [...conditions, 'm.id > ?'].join(' AND '),
+        params: [...params, lastId],
+        order: 'ASC',
+        limit: EXPORT_BATCH_SIZE
+      });
+
+      if (rows.length === 0) {
+        return;
+      }
+
+      yield await messageService.formatChatroomMessages(rows, roomId, userUid);
+
+      if (rows.length < EXPORT_BATCH_SIZE) {
+        return;
+      }
+      lastId = rows[rows.length - 1].id;
+    }
+  }
+
+  // 生成导出内容（逐段产出，供流式写入响应）
+  async *generateExport(roomId, userUid, userType, format, range = {}) {
+    const room = await this.getExportRoom(roomId);
+    const files = new Map();
+    const meta = {
+      room,
+      exportedAt: Date.now(),
+      exportedBy: userUid,
+      from: range.from || null,
+      to: range.to || null
+    };
+
+    yield this.renderHeader(format, meta);
+
+    let count = 0;
+    for await (const messages of this.iterateMessages(roomId, userUid, userType, range)) {
+      await this.loadFileMetadata(messages, files);
+
+      for (const message of messages) {
+        const exported = this.buildExportMessage(message, files);
+        yield this.renderMessage(format, exported, count);
+        count++;
+      }
+    }
+
+    yield this.renderFooter(format, meta, count);
+  }
+
+  // 批量读取文件消息对应的文件元数据
+  async loadFileMetadata(messages, files) {
+    const fileIds = messages
+      .filter(message => message.fileId && !files.has(message.fileId))
+      .map(message => message.fileId);
+
+    if (fileIds.length === 0) {
+      return;
+    }
+
+    const rows = await database.all(
+      `SELECT file_id, original_name, file_size, mime_type, upload_time, expiry_time, is_expired
+       FROM files WHERE file_id IN (${fileIds.map(() => '?').join(',')})`,
+      fileIds
+    );
+
+    for (const row of rows) {
+      files.set(row.file_id, row);
+    }
+  }
+
+  // 构建导出的消息结构
+  buildExportMessage(message, files) {
+    const exported = {
+      id: message.id,
+      createdAt: message.createdAt,
+      editedAt: message.editedAt,
+      messageType: message.messageType,
+      threadRootId: message.threadRootId,
+      replyToMessageId: message.replyToMessageId,
+      user: {
+        uid: message.user.uid,
+        nickname: message.user.nickname,
+        type: message.userType
+      },
+      content: this.decodeText(message.content),
+      reactions: message.reactions,
+      mentions: message.mentions,
+      isPinned: message.isPinned
+    };
+
+    if (message.markdownContent) {
+      exported.markdownContent = message.markdownContent;
+    }
+
+    if (message.imageUrl) {
+      exported.imageUrl = message.imageUrl;
+    }
+
+    if (message.bilibiliId) {
+      exported.bilibili = {
+        bvid: message.bilibiliId,
+        url: `https://www.bilibili.com/video/${message.bilibiliId}`,
+        embedUrl: `https://player.bilibili.com/player.html?bvid=${message.bilibiliId}`
+      };
+    }
+
+    if (message.fileId) {
+      const file = files.get(message.fileId);
+      exported.file = {
+        fileId: message.fileId,
+        name: message.fileName,
+        size: message.fileSize,
+        mimeType: file ? file.mime_type : null,
+        uploadedAt: file ? file.upload_time : null,
+        expiresAt: message.fileExpiry,
+        isExpired: file ? file.is_expired === 1 || Date.now() > file.expiry_time : true
+      };
+    }
+
+    if (message.replyToMessage) {
+      exported.replyTo = {
+        id: message.replyToMessage.id,
+        nickname: message.replyToMessage.user.nickname,
+        content: this.decodeText(message.replyToMessage.content)
+      };
+    }
+
+    if (message.messageType === 'system') {
+      exported.systemMessageType = message.systemMessageType;
+    }
+
+    return exported;
+  }
+
+  // 渲染文件头
+  renderHeader(format, meta) {
+    if (format === 'json') {
+      const header = JSON.stringify({ ...meta, messages: [] }, null, 2);
+      // 去掉末尾的 "[]\n}"，逐条写入消息
+      return header.slice(0, header.lastIndexOf('[') + 1) + '\n';
+    }
+
+    const range = this.describeRange(meta);
+
+    if (format === 'html') {
+      return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8">
+<title>${this.escapeHtml(meta.room.name)} - 聊天记录</title>
+<style>
+body { font-family: -apple-system, "PingFang SC", "Microsoft YaHei", sans-serif; max-width: 860px; margin: 0 auto; padding: 24px; color: #222; }
+.meta { color: #666; font-size: 14px; }
+.message { border-bottom: 1px solid #eee; padding: 12px 0; }
+.message.thread { margin-left: 32px; }
+.message.system { color: #888; font-style: italic; }
+.sender { font-weight: bold; }
+.time { color: #999; font-size: 12px; margin-left: 8px; }
+.reply { border-left: 3px solid #ddd; padding-left: 8px; color: #666; font-size: 13px; }
+pre { white-space: pre-wrap; background: #f7f7f7; padding: 8px; border-radius: 4px; }
+</style>
+</head>
+<body>
+<h1>${this.escapeHtml(meta.room.name)}</h1>
+<p class="meta">聊天室ID：${this.escapeHtml(meta.room.roomId)}<br>导出时间：${this.formatTime(meta.exportedAt)}<br>时间范围：${range}</p>
+`;
+    }
+
+    return `# ${meta.room.name} - 聊天记录
+
+- 聊天室ID：${meta.room.roomId}
+- 导出时间：${this.formatTime(meta.exportedAt)}
+- 时间范围：${range}
+
+---
+
+`;
+  }
+
+  // 渲染单条消息
+  renderMessage(format, message, index) {
+    if (format === 'json') {
+      const json = JSON.stringify(message, null, 2).replace(/^/gm, '    ');
+      return (index > 0 ? ',\n' : '') + json;
+    }
+
+    if (format === 'html') {
+      return this.renderHtmlMessage(message);
+    }
+
+    return this.renderMarkdownMessage(message);
+  }
+
+  // 渲染文件尾
+  renderFooter(format, meta, count) {
+    if (format === 'json') {
+      return `\n  ],\n  "total": ${count}\n}\n`;
+    }
+
+    if (format === 'html') {
+      return `<p class="meta">共 ${count} 条消息</p>\n</body>\n</html>\n`;
+    }
+
+    return `---\n\n共 ${count} 条消息\n`;
+  }
+
+  // 渲染HTML格式的消息
+  renderHtmlMessage(message) {
+    const classes = ['message'];
+    if (message.threadRootId) classes.push('thread');
+    if (message.messageType === 'system') classes.push('system');
+
+    const parts = [
+      `<div class="${classes.join(' ')}" id="message-${message.id}">`,
+      `<div><span class="sender">${this.escapeHtml(message.user.nickname || message.user.uid)}</span><span class="time">${this.formatTime(message.createdAt)}${message.editedAt ? '（已编辑）' : ''}</span></div>`
+    ];
+
+    if (message.replyTo) {
+      parts.push(`<div class="reply"><a href="#message-${message.replyTo.id}">回复 ${this.escapeHtml(message.replyTo.nickname || '')}</a>：${this.escapeHtml(message.replyTo.content)}</div>`);
+    }
+
+    if (message.content) {
+      parts.push(`<div>${this.escapeHtml(message.content).replace(/\n/g, '<br>')}</div>`);
+    }
+
+    if (message.markdownContent) {
+      parts.push(`<pre>${this.escapeHtml(message.markdownContent)}</pre>`);
+    }
+
+    if (message.imageUrl) {
+      parts.push(`<div><a href="${this.escapeHtml(message.imageUrl)}">[图片] ${this.escapeHtml(message.imageUrl)}</a></div>`);
+    }
+
+    if (message.bilibili) {
+      parts.push(`<div><iframe src="${message.bilibili.embedUrl}" width="480" height="300" frameborder="0" allowfullscreen></iframe><br><a href="${message.bilibili.url}">${message.bilibili.bvid}</a></div>`);
+    }
+
+    if (message.file) {
+      parts.push(`<div>[文件] ${this.escapeHtml(message.file.name)}（${this.formatSize(message.file.size)}${message.file.isExpired ? '，已过期' : ''}）</div>`);
+    }
+
+    parts.push('</div>\n');
+    return parts.join('\n');
+  }
+
+  // 渲染Markdown格式的消息
+  renderMarkdownMessage(message) {
+    const lines = [];
+    const indent = message.threadRootId ? '> ' : '';
+
+    lines.push(`**${message.user.nickname || message.user.uid}** · ${this.formatTime(message.createdAt)}${message.editedAt ? '（已编辑）' : ''} · #${message.id}${message.threadRootId ? ` · 话题 #${message.threadRootId}` : ''}`);
+    lines.push('');
+
+    if (message.replyTo) {
+      lines.push(`> 回复 **${message.replyTo.nickname || ''}**（#${message.replyTo.id}）：${message.replyTo.content.replace(/\n/g, ' ')}`);
+      lines.push('');
+    }
+
+    if (message.messageType === 'system') {
+      lines.push(`*${message.content}*`);
+    } else if (message.content) {
+      lines.push(message.content);
+    }
+
+    if (message.markdownContent) {
+      lines.push('');
+      lines.push(message.markdownContent);
+    }
+
+    if (message.imageUrl) {
+      lines.push(`![图片](${message.imageUrl})`);
+    }
+
+    if (message.bilibili) {
+      lines.push(`[B站视频 ${message.bilibili.bvid}](${message.bilibili.url})`);
+    }
+
+    if (message.file) {
+      lines.push(`[文件] ${message.file.name}（${this.formatSize(message.file.size)}${message.file.isExpired ? '，已过期' : ''}）`);
+    }
+
+    return lines.map(line => indent + line).join('\n') + '\n\n';
+  }
+
+  // 描述导出的时间范围
+  describeRange(meta) {
+    const from = meta.from ? this.formatTime(meta.from) : '最早';
+    const to = meta.to ? this.formatTime(meta.to) : '最新';
+    return `${from} ~ ${to}`;
+  }
+
+  // 消息内容入库时经过转义，导出时还原为原始文本
+  decodeText(text) {
+    if (!text) return '';
+    return text
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#x27;/g, "'")
+      .replace(/&#x2F;/g, '/');
+  }
+
+  // HTML转义
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#x27;');
+  }
+
+  // 格式化时间
+  formatTime(timestamp) {
+    return new Date(timestamp).toLocaleString('zh-CN', { hour12: false });
+  }
+
+  // 格式化文件大小
+  formatSize(size) {
+    if (!size) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = size;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+      value /= 1024;
+      unit++;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+  }
+}
+
+module.exports = new ExportService();
@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const database = require('../database');
+const config = require('../config');
+const storageService = require('./storageService');
+
+// 文件和聊天图片的访问控制：聊天室成员携带令牌访问，或使用签发给成员的短时签名链接
+class FileAccessService {
+  // 计算路径签名
+  sign(resourcePath, expires) {
+    return crypto
+      .createHmac('sha256', config.fileAccess.urlSecret)
+      .update(`${resourcePath}:${expires}`)
+      .digest('base64url');
+  }
+
+  // 生成签名链接
+  createSignedUrl(resourcePath, ttl = config.fileAccess.signedUrlTtl) {
+    const expires = Date.now() + ttl;
+    return {
+      url: `${resourcePath}?expires=${expires}&signature=${this.sign(resourcePath, expires)}`,
+      expiresAt: expires
+    };
+  }
+
+  // 验证签名链接
+  verifySignature(resourcePath, expires, signature) {
+    const expiresAt = parseInt(expires);
+    if (!Number.isInteger(expiresAt) || expiresAt < Date.now() || typeof signature !== 'string') {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(resourcePath, expiresAt));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  // 检查用户是否为聊天室成员
+  async isMember(uid, chatroomId) {
+    const member = await database.get(
+      'SELECT 1 FROM chatroom_members WHERE chatroom_id = ? AND user_uid = ? AND is_active = 1',
+      [chatroomId, uid]
+    );
+    return !!member;
+  }
+
+  // 检查用户能否访问聊天图片（所在聊天室的成员，或尚未发送的定时消息的发送者），缩略图、预览图按原图判断
+  async canAccessImage(uid, url) {
+    const imageUrl = `/uploads/images/${storageService.getOriginalImageName(url.split('/').pop())}`;
+    const message = await database.get(`
+      SELECT 1 FROM messages m
+      JOIN chatroom_members cm ON cm.chatroom_id = m.chatroom_id AND cm.user_uid = ? AND cm.is_active = 1
+      WHERE m.image_url = ?
+      LIMIT 1
+    `, [uid, imageUrl]);
+
+    if (message) {
+      return true;
+    }
+
+    const scheduled = await database.get(
+      "SELECT 1 FROM scheduled_messages WHERE image_url = ? AND sender_uid = ? AND status IN ('pending', 'sending') LIMIT 1",
+      [imageUrl, uid]
+    );
+    return !!scheduled;
+  }
+
+  // 检查请求能否访问资源：带签名的请求只校验签名，否则要求已登录且通过 isAllowed 检查
+  // 返回 null 表示允许访问，否则返回 { status, message }
+  async checkAccess(req, isAllowed) {
+    const { expires, signature } = req.query;
+
+    if (signature !== undefined || expires !== undefined) {
+      return this.verifySignature(req.baseUrl + req.path, expires, signature)
+        ? null
+        : { status: 403, message: '链接无效或已过期' };
+    }
+
+    if (!req.user) {
+      return { status: 401, message: '需要身份验证' };
+    }
+
+    return (await isAllowed(req.user.uid))
+      ? null
+      : { status: 403, message: '没有权限访问此文件' };
+  }
+}
+
+module.exports = new FileAccessService();
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { Readable, Transform, pipeline } = require('stream');
+const { v4: uuidv4 } = require('uuid');
+
+const database = require('../database');
+const storageService = require('./storageService');
+const uploadLimitService = require('./uploadLimitService');
+
+// 本身已经是压缩格式的文件类型，再用gzip压缩几乎没有收益，直接存储原始内容
+const COMPRESSED_MIME_TYPES = [
+  'image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp', 'image/avif', 'image/heic',
+  'application/zip', 'application/gzip', 'application/x-gzip', 'application/x-rar-compressed',
+  'application/vnd.rar', 'application/x-7z-compressed', 'application/x-bzip2', 'application/x-xz',
+  'application/zstd', 'application/pdf',
+  // Office Open XML 和 OpenDocument 格式本身是 zip 包
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/vnd.oasis.opendocument.text',
+  'application/vnd.oasis.opendocument.spreadsheet',
+  'application/vnd.oasis.opendocument.presentation',
+  'application/epub+zip', 'application/java-archive'
+];
+
+// 未压缩的音频格式（其余音视频格式都已压缩）
+const UNCOMPRESSED_MEDIA_TYPES = ['audio/wav', 'audio/x-wav', 'audio/wave', 'audio/aiff', 'audio/x-aiff'];
+
+// 聊天文件服务：写入存储（按类型决定是否gzip压缩）、登记到 files 表、读取原始内容、在隔离区和聊天文件存储之间移动
+class FileService {
+  // 判断文件类型是否需要压缩存储
+  shouldCompress(mimeType) {
+    const type = (mimeType || '').toLowerCase();
+
+    if (COMPRESSED_MIME_TYPES.includes(type)) {
+      return false;
+    }
+
+    if ((type.startsWith('audio/') || type.startsWith('video/')) && !UNCOMPRESSED_MEDIA_TYPES.includes(type)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  // 将文件内容（Buffer 或可读流）写入存储，返回存储名、存储大小（compressed_size）和是否经过压缩
+  // quarantine 为 true 时写入隔离区
+  async saveToStorage(source, mimeType, { quarantine = false } = {}) {
+    // 生成存储名，统一使用.file后缀以隐藏真实文件类型
+    const storedName = crypto.randomBytes(16).toString('hex') + '.file';
+    const key = quarantine ? storageService.getQuarantineKey(storedName) : storageService.getFileKey(storedName);
+    const isCompressed = this.shouldCompress(mimeType);
+
+    let compressedSize = 0;
+    const counter = new Transform({
+      transform(chunk, encoding, callback) {
+        compressedSize += chunk.length;
+        callback(null, chunk);
+      }
+    });
+
+    const input = Buffer.isBuffer(source) ? Readable.from([source]) : source;
+    const stored = isCompressed
+      ? pipeline(input, zlib.createGzip({ level: 6 }), counter, () => {}) // 使用适中的压缩级别
+      : pipeline(input, counter, () => {});
+
+    try {
+      await storageService.put(key, stored, {
+        contentType: isCompressed ? 'application/gzip' : 'application/octet-stream'
+      });
+    } catch (error) {
+      await this.deleteFromStorage(storedName, { quarantine });
+      throw error;
+    }
+
+    return { storedName, compressedSize, isCompressed };
+  }
+
+  // 删除存储中的文件（聊天文件或隔离区文件）
+  async deleteFromStorage(storedName, { quarantine = false } = {}) {
+    if (!quarantine) {
+      return await storageService.deleteFile(storedName);
+    }
+
+    try {
+      await storageService.delete(storageService.getQuarantineKey(storedName));
+      return true;
+    } catch (error) {
+      console.warn(`删除隔离文件失败: ${storedName}`, error);
+      return false;
+    }
+  }
+
+  // 在隔离区和聊天文件存储之间移动文件（存储格式相同，直接复制后删除原文件）
+  async moveStoredFile(fromKey, toKey) {
+    const object = await storageService.stream(fromKey);
+    if (!object) {
+      throw new Error('文件不存在');
+    }
+
+    await storageService.put(toKey, object.stream, { contentType: object.contentType });
+    await storageService.delete(fromKey);
+  }
+
+  // 将隔离区的文件移动到聊天文件存储
+  async moveFromQuarantine(storedName) {
+    await this.moveStoredFile(storageService.getQuarantineKey(storedName), storageService.getFileKey(storedName));
+  }
+
+  // 将聊天文件移回隔离区
+  async moveToQuarantine(storedName) {
+    await this.moveStoredFile(storageService.getFileKey(storedName), storageService.getQuarantineKey(storedName));
+  }
+
+  // 读取文件的原始内容（可指定字节范围，end 包含在内），存储中不存在时返回 null
+  async openStream(file, range = null, key = storageService.getFileKey(file.stored_name)) {
+    // 未压缩的文件直接按范围读取
+    if (!file.is_compressed) {
+      const object = await storageService.stream(key, range || {});
+      return object ? object.stream : null;
+    }
+
+    // 压缩文件需要从头边解压边读取，再截取所需范围
+    const object = await storageService.stream(key);
+    if (!object) {
+      return null;
+    }
+
+    const decompressed = pipeline(object.stream, zlib.createGunzip(), () => {});
+    return range ? Readable.from(this.sliceStream(decompressed, range.start, range.end)) : decompressed;
+  }
+
+  // 截取流中 [start, end] 范围内的字节，读到 end 后停止读取剩余内容
+  async *sliceStream(stream, start, end) {
+    let position = 0;
+
+    for await (const chunk of stream) {
+      const chunkStart = position;
+      position += chunk.length;
+
+      if (position <= start) {
+        continue;
+      }
+
+      yield chunk.subarray(Math.max(0, start - chunkStart), Math.min(chunk.length, end + 1 - chunkStart));
+
+      if (position > end) {
+        break;
+      }
+    }
+  }
+
+  // 生成文件的 ETag（文件登记后内容不再变化）
+  getETag(file) {
+    return `"${crypto.createHash('sha1').update(`${file.file_id}:${file.stored_name}`).digest('hex')}"`;
+  }
+
+  // 检查存储配额并登记文件（保存原始文件大小用于显示，压缩大小用于存储管理），返回文件ID和过期时间
+  async registerFile({ uploaderUid, chatroomId, originalName, mimeType, fileSize, storedName, compressedSize, isCompressed = true, settings }) {
+    const roomSettings = settings || await uploadLimitService.getRoomSettings(chatroomId);
+    await uploadLimitService.checkQuota(uploaderUid, chatroomId, compressedSize, roomSettings);
+
+    const fileId = uuidv4();
+    const uploadTime = Date.now();
+
+    // 计算过期时间（按聊天室的文件保留时长）
+    const expiryTime = uploadTime + roomSettings.fileRetention;
+
+    await database.run(`
+      INSERT INTO files (
+        file_id, original_name, stored_name, mime_type, file_size,
+        uploader_uid, chatroom_id, upload_time, expiry_time, compressed_size, is_compressed
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      fileId,
+      originalName,
+      storedName,
+      mimeType,
+      fileSize,
+      uploaderUid,
+      chatroomId,
+      uploadTime,
+      expiryTime,
+      compressedSize,
+      isCompressed ? 1 : 0
+    ]);
+
+    return { fileId, expiryTime };
+  }
+}
+
+module.exports = new FileService();
@@ -0,0 +1,443 @@
+const path = require('path');
+const config = require('../config');
+
+// 识别类型时读取的文件头长度
+const SNIFF_LENGTH = 64 * 1024;
+
+// 常见的 MIME 类型别名
+const TYPE_ALIASES = {
+  'image/jpg': 'image/jpeg',
+  'image/pjpeg': 'image/jpeg',
+  'audio/mp3': 'audio/mpeg',
+  'audio/x-wav': 'audio/wav',
+  'audio/wave': 'audio/wav',
+  'audio/x-flac': 'audio/flac',
+  'audio/x-m4a': 'audio/mp4',
+  'video/avi': 'video/x-msvideo',
+  'video/mov': 'video/quicktime',
+  'video/wmv': 'video/x-ms-wmv',
+  'video/flv': 'video/x-flv',
+  'application/x-zip-compressed': 'application/zip',
+  'application/x-gzip': 'application/gzip',
+  'application/vnd.rar': 'application/x-rar-compressed',
+  'text/rtf': 'application/rtf',
+  'application/x-sh': 'text/x-shellscript'
+};
+
+// 只能确定大类的识别结果，与声明的类型相符时使用声明的具体类型
+const GENERIC_TYPES = ['text/plain', 'application/zip', 'application/x-ole-storage'];
+
+// 浏览器无法确定类型时声明的类型，不参与比对
+const UNSPECIFIED_TYPES = ['', 'application/octet-stream', 'binary/octet-stream', 'application/unknown'];
+
+// Office Open XML 文档的主体部件
+const OOXML_TYPES = {
+  'word/document.xml': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'xl/workbook.xml': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'ppt/presentation.xml': 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+
+const ascii = (buffer, start, end) => buffer.toString('latin1', start, end);
+
+// 文件签名：mimeType 为识别出的类型（可以是函数，按内容进一步区分），
+// family 为与该内容相符的声明类型，extensions 为与该内容相符的扩展名
+const SIGNATURES = [
+  {
+    mimeType: 'image/jpeg',
+    family: ['image/jpeg'],
+    extensions: ['.jpg', '.jpeg', '.jpe', '.jfif'],
+    test: buffer => startsWith(buffer, [0xFF, 0xD8, 0xFF])
+  },
+  {
+    mimeType: 'image/png',
+    family: ['image/png', 'image/apng'],
+    extensions: ['.png', '.apng'],
+    test: buffer => startsWith(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])
+  },
+  {
+    mimeType: 'image/gif',
+    family: ['image/gif'],
+    extensions: ['.gif'],
+    test: buffer => /^GIF8[79]a/.test(ascii(buffer, 0, 6))
+  },
+  {
+    mimeType: 'image/webp',
+    family: ['image/webp'],
+    extensions: ['.webp'],
+    test: buffer => ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WEBP'
+  },
+  {
+    mimeType: 'image/bmp',
+    family: ['image/bmp', 'image/x-ms-bmp'],
+    extensions: ['.bmp', '.dib'],
+    test: buffer => ascii(buffer, 0, 2) === 'BM' && buffer.length >= 18 && [12, 40, 52, 56, 64, 108, 124].includes(buffer.readUInt32LE(14))
+  },
+  {
+    mimeType: 'image/tiff',
+    family: ['image/tiff'],
+    extensions: ['.tif', '.tiff'],
+    test: buffer => startsWith(buffer, [0x49, 0x49, 0x2A, 0x00]) || startsWith(buffer, [0x4D, 0x4D, 0x00, 0x2A])
+  },
+  {
+    mimeType: 'image/x-icon',
+    family: ['image/x-icon', 'image/vnd.microsoft.icon'],
+    extensions: ['.ico', '.cur'],
+    test: buffer => (startsWith(buffer, [0x00, 0x00, 0x01, 0x00]) || startsWith(buffer, [0x00, 0x00, 0x02, 0x00])) &&
+      buffer.length >= 6 && buffer.readUInt16LE(4) > 0
+  },
+  {
+    // ISO 基础媒体文件格式，按 ftyp 中的品牌区分
+    mimeType: buffer => {
+      const brand = ascii(buffer, 8, 12);
+      if (['avif', 'avis'].includes(brand)) return 'image/avif';
+      if (['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'mif1', 'msf1'].includes(brand)) return 'image/heic';
+      if (brand === 'qt  ') return 'video/quicktime';
+      if (['M4A ', 'M4B ', 'M4P '].includes(brand)) return 'audio/mp4';
+      if (brand.startsWith('3g')) return 'video/3gpp';
+      return 'video/mp4';
+    },
+    family: ['video/mp4', 'video/x-m4v', 'audio/mp4', 'video/quicktime', 'video/3gpp', 'audio/3gpp', 'image/heic', 'image/heif', 'image/avif'],
+    extensions: ['.mp4', '.m4v', '.m4a', '.m4b', '.mov', '.3gp', '.3g2', '.heic', '.heif', '.avif'],
+    test: buffer => ascii(buffer, 4, 8) === 'ftyp'
+  },
+  {
+    mimeType: 'application/pdf',
+    family: ['application/pdf'],
+    extensions: ['.pdf'],
+    test: buffer => ascii(buffer, 0, 5) === '%PDF-'
+  },
+  {
+    mimeType: 'application/rtf',
+    family: ['application/rtf'],
+    extensions: ['.rtf'],
+    test: buffer => ascii(buffer, 0, 5) === '{\\rtf'
+  },
+  {
+    // zip 包，按其中的文件区分 Office 文档、OpenDocument、EPUB、Java 和 Android 程序包
+    mimeType: buffer => {
+      const head = ascii(buffer, 0, buffer.length);
+
+      // OpenDocument 和 EPUB 的第一个文件是不压缩的 mimetype
+      if (ascii(buffer, 30, 38) === 'mimetype' && buffer.readUInt16LE(26) === 8) {
+        const declared = ascii(buffer, 38 + buffer.readUInt16LE(28), 38 + buffer.readUInt16LE(28) + buffer.readUInt32LE(18));
+        if (/^application\/[\w.+-]+$/.test(declared)) return declared;
+      }
+
+      if (head.includes('AndroidManifest.xml') || head.includes('classes.dex')) return 'application/vnd.android.package-archive';
+      if (head.includes('META-INF/MANIFEST.MF') || /\.class\b/.test(head)) return 'application/java-archive';
+      if (head.includes('[Content_Types].xml')) {
+        for (const [part, type] of Object.entries(OOXML_TYPES)) {
+          if (head.includes(part)) return type;
+        }
+      }
+      return 'application/zip';
+    },
+    family: [
+      'application/zip', ...Object.values(OOXML_TYPES),
+      'application/vnd.oasis.opendocument.text', 'application/vnd.oasis.opendocument.spreadsheet',
+      'application/vnd.oasis.opendocument.presentation', 'application/epub+zip',
+      'application/java-archive', 'application/vnd.android.package-archive'
+    ],
+    extensions: ['.zip', '.docx', '.xlsx', '.pptx', '.odt', '.ods', '.odp', '.epub', '.jar', '.apk'],
+    test: buffer => startsWith(buffer, [0x50, 0x4B, 0x03, 0x04]) || startsWith(buffer, [0x50, 0x4B, 0x05, 0x06])
+  },
+  {
+    // OLE2 复合文档（旧版 Office 文档、MSI 安装包）
+    mimeType: 'application/x-ole-storage',
+    family: ['application/msword', 'application/vnd.ms-excel', 'application/vnd.ms-powerpoint', 'application/vnd.ms-outlook', 'application/x-msi'],
+    extensions: ['.doc', '.xls', '.ppt', '.msg', '.msi'],
+    test: buffer => startsWith(buffer, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1])
+  },
+  {
+    mimeType: 'application/x-rar-compressed',
+    family: ['application/x-rar-compressed'],
+    extensions: ['.rar'],
+    test: buffer => ascii(buffer, 0, 6) === 'Rar!\x1A\x07'
+  },
+  {
+    mimeType: 'application/x-7z-compressed',
+    family: ['application/x-7z-compressed'],
+    extensions: ['.7z'],
+    test: buffer => startsWith(buffer, [0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C])
+  },
+  {
+    mimeType: 'application/gzip',
+    family: ['application/gzip', 'application/x-compressed-tar'],
+    extensions: ['.gz', '.tgz'],
+    test: buffer => startsWith(buffer, [0x1F, 0x8B])
+  },
+  {
+    mimeType: 'application/x-bzip2',
+    family: ['application/x-bzip2'],
+    extensions: ['.bz2', '.tbz2'],
+    test: buffer => /^BZh[1-9]/.test(ascii(buffer, 0, 4))
+  },
+  {
+    mimeType: 'application/x-xz',
+    family: ['application/x-xz'],
+    extensions: ['.xz', '.txz'],
+    test: buffer => startsWith(buffer, [0xFD, 0x37, 0x7A, 0x58, 0x5A, 0x00])
+  },
+  {
+    mimeType: 'application/zstd',
+    family: ['application/zstd'],
+    extensions: ['.zst'],
+    test: buffer => startsWith(buffer, [0x28, 0xB5, 0x2F, 0xFD])
+  },
+  {
+    mimeType: 'application/x-tar',
+    family: ['application/x-tar'],
+    extensions: ['.tar'],
+    test: buffer => ascii(buffer, 257, 262) === 'ustar'
+  },
+  {
+    mimeType: 'application/x-msdownload',
+    family: ['application/x-msdownload', 'application/x-dosexec', 'application/vnd.microsoft.portable-executable'],
+    extensions: ['.exe', '.dll', '.com', '.scr', '.sys', '.cpl'],
+    // MZ 头中 0x3C 处的偏移指向 PE 签名
+    test: buffer => {
+      if (ascii(buffer, 0, 2) !== 'MZ' || buffer.length < 64) return false;
+      const offset = buffer.readUInt32LE(60);
+      return offset <= buffer.length - 4 && ascii(buffer, offset, offset + 4) === 'PE\0\0';
+    }
+  },
+  {
+    mimeType: 'application/x-executable',
+    family: ['application/x-executable', 'application/x-elf', 'application/x-sharedlib'],
+    extensions: ['.so'],
+    test: buffer => ascii(buffer, 0, 4) === '\x7FELF'
+  },
+  {
+    mimeType: 'application/x-mach-binary',
+    family: ['application/x-mach-binary'],
+    extensions: ['.dylib'],
+    test: buffer => buffer.length >= 4 && [0xFEEDFACE, 0xFEEDFACF, 0xCEFAEDFE, 0xCFFAEDFE].includes(buffer.readUInt32BE(0))
+  },
+  {
+    // Java class 文件（与 Mach-O 通用二进制的签名相同）
+    mimeType: 'application/java-vm',
+    family: ['application/java-vm', 'application/x-mach-binary'],
+    extensions: ['.class'],
+    test: buffer => startsWith(buffer, [0xCA, 0xFE, 0xBA, 0xBE])
+  },
+  {
+    mimeType: 'audio/mpeg',
+    family: ['audio/mpeg'],
+    extensions: ['.mp3'],
+    // ID3 标签或 MPEG 音频帧同步（layer 不为 0）
+    test: buffer => ascii(buffer, 0, 3) === 'ID3' || (buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0 && (buffer[1] & 0x06) !== 0)
+  },
+  {
+    mimeType: 'audio/aac',
+    family: ['audio/aac', 'audio/x-aac'],
+    extensions: ['.aac'],
+    // ADTS 帧同步（layer 为 0）
+    test: buffer => buffer[0] === 0xFF && (buffer[1] & 0xF6) === 0xF0
+  },
+  {
+    mimeType: 'audio/wav',
+    family: ['audio/wav', 'audio/vnd.wave'],
+    extensions: ['.wav'],
+    test: buffer => ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WAVE'
+  },
+  {
+    mimeType: 'video/x-msvideo',
+    family: ['video/x-msvideo', 'video/msvideo'],
+    extensions: ['.avi'],
+    test: buffer => ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'AVI '
+  },
+  {
+    mimeType: 'audio/ogg',
+    family: ['audio/ogg', 'video/ogg', 'application/ogg', 'audio/opus'],
+    extensions: ['.ogg', '.oga', '.ogv', '.opus'],
+    test: buffer => ascii(buffer, 0, 4) === 'OggS'
+  },
+  {
+    mimeType: 'audio/flac',
+    family: ['audio/flac'],
+    extensions: ['.flac'],
+    test: buffer => ascii(buffer, 0, 4) === 'fLaC'
+  },
+  {
+    mimeType: 'video/webm',
+    family: ['video/webm', 'audio/webm', 'video/x-matroska', 'audio/x-matroska'],
+    extensions: ['.webm', '.mkv', '.mka'],
+    test: buffer => startsWith(buffer, [0x1A, 0x45, 0xDF, 0xA3])
+  },
+  {
+    mimeType: 'video/x-flv',
+    family: ['video/x-flv'],
+    extensions: ['.flv'],
+    test: buffer => ascii(buffer, 0, 3) === 'FLV' && buffer[3] === 0x01
+  },
+  {
+    mimeType: 'video/x-ms-wmv',
+    family: ['video/x-ms-wmv', 'video/x-ms-asf', 'audio/x-ms-wma'],
+    extensions: ['.wmv', '.wma', '.asf'],
+    test: buffer => startsWith(buffer, [0x30, 0x26, 0xB2, 0x75, 0x8E, 0x66, 0xCF, 0x11])
+  },
+  {
+    mimeType: 'audio/midi',
+    family: ['audio/midi', 'audio/x-midi'],
+    extensions: ['.mid', '.midi'],
+    test: buffer => ascii(buffer, 0, 4) === 'MThd'
+  }
+];
+
+// 文本内容的签名（没有匹配到二进制签名时检查）
+const TEXT_SIGNATURE = {
+  mimeType: 'text/plain',
+  family: ['text/*', 'application/json', 'application/xml', 'application/javascript', 'application/x-yaml', 'application/sql', 'image/svg+xml', 'application/xhtml+xml'],
+  extensions: ['.txt', '.csv', '.md', '.json', '.xml', '.log', '.svg', '.html', '.htm']
+};
+
+// 纯文本内容在特定扩展名下允许声明的其他类型（Windows 上的浏览器常以 Excel 的类型上传 CSV 文件）
+const TEXT_EXTENSION_TYPES = {
+  '.csv': ['application/vnd.ms-excel'],
+  '.txt': ['application/vnd.ms-excel']
+};
+
+// 各扩展名对应的签名（用于检查扩展名与内容是否相符）
+const EXTENSION_INDEX = new Map();
+for (const signature of [...SIGNATURES, TEXT_SIGNATURE]) {
+  for (const extension of signature.extensions) {
+    if (!EXTENSION_INDEX.has(extension)) {
+      EXTENSION_INDEX.set(extension, signature);
+    }
+  }
+}
+
+// 上传文件类型检查：按文件头识别真实类型，与声明的类型和扩展名比对，并按配置的策略判定
+// 判定结果：accepted（通过）、suspicious（内容与声明不符，需要审核）、rejected（类型或扩展名被禁止）
+class FileTypeService {
+  // 规范化 MIME 类型（去掉参数、转为小写、合并别名）
+  normalizeType(mimeType) {
+    const type = (mimeType || '').split(';')[0].trim().toLowerCase();
+    return TYPE_ALIASES[type] || type;
+  }
+
+  // 检查类型是否匹配列表（支持 video/* 形式的通配符）
+  matchesType(type, list) {
+    return list.some(item => {
+      const pattern = this.normalizeType(item);
+      return pattern.endsWith('/*') ? type.startsWith(pattern.slice(0, -1)) : pattern === type;
+    });
+  }
+
+  // 检查声明的类型是否与识别出的内容相符
+  matchesDetected(declared, detected, extension) {
+    if (this.matchesType(declared, detected.signature.family)) {
+      return true;
+    }
+    return detected.mimeType === 'text/plain' && (TEXT_EXTENSION_TYPES[extension] || []).includes(declared);
+  }
+
+  // 根据文件头识别类型，返回 { mimeType, signature }，无法识别的二进制内容返回 null
+  detect(head) {
+    const buffer = head.subarray(0, SNIFF_LENGTH);
+
+    for (const signature of SIGNATURES) {
+      if (signature.test(buffer)) {
+        const mimeType = typeof signature.mimeType === 'function' ? signature.mimeType(buffer) : signature.mimeType;
+        return { mimeType, signature };
+      }
+    }
+
+    const textType = this.detectText(buffer);
+    return textType ? { mimeType: textType, signature: TEXT_SIGNATURE } : null;
+  }
+
+  // 检查是否为文本内容（UTF-8/UTF-16，不含控制字符），并识别 HTML、SVG、XML 和脚本
+  detectText(buffer) {
+    let text;
+    if (startsWith(buffer, [0xFF, 0xFE]) || startsWith(buffer, [0xFE, 0xFF])) {
+      const bytes = Buffer.from(buffer.subarray(2, buffer.length - (buffer.length % 2)));
+      if (buffer[0] === 0xFE) bytes.swap16();
+      text = bytes.toString('utf16le');
+    } else {
+      try {
+        // stream 模式下末尾被截断的多字节字符不会报错
+        text = new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: true });
+      } catch (error) {
+        return null;
+      }
+    }
+
+    if (/[\x00-\x08\x0B\x0E-\x1A\x1C-\x1F]/.test(text)) {
+      return null;
+    }
+
+    const start = text.replace(/^﻿/, '').trimStart().slice(0, 1024).toLowerCase();
+    if (start.startsWith('#!')) {
+      return 'text/x-shellscript';
+    }
+    if (/^<!doctype html|^<(html|head|body|script|iframe)[\s>]/.test(start)) {
+      return 'text/html';
+    }
+    if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!doctype svg[^>]*>\s*)?<svg[\s>]/.test(start)) {
+      return 'image/svg+xml';
+    }
+    return 'text/plain';
+  }
+
+  // 检查上传的文件，返回 { verdict, mimeType, detectedType, reason }
+  // mimeType 为登记文件时使用的类型：内容能确定具体类型时使用识别结果，否则使用声明的类型
+  inspect({ head, declaredType, fileName }) {
+    const declared = this.normalizeType(declaredType);
+    const hasDeclared = !UNSPECIFIED_TYPES.includes(declared);
+    const extension = path.extname(fileName || '').toLowerCase();
+    const detected = this.detect(head);
+    const detectedType = detected ? detected.mimeType : null;
+    const policy = config.fileType;
+
+    let mimeType = detectedType || (hasDeclared ? declared : 'application/octet-stream');
+    if (GENERIC_TYPES.includes(detectedType) && hasDeclared && this.matchesType(declared, detected.signature.family)) {
+      mimeType = declared;
+    }
+
+    const result = (verdict, reason = null) => ({ verdict, mimeType, detectedType, reason });
+
+    if (policy.deniedExtensions.map(item => item.toLowerCase()).includes(extension)) {
+      return result('rejected', `不允许上传 ${extension} 文件`);
+    }
+
+    if (policy.policy === 'allow') {
+      if (!this.matchesType(mimeType, policy.allowedTypes)) {
+        return result('rejected', `不允许上传此类型的文件（${mimeType}）`);
+      }
+    } else {
+      const denied = [mimeType, detectedType].find(type => type && this.matchesType(type, policy.deniedTypes));
+      if (denied) {
+        return result('rejected', `不允许上传此类型的文件（${denied}）`);
+      }
+    }
+
+    // 声明的类型与内容不符
+    if (hasDeclared) {
+      const matches = detected
+        ? this.matchesDetected(declared, detected, extension)
+        : !this.isVerifiableType(declared);
+      if (!matches) {
+        return result('suspicious', `文件内容（${detectedType || '未知类型'}）与声明的类型（${declared}）不符`);
+      }
+    }
+
+    // 扩展名与内容不符（只检查能识别的扩展名）
+    const expected = EXTENSION_INDEX.get(extension);
+    if (expected && (!detected || !detected.signature.extensions.includes(extension))) {
+      return result('suspicious', `文件内容（${detectedType || '未知类型'}）与扩展名（${extension}）不符`);
+    }
+
+    return result('accepted');
+  }
+
+  // 声明的类型能否通过文件内容验证（属于已知签名的类型）
+  isVerifiableType(type) {
+    return [...SIGNATURES, TEXT_SIGNATURE].some(signature => this.matchesType(type, signature.family));
+  }
+}
+
+module.exports = new FileTypeService();
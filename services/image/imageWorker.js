@@ -0,0 +1,12 @@
+const { parentPort } = require('worker_threads');
+const imageService = require('../imageService');
+
+// 图片处理工作线程：接收 { method, buffer }，执行 imageService 的同步处理方法并返回结果或错误信息
+parentPort.on('message', ({ method, buffer }) => {
+  try {
+    const result = imageService[method](Buffer.from(buffer.buffer, buffer.byteOffset, buffer.length));
+    parentPort.postMessage({ result });
+  } catch (error) {
+    parentPort.postMessage({ error: error.message });
+  }
+});
@@ -0,0 +1,97 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const WORKER_SCRIPT = path.join(__dirname, 'imageWorker.js');
+
+// 图片处理工作线程池：解码、缩放、编码在工作线程中执行，避免阻塞事件循环
+// 最多同时运行 size 个任务，其余任务排队等待；工作线程在首次使用时创建，异常退出后自动替换
+class ImageWorkerPool {
+  constructor(options = {}) {
+    this.size = Math.max(1, options.size || 1);
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+  }
+
+  // 在工作线程中执行 imageService 的指定方法，返回其结果
+  run(method, buffer) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ method, buffer, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  // 将排队的任务分配给空闲的工作线程
+  dispatch() {
+    while (this.queue.length > 0) {
+      let worker = this.idle.pop();
+      if (!worker) {
+        if (this.workers.length >= this.size) return;
+        worker = this.createWorker();
+      }
+
+      const task = this.queue.shift();
+      worker.task = task;
+      worker.ref();
+      worker.postMessage({ method: task.method, buffer: task.buffer });
+    }
+  }
+
+  createWorker() {
+    const worker = new Worker(WORKER_SCRIPT);
+    worker.task = null;
+
+    worker.on('message', (message) => {
+      const task = worker.task;
+      this.release(worker);
+
+      if (message.error) {
+        task.reject(new Error(message.error));
+      } else {
+        task.resolve(toBuffers(message.result));
+      }
+    });
+
+    worker.on('error', (error) => {
+      console.error('图片处理线程错误:', error);
+    });
+
+    // 工作线程退出（崩溃或内存超限）时让当前任务失败，并由新线程处理后续任务
+    worker.on('exit', (code) => {
+      this.workers = this.workers.filter(item => item !== worker);
+      this.idle = this.idle.filter(item => item !== worker);
+
+      if (worker.task) {
+        worker.task.reject(new Error(`图片处理失败（处理线程异常退出: ${code}）`));
+        worker.task = null;
+      }
+      this.dispatch();
+    });
+
+    this.workers.push(worker);
+    return worker;
+  }
+
+  // 任务完成后线程回到空闲状态；空闲线程不阻止进程退出
+  release(worker) {
+    worker.task = null;
+    worker.unref();
+    this.idle.push(worker);
+    this.dispatch();
+  }
+}
+
+// 线程间传递后 Buffer 会变为 Uint8Array，恢复为 Buffer
+function toBuffers(value) {
+  if (value instanceof Uint8Array) {
+    return Buffer.from(value.buffer, value.byteOffset, value.length);
+  }
+  if (value && typeof value === 'object') {
+    for (const key of Object.keys(value)) {
+      value[key] = toBuffers(value[key]);
+    }
+  }
+  return value;
+}
+
+module.exports = ImageWorkerPool;
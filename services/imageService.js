@@ -0,0 +1,478 @@
+const crypto = require('crypto');
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+
+const config = require('../config');
+const storageService = require('./storageService');
+const ImageWorkerPool = require('./image/imageWorkerPool');
+
+// 支持的图片格式：类型 -> 扩展名和MIME类型
+const IMAGE_FORMATS = {
+  jpeg: { extension: '.jpg', mimeType: 'image/jpeg' },
+  png: { extension: '.png', mimeType: 'image/png' },
+  gif: { extension: '.gif', mimeType: 'image/gif' },
+  webp: { extension: '.webp', mimeType: 'image/webp' }
+};
+
+// 需要移除的 JPEG 段：APP1（EXIF/XMP）、APP3-APP13（含 IPTC）、APP15 和注释；保留 APP0（JFIF）、APP2（ICC）、APP14（Adobe 颜色变换）
+const JPEG_STRIPPED_MARKERS = new Set([0xE1, 0xE3, 0xE4, 0xE5, 0xE6, 0xE7, 0xE8, 0xE9, 0xEA, 0xEB, 0xEC, 0xED, 0xEF, 0xFE]);
+
+// 需要移除的 PNG 元数据块
+const PNG_STRIPPED_CHUNKS = new Set(['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME']);
+
+// 纯 JS 图片处理：识别格式、读取尺寸、移除 EXIF/GPS 等元数据、生成缩略图和预览图、缩放头像
+// JPEG 和 PNG 可以解码缩放；GIF（可能是动图）和 WebP 只移除元数据，不生成缩略图
+// 处理方法是同步的，服务中通过 processInWorker 在图片处理线程池中执行
+class ImageService {
+  constructor() {
+    this.pool = null;
+  }
+
+  // 在图片处理线程中执行处理方法（processChatImage / processAvatar），线程池在首次使用时创建
+  processInWorker(method, buffer) {
+    if (!this.pool) {
+      this.pool = new ImageWorkerPool({ size: config.image.workers });
+    }
+    return this.pool.run(method, buffer);
+  }
+
+  // 根据文件头识别图片格式，无法识别时返回 null
+  detectType(buffer) {
+    if (buffer.length >= 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
+      return 'jpeg';
+    }
+    if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504E47 && buffer.readUInt32BE(4) === 0x0D0A1A0A) {
+      return 'png';
+    }
+    if (buffer.length >= 6 && /^GIF8[79]a$/.test(buffer.toString('latin1', 0, 6))) {
+      return 'gif';
+    }
+    if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+      return 'webp';
+    }
+    return null;
+  }
+
+  // 从文件头读取图片尺寸（不解码像素），无法读取时返回 null
+  getDimensions(buffer, type) {
+    try {
+      if (type === 'png') {
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+      }
+
+      if (type === 'gif') {
+        return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+      }
+
+      if (type === 'webp') {
+        const chunkType = buffer.toString('latin1', 12, 16);
+        if (chunkType === 'VP8X') {
+          return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+        }
+        if (chunkType === 'VP8L') {
+          const bits = buffer.readUInt32LE(21);
+          return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+        }
+        if (chunkType === 'VP8 ') {
+          return { width: buffer.readUInt16LE(26) & 0x3FFF, height: buffer.readUInt16LE(28) & 0x3FFF };
+        }
+        return null;
+      }
+
+      if (type === 'jpeg') {
+        for (const segment of this.readJpegSegments(buffer)) {
+          // SOF0-SOF15（不包括 DHT、JPG、DAC）
+          if (segment.marker >= 0xC0 && segment.marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(segment.marker)) {
+            return {
+              width: buffer.readUInt16BE(segment.offset + 7),
+              height: buffer.readUInt16BE(segment.offset + 5)
+            };
+          }
+        }
+      }
+    } catch (error) {
+      // 文件头不完整
+    }
+    return null;
+  }
+
+  // 遍历 JPEG 的段（到 SOS 为止），返回 { marker, offset, length }，offset 指向 0xFF
+  *readJpegSegments(buffer) {
+    let offset = 2;
+    while (offset + 4 <= buffer.length) {
+      if (buffer[offset] !== 0xFF) {
+        throw new Error('无效的JPEG文件');
+      }
+
+      const marker = buffer[offset + 1];
+
+      // 填充字节
+      if (marker === 0xFF) {
+        offset++;
+        continue;
+      }
+
+      const length = buffer.readUInt16BE(offset + 2);
+      yield { marker, offset, length };
+
+      // 图像数据开始
+      if (marker === 0xDA) {
+        return;
+      }
+      offset += 2 + length;
+    }
+  }
+
+  // 读取 JPEG 的 EXIF 方向（1-8，默认 1）
+  getJpegOrientation(buffer) {
+    try {
+      for (const segment of this.readJpegSegments(buffer)) {
+        if (segment.marker !== 0xE1 || buffer.toString('latin1', segment.offset + 4, segment.offset + 10) !== 'Exif\0\0') {
+          continue;
+        }
+
+        const tiff = segment.offset + 10;
+        const littleEndian = buffer.toString('latin1', tiff, tiff + 2) === 'II';
+        const readUInt16 = (pos) => littleEndian ? buffer.readUInt16LE(pos) : buffer.readUInt16BE(pos);
+        const readUInt32 = (pos) => littleEndian ? buffer.readUInt32LE(pos) : buffer.readUInt32BE(pos);
+
+        const ifd = tiff + readUInt32(tiff + 4);
+        const entries = readUInt16(ifd);
+        for (let i = 0; i < entries; i++) {
+          const entry = ifd + 2 + i * 12;
+          if (readUInt16(entry) === 0x0112) {
+            const orientation = readUInt16(entry + 8);
+            return orientation >= 1 && orientation <= 8 ? orientation : 1;
+          }
+        }
+      }
+    } catch (error) {
+      // EXIF 损坏时按默认方向处理
+    }
+    return 1;
+  }
+
+  // 移除图片中的 EXIF/GPS 等元数据（不重新编码）
+  stripMetadata(buffer, type) {
+    if (type === 'jpeg') {
+      const parts = [buffer.subarray(0, 2)];
+      for (const segment of this.readJpegSegments(buffer)) {
+        if (segment.marker === 0xDA) {
+          parts.push(buffer.subarray(segment.offset));
+          return Buffer.concat(parts);
+        }
+        if (!JPEG_STRIPPED_MARKERS.has(segment.marker)) {
+          parts.push(buffer.subarray(segment.offset, segment.offset + 2 + segment.length));
+        }
+      }
+      throw new Error('无效的JPEG文件');
+    }
+
+    if (type === 'png') {
+      const parts = [buffer.subarray(0, 8)];
+      let offset = 8;
+      while (offset + 12 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const chunkType = buffer.toString('latin1', offset + 4, offset + 8);
+        const end = offset + 12 + length;
+        if (!PNG_STRIPPED_CHUNKS.has(chunkType)) {
+          parts.push(buffer.subarray(offset, end));
+        }
+        offset = end;
+        if (chunkType === 'IEND') break;
+      }
+      return Buffer.concat(parts);
+    }
+
+    if (type === 'webp') {
+      const chunks = [];
+      let offset = 12;
+      while (offset + 8 <= buffer.length) {
+        const chunkType = buffer.toString('latin1', offset, offset + 4);
+        const size = buffer.readUInt32LE(offset + 4);
+        const end = Math.min(offset + 8 + size + (size % 2), buffer.length);
+        if (chunkType !== 'EXIF' && chunkType !== 'XMP ') {
+          const chunk = Buffer.from(buffer.subarray(offset, end));
+          // 清除 VP8X 中的 EXIF（0x08）和 XMP（0x04）标记
+          if (chunkType === 'VP8X') {
+            chunk[8] &= ~0x0C;
+          }
+          chunks.push(chunk);
+        }
+        offset = end;
+      }
+
+      const header = Buffer.from(buffer.subarray(0, 12));
+      const body = Buffer.concat(chunks);
+      header.writeUInt32LE(body.length + 4, 4);
+      return Buffer.concat([header, body]);
+    }
+
+    return buffer;
+  }
+
+  // 解码 JPEG/PNG 为 RGBA 像素
+  decode(buffer, type) {
+    if (type === 'jpeg') {
+      const image = jpeg.decode(buffer, {
+        useTArray: true,
+        formatAsRGBA: true,
+        maxResolutionInMP: Math.ceil(config.image.maxPixels / 1000000),
+        maxMemoryUsageInMB: 1024
+      });
+      return { width: image.width, height: image.height, data: Buffer.from(image.data.buffer, image.data.byteOffset, image.data.length) };
+    }
+
+    const image = PNG.sync.read(buffer);
+    return { width: image.width, height: image.height, data: image.data };
+  }
+
+  // 将 RGBA 像素编码为 JPEG/PNG
+  encode(image, type) {
+    if (type === 'jpeg') {
+      return jpeg.encode(image, config.image.jpegQuality).data;
+    }
+
+    const png = new PNG({ width: image.width, height: image.height });
+    image.data.copy(png.data);
+    return PNG.sync.write(png);
+  }
+
+  // 按 EXIF 方向旋转/翻转像素
+  applyOrientation(image, orientation) {
+    if (orientation === 1) {
+      return image;
+    }
+
+    const { width, height, data } = image;
+    const swap = orientation >= 5;
+    const outWidth = swap ? height : width;
+    const outHeight = swap ? width : height;
+    const out = Buffer.alloc(outWidth * outHeight * 4);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let dx;
+        let dy;
+        switch (orientation) {
+          case 2: dx = width - 1 - x; dy = y; break;
+          case 3: dx = width - 1 - x; dy = height - 1 - y; break;
+          case 4: dx = x; dy = height - 1 - y; break;
+          case 5: dx = y; dy = x; break;
+          case 6: dx = height - 1 - y; dy = x; break;
+          case 7: dx = height - 1 - y; dy = width - 1 - x; break;
+          default: dx = y; dy = width - 1 - x; break; // 8
+        }
+        data.copy(out, (dy * outWidth + dx) * 4, (y * width + x) * 4, (y * width + x) * 4 + 4);
+      }
+    }
+
+    return { width: outWidth, height: outHeight, data: out };
+  }
+
+  // 缩放到指定尺寸（按面积加权平均，透明像素按预乘 alpha 处理）
+  resize(image, targetWidth, targetHeight) {
+    const horizontal = this.resampleAxis(image.data, image.width, image.height, targetWidth, true);
+    const both = this.resampleAxis(horizontal, targetWidth, image.height, targetHeight, false);
+
+    const out = Buffer.alloc(targetWidth * targetHeight * 4);
+    for (let i = 0; i < out.length; i += 4) {
+      const alpha = both[i + 3];
+      out[i + 3] = Math.round(alpha);
+      if (alpha > 0) {
+        out[i] = Math.min(255, Math.round(both[i] / alpha * 255));
+        out[i + 1] = Math.min(255, Math.round(both[i + 1] / alpha * 255));
+        out[i + 2] = Math.min(255, Math.round(both[i + 2] / alpha * 255));
+      }
+    }
+
+    return { width: targetWidth, height: targetHeight, data: out };
+  }
+
+  // 沿一个方向重采样；输入为 RGBA 字节（首次）或预乘后的浮点数据，输出预乘后的浮点数据
+  resampleAxis(source, width, height, target, horizontal) {
+    const premultiplied = !(source instanceof Float32Array);
+    const srcLength = horizontal ? width : height;
+    const outWidth = horizontal ? target : width;
+    const outHeight = horizontal ? height : target;
+    const out = new Float32Array(outWidth * outHeight * 4);
+    const scale = srcLength / target;
+
+    for (let t = 0; t < target; t++) {
+      const start = t * scale;
+      const end = start + scale;
+      const first = Math.floor(start);
+      const last = Math.min(srcLength, Math.ceil(end));
+
+      const lines = horizontal ? height : width;
+      for (let line = 0; line < lines; line++) {
+        let r = 0, g = 0, b = 0, a = 0, total = 0;
+
+        for (let s = first; s < last; s++) {
+          const weight = Math.min(end, s + 1) - Math.max(start, s);
+          const index = (horizontal ? line * width + s : s * width + line) * 4;
+          const alpha = source[index + 3];
+          const factor = premultiplied ? alpha / 255 : 1;
+
+          r += source[index] * factor * weight;
+          g += source[index + 1] * factor * weight;
+          b += source[index + 2] * factor * weight;
+          a += alpha * weight;
+          total += weight;
+        }
+
+        const outIndex = (horizontal ? line * outWidth + t : t * outWidth + line) * 4;
+        out[outIndex] = r / total;
+        out[outIndex + 1] = g / total;
+        out[outIndex + 2] = b / total;
+        out[outIndex + 3] = a / total;
+      }
+    }
+
+    return out;
+  }
+
+  // 等比缩放到不超过 maxSize×maxSize 的尺寸
+  fitWithin(width, height, maxSize) {
+    const scale = Math.min(1, maxSize / Math.max(width, height));
+    return {
+      width: Math.max(1, Math.round(width * scale)),
+      height: Math.max(1, Math.round(height * scale))
+    };
+  }
+
+  // 居中裁剪为目标宽高比
+  cropToAspect(image, targetWidth, targetHeight) {
+    const scale = Math.min(image.width / targetWidth, image.height / targetHeight);
+    const cropWidth = Math.max(1, Math.round(targetWidth * scale));
+    const cropHeight = Math.max(1, Math.round(targetHeight * scale));
+    const left = Math.floor((image.width - cropWidth) / 2);
+    const top = Math.floor((image.height - cropHeight) / 2);
+
+    if (cropWidth === image.width && cropHeight === image.height) {
+      return image;
+    }
+
+    const out = Buffer.alloc(cropWidth * cropHeight * 4);
+    for (let y = 0; y < cropHeight; y++) {
+      const start = ((top + y) * image.width + left) * 4;
+      image.data.copy(out, y * cropWidth * 4, start, start + cropWidth * 4);
+    }
+    return { width: cropWidth, height: cropHeight, data: out };
+  }
+
+  // 识别并检查图片，返回格式和尺寸
+  inspect(buffer) {
+    const type = this.detectType(buffer);
+    if (!type) {
+      throw new Error('不支持的图片格式（仅支持 JPG、PNG、GIF、WebP）');
+    }
+
+    const dimensions = this.getDimensions(buffer, type);
+    if (!dimensions || dimensions.width === 0 || dimensions.height === 0) {
+      throw new Error('无法读取图片尺寸');
+    }
+
+    if (dimensions.width * dimensions.height > config.image.maxPixels) {
+      throw new Error('图片像素尺寸过大');
+    }
+
+    return { type, ...dimensions };
+  }
+
+  // 处理聊天图片：移除元数据、按 EXIF 方向摆正，生成缩略图和预览图（图片本身不超过该尺寸时不生成）
+  processChatImage(buffer) {
+    const { type, width, height } = this.inspect(buffer);
+    const result = { type, width, height, original: null, variants: {} };
+
+    if (type !== 'jpeg' && type !== 'png') {
+      result.original = this.stripMetadata(buffer, type);
+      return result;
+    }
+
+    const orientation = type === 'jpeg' ? this.getJpegOrientation(buffer) : 1;
+    const sizes = { thumb: config.image.thumbnailSize, preview: config.image.previewSize };
+    const needsVariants = Object.values(sizes).some(size => Math.max(width, height) > size);
+
+    if (orientation === 1 && !needsVariants) {
+      result.original = this.stripMetadata(buffer, type);
+      return result;
+    }
+
+    const image = this.applyOrientation(this.decode(buffer, type), orientation);
+    result.width = image.width;
+    result.height = image.height;
+
+    // 需要旋转时重新编码（编码结果不包含元数据），否则保留原始数据
+    result.original = orientation === 1 ? this.stripMetadata(buffer, type) : this.encode(image, type);
+
+    for (const [variant, size] of Object.entries(sizes)) {
+      if (Math.max(image.width, image.height) > size) {
+        const target = this.fitWithin(image.width, image.height, size);
+        result.variants[variant] = this.encode(this.resize(image, target.width, target.height), type);
+      }
+    }
+
+    return result;
+  }
+
+  // 处理头像：居中裁剪并缩放到配置的尺寸；WebP 无法解码，只移除元数据并要求尺寸不超过配置
+  processAvatar(buffer) {
+    const { type, width, height } = this.inspect(buffer);
+    const { width: targetWidth, height: targetHeight } = config.avatar;
+
+    if (type === 'gif') {
+      throw new Error('只支持 JPG、PNG、WebP 格式的图片');
+    }
+
+    if (type === 'webp') {
+      if (width > targetWidth || height > targetHeight) {
+        throw new Error(`WebP 头像尺寸不能超过 ${targetWidth}x${targetHeight}，请使用 JPG 或 PNG 格式`);
+      }
+      return { buffer: this.stripMetadata(buffer, type), mimeType: IMAGE_FORMATS.webp.mimeType };
+    }
+
+    const orientation = type === 'jpeg' ? this.getJpegOrientation(buffer) : 1;
+    const image = this.applyOrientation(this.decode(buffer, type), orientation);
+    const cropped = this.cropToAspect(image, targetWidth, targetHeight);
+    const resized = cropped.width === targetWidth && cropped.height === targetHeight
+      ? cropped
+      : this.resize(cropped, targetWidth, targetHeight);
+
+    return { buffer: this.encode(resized, type), mimeType: IMAGE_FORMATS[type].mimeType };
+  }
+
+  // 处理并保存上传的聊天图片（multer 内存文件），返回图片地址、缩略图和预览图地址（未生成时为原图地址）以及尺寸
+  async saveChatImage(file) {
+    const processed = await this.processInWorker('processChatImage', file.buffer);
+    const { extension, mimeType } = IMAGE_FORMATS[processed.type];
+
+    const uniqueSuffix = Date.now() + '-' + crypto.randomBytes(4).readUInt32BE(0);
+    const filename = 'img-' + uniqueSuffix + extension;
+    const imageUrl = `/uploads/images/${filename}`;
+    const urls = { thumb: imageUrl, preview: imageUrl };
+
+    try {
+      await storageService.put(storageService.getImageKey(filename), processed.original, { contentType: mimeType });
+
+      for (const [variant, data] of Object.entries(processed.variants)) {
+        const variantName = storageService.getImageVariantName(filename, variant);
+        await storageService.put(storageService.getImageKey(variantName), data, { contentType: mimeType });
+        urls[variant] = `/uploads/images/${variantName}`;
+      }
+    } catch (error) {
+      await storageService.deleteImage(imageUrl);
+      throw error;
+    }
+
+    return {
+      imageUrl,
+      thumbnailUrl: urls.thumb,
+      previewUrl: urls.preview,
+      imageWidth: processed.width,
+      imageHeight: processed.height
+    };
+  }
+}
+
+module.exports = new ImageService();
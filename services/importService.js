@@ -0,0 +1,354 @@
+const crypto = require('crypto');
+const database = require('../database');
+const config = require('../config');
+const utils = require('../utils');
+
+// 单个归档允许导入的最大消息数量
+const MAX_IMPORT_MESSAGES = 50000;
+
+// 暂存消息时每条 INSERT 语句写入的行数（参数总数不超过 SQLite 默认上限 999）
+const STAGE_BATCH_SIZE = 60;
+
+const IMPORTABLE_MESSAGE_TYPES = ['text', 'image', 'file', 'system', 'bilibili', 'markdown'];
+
+class ImportService {
+  // 从 ChatFlow JSON 归档（聊天记录导出格式）重建聊天室，返回导入结果
+  async importArchive(importerUid, archive, options = {}) {
+    const { room, messages } = this.validateArchive(archive);
+    const name = options.name !== undefined ? options.name : room.name;
+    const password = options.password || null;
+
+    if (!utils.isValidRoomName(name)) {
+      throw new Error('聊天室名称格式不正确');
+    }
+
+    if (password && password.length > config.chatroom.maxPasswordLength) {
+      throw new Error('密码长度不能超过50个字符');
+    }
+
+    // 生成唯一聊天室ID
+    let roomId;
+    let attempts = 0;
+    do {
+      roomId = utils.generateRoomId();
+      const existing = await database.get(
+        'SELECT id FROM chatrooms WHERE room_id = ?',
+        [roomId]
+      );
+      if (!existing) break;
+      attempts++;
+    } while (attempts < 10);
+
+    if (attempts >= 10) {
+      throw new Error('系统繁忙，请稍后重试');
+    }
+
+    let passwordHash = null;
+    if (password) {
+      passwordHash = await utils.hashPassword(password);
+    }
+
+    const importer = await database.get('SELECT nickname, avatar_url FROM users WHERE uid = ?', [importerUid]);
+    if (!importer) {
+      throw new Error('用户不存在');
+    }
+
+    const senders = await this.resolveSenders(messages);
+
+    // 使用独立连接执行导入：事务与共享连接上其他请求的语句互不混入，回滚也只撤销导入本身的写入
+    const connection = await database.createConnection();
+
+    try {
+      // 先把消息写入连接私有的临时表（不锁定主数据库），正式写入时只需几条批量语句，尽量缩短持有写锁的时间
+      await this.stageMessages(connection, messages, senders);
+
+      // 开始事务
+      await connection.beginTransaction();
+
+      // 导入者作为新聊天室的创建者，保留原聊天室的创建时间（归档中没有时使用当前时间）
+      await connection.run(`
+        INSERT INTO chatrooms (room_id, name, password_hash, creator_uid, created_at)
+        VALUES (?, ?, ?, ?, ?)
+      `, [roomId, name, passwordHash, importerUid, room.createdAt || Date.now()]);
+
+      // 本站不存在的发送者创建占位身份（无邮箱和可用密码，无法登录）
+      for (const sender of senders.values()) {
+        if (sender.isPlaceholder) {
+          await connection.run(`
+            INSERT INTO users (uid, nickname, password_hash, is_placeholder)
+            VALUES (?, ?, ?, 1)
+          `, [sender.uid, sender.nickname, `!${crypto.randomBytes(16).toString('hex')}`]);
+        }
+      }
+
+      // 按归档顺序写入消息
+      await connection.run(`
+        INSERT INTO messages (
+          message_id, chatroom_id, sender_uid, sender_type, content, message_type,
+          system_message_type, image_url, bilibili_bv, markdown_content,
+          file_name, file_size, file_expiry, edited_at, created_at
+        )
+        SELECT message_id, ?, sender_uid, sender_type, content, message_type,
+               system_message_type, image_url, bilibili_bv, markdown_content,
+               file_name, file_size, file_expiry, edited_at, created_at
+        FROM temp.import_messages
+        ORDER BY seq
+      `, [roomId]);
+
+      // 还原回复和话题关系（按新消息的 message_id 对应到新消息ID）
+      await connection.run(`
+        UPDATE messages
+        SET reply_to_message_id = reply_target.id,
+            thread_root_id = thread_target.id
+        FROM temp.import_messages staged
+        LEFT JOIN messages reply_target ON reply_target.message_id = staged.reply_to
+        LEFT JOIN messages thread_target ON thread_target.message_id = staged.thread_root
+        WHERE messages.message_id = staged.message_id
+          AND (staged.reply_to IS NOT NULL OR staged.thread_root IS NOT NULL)
+      `);
+
+      // 导入者成为聊天室成员（尚未连接，已读位置为最后一条导入的消息）
+      const now = Date.now();
+      await connection.run(`
+        INSERT INTO chatroom_members
+        (chatroom_id, user_uid, user_type, nickname, avatar_url, join_time, last_active, status, is_active, last_read_message_id)
+        VALUES (?, ?, 'user', ?, ?, ?, ?, 'offline', 1, (SELECT MAX(id) FROM messages WHERE chatroom_id = ?))
+      `, [roomId, importerUid, importer.nickname, importer.avatar_url, now, now, roomId]);
+
+      // 提交事务
+      await connection.commit();
+    } catch (error) {
+      // 回滚事务（未开始事务时忽略）
+      await connection.rollback().catch(() => {});
+      console.error('导入聊天记录失败:', error);
+      throw new Error('导入聊天记录失败: ' + error.message);
+    } finally {
+      await connection.close();
+    }
+
+    const placeholders = Array.from(senders.values()).filter(sender => sender.isPlaceholder);
+
+    return {
+      roomId,
+      name,
+      hasPassword: Boolean(password),
+      creatorUid: importerUid,
+      sourceRoomId: room.roomId || null,
+      importedMessages: messages.length,
+      mappedUsers: senders.size - placeholders.length - (senders.has('system') ? 1 : 0),
+      placeholderUsers: placeholders.map(sender => ({
+        uid: sender.uid,
+        nickname: sender.nickname,
+        originalUid: sender.originalUid,
+        originalType: sender.originalType
+      }))
+    };
+  }
+
+  // 将归档消息分批写入导入连接的临时表，回复和话题引用记录为被引用消息的新 message_id（引用的消息不在归档中时忽略）
+  async stageMessages(connection, messages, senders) {
+    await connection.run(`
+      CREATE TEMP TABLE import_messages (
+        seq INTEGER PRIMARY KEY,
+        message_id TEXT NOT NULL UNIQUE,
+        sender_uid TEXT,
+        sender_type TEXT,
+        content TEXT,
+        message_type TEXT,
+        system_message_type TEXT,
+        image_url TEXT,
+        bilibili_bv TEXT,
+        markdown_content TEXT,
+        file_name TEXT,
+        file_size INTEGER,
+        file_expiry INTEGER,
+        edited_at INTEGER,
+        created_at INTEGER,
+        reply_to TEXT,
+        thread_root TEXT
+      )
+    `);
+
+    const messageIds = new Map(messages.map(message => [message.id, utils.generateMessageId()]));
+
+    for (let i = 0; i < messages.length; i += STAGE_BATCH_SIZE) {
+      const batch = messages.slice(i, i + STAGE_BATCH_SIZE);
+      const rows = batch.map(message => {
+        const sender = senders.get(this.getSenderKey(message));
+        const isSystem = message.messageType === 'system';
+        const file = message.file || null;
+
+        return [
+          messageIds.get(message.id),
+          sender.uid,
+          sender.type,
+          // 系统消息入库时不转义，其余消息与发送时一致做转义处理
+          isSystem ? (message.content || '') : utils.sanitizeText(message.content),
+          message.messageType,
+          isSystem ? 'persistent' : null,
+          message.imageUrl || null,
+          message.bilibili ? message.bilibili.bvid : null,
+          message.markdownContent || null,
+          // 归档不包含文件本体，文件消息只保留元数据并视为已过期
+          file ? file.name : null,
+          file ? file.size : null,
+          file ? Math.min(file.expiresAt || Date.now(), Date.now()) : null,
+          message.editedAt || null,
+          message.createdAt,
+          (message.replyToMessageId && messageIds.get(message.replyToMessageId)) || null,
+          (message.threadRootId && messageIds.get(message.threadRootId)) || null
+        ];
+      });
+
+      await connection.run(`
+        INSERT INTO temp.import_messages (
+          message_id, sender_uid, sender_type, content, message_type,
+          system_message_type, image_url, bilibili_bv, markdown_content,
+          file_name, file_size, file_expiry, edited_at, created_at, reply_to, thread_root
+        )
+        VALUES ${rows.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}
+      `, rows.flat());
+    }
+  }
+
+  // 校验归档结构，返回按原消息ID排序的消息列表
+  validateArchive(archive) {
+    if (!archive || typeof archive !== 'object' || Array.isArray(archive)) {
+      throw new Error('归档格式不正确');
+    }
+
+    const { room, messages } = archive;
+    if (!room || typeof room !== 'object' || typeof room.name !== 'string') {
+      throw new Error('归档缺少聊天室信息');
+    }
+
+    if (room.createdAt != null && (!Number.isInteger(room.createdAt) || room.createdAt <= 0)) {
+      throw new Error('归档中聊天室的创建时间无效');
+    }
+
+    if (!Array.isArray(messages)) {
+      throw new Error('归档缺少消息列表');
+    }
+
+    if (messages.length > MAX_IMPORT_MESSAGES) {
+      throw new Error(`单次最多导入${MAX_IMPORT_MESSAGES}条消息`);
+    }
+
+    const ids = new Set();
+    messages.forEach((message, index) => {
+      const position = `第${index + 1}条消息`;
+
+      if (!message || typeof message !== 'object') {
+        throw new Error(`${position}格式不正确`);
+      }
+      if (!Number.isInteger(message.id) || message.id <= 0 || ids.has(message.id)) {
+        throw new Error(`${position}的ID无效或重复`);
+      }
+      ids.add(message.id);
+
+      if (!IMPORTABLE_MESSAGE_TYPES.includes(message.messageType)) {
+        throw new Error(`${position}的消息类型无效`);
+      }
+      if (!Number.isInteger(message.createdAt) || message.createdAt <= 0) {
+        throw new Error(`${position}的发送时间无效`);
+      }
+      if (message.editedAt != null && (!Number.isInteger(message.editedAt) || message.editedAt <= 0)) {
+        throw new Error(`${position}的编辑时间无效`);
+      }
+      if (message.content != null && typeof message.content !== 'string') {
+        throw new Error(`${position}的内容无效`);
+      }
+      if (message.markdownContent != null && typeof message.markdownContent !== 'string') {
+        throw new Error(`${position}的Markdown内容无效`);
+      }
+      if (message.imageUrl != null && typeof message.imageUrl !== 'string') {
+        throw new Error(`${position}的图片地址无效`);
+      }
+      if (message.bilibili != null && (typeof message.bilibili !== 'object' || !/^BV[a-zA-Z0-9]{10}$/.test(message.bilibili.bvid))) {
+        throw new Error(`${position}的B站视频信息无效`);
+      }
+      if (message.file != null && (typeof message.file !== 'object' || typeof message.file.name !== 'string')) {
+        throw new Error(`${position}的文件信息无效`);
+      }
+      if (message.messageType !== 'system') {
+        const user = message.user;
+        if (!user || typeof user !== 'object' || typeof user.uid !== 'string' || user.uid.length === 0) {
+          throw new Error(`${position}缺少发送者信息`);
+        }
+      }
+    });
+
+    return {
+      room,
+      messages: [...messages].sort((a, b) => a.id - b.id)
+    };
+  }
+
+  // 发送者在归档中的标识
+  getSenderKey(message) {
+    if (message.messageType === 'system') {
+      return 'system';
+    }
+    return `${message.user.type === 'anonymous' ? 'anonymous' : 'user'}:${message.user.uid}`;
+  }
+
+  // 映射归档中的发送者：本站存在的注册用户保留原身份，其余（包括匿名用户）映射为占位身份
+  async resolveSenders(messages) {
+    const senders = new Map();
+
+    for (const message of messages) {
+      const key = this.getSenderKey(message);
+      if (senders.has(key)) {
+        continue;
+      }
+
+      if (key === 'system') {
+        senders.set(key, { uid: 'system', type: 'system', isPlaceholder: false });
+        continue;
+      }
+
+      const { uid, nickname, type } = message.user;
+
+      if (type !== 'anonymous') {
+        const existing = await database.get(
+          'SELECT uid, nickname FROM users WHERE uid = ? AND is_placeholder = 0',
+          [uid]
+        );
+        if (existing) {
+          senders.set(key, { uid: existing.uid, nickname: existing.nickname, type: 'user', isPlaceholder: false });
+          continue;
+        }
+      }
+
+      senders.set(key, {
+        uid: await this.generatePlaceholderUid(senders),
+        nickname: utils.isValidNickname(nickname) ? nickname.trim() : `导入用户${uid.slice(0, 6)}`,
+        type: 'user',
+        isPlaceholder: true,
+        originalUid: uid,
+        originalType: type === 'anonymous' ? 'anonymous' : 'user'
+      });
+    }
+
+    return senders;
+  }
+
+  // 生成占位身份UID（与注册用户UID格式一致）
+  async generatePlaceholderUid(senders) {
+    const reserved = new Set(Array.from(senders.values()).map(sender => sender.uid));
+
+    for (let attempts = 0; attempts < 10; attempts++) {
+      const uid = utils.generateUserUID();
+      if (reserved.has(uid)) continue;
+
+      const existing = await database.get('SELECT id FROM users WHERE uid = ?', [uid]);
+      if (!existing) {
+        return uid;
+      }
+    }
+
+    throw new Error('系统繁忙，请稍后重试');
+  }
+}
+
+module.exports = new ImportService();
@@ -0,0 +1,8 @@
+// 控制台邮件驱动：只把邮件内容输出到日志（开发环境使用）
+class ConsoleMailer {
+  async send(message) {
+    console.log(`[邮件] 收件人: ${message.to}\n主题: ${message.subject}\n\n${message.text}`);
+  }
+}
+
+module.exports = ConsoleMailer;
@@ -0,0 +1,19 @@
+const path = require('path');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+
+// 文件邮件驱动：把完整邮件写入目录中的 .eml 文件（测试环境使用，可直接用邮件客户端打开）
+class FileMailer {
+  constructor(options = {}) {
+    this.dir = path.resolve(options.dir);
+  }
+
+  async send(message) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+
+    const fileName = `${Date.now()}-${uuidv4()}.eml`;
+    await fs.promises.writeFile(path.join(this.dir, fileName), message.raw);
+  }
+}
+
+module.exports = FileMailer;
@@ -0,0 +1,185 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+// SMTP 邮件驱动：每封邮件建立一次连接，支持直接TLS连接和 STARTTLS，使用 AUTH PLAIN 认证
+class SmtpMailer {
+  constructor(options = {}) {
+    const { host, port, secure, user, pass, timeout } = options;
+
+    if (!host) {
+      throw new Error('SMTP配置不完整（需要 host）');
+    }
+
+    this.host = host;
+    this.port = port || (secure ? 465 : 587);
+    this.secure = Boolean(secure);
+    this.user = user;
+    this.pass = pass;
+    this.timeout = timeout || 30 * 1000;
+  }
+
+  async send(message) {
+    const connection = new SmtpConnection(await this.connect(), this.timeout);
+
+    try {
+      await connection.expect(220);
+      let capabilities = await this.hello(connection);
+
+      // 明文连接时优先升级为TLS
+      if (!this.secure && capabilities.includes('STARTTLS')) {
+        await connection.command('STARTTLS', 220);
+        connection.upgrade(await this.upgrade(connection.socket));
+        capabilities = await this.hello(connection);
+      }
+
+      if (this.user) {
+        if (!connection.encrypted) {
+          throw new Error('SMTP服务器不支持 STARTTLS，拒绝以明文发送认证信息');
+        }
+        const credentials = Buffer.from(`\0${this.user}\0${this.pass || ''}`).toString('base64');
+        await connection.command(`AUTH PLAIN ${credentials}`, 235);
+      }
+
+      await connection.command(`MAIL FROM:<${extractAddress(message.from)}>`, 250);
+      await connection.command(`RCPT TO:<${extractAddress(message.to)}>`, [250, 251]);
+      await connection.command('DATA', 354);
+      await connection.command(`${dotStuff(message.raw)}\r\n.`, 250);
+      await connection.command('QUIT', 221).catch(() => {});
+    } finally {
+      connection.close();
+    }
+  }
+
+  // 发送 EHLO 并返回服务器支持的扩展（大写）
+  async hello(connection) {
+    const lines = await connection.command(`EHLO ${os.hostname() || 'localhost'}`, 250);
+    return lines.slice(1).map(line => line.split(' ')[0].toUpperCase());
+  }
+
+  connect() {
+    return new Promise((resolve, reject) => {
+      const onError = (error) => reject(new Error(`无法连接SMTP服务器: ${error.message}`));
+      const socket = this.secure
+        ? tls.connect({ host: this.host, port: this.port, servername: this.host }, () => resolve(socket))
+        : net.connect({ host: this.host, port: this.port }, () => resolve(socket));
+
+      socket.once('error', onError);
+      socket.setTimeout(this.timeout, () => socket.destroy(new Error('连接超时')));
+    });
+  }
+
+  upgrade(socket) {
+    return new Promise((resolve, reject) => {
+      const secureSocket = tls.connect({ socket, servername: this.host }, () => resolve(secureSocket));
+      secureSocket.once('error', (error) => reject(new Error(`SMTP TLS握手失败: ${error.message}`)));
+    });
+  }
+}
+
+// SMTP 连接：按行读取服务器响应，多行响应（250-xxx）合并后返回
+class SmtpConnection {
+  constructor(socket, timeout) {
+    this.timeout = timeout;
+    this.pending = null;
+    this.lines = [];
+    this.buffer = '';
+    this.error = null;
+    this.attach(socket);
+  }
+
+  get encrypted() {
+    return Boolean(this.socket.encrypted);
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    socket.setEncoding('utf8');
+    socket.setTimeout(this.timeout, () => socket.destroy(new Error('SMTP服务器响应超时')));
+    socket.on('data', (chunk) => this.onData(chunk));
+    socket.on('error', (error) => this.fail(error));
+    socket.on('close', () => this.fail(new Error('SMTP连接已关闭')));
+  }
+
+  // STARTTLS 后改用加密连接读写
+  upgrade(socket) {
+    this.socket.setTimeout(0);
+    this.socket.removeAllListeners('data');
+    this.socket.removeAllListeners('close');
+    this.attach(socket);
+  }
+
+  onData(chunk) {
+    this.buffer += chunk;
+
+    let index;
+    while ((index = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, index).replace(/\r$/, '');
+      this.buffer = this.buffer.slice(index + 1);
+      this.lines.push(line);
+
+      // 响应码后为空格（而不是 -）表示响应结束
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const lines = this.lines;
+        this.lines = [];
+        this.resolve(lines);
+      }
+    }
+  }
+
+  resolve(lines) {
+    const pending = this.pending;
+    this.pending = null;
+    if (pending) pending.resolve(lines);
+  }
+
+  fail(error) {
+    this.error = this.error || error;
+    const pending = this.pending;
+    this.pending = null;
+    if (pending) pending.reject(this.error);
+  }
+
+  // 等待服务器响应并检查响应码
+  expect(codes) {
+    const expected = Array.isArray(codes) ? codes : [codes];
+
+    return new Promise((resolve, reject) => {
+      if (this.error) return reject(this.error);
+
+      this.pending = {
+        resolve: (lines) => {
+          const code = parseInt(lines[lines.length - 1].slice(0, 3), 10);
+          if (!expected.includes(code)) {
+            return reject(new Error(`SMTP错误: ${lines.join(' ')}`));
+          }
+          resolve(lines.map(line => line.slice(4)));
+        },
+        reject
+      };
+    });
+  }
+
+  command(line, codes) {
+    const response = this.expect(codes);
+    this.socket.write(`${line}\r\n`);
+    return response;
+  }
+
+  close() {
+    this.socket.destroy();
+  }
+}
+
+// 从 "名称 <地址>" 格式中提取邮箱地址
+function extractAddress(value) {
+  const match = /<([^>]+)>/.exec(value);
+  return (match ? match[1] : value).trim();
+}
+
+// 行首的 . 需要转义为 ..，避免被当作 DATA 结束标记
+function dotStuff(raw) {
+  return raw.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+}
+
+module.exports = SmtpMailer;
@@ -0,0 +1,116 @@
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const ConsoleMailer = require('./mail/consoleMailer');
+const FileMailer = require('./mail/fileMailer');
+const SmtpMailer = require('./mail/smtpMailer');
+
+// 邮件服务：按配置选择发送驱动，统一生成 MIME 邮件（UTF-8 纯文本，正文 base64 编码）
+class MailService {
+  constructor() {
+    this.transport = this.createTransport(config.mail);
+  }
+
+  // 创建发送驱动
+  createTransport(mailConfig) {
+    switch (mailConfig.driver) {
+      case 'smtp':
+        return new SmtpMailer(mailConfig.smtp);
+      case 'file':
+        // 相对路径以项目根目录为基准
+        return new FileMailer({ dir: path.resolve(__dirname, '..', mailConfig.fileDir) });
+      case 'console':
+        return new ConsoleMailer();
+      default:
+        throw new Error(`不支持的邮件驱动: ${mailConfig.driver}`);
+    }
+  }
+
+  // 发送纯文本邮件
+  async send({ to, subject, text }) {
+    const from = config.mail.from;
+    const message = {
+      from,
+      to,
+      subject,
+      text,
+      raw: this.buildMessage({ from, to, subject, text })
+    };
+
+    await this.transport.send(message);
+  }
+
+  // 发送密码重置邮件
+  async sendPasswordReset(user, token) {
+    const resetUrl = `${config.passwordReset.resetUrl}?token=${encodeURIComponent(token)}`;
+    const minutes = Math.round(config.passwordReset.tokenTtl / 60000);
+
+    await this.send({
+      to: user.email,
+      subject: 'ChatFlow 密码重置',
+      text: [
+        `${user.nickname}，你好：`,
+        '',
+        '我们收到了重置你的 ChatFlow 账号密码的请求。请打开下面的链接设置新密码：',
+        '',
+        resetUrl,
+        '',
+        `链接在 ${minutes} 分钟内有效，且只能使用一次。如果这不是你本人的操作，请忽略这封邮件，你的密码不会被修改。`
+      ].join('\n')
+    });
+  }
+
+  // 发送邮箱验证邮件
+  async sendEmailVerification(user, token) {
+    const verifyUrl = `${config.emailVerification.verifyUrl}?token=${encodeURIComponent(token)}`;
+    const hours = Math.round(config.emailVerification.tokenTtl / 3600000);
+
+    await this.send({
+      to: user.email,
+      subject: 'ChatFlow 邮箱验证',
+      text: [
+        `${user.nickname}，你好：`,
+        '',
+        '请打开下面的链接验证你的 ChatFlow 账号邮箱：',
+        '',
+        verifyUrl,
+        '',
+        `链接在 ${hours} 小时内有效。如果你没有注册 ChatFlow 账号，请忽略这封邮件。`
+      ].join('\n')
+    });
+  }
+
+  // 生成 MIME 邮件原文
+  buildMessage({ from, to, subject, text }) {
+    const domain = this.extractAddress(from).split('@')[1] || 'localhost';
+    const body = Buffer.from(text.replace(/\r?\n/g, '\r\n'), 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+
+    return [
+      `From: ${from}`,
+      `To: ${to}`,
+      `Subject: ${this.encodeHeader(subject)}`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=UTF-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      body
+    ].join('\r\n');
+  }
+
+  // 非 ASCII 的邮件头按 RFC 2047 编码
+  encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value)
+      ? value
+      : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+  }
+
+  // 从 "名称 <地址>" 格式中提取邮箱地址
+  extractAddress(value) {
+    const match = /<([^>]+)>/.exec(value);
+    return (match ? match[1] : value).trim();
+  }
+}
+
+module.exports = new MailService();
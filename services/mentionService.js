@@ -0,0 +1,259 @@
+const database = require('../database');
+
+class MentionService {
+  // 解析消息中的 @昵称 / @UID，匹配为聊天室成员（不包含发送者本人）
+  async resolveMentions(chatroomId, text, senderUid) {
+    if (!text || typeof text !== 'string' || !text.includes('@')) {
+      return [];
+    }
+
+    const members = await database.all(
+      'SELECT user_uid, user_type, nickname FROM chatroom_members WHERE chatroom_id = ? AND is_active = 1 AND user_uid != ?',
+      [chatroomId, senderUid]
+    );
+
+    if (members.length === 0) {
+      return [];
+    }
+
+    const mentioned = new Map();
+    let index = text.indexOf('@');
+
+    while (index !== -1) {
+      const rest = text.slice(index + 1);
+      const restUpper = rest.toUpperCase();
+
+      // 昵称中间可能没有空格分隔（如"@张三你好"），取最长的匹配；同名成员都会被提及
+      let matchLength = 0;
+      let matches = [];
+      for (const member of members) {
+        let length = 0;
+        if (member.nickname && rest.startsWith(member.nickname)) {
+          length = member.nickname.length;
+        }
+        if (restUpper.startsWith(member.user_uid.toUpperCase()) && member.user_uid.length > length) {
+          length = member.user_uid.length;
+        }
+
+        if (length > matchLength) {
+          matchLength = length;
+          matches = [member];
+        } else if (length > 0 && length === matchLength) {
+          matches.push(member);
+        }
+      }
+
+      for (const member of matches) {
+        mentioned.set(member.user_uid, {
+          uid: member.user_uid,
+          userType: member.user_type,
+          nickname: member.nickname
+        });
+      }
+
+      index = text.indexOf('@', index + 1 + matchLength);
+    }
+
+    return Array.from(mentioned.values());
+  }
+
+  // 获取消息中需要解析提及的文本（仅文本和Markdown消息）
+  getMentionText(messageType, content, markdownContent) {
+    if (messageType === 'markdown') {
+      return [content, markdownContent].filter(Boolean).join('\n');
+    }
+    if (messageType === 'text') {
+      return content || '';
+    }
+    return '';
+  }
+
+  // 保存消息的提及记录
+  async saveMentions(message, mentions) {
+    for (const mention of mentions) {
+      await database.run(`
+        INSERT OR IGNORE INTO message_mentions (message_id, chatroom_id, mentioned_uid, sender_uid, created_at)
+        VALUES (?, ?, ?, ?, ?)
+      `, [message.id, message.chatroomId, mention.uid, message.userUid, Date.now()]);
+    }
+  }
+
+  // 消息编辑后同步提及记录，返回新增的提及
+  async syncMentions(message, mentions) {
+    const existing = await database.all(
+      'SELECT mentioned_uid FROM message_mentions WHERE message_id = ?',
+      [message.id]
+    );
+    const existingUids = new Set(existing.map(row => row.mentioned_uid));
+    const currentUids = new Set(mentions.map(mention => mention.uid));
+
+    for (const uid of existingUids) {
+      if (!currentUids.has(uid)) {
+        await database.run(
+          'DELETE FROM message_mentions WHERE message_id = ? AND mentioned_uid = ?',
+          [message.id, uid]
+        );
+      }
+    }
+
+    const added = mentions.filter(mention => !existingUids.has(mention.uid));
+    await this.saveMentions(message, added);
+
+    return added;
+  }
+
+  // 批量获取消息的提及用户
+  async getMessageMentions(messageIds) {
+    if (messageIds.length === 0) {
+      return {};
+    }
+
+    const placeholders = messageIds.map(() => '?').join(',');
+    const rows = await database.all(`
+      SELECT mm.message_id, mm.mentioned_uid, cm.nickname
+      FROM message_mentions mm
+      LEFT JOIN chatroom_members cm ON cm.chatroom_id = mm.chatroom_id AND cm.user_uid = mm.mentioned_uid
+      WHERE mm.message_id IN (${placeholders})
+      ORDER BY mm.id ASC
+    `, messageIds);
+
+    const mentionsMap = {};
+    for (const row of rows) {
+      if (!mentionsMap[row.message_id]) {
+        mentionsMap[row.message_id] = [];
+      }
+      mentionsMap[row.message_id].push({
+        uid: row.mentioned_uid,
+        nickname: row.nickname
+      });
+    }
+
+    return mentionsMap;
+  }
+
+  // 向被提及的用户推送通知（用户不在该聊天室时也能收到）
+  notifyMentions(io, message, mentions) {
+    if (!io || !mentions || mentions.length === 0) {
+      return;
+    }
+
+    for (const mention of mentions) {
+      io.to(`user:${mention.uid}`).emit('mentioned', {
+        chatroomId: message.chatroomId,
+        messageId: message.id,
+        threadRootId: message.threadRootId || null,
+        message,
+        timestamp: Date.now()
+      });
+    }
+  }
+
+  // 获取用户的提及收件箱（按时间倒序，before 为提及记录ID游标）
+  async getUserMentions(userUid, options = {}) {
+    const { limit = 20, before = null, unreadOnly = false } = options;
+
+    const conditions = ['mm.mentioned_uid = ?', 'm.is_deleted = 0'];
+    const params = [userUid];
+
+    if (before) {
+      conditions.push('mm.id < ?');
+      params.push(before);
+    }
+    if (unreadOnly) {
+      conditions.push('mm.is_read = 0');
+    }
+
+    const rows = await database.all(`
+      SELECT mm.id as mention_id, mm.is_read, mm.read_at, mm.created_at as mentioned_at,
+             m.id, m.chatroom_id, m.sender_uid, m.sender_type, m.content, m.message_type,
+             m.markdown_content, m.thread_root_id, m.created_at,
+             c.name as room_name, c.room_type,
+             CASE WHEN m.sender_type = 'anonymous' THEN a.nickname ELSE u.nickname END as sender_nickname,
+             CASE WHEN m.sender_type = 'anonymous' THEN a.avatar_url ELSE u.avatar_url END as sender_avatar_url
+      FROM message_mentions mm
+      JOIN messages m ON mm.message_id = m.id
+      JOIN chatrooms c ON mm.chatroom_id = c.room_id
+      LEFT JOIN users u ON m.sender_uid = u.uid AND m.sender_type = 'user'
+      LEFT JOIN anonymous_users a ON m.sender_uid = a.uid AND m.sender_type = 'anonymous' AND a.chatroom_id = m.chatroom_id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY mm.id DESC
+      LIMIT ?
+    `, [...params, limit + 1]);
+
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+
+    return {
+      mentions: page.map(row => ({
+        id: row.mention_id,
+        isRead: row.is_read === 1,
+        readAt: row.read_at,
+        mentionedAt: row.mentioned_at,
+        chatroom: {
+          roomId: row.chatroom_id,
+          name: row.room_name,
+          roomType: row.room_type
+        },
+        message: {
+          id: row.id,
+          chatroomId: row.chatroom_id,
+          content: row.content,
+          messageType: row.message_type,
+          markdownContent: row.markdown_content,
+          threadRootId: row.thread_root_id,
+          createdAt: row.created_at,
+          user: {
+            uid: row.sender_uid,
+            nickname: row.sender_nickname,
+            avatarUrl: row.sender_avatar_url
+          }
+        }
+      })),
+      unreadCount: await this.getUnreadMentionCount(userUid),
+      nextCursor: hasMore ? page[page.length - 1].mention_id : null,
+      hasMore
+    };
+  }
+
+  // 获取未读提及数量
+  async getUnreadMentionCount(userUid) {
+    const result = await database.get(`
+      SELECT COUNT(*) as count
+      FROM message_mentions mm
+      JOIN messages m ON mm.message_id = m.id
+      WHERE mm.mentioned_uid = ? AND mm.is_read = 0 AND m.is_deleted = 0
+    `, [userUid]);
+
+    return result.count;
+  }
+
+  // 标记提及为已读（不传 mentionIds 时按聊天室或全部标记）
+  async markMentionsRead(userUid, { mentionIds = null, roomId = null } = {}) {
+    const conditions = ['mentioned_uid = ?', 'is_read = 0'];
+    const params = [userUid];
+
+    if (mentionIds) {
+      if (mentionIds.length === 0) {
+        throw new Error('请指定要标记的提及');
+      }
+      conditions.push(`id IN (${mentionIds.map(() => '?').join(',')})`);
+      params.push(...mentionIds);
+    }
+    if (roomId) {
+      conditions.push('chatroom_id = ?');
+      params.push(roomId);
+    }
+
+    const result = await database.run(
+      `UPDATE message_mentions SET is_read = 1, read_at = ? WHERE ${conditions.join(' AND ')}`,
+      [Date.now(), ...params]
+    );
+
+    return {
+      updated: result.changes,
+      unreadCount: await this.getUnreadMentionCount(userUid)
+    };
+  }
+}
+
+module.exports = new MentionService();
@@ -1,13 +1,14 @@
 const database = require('../database');
 const utils = require('../utils');
 const chatroomService = require('./chatroomService');
+const mentionService = require('./mentionService');
+const storageService = require('./storageService');
 
 class MessageService {
-  // 发送消息
-  async sendMessage(messageData) {
-    const { chatroomId, userUid, userType = 'user', content, messageType = 'text', imageUrl = null, replyToMessageId = null, bilibiliId = null, markdownContent = null, fileId = null, fileName = null, fileSize = null, fileExpiry = null } = messageData;
+  // 验证消息内容（发送消息和定时消息共用）
+  validateMessageContent(messageData) {
+    const { content, messageType = 'text', imageUrl = null, bilibiliId = null, markdownContent = null, fileId = null, fileName = null, fileSize = null, fileExpiry = null } = messageData;
 
-    // 验证消息内容
     if (messageType === 'image') {
       // 图片消息必须有图片URL
       if (!imageUrl) {
@@ -66,6 +67,14 @@ class MessageService {
         throw new Error('消息内容过长，最多1000个字符');
       }
     }
+  }
+
+  // 发送消息
+  async sendMessage(messageData) {
+    const { chatroomId, userUid, userType = 'user', content, messageType = 'text', imageUrl = null, thumbnailUrl = null, previewUrl = null, imageWidth = null, imageHeight = null, replyToMessageId = null, threadRootId = null, bilibiliId = null, markdownContent = null, fileId = null, fileName = null, fileSize = null, fileExpiry = null } = messageData;
+
+    // 验证消息内容
+    this.validateMessageContent(messageData);
 
     // 检查用户是否被禁言
     const muteStatus = await chatroomService.checkUserMuted(userUid, chatroomId);
@@ -74,6 +83,22 @@ class MessageService {
       throw new Error(`您已被禁言，还有 ${remainingMinutes} 分钟解除`);
     }
 
+    // 私信会话：检查参与者身份和屏蔽关系
+    const conversation = await this.assertConversationAccess(chatroomId, userUid);
+    if (conversation) {
+      const peerUid = conversation.user_a_uid === userUid ? conversation.user_b_uid : conversation.user_a_uid;
+      const blocks = await database.all(
+        'SELECT blocker_uid FROM user_blocks WHERE (blocker_uid = ? AND blocked_uid = ?) OR (blocker_uid = ? AND blocked_uid = ?)',
+        [peerUid, userUid, userUid, peerUid]
+      );
+      if (blocks.some(block => block.blocker_uid === peerUid)) {
+        throw new Error('对方已将您屏蔽，无法发送私信');
+      }
+      if (blocks.length > 0) {
+        throw new Error('您已屏蔽对方，请先解除屏蔽');
+      }
+    }
+
     // 清理消息内容，防止XSS
     const sanitizedContent = content ? utils.sanitizeText(content) : '';
 
@@ -89,12 +114,28 @@ class MessageService {
       }
     }
 
+    // 验证话题根消息（回复话题内任意消息时归入同一个话题）
+    let resolvedThreadRootId = null;
+    if (threadRootId) {
+      const threadMessage = await database.get(
+        'SELECT id, thread_root_id, message_type FROM messages WHERE id = ? AND chatroom_id = ? AND is_deleted = 0',
+        [threadRootId, chatroomId]
+      );
+      if (!threadMessage) {
+        throw new Error('话题消息不存在');
+      }
+      if (threadMessage.message_type === 'system') {
+        throw new Error('不能在系统消息下开启话题');
+      }
+      resolvedThreadRootId = threadMessage.thread_root_id || threadMessage.id;
+    }
+
     // 保存消息到数据库
     const messageId = utils.generateMessageId();
     const result = await database.run(`
-      INSERT INTO messages (message_id, chatroom_id, sender_uid, sender_type, content, message_type, image_url, reply_to_message_id, bilibili_bv, markdown_content, file_id, file_name, file_size, file_expiry)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `, [messageId, chatroomId, userUid, userType, sanitizedContent, messageType, imageUrl, replyToMessageId, bilibiliId, markdownContent, fileId, fileName, fileSize, fileExpiry]);
+      INSERT INTO messages (message_id, chatroom_id, sender_uid, sender_type, content, message_type, image_url, thumbnail_url, preview_url, image_width, image_height, reply_to_message_id, thread_root_id, bilibili_bv, markdown_content, file_id, file_name, file_size, file_expiry)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [messageId, chatroomId, userUid, userType, sanitizedContent, messageType, imageUrl, thumbnailUrl, previewUrl, imageWidth, imageHeight, replyToMessageId, resolvedThreadRootId, bilibiliId, markdownContent, fileId, fileName, fileSize, fileExpiry]);
 
     // 获取用户信息
     let userInfo;
@@ -115,6 +156,14 @@ class MessageService {
     // 检查是否为管理员
     const isAdmin = await chatroomService.checkAdminPermission(userUid, chatroomId);
 
+    // 解析并保存 @提及
+    const mentions = await mentionService.resolveMentions(
+      chatroomId,
+      mentionService.getMentionText(messageType, content, markdownContent),
+      userUid
+    );
+    await mentionService.saveMentions({ id: result.id, chatroomId, userUid }, mentions);
+
     // 构建返回对象
     const messageResult = {
       id: result.id,
@@ -125,6 +174,10 @@ class MessageService {
       content: sanitizedContent,
       messageType,
       imageUrl,
+      thumbnailUrl: thumbnailUrl || imageUrl,
+      previewUrl: previewUrl || imageUrl,
+      width: imageWidth,
+      height: imageHeight,
       bilibiliId,
       markdownContent,
       fileId,
@@ -132,6 +185,8 @@ class MessageService {
       fileSize,
       fileExpiry,
       replyToMessageId,
+      threadRootId: resolvedThreadRootId,
+      mentions: mentions.map(mention => ({ uid: mention.uid, nickname: mention.nickname })),
       createdAt: Date.now(),
       user: {
         uid: userInfo.uid,
@@ -177,12 +232,15 @@ class MessageService {
     return messageResult;
   }
 
-  // 获取聊天室消息历史
-  async getChatroomMessages(chatroomId, userUid, userType = 'user', limit = 50, offset = 0) {
-    let messages;
+  // 构建消息可见性过滤条件（匿名用户只能看到自己加入后的消息，系统消息按可见范围过滤）
+  async buildMessageVisibilityFilter(chatroomId, userUid, userType = 'user') {
+    const conditions = ['m.chatroom_id = ?'];
+    const params = [chatroomId];
+
+    // 私信会话只有参与者可以查看
+    await this.assertConversationAccess(chatroomId, userUid);
 
     if (userType === 'anonymous') {
-      // 匿名用户只能看到自己加入后的消息
       const anonymousUser = await database.get(
         'SELECT join_time FROM anonymous_users WHERE uid = ? AND chatroom_id = ?',
         [userUid, chatroomId]
@@ -192,111 +250,123 @@ class MessageService {
         throw new Error('匿名用户信息不存在');
       }
 
-      messages = await database.all(`
-        SELECT m.*, 
-               CASE 
-                 WHEN m.sender_type = 'anonymous' THEN a.nickname 
-                 WHEN m.sender_type = 'system' THEN '系统'
-                 ELSE u.nickname 
-               END as nickname,
-               CASE 
-                 WHEN m.sender_type = 'anonymous' THEN a.avatar_url 
-                 WHEN m.sender_type = 'system' THEN NULL
-                 ELSE u.avatar_url 
-               END as avatar_url,
-               -- 回复消息信息
-               rm.id as reply_msg_id,
-               rm.content as reply_content,
-               rm.message_type as reply_message_type,
-               rm.bilibili_bv as reply_bilibili_bv,
-               rm.markdown_content as reply_markdown_content,
-               rm.sender_uid as reply_sender_uid,
-               rm.sender_type as reply_sender_type,
-               rm.created_at as reply_created_at,
-               CASE 
-                 WHEN rm.sender_type = 'anonymous' THEN ra.nickname 
-                 WHEN rm.sender_type = 'system' THEN '系统'
-                 ELSE ru.nickname 
-               END as reply_nickname,
-               CASE 
-                 WHEN rm.sender_type = 'anonymous' THEN ra.avatar_url 
-                 WHEN rm.sender_type = 'system' THEN NULL
-                 ELSE ru.avatar_url 
-               END as reply_avatar_url
-        FROM messages m
-        LEFT JOIN users u ON m.sender_uid = u.uid AND m.sender_type = 'user'
-        LEFT JOIN anonymous_users a ON m.sender_uid = a.uid AND m.sender_type = 'anonymous' AND a.chatroom_id = m.chatroom_id
-        LEFT JOIN messages rm ON m.reply_to_message_id = rm.id
-        LEFT JOIN users ru ON rm.sender_uid = ru.uid AND rm.sender_type = 'user'
-        LEFT JOIN anonymous_users ra ON rm.sender_uid = ra.uid AND rm.sender_type = 'anonymous' AND ra.chatroom_id = rm.chatroom_id
-        WHERE m.chatroom_id = ? AND m.created_at >= ?
-        AND (
-          m.message_type != 'system' OR 
-          (m.system_message_type = 'persistent' AND (
-            m.visibility_scope = 'all' OR 
-            (m.visibility_scope = 'specific' AND m.visible_to_users LIKE '%"' || ? || '"%')
-          ))
-        )
-        ORDER BY m.created_at DESC
-        LIMIT ? OFFSET ?
-      `, [chatroomId, anonymousUser.join_time, userUid, limit, offset]);
-    } else {
-      // 注册用户可以看到所有历史消息
-      messages = await database.all(`
-        SELECT m.*,
-               CASE 
-                 WHEN m.sender_type = 'anonymous' THEN a.nickname 
-                 WHEN m.sender_type = 'system' THEN '系统'
-                 ELSE u.nickname 
-               END as nickname,
-               CASE 
-                 WHEN m.sender_type = 'anonymous' THEN a.avatar_url 
-                 WHEN m.sender_type = 'system' THEN NULL
-                 ELSE u.avatar_url 
-               END as avatar_url,
-               -- 回复消息信息
-               rm.id as reply_msg_id,
-               rm.content as reply_content,
-               rm.message_type as reply_message_type,
-               rm.bilibili_bv as reply_bilibili_bv,
-               rm.markdown_content as reply_markdown_content,
-               rm.sender_uid as reply_sender_uid,
-               rm.sender_type as reply_sender_type,
-               rm.created_at as reply_created_at,
-               CASE 
-                 WHEN rm.sender_type = 'anonymous' THEN ra.nickname 
-                 WHEN rm.sender_type = 'system' THEN '系统'
-                 ELSE ru.nickname 
-               END as reply_nickname,
-               CASE 
-                 WHEN rm.sender_type = 'anonymous' THEN ra.avatar_url 
-                 WHEN rm.sender_type = 'system' THEN NULL
-                 ELSE ru.avatar_url 
-               END as reply_avatar_url
-        FROM messages m
-        LEFT JOIN users u ON m.sender_uid = u.uid AND m.sender_type = 'user'
-        LEFT JOIN anonymous_users a ON m.sender_uid = a.uid AND m.sender_type = 'anonymous' AND a.chatroom_id = m.chatroom_id
-        LEFT JOIN messages rm ON m.reply_to_message_id = rm.id
-        LEFT JOIN users ru ON rm.sender_uid = ru.uid AND rm.sender_type = 'user'
-        LEFT JOIN anonymous_users ra ON rm.sender_uid = ra.uid AND rm.sender_type = 'anonymous' AND ra.chatroom_id = rm.chatroom_id
-        WHERE m.chatroom_id = ?
-        AND (
+      conditions.push('m.created_at >= ?');
+      params.push(anonymousUser.join_time);
+    }
+
+    conditions.push(`(
           m.message_type != 'system' OR 
           (m.system_message_type = 'persistent' AND (
             m.visibility_scope = 'all' OR 
             (m.visibility_scope = 'specific' AND m.visible_to_users LIKE '%"' || ? || '"%')
           ))
-        )
-        ORDER BY m.created_at DESC
-        LIMIT ? OFFSET ?
-      `, [chatroomId, userUid, limit, offset]);
+        )`);
+    params.push(userUid);
+
+    return {
+      sql: conditions.join(' AND '),
+      params
+    };
+  }
+
+  // 检查用户是否为聊天室（或私信会话）的当前成员
+  async assertActiveMember(chatroomId, userUid) {
+    const member = await database.get(
+      'SELECT 1 FROM chatroom_members WHERE chatroom_id = ? AND user_uid = ? AND is_active = 1',
+      [chatroomId, userUid]
+    );
+
+    if (!member) {
+      const error = new Error('您不在此聊天室中');
+      error.code = 'NOT_MEMBER';
+      throw error;
     }
+  }
 
-    // 反转消息顺序（最新的在后面）
-    messages.reverse();
+  // 检查私信会话访问权限（非私信会话返回 null，私信会话返回会话记录）
+  async assertConversationAccess(chatroomId, userUid) {
+    const conversation = await database.get(
+      'SELECT * FROM direct_conversations WHERE conversation_id = ?',
+      [chatroomId]
+    );
+
+    if (!conversation) {
+      return null;
+    }
+
+    if (conversation.user_a_uid !== userUid && conversation.user_b_uid !== userUid) {
+      throw new Error('没有权限访问该私信会话');
+    }
+
+    return conversation;
+  }
+
+  // 按过滤条件查询聊天室消息（包含发送者和被回复消息信息）
+  async queryChatroomMessages(visibility, options = {}) {
+    const { where = null, params = [], order = 'DESC', limit = 50, offset = 0 } = options;
+    const whereClause = where ? `${visibility.sql} AND ${where}` : visibility.sql;
+    const direction = order === 'ASC' ? 'ASC' : 'DESC';
+
+    return await database.all(`
+      SELECT m.*,
+             CASE 
+               WHEN m.sender_type = 'anonymous' THEN a.nickname 
+               WHEN m.sender_type = 'system' THEN '系统'
+               ELSE u.nickname 
+             END as nickname,
+             CASE 
+               WHEN m.sender_type = 'anonymous' THEN a.avatar_url 
+               WHEN m.sender_type = 'system' THEN NULL
+               ELSE u.avatar_url 
+             END as avatar_url,
+             -- 回复消息信息
+             rm.id as reply_msg_id,
+             rm.content as reply_content,
+             rm.message_type as reply_message_type,
+             rm.bilibili_bv as reply_bilibili_bv,
+             rm.markdown_content as reply_markdown_content,
+             rm.sender_uid as reply_sender_uid,
+             rm.sender_type as reply_sender_type,
+             rm.created_at as reply_created_at,
+             CASE 
+               WHEN rm.sender_type = 'anonymous' THEN ra.nickname 
+               WHEN rm.sender_type = 'system' THEN '系统'
+               ELSE ru.nickname 
+             END as reply_nickname,
+             CASE 
+               WHEN rm.sender_type = 'anonymous' THEN ra.avatar_url 
+               WHEN rm.sender_type = 'system' THEN NULL
+               ELSE ru.avatar_url 
+             END as reply_avatar_url,
+             -- 编辑次数
+             (SELECT COUNT(*) FROM message_edits me WHERE me.message_id = m.id) as revision_count,
+             -- 话题回复统计
+             (SELECT COUNT(*) FROM messages tm WHERE tm.thread_root_id = m.id AND tm.is_deleted = 0) as thread_reply_count,
+             (SELECT MAX(tm.created_at) FROM messages tm WHERE tm.thread_root_id = m.id AND tm.is_deleted = 0) as thread_last_reply_at,
+             -- 置顶信息
+             p.pinned_by,
+             p.pinned_at
+      FROM messages m
+      LEFT JOIN message_pins p ON p.message_id = m.id
+      LEFT JOIN users u ON m.sender_uid = u.uid AND m.sender_type = 'user'
+      LEFT JOIN anonymous_users a ON m.sender_uid = a.uid AND m.sender_type = 'anonymous' AND a.chatroom_id = m.chatroom_id
+      LEFT JOIN messages rm ON m.reply_to_message_id = rm.id
+      LEFT JOIN users ru ON rm.sender_uid = ru.uid AND rm.sender_type = 'user'
+      LEFT JOIN anonymous_users ra ON rm.sender_uid = ra.uid AND rm.sender_type = 'anonymous' AND ra.chatroom_id = rm.chatroom_id
+      WHERE ${whereClause}
+      ORDER BY m.id ${direction}
+      LIMIT ? OFFSET ?
+    `, [...visibility.params, ...params, limit, offset]);
+  }
+
+  // 格式化聊天室消息（按传入顺序）
+  async formatChatroomMessages(messages, chatroomId, userUid) {
+    // 获取消息的表情回应和提及
+    const reactionsMap = await this.getMessageReactions(messages.map(msg => msg.id), userUid);
+    const mentionsMap = await mentionService.getMessageMentions(messages.map(msg => msg.id));
 
     // 格式化消息并检查管理员权限
-    const formattedMessages = await Promise.all(messages.map(async (msg) => {
+    return await Promise.all(messages.map(async (msg) => {
       const isAdmin = msg.sender_type === 'system' ? true : await chatroomService.checkAdminPermission(msg.sender_uid, chatroomId);
       
       const formattedMsg = {
@@ -307,6 +377,10 @@ class MessageService {
         content: msg.content,
         messageType: msg.message_type,
         imageUrl: msg.image_url,
+        thumbnailUrl: msg.thumbnail_url || msg.image_url,
+        previewUrl: msg.preview_url || msg.image_url,
+        width: msg.image_width || null,
+        height: msg.image_height || null,
         bilibiliId: msg.bilibili_bv,
         markdownContent: msg.markdown_content,
         fileId: msg.file_id,
@@ -314,7 +388,17 @@ class MessageService {
         fileSize: msg.file_size,
         fileExpiry: msg.file_expiry,
         replyToMessageId: msg.reply_to_message_id,
+        threadRootId: msg.thread_root_id || null,
+        threadReplyCount: msg.thread_reply_count || 0,
+        threadLastReplyAt: msg.thread_last_reply_at || null,
+        isPinned: Boolean(msg.pinned_at),
+        pinnedAt: msg.pinned_at || null,
+        pinnedBy: msg.pinned_by || null,
         createdAt: msg.created_at,
+        editedAt: msg.edited_at || null,
+        revisionCount: msg.revision_count || 0,
+        reactions: reactionsMap[msg.id] || [],
+        mentions: mentionsMap[msg.id] || [],
         user: {
           uid: msg.sender_uid,
           nickname: msg.nickname,
@@ -349,8 +433,183 @@ class MessageService {
 
       return formattedMsg;
     }));
+  }
+
+  // 获取聊天室消息历史
+  async getChatroomMessages(chatroomId, userUid, userType = 'user', limit = 50, offset = 0) {
+    const visibility = await this.buildMessageVisibilityFilter(chatroomId, userUid, userType);
+    // 话题回复不出现在聊天室主时间线中
+    const messages = await this.queryChatroomMessages(visibility, { where: 'm.thread_root_id IS NULL', limit, offset });
+
+    // 反转消息顺序（最新的在后面）
+    messages.reverse();
+
+    return await this.formatChatroomMessages(messages, chatroomId, userUid);
+  }
+
+  // 基于游标获取聊天室消息历史
+  // before: 加载该消息之前（更早）的消息；after: 加载该消息之后（更新）的消息；
+  // around: 加载该消息及其前后的消息（用于跳转到回复目标或搜索结果）
+  // 返回的 nextCursor 作为 before 继续加载更早的消息，prevCursor 作为 after 加载更新的消息，没有更多时为 null
+  async getChatroomMessagesByCursor(chatroomId, userUid, userType = 'user', options = {}) {
+    const { limit = 50, before = null, after = null, around = null } = options;
+    const visibility = await this.buildMessageVisibilityFilter(chatroomId, userUid, userType);
+    // 话题回复不出现在聊天室主时间线中
+    const timeline = {
+      sql: `${visibility.sql} AND m.thread_root_id IS NULL`,
+      params: visibility.params
+    };
+
+    let olderMessages = [];
+    let newerMessages = [];
+    let hasOlder = false;
+    let hasNewer = false;
+
+    if (around) {
+      // 确认目标消息存在且对当前用户可见
+      const target = await database.get(
+        `SELECT m.id, m.thread_root_id FROM messages m WHERE ${visibility.sql} AND m.id = ?`,
+        [...visibility.params, around]
+      );
+      if (!target) {
+        throw new Error('消息不存在或不可见');
+      }
+
+      // 目标为话题回复时，定位到其根消息
+      const anchorId = target.thread_root_id || target.id;
+
+      // 目标消息计入较早的一半
+      const olderLimit = Math.ceil(limit / 2);
+      const newerLimit = limit - olderLimit;
+
+      olderMessages = await this.queryChatroomMessages(timeline, {
+        where: 'm.id <= ?', params: [anchorId], order: 'DESC', limit: olderLimit + 1
+      });
+      newerMessages = await this.queryChatroomMessages(timeline, {
+        where: 'm.id > ?', params: [anchorId], order: 'ASC', limit: newerLimit + 1
+      });
+
+      hasOlder = olderMessages.length > olderLimit;
+      hasNewer = newerMessages.length > newerLimit;
+      olderMessages = olderMessages.slice(0, olderLimit);
+      newerMessages = newerMessages.slice(0, newerLimit);
+    } else if (after) {
+      newerMessages = await this.queryChatroomMessages(timeline, {
+        where: 'm.id > ?', params: [after], order: 'ASC', limit: limit + 1
+      });
+      hasNewer = newerMessages.length > limit;
+      newerMessages = newerMessages.slice(0, limit);
+      hasOlder = await this.hasVisibleMessages(timeline, 'm.id <= ?', [after]);
+    } else {
+      olderMessages = await this.queryChatroomMessages(timeline, {
+        where: before ? 'm.id < ?' : null, params: before ? [before] : [], order: 'DESC', limit: limit + 1
+      });
+      hasOlder = olderMessages.length > limit;
+      olderMessages = olderMessages.slice(0, limit);
+      hasNewer = before ? await this.hasVisibleMessages(timeline, 'm.id >= ?', [before]) : false;
+    }
+
+    // 按时间正序排列（最新的在后面）
+    const rows = olderMessages.reverse().concat(newerMessages);
+    const messages = await this.formatChatroomMessages(rows, chatroomId, userUid);
+
+    return {
+      messages,
+      nextCursor: hasOlder && messages.length > 0 ? messages[0].id : null,
+      prevCursor: hasNewer && messages.length > 0 ? messages[messages.length - 1].id : null,
+      hasMore: hasOlder,
+      hasNewer
+    };
+  }
+
+  // 获取话题（根消息及其全部回复）
+  async getThreadMessages(chatroomId, messageId, userUid, userType = 'user') {
+    // 只有聊天室（或私信会话）的当前成员可以查看和关注话题
+    await this.assertActiveMember(chatroomId, userUid);
+
+    const visibility = await this.buildMessageVisibilityFilter(chatroomId, userUid, userType);
+
+    // 传入话题内任意消息都定位到根消息
+    const target = await database.get(
+      `SELECT m.id, m.thread_root_id FROM messages m WHERE ${visibility.sql} AND m.id = ?`,
+      [...visibility.params, messageId]
+    );
+    if (!target) {
+      throw new Error('消息不存在或不可见');
+    }
+
+    const rootId = target.thread_root_id || target.id;
+    const rootRows = await this.queryChatroomMessages(visibility, {
+      where: 'm.id = ?', params: [rootId], limit: 1
+    });
+    if (rootRows.length === 0) {
+      throw new Error('话题不存在或不可见');
+    }
+
+    const replyRows = await this.queryChatroomMessages(visibility, {
+      where: 'm.thread_root_id = ? AND m.is_deleted = 0', params: [rootId], order: 'ASC', limit: -1
+    });
+
+    const [root] = await this.formatChatroomMessages(rootRows, chatroomId, userUid);
+    const replies = await this.formatChatroomMessages(replyRows, chatroomId, userUid);
+
+    return {
+      root,
+      replies,
+      replyCount: root.threadReplyCount,
+      lastReplyAt: root.threadLastReplyAt
+    };
+  }
+
+  // 获取话题摘要（回复数量和最后回复时间）
+  async getThreadSummary(chatroomId, rootId) {
+    const summary = await database.get(`
+      SELECT COUNT(*) as reply_count, MAX(created_at) as last_reply_at
+      FROM messages
+      WHERE thread_root_id = ? AND chatroom_id = ? AND is_deleted = 0
+    `, [rootId, chatroomId]);
+
+    return {
+      roomId: chatroomId,
+      threadRootId: rootId,
+      replyCount: summary.reply_count,
+      lastReplyAt: summary.last_reply_at
+    };
+  }
+
+  // 广播新消息：普通消息推送到聊天室，话题回复推送给关注该话题的用户并更新根消息的话题摘要
+  async broadcastNewMessage(io, message) {
+    if (!io) {
+      return;
+    }
+
+    if (message.threadRootId) {
+      io.to(this.getThreadChannel(message.threadRootId)).emit('new-thread-message', message);
+      const summary = await this.getThreadSummary(message.chatroomId, message.threadRootId);
+      io.to(message.chatroomId).emit('thread-updated', {
+        ...summary,
+        timestamp: Date.now()
+      });
+    } else {
+      io.to(message.chatroomId).emit('new-message', message);
+    }
 
-    return formattedMessages;
+    // 被提及的用户无论在哪个聊天室都会收到通知
+    mentionService.notifyMentions(io, message, message.mentions);
+  }
+
+  // 话题对应的Socket.IO房间名
+  getThreadChannel(rootId) {
+    return `thread:${rootId}`;
+  }
+
+  // 检查是否存在满足条件的可见消息
+  async hasVisibleMessages(visibility, where, params = []) {
+    const row = await database.get(
+      `SELECT m.id FROM messages m WHERE ${visibility.sql} AND ${where} LIMIT 1`,
+      [...visibility.params, ...params]
+    );
+    return Boolean(row);
   }
 
   // 删除消息
@@ -383,6 +642,12 @@ class MessageService {
         [messageId]
       );
 
+      // 删除话题根消息时，话题回复回到聊天室主时间线
+      await database.run(
+        'UPDATE messages SET thread_root_id = NULL WHERE thread_root_id = ?',
+        [messageId]
+      );
+
       // 如果是文件消息，需要先处理文件引用并删除物理文件
       if (message.message_type === 'file' && message.file_id) {
         // 获取文件信息
@@ -397,23 +662,20 @@ class MessageService {
           [message.file_id]
         );
         
-        // 删除物理文件
+        // 删除存储中的文件
         if (fileInfo && fileInfo.stored_name) {
-          const fs = require('fs');
-          const path = require('path');
-          const filePath = path.join(__dirname, '../uploads/files', fileInfo.stored_name);
-          
-          try {
-            if (fs.existsSync(filePath)) {
-              fs.unlinkSync(filePath);
-              console.log(`已删除文件: ${fileInfo.stored_name}`);
-            }
-          } catch (error) {
-            console.warn(`删除文件失败: ${fileInfo.stored_name}`, error);
+          if (await storageService.deleteFile(fileInfo.stored_name)) {
+            console.log(`已删除文件: ${fileInfo.stored_name}`);
           }
         }
       }
 
+      // 删除消息的编辑历史、表情回应、提及和置顶记录
+      await database.run('DELETE FROM message_edits WHERE message_id = ?', [messageId]);
+      await database.run('DELETE FROM message_reactions WHERE message_id = ?', [messageId]);
+      await database.run('DELETE FROM message_mentions WHERE message_id = ?', [messageId]);
+      await database.run('DELETE FROM message_pins WHERE message_id = ?', [messageId]);
+
       // 删除消息（物理删除）
       await database.run('DELETE FROM messages WHERE id = ?', [messageId]);
 
@@ -434,6 +696,383 @@ class MessageService {
     }
   }
 
+  // 编辑消息（仅限发送者编辑自己的文本/Markdown消息）
+  async editMessage(messageId, editorUid, chatroomId, editData) {
+    const { content, markdownContent } = editData;
+
+    const message = await database.get(
+      'SELECT * FROM messages WHERE id = ? AND chatroom_id = ? AND is_deleted = 0',
+      [messageId, chatroomId]
+    );
+
+    if (!message) {
+      throw new Error('消息不存在');
+    }
+
+    if (message.sender_uid !== editorUid) {
+      throw new Error('只能编辑自己发送的消息');
+    }
+
+    if (!['text', 'markdown'].includes(message.message_type)) {
+      throw new Error('只能编辑文本或Markdown消息');
+    }
+
+    // 验证新内容（规则与发送消息一致）
+    let newContent = message.content;
+    let newMarkdownContent = message.markdown_content;
+
+    if (message.message_type === 'markdown') {
+      if (markdownContent !== undefined) {
+        if (!markdownContent || typeof markdownContent !== 'string' || markdownContent.trim().length === 0) {
+          throw new Error('Markdown消息内容不能为空');
+        }
+        if (markdownContent.length > 5000) {
+          throw new Error('Markdown内容过长，最多5000个字符');
+        }
+        newMarkdownContent = markdownContent;
+      }
+      if (content !== undefined) {
+        if (content && content.length > 100) {
+          throw new Error('Markdown标题过长，最多100个字符');
+        }
+        newContent = content ? utils.sanitizeText(content) : '';
+      }
+    } else {
+      if (!content || typeof content !== 'string' || content.trim().length === 0) {
+        throw new Error('消息内容不能为空');
+      }
+      if (content.length > 1000) {
+        throw new Error('消息内容过长，最多1000个字符');
+      }
+      newContent = utils.sanitizeText(content);
+    }
+
+    if (newContent === message.content && newMarkdownContent === message.markdown_content) {
+      throw new Error('消息内容没有变化');
+    }
+
+    // 检查用户是否被禁言
+    const muteStatus = await chatroomService.checkUserMuted(editorUid, chatroomId);
+    if (muteStatus.isMuted) {
+      const remainingMinutes = Math.ceil(muteStatus.remaining / 60000);
+      throw new Error(`您已被禁言，还有 ${remainingMinutes} 分钟解除`);
+    }
+
+    const editedAt = Date.now();
+
+    // 重新解析编辑后的 @提及
+    const mentions = await mentionService.resolveMentions(
+      chatroomId,
+      mentionService.getMentionText(message.message_type, newContent, newMarkdownContent),
+      editorUid
+    );
+    let newMentions;
+
+    try {
+      // 开始事务
+      await database.beginTransaction();
+
+      // 保存编辑前的版本
+      await database.run(`
+        INSERT INTO message_edits (message_id, chatroom_id, editor_uid, content, markdown_content, edited_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [messageId, chatroomId, editorUid, message.content, message.markdown_content, editedAt]);
+
+      // 更新消息内容
+      await database.run(
+        'UPDATE messages SET content = ?, markdown_content = ?, edited_at = ? WHERE id = ?',
+        [newContent, newMarkdownContent, editedAt, messageId]
+      );
+
+      // 同步提及记录（移除不再提及的用户，新增的用户需要通知）
+      newMentions = await mentionService.syncMentions(
+        { id: message.id, chatroomId, userUid: editorUid },
+        mentions
+      );
+
+      // 提交事务
+      await database.commit();
+    } catch (error) {
+      // 回滚事务
+      await database.rollback();
+      console.error('编辑消息失败:', error);
+      throw new Error('编辑消息失败: ' + error.message);
+    }
+
+    const revisions = await database.get(
+      'SELECT COUNT(*) as count FROM message_edits WHERE message_id = ?',
+      [messageId]
+    );
+
+    return {
+      id: message.id,
+      messageId: message.message_id,
+      chatroomId,
+      userUid: message.sender_uid,
+      content: newContent,
+      messageType: message.message_type,
+      markdownContent: newMarkdownContent,
+      editedAt,
+      revisionCount: revisions.count,
+      mentions: mentions.map(mention => ({ uid: mention.uid, nickname: mention.nickname })),
+      newMentions
+    };
+  }
+
+  // 置顶消息（仅限管理员）
+  async pinMessage(messageId, operatorUid, chatroomId) {
+    const isAdmin = await chatroomService.checkAdminPermission(operatorUid, chatroomId);
+    if (!isAdmin) {
+      throw new Error('只有管理员可以置顶消息');
+    }
+
+    const message = await database.get(
+      'SELECT id, message_type FROM messages WHERE id = ? AND chatroom_id = ? AND is_deleted = 0',
+      [messageId, chatroomId]
+    );
+
+    if (!message) {
+      throw new Error('消息不存在');
+    }
+
+    if (message.message_type === 'system') {
+      throw new Error('不能置顶系统消息');
+    }
+
+    const pinCount = await database.get(
+      'SELECT COUNT(*) as count FROM message_pins WHERE chatroom_id = ?',
+      [chatroomId]
+    );
+
+    if (pinCount.count >= 50) {
+      throw new Error('置顶消息数量已达上限（50条）');
+    }
+
+    const pinnedAt = Date.now();
+    const result = await database.run(
+      'INSERT OR IGNORE INTO message_pins (message_id, chatroom_id, pinned_by, pinned_at) VALUES (?, ?, ?, ?)',
+      [messageId, chatroomId, operatorUid, pinnedAt]
+    );
+
+    if (result.changes === 0) {
+      throw new Error('该消息已置顶');
+    }
+
+    return {
+      messageId,
+      chatroomId,
+      pinnedBy: operatorUid,
+      pinnedAt
+    };
+  }
+
+  // 取消置顶（仅限管理员）
+  async unpinMessage(messageId, operatorUid, chatroomId) {
+    const isAdmin = await chatroomService.checkAdminPermission(operatorUid, chatroomId);
+    if (!isAdmin) {
+      throw new Error('只有管理员可以取消置顶');
+    }
+
+    const result = await database.run(
+      'DELETE FROM message_pins WHERE message_id = ? AND chatroom_id = ?',
+      [messageId, chatroomId]
+    );
+
+    if (result.changes === 0) {
+      throw new Error('该消息未置顶');
+    }
+
+    return {
+      messageId,
+      chatroomId,
+      unpinnedBy: operatorUid,
+      unpinnedAt: Date.now()
+    };
+  }
+
+  // 获取聊天室的置顶消息（按置顶时间倒序）
+  async getPinnedMessages(chatroomId, userUid, userType = 'user') {
+    const visibility = await this.buildMessageVisibilityFilter(chatroomId, userUid, userType);
+
+    const rows = await this.queryChatroomMessages(visibility, {
+      where: 'm.is_deleted = 0 AND p.id IS NOT NULL',
+      limit: 50
+    });
+
+    const messages = await this.formatChatroomMessages(rows, chatroomId, userUid);
+    return messages.sort((a, b) => b.pinnedAt - a.pinnedAt);
+  }
+
+  // 获取消息的历史版本（发送者本人或管理员可查看）
+  async getMessageRevisions(messageId, requesterUid, chatroomId) {
+    const message = await database.get(
+      'SELECT id, sender_uid, content, markdown_content, message_type, created_at, edited_at FROM messages WHERE id = ? AND chatroom_id = ?',
+      [messageId, chatroomId]
+    );
+
+    if (!message) {
+      throw new Error('消息不存在');
+    }
+
+    const isAdmin = await chatroomService.checkAdminPermission(requesterUid, chatroomId);
+    if (!isAdmin && message.sender_uid !== requesterUid) {
+      throw new Error('没有权限查看此消息的编辑历史');
+    }
+
+    const edits = await database.all(`
+      SELECT id, editor_uid, content, markdown_content, edited_at
+      FROM message_edits
+      WHERE message_id = ?
+      ORDER BY edited_at ASC, id ASC
+    `, [messageId]);
+
+    // 每条编辑记录保存的是被替换掉的版本，第 n 个版本的生效时间为上一次编辑时间
+    const revisions = edits.map((edit, index) => ({
+      revision: index + 1,
+      content: edit.content,
+      markdownContent: edit.markdown_content,
+      createdAt: index === 0 ? message.created_at : edits[index - 1].edited_at,
+      replacedAt: edit.edited_at,
+      editorUid: edit.editor_uid
+    }));
+
+    return {
+      id: message.id,
+      messageType: message.message_type,
+      current: {
+        revision: revisions.length + 1,
+        content: message.content,
+        markdownContent: message.markdown_content,
+        createdAt: revisions.length > 0 ? message.edited_at : message.created_at
+      },
+      revisions,
+      revisionCount: revisions.length
+    };
+  }
+
+  // 添加表情回应
+  async addReaction(messageId, userUid, chatroomId, emoji) {
+    const normalizedEmoji = this.validateReactionEmoji(emoji);
+    await this.assertConversationAccess(chatroomId, userUid);
+    await this.assertActiveMember(chatroomId, userUid);
+
+    const message = await database.get(
+      'SELECT id, message_type FROM messages WHERE id = ? AND chatroom_id = ? AND is_deleted = 0',
+      [messageId, chatroomId]
+    );
+
+    if (!message) {
+      throw new Error('消息不存在');
+    }
+
+    if (message.message_type === 'system') {
+      throw new Error('不能对系统消息添加表情回应');
+    }
+
+    // 限制每条消息的表情种类数量
+    const existing = await database.get(
+      'SELECT id FROM message_reactions WHERE message_id = ? AND emoji = ?',
+      [messageId, normalizedEmoji]
+    );
+    if (!existing) {
+      const kinds = await database.get(
+        'SELECT COUNT(DISTINCT emoji) as count FROM message_reactions WHERE message_id = ?',
+        [messageId]
+      );
+      if (kinds.count >= 20) {
+        throw new Error('该消息的表情回应种类已达上限');
+      }
+    }
+
+    const result = await database.run(`
+      INSERT OR IGNORE INTO message_reactions (message_id, chatroom_id, user_uid, emoji, created_at)
+      VALUES (?, ?, ?, ?, ?)
+    `, [messageId, chatroomId, userUid, normalizedEmoji, Date.now()]);
+
+    return await this.buildReactionDelta(messageId, chatroomId, userUid, normalizedEmoji, 'add', result.changes > 0);
+  }
+
+  // 移除表情回应
+  async removeReaction(messageId, userUid, chatroomId, emoji) {
+    const normalizedEmoji = this.validateReactionEmoji(emoji);
+    await this.assertActiveMember(chatroomId, userUid);
+
+    const result = await database.run(
+      'DELETE FROM message_reactions WHERE message_id = ? AND chatroom_id = ? AND user_uid = ? AND emoji = ?',
+      [messageId, chatroomId, userUid, normalizedEmoji]
+    );
+
+    if (result.changes === 0) {
+      throw new Error('您尚未添加该表情回应');
+    }
+
+    return await this.buildReactionDelta(messageId, chatroomId, userUid, normalizedEmoji, 'remove', true);
+  }
+
+  // 验证表情回应内容
+  validateReactionEmoji(emoji) {
+    if (!emoji || typeof emoji !== 'string' || emoji.trim().length === 0) {
+      throw new Error('表情不能为空');
+    }
+
+    const trimmed = emoji.trim();
+    if (trimmed.length > 32 || /[<>"'\/\s]/.test(trimmed)) {
+      throw new Error('表情格式不正确');
+    }
+
+    return trimmed;
+  }
+
+  // 构建表情回应变化数据（用于广播）
+  async buildReactionDelta(messageId, chatroomId, userUid, emoji, action, changed) {
+    const stats = await database.get(
+      'SELECT COUNT(*) as count FROM message_reactions WHERE message_id = ? AND emoji = ?',
+      [messageId, emoji]
+    );
+
+    return {
+      messageId,
+      chatroomId,
+      userUid,
+      emoji,
+      action,
+      changed,
+      count: stats.count
+    };
+  }
+
+  // 批量获取消息的表情回应统计
+  async getMessageReactions(messageIds, userUid) {
+    const reactionsMap = {};
+    if (!messageIds || messageIds.length === 0) {
+      return reactionsMap;
+    }
+
+    const placeholders = messageIds.map(() => '?').join(', ');
+    const rows = await database.all(`
+      SELECT message_id, emoji, COUNT(*) as count,
+             MAX(CASE WHEN user_uid = ? THEN 1 ELSE 0 END) as reacted,
+             MIN(created_at) as first_reacted_at
+      FROM message_reactions
+      WHERE message_id IN (${placeholders})
+      GROUP BY message_id, emoji
+      ORDER BY first_reacted_at ASC
+    `, [userUid, ...messageIds]);
+
+    for (const row of rows) {
+      if (!reactionsMap[row.message_id]) {
+        reactionsMap[row.message_id] = [];
+      }
+      reactionsMap[row.message_id].push({
+        emoji: row.emoji,
+        count: row.count,
+        reacted: Boolean(row.reacted)
+      });
+    }
+
+    return reactionsMap;
+  }
+
   // 批量删除用户消息
   async deleteUserMessages(targetUid, chatroomId, deleterUid) {
     // 检查权限（只有管理员可以批量删除用户消息）
@@ -473,9 +1112,6 @@ class MessageService {
       
       // 处理文件消息的物理文件删除
       if (fileMessages.length > 0) {
-        const fs = require('fs');
-        const path = require('path');
-        
         // 标记相关文件为过期并清除消息引用
         for (const fileMsg of fileMessages) {
           if (fileMsg.file_id) {
@@ -484,17 +1120,9 @@ class MessageService {
               [fileMsg.file_id]
             );
             
-            // 删除物理文件
-            if (fileMsg.stored_name) {
-              const filePath = path.join(__dirname, '../uploads/files', fileMsg.stored_name);
-              try {
-                if (fs.existsSync(filePath)) {
-                  fs.unlinkSync(filePath);
-                  console.log(`批量删除：已删除文件 ${fileMsg.stored_name}`);
-                }
-              } catch (error) {
-                console.warn(`批量删除：删除文件失败 ${fileMsg.stored_name}`, error);
-              }
+            // 删除存储中的文件
+            if (fileMsg.stored_name && await storageService.deleteFile(fileMsg.stored_name)) {
+              console.log(`批量删除：已删除文件 ${fileMsg.stored_name}`);
             }
           }
         }
@@ -595,85 +1223,197 @@ class MessageService {
     return stats;
   }
 
-  // 搜索消息
-  async searchMessages(chatroomId, keyword, userUid, userType = 'user', limit = 20) {
-    if (!keyword || keyword.trim().length === 0) {
-      return [];
+  // 搜索消息（FTS5 全文索引，支持 "短语"、前缀（词尾加 *）以及发送者、类型、时间范围过滤）
+  async searchMessages(chatroomId, query, userUid, userType = 'user', options = {}) {
+    const { limit = 20, offset = 0, senderUid = null, messageType = null, from = null, to = null } = options;
+
+    const terms = this.parseSearchQuery(query);
+    if (terms.length === 0) {
+      throw new Error('搜索关键词不能为空');
     }
 
-    const searchTerm = `%${keyword.trim()}%`;
-    let messages;
+    // 可见性过滤（私信参与者、匿名用户加入时间、系统消息可见范围）
+    const visibility = await this.buildMessageVisibilityFilter(chatroomId, userUid, userType);
 
-    if (userType === 'anonymous') {
-      // 匿名用户只能搜索自己加入后的消息
-      const anonymousUser = await database.get(
-        'SELECT join_time FROM anonymous_users WHERE uid = ? AND chatroom_id = ?',
-        [userUid, chatroomId]
-      );
+    const conditions = [visibility.sql, 'm.is_deleted = 0'];
+    const params = [...visibility.params];
+    const matchParts = [];
 
-      if (!anonymousUser) {
-        return [];
-      }
-
-      messages = await database.all(`
-        SELECT m.*,
-               CASE 
-                 WHEN m.sender_type = 'anonymous' THEN a.nickname 
-                 ELSE u.nickname 
-               END as nickname,
-               CASE 
-                 WHEN m.sender_type = 'anonymous' THEN a.avatar_url 
-                 ELSE u.avatar_url 
-               END as avatar_url
-        FROM messages m
-        LEFT JOIN users u ON m.sender_uid = u.uid AND m.sender_type != 'anonymous'
-        LEFT JOIN anonymous_users a ON m.sender_uid = a.uid AND m.sender_type = 'anonymous' AND a.chatroom_id = m.chatroom_id
-        WHERE m.chatroom_id = ? AND m.is_deleted = 0 AND m.content LIKE ? AND m.created_at >= ?
-        ORDER BY m.created_at DESC
-        LIMIT ?
-      `, [chatroomId, searchTerm, anonymousUser.join_time, limit]);
+    for (const term of terms) {
+      // 文本内容入库时经过转义，同时匹配转义后的形式
+      const variants = Array.from(new Set([term.text, utils.sanitizeText(term.text)]));
+
+      if (Array.from(term.text).length >= 3) {
+        matchParts.push(`(${variants.map(variant => `"${variant.replace(/"/g, '""')}"`).join(' OR ')})`);
+      } else {
+        // trigram 索引无法匹配少于3个字符的关键词，改用 LIKE
+        const like = this.buildSearchLikeCondition(variants.map(variant => `%${this.escapeLikePattern(variant)}%`));
+        conditions.push(like.sql);
+        params.push(...like.params);
+      }
+
+      // 前缀查询：关键词需出现在词首
+      if (term.prefix) {
+        const like = this.buildSearchLikeCondition(variants.flatMap(variant => {
+          const escaped = this.escapeLikePattern(variant);
+          return [`${escaped}%`, `% ${escaped}%`, `%\n${escaped}%`];
+        }));
+        conditions.push(like.sql);
+        params.push(...like.params);
+      }
+    }
+
+    if (senderUid) {
+      conditions.push('m.sender_uid = ?');
+      params.push(senderUid);
+    }
+    if (messageType) {
+      conditions.push('m.message_type = ?');
+      params.push(messageType);
+    }
+    if (from) {
+      conditions.push('m.created_at >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('m.created_at <= ?');
+      params.push(to);
+    }
+
+    let rows;
+    if (matchParts.length > 0) {
+      rows = await database.all(`
+        SELECT m.id, snippet(messages_fts, -1, char(2), char(3), '…', 16) as snippet
+        FROM messages_fts
+        JOIN messages m ON m.id = messages_fts.rowid
+        WHERE messages_fts MATCH ? AND ${conditions.join(' AND ')}
+        ORDER BY bm25(messages_fts), m.id DESC
+        LIMIT ? OFFSET ?
+      `, [matchParts.join(' AND '), ...params, limit + 1, offset]);
     } else {
-      messages = await database.all(`
-        SELECT m.*,
-               CASE 
-                 WHEN m.sender_type = 'anonymous' THEN a.nickname 
-                 ELSE u.nickname 
-               END as nickname,
-               CASE 
-                 WHEN m.sender_type = 'anonymous' THEN a.avatar_url 
-                 ELSE u.avatar_url 
-               END as avatar_url
+      rows = await database.all(`
+        SELECT m.id, NULL as snippet
         FROM messages m
-        LEFT JOIN users u ON m.sender_uid = u.uid AND m.sender_type != 'anonymous'
-        LEFT JOIN anonymous_users a ON m.sender_uid = a.uid AND m.sender_type = 'anonymous' AND a.chatroom_id = m.chatroom_id
-        WHERE m.chatroom_id = ? AND m.is_deleted = 0 AND m.content LIKE ?
-        ORDER BY m.created_at DESC
-        LIMIT ?
-      `, [chatroomId, searchTerm, limit]);
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY m.id DESC
+        LIMIT ? OFFSET ?
+      `, [...params, limit + 1, offset]);
     }
 
-    // 格式化消息
-    const formattedMessages = await Promise.all(messages.map(async (msg) => {
-      const isAdmin = await chatroomService.checkAdminPermission(msg.sender_uid, chatroomId);
-      
-      return {
-        id: msg.id,
-        chatroomId: msg.chatroom_id,
-        userUid: msg.sender_uid,
-        userType: msg.sender_type,
-        content: msg.content,
-        messageType: msg.message_type,
-        createdAt: msg.created_at,
-        user: {
-          uid: msg.sender_uid,
-          nickname: msg.nickname,
-          avatarUrl: msg.avatar_url,
-          isAdmin
-        }
-      };
-    }));
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+
+    if (page.length === 0) {
+      return { messages: [], hasMore: false };
+    }
+
+    // 获取完整消息信息（与消息历史格式一致），按相关度顺序返回
+    const ids = page.map(row => row.id);
+    const messageRows = await this.queryChatroomMessages(visibility, {
+      where: `m.id IN (${ids.map(() => '?').join(',')})`,
+      params: ids,
+      limit: ids.length
+    });
+    const formatted = await this.formatChatroomMessages(messageRows, chatroomId, userUid);
+    const messagesById = new Map(formatted.map(msg => [msg.id, msg]));
+    const rowsById = new Map(messageRows.map(row => [row.id, row]));
+
+    const messages = page
+      .filter(row => messagesById.has(row.id))
+      .map(row => ({
+        ...messagesById.get(row.id),
+        snippet: row.snippet !== null
+          ? this.formatSearchSnippet(row.snippet)
+          : this.buildSearchSnippet(rowsById.get(row.id), terms)
+      }));
+
+    return { messages, hasMore };
+  }
+
+  // 解析搜索语句为关键词列表
+  parseSearchQuery(query) {
+    const terms = [];
+    const pattern = /"([^"]*)"|(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(query || '')) !== null) {
+      const isPhrase = match[1] !== undefined;
+      let text = isPhrase ? match[1] : match[2];
+      let prefix = false;
+
+      if (!isPhrase && text.length > 1 && text.endsWith('*')) {
+        text = text.slice(0, -1);
+        prefix = true;
+      }
+
+      text = text.replace(/"/g, '').trim();
+      if (text) {
+        terms.push({ text, prefix });
+      }
+    }
+
+    return terms;
+  }
+
+  // 转义 LIKE 通配符
+  escapeLikePattern(text) {
+    return text.replace(/[\\%_]/g, char => `\\${char}`);
+  }
+
+  // 构建在正文、Markdown内容和文件名中匹配任一模式的 LIKE 条件
+  buildSearchLikeCondition(patterns) {
+    const columns = ['m.content', 'm.markdown_content', 'm.file_name'];
+    const clauses = [];
+    const params = [];
+
+    for (const pattern of patterns) {
+      for (const column of columns) {
+        clauses.push(`${column} LIKE ? ESCAPE '\\'`);
+        params.push(pattern);
+      }
+    }
+
+    return { sql: `(${clauses.join(' OR ')})`, params };
+  }
 
-    return formattedMessages;
+  // 将 FTS5 摘要中的标记转换为 <mark> 高亮（其余内容转义）
+  formatSearchSnippet(snippet) {
+    return utils.sanitizeText(snippet)
+      .replace(/\u0002/g, '<mark>')
+      .replace(/\u0003/g, '</mark>');
+  }
+
+  // 未使用全文索引时手动生成高亮摘要
+  buildSearchSnippet(row, terms) {
+    if (!row) {
+      return '';
+    }
+
+    const variants = terms.flatMap(term => [term.text, utils.sanitizeText(term.text)]);
+    const matcher = new RegExp(
+      Array.from(new Set(variants))
+        .sort((a, b) => b.length - a.length)
+        .map(variant => variant.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('|'),
+      'gi'
+    );
+
+    const text = [row.content, row.markdown_content, row.file_name]
+      .find(value => value && value.search(matcher) !== -1) || row.content || '';
+    const index = Math.max(text.search(matcher), 0);
+    const start = Math.max(0, index - 20);
+    const end = Math.min(text.length, index + 60);
+    const window = text.slice(start, end);
+
+    let snippet = '';
+    let lastIndex = 0;
+    for (const found of window.matchAll(matcher)) {
+      snippet += window.slice(lastIndex, found.index) + '\u0002' + found[0] + '\u0003';
+      lastIndex = found.index + found[0].length;
+    }
+    snippet += window.slice(lastIndex);
+
+    return (start > 0 ? '…' : '') + this.formatSearchSnippet(snippet) + (end < text.length ? '…' : '');
   }
 
   // 清理旧消息（定期清理，保留最近N天的消息）
@@ -692,6 +1432,24 @@ class MessageService {
         WHERE m.created_at < ? AND m.is_deleted = 1 AND m.message_type = 'file' AND m.file_id IS NOT NULL
       `, [cutoffDate]);
       
+      // 删除旧消息的编辑历史、表情回应、提及和置顶记录
+      await database.run(
+        'DELETE FROM message_edits WHERE message_id IN (SELECT id FROM messages WHERE created_at < ? AND is_deleted = 1)',
+        [cutoffDate]
+      );
+      await database.run(
+        'DELETE FROM message_reactions WHERE message_id IN (SELECT id FROM messages WHERE created_at < ? AND is_deleted = 1)',
+        [cutoffDate]
+      );
+      await database.run(
+        'DELETE FROM message_mentions WHERE message_id IN (SELECT id FROM messages WHERE created_at < ? AND is_deleted = 1)',
+        [cutoffDate]
+      );
+      await database.run(
+        'DELETE FROM message_pins WHERE message_id IN (SELECT id FROM messages WHERE created_at < ? AND is_deleted = 1)',
+        [cutoffDate]
+      );
+
       // 删除旧消息
       const result = await database.run(
         'DELETE FROM messages WHERE created_at < ? AND is_deleted = 1',
@@ -700,9 +1458,6 @@ class MessageService {
       
       // 处理关联的文件
       if (oldFileMessages.length > 0) {
-        const fs = require('fs');
-        const path = require('path');
-        
         for (const fileMsg of oldFileMessages) {
           if (fileMsg.file_id) {
             // 标记文件为过期
@@ -711,17 +1466,9 @@ class MessageService {
               [fileMsg.file_id]
             );
             
-            // 删除物理文件
-            if (fileMsg.stored_name) {
-              const filePath = path.join(__dirname, '../uploads/files', fileMsg.stored_name);
-              try {
-                if (fs.existsSync(filePath)) {
-                  fs.unlinkSync(filePath);
-                  console.log(`清理：已删除文件 ${fileMsg.stored_name}`);
-                }
-              } catch (error) {
-                console.warn(`清理：删除文件失败 ${fileMsg.stored_name}`, error);
-              }
+            // 删除存储中的文件
+            if (fileMsg.stored_name && await storageService.deleteFile(fileMsg.stored_name)) {
+              console.log(`清理：已删除文件 ${fileMsg.stored_name}`);
             }
           }
         }
@@ -0,0 +1,372 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+
+const database = require('../database');
+const config = require('../config');
+
+// ID令牌允许的签名算法（只接受非对称签名，公钥从提供方的 jwks_uri 获取）
+const SUPPORTED_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// OpenID Connect 单点登录：授权码模式 + PKCE，外部身份以（提供方, sub）关联到 users.uid
+class OidcService {
+  constructor() {
+    // 提供方配置（discovery 文档）和签名公钥缓存，键为提供方ID
+    this.metadataCache = new Map();
+    this.jwksCache = new Map();
+  }
+
+  // 获取可用的单点登录提供方（不包含客户端密钥等配置）
+  getProviders() {
+    return config.oidc.providers.map(provider => ({
+      id: provider.id,
+      name: provider.name || provider.id
+    }));
+  }
+
+  // 获取提供方配置
+  getProvider(providerId) {
+    const provider = config.oidc.providers.find(item => item.id === providerId);
+    if (!provider) {
+      throw new Error('不支持的登录方式');
+    }
+    return provider;
+  }
+
+  // 发起授权：生成 state、nonce 和 PKCE 校验码，返回跳转到提供方的授权地址
+  // linkUid 不为空时表示为已登录用户关联外部身份
+  async createAuthorization(providerId, { linkUid = null } = {}) {
+    const provider = this.getProvider(providerId);
+    const metadata = await this.getMetadata(provider);
+
+    const state = crypto.randomBytes(32).toString('base64url');
+    const nonce = crypto.randomBytes(16).toString('base64url');
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+    const redirectUri = provider.redirectUri || config.oidc.redirectUri;
+    const expiresAt = Date.now() + config.oidc.stateTtl;
+
+    await database.run(`
+      INSERT INTO oidc_login_states (state, provider, code_verifier, nonce, redirect_uri, link_uid, created_at, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [state, provider.id, codeVerifier, nonce, redirectUri, linkUid, Date.now(), expiresAt]);
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: provider.clientId,
+      redirect_uri: redirectUri,
+      scope: provider.scopes || 'openid profile email',
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    });
+    const separator = metadata.authorization_endpoint.includes('?') ? '&' : '?';
+
+    return {
+      authorizationUrl: `${metadata.authorization_endpoint}${separator}${params.toString()}`,
+      state,
+      expiresAt
+    };
+  }
+
+  // 处理授权回调：校验 state，用授权码换取令牌并验证ID令牌，返回提供方ID、身份信息和待关联的用户UID
+  async handleCallback({ code, state }) {
+    const loginState = await this.consumeState(state);
+    const provider = this.getProvider(loginState.provider);
+    const metadata = await this.getMetadata(provider);
+
+    const tokens = await this.exchangeCode(provider, metadata, code, loginState);
+    const claims = await this.verifyIdToken(provider, metadata, tokens.id_token, loginState.nonce);
+
+    // ID令牌中没有邮箱时从 userinfo 接口补充
+    if (!claims.email && metadata.userinfo_endpoint && tokens.access_token) {
+      const userinfo = await this.fetchUserinfo(metadata, tokens.access_token);
+      if (userinfo && userinfo.sub === claims.sub) {
+        Object.assign(claims, { ...userinfo, ...claims });
+      }
+    }
+
+    return {
+      providerId: provider.id,
+      claims,
+      linkUid: loginState.link_uid
+    };
+  }
+
+  // 读取并删除登录请求（state 只能使用一次）
+  async consumeState(state) {
+    const loginState = await database.get(
+      'SELECT * FROM oidc_login_states WHERE state = ?',
+      [state]
+    );
+    const result = await database.run(
+      'DELETE FROM oidc_login_states WHERE state = ?',
+      [state]
+    );
+
+    if (!loginState || result.changes === 0 || loginState.expires_at <= Date.now()) {
+      throw new Error('登录请求无效或已过期，请重新登录');
+    }
+
+    return loginState;
+  }
+
+  // 用授权码换取令牌
+  async exchangeCode(provider, metadata, code, loginState) {
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: loginState.redirect_uri,
+      client_id: provider.clientId,
+      code_verifier: loginState.code_verifier
+    });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+    // 按提供方支持的方式提交客户端密钥（默认 client_secret_basic）
+    if (provider.clientSecret) {
+      const methods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+      if (methods.includes('client_secret_basic')) {
+        const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+      } else {
+        body.set('client_secret', provider.clientSecret);
+      }
+    }
+
+    let response;
+    try {
+      response = await axios.post(metadata.token_endpoint, body.toString(), {
+        headers,
+        timeout: config.oidc.timeout
+      });
+    } catch (error) {
+      const detail = error.response && error.response.data && error.response.data.error;
+      console.error('OIDC令牌请求失败:', detail || error.message);
+      throw new Error('单点登录失败：授权码无效或已过期');
+    }
+
+    if (!response.data || !response.data.id_token) {
+      throw new Error('单点登录失败：提供方未返回ID令牌');
+    }
+
+    return response.data;
+  }
+
+  // 验证ID令牌的签名、签发方、受众、有效期和 nonce，返回令牌中的身份信息
+  async verifyIdToken(provider, metadata, idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !decoded.header || !SUPPORTED_ALGORITHMS.includes(decoded.header.alg)) {
+      throw new Error('单点登录失败：ID令牌格式不正确');
+    }
+
+    const key = await this.getSigningKey(provider, metadata, decoded.header.kid);
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: SUPPORTED_ALGORITHMS,
+        issuer: metadata.issuer,
+        audience: provider.clientId,
+        clockTolerance: 60
+      });
+    } catch (error) {
+      throw new Error(`单点登录失败：ID令牌无效（${error.message}）`);
+    }
+
+    if (claims.nonce !== nonce) {
+      throw new Error('单点登录失败：ID令牌 nonce 不匹配');
+    }
+
+    // 有多个受众时必须指定 azp 为本客户端
+    if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== provider.clientId) {
+      throw new Error('单点登录失败：ID令牌受众不匹配');
+    }
+
+    if (!claims.sub) {
+      throw new Error('单点登录失败：ID令牌缺少用户标识');
+    }
+
+    return claims;
+  }
+
+  // 获取签名公钥（找不到对应 kid 时刷新一次公钥缓存，以支持提供方轮换密钥）
+  async getSigningKey(provider, metadata, kid) {
+    for (const refresh of [false, true]) {
+      const keys = await this.getJwks(provider, metadata, refresh);
+      const candidates = keys.filter(key => (!kid || key.kid === kid) && (!key.use || key.use === 'sig'));
+      if (candidates.length > 0) {
+        return crypto.createPublicKey({ key: candidates[0], format: 'jwk' });
+      }
+    }
+
+    throw new Error('单点登录失败：找不到ID令牌的签名公钥');
+  }
+
+  // 获取提供方的签名公钥列表
+  async getJwks(provider, metadata, refresh = false) {
+    const cached = this.jwksCache.get(provider.id);
+    if (!refresh && cached && cached.expiresAt > Date.now()) {
+      return cached.keys;
+    }
+
+    const data = await this.fetchJson(metadata.jwks_uri);
+    const keys = Array.isArray(data.keys) ? data.keys : [];
+    this.jwksCache.set(provider.id, { keys, expiresAt: Date.now() + config.oidc.metadataCacheTtl });
+    return keys;
+  }
+
+  // 获取提供方配置（/.well-known/openid-configuration）
+  async getMetadata(provider) {
+    const cached = this.metadataCache.get(provider.id);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.metadata;
+    }
+
+    const issuer = provider.issuer.replace(/\/+$/, '');
+    const metadata = await this.fetchJson(`${issuer}/.well-known/openid-configuration`);
+
+    if (metadata.issuer !== provider.issuer && metadata.issuer !== issuer) {
+      throw new Error('单点登录配置错误：提供方 issuer 不匹配');
+    }
+    if (!metadata.authorization_endpoint || !metadata.token_endpoint || !metadata.jwks_uri) {
+      throw new Error('单点登录配置错误：提供方配置不完整');
+    }
+
+    this.metadataCache.set(provider.id, { metadata, expiresAt: Date.now() + config.oidc.metadataCacheTtl });
+    return metadata;
+  }
+
+  // 获取 userinfo（失败时忽略，只使用ID令牌中的信息）
+  async fetchUserinfo(metadata, accessToken) {
+    try {
+      const response = await axios.get(metadata.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${accessToken}`, Accept: 'application/json' },
+        timeout: config.oidc.timeout
+      });
+      return response.data;
+    } catch (error) {
+      console.error('OIDC用户信息请求失败:', error.message);
+      return null;
+    }
+  }
+
+  async fetchJson(url) {
+    try {
+      const response = await axios.get(url, {
+        headers: { Accept: 'application/json' },
+        timeout: config.oidc.timeout
+      });
+      return response.data;
+    } catch (error) {
+      console.error('OIDC请求失败:', url, error.message);
+      throw new Error('无法连接单点登录提供方');
+    }
+  }
+
+  // 查找外部身份关联的用户UID
+  async findLinkedUser(providerId, subject) {
+    const identity = await database.get(
+      'SELECT user_uid FROM user_identities WHERE provider = ? AND subject = ?',
+      [providerId, subject]
+    );
+    return identity ? identity.user_uid : null;
+  }
+
+  // 将外部身份关联到用户
+  async linkIdentity(uid, providerId, claims) {
+    const linkedUid = await this.findLinkedUser(providerId, claims.sub);
+    if (linkedUid && linkedUid !== uid) {
+      throw new Error('该外部账号已关联其他用户');
+    }
+    if (linkedUid === uid) {
+      return await this.getIdentity(uid, providerId);
+    }
+
+    const existing = await database.get(
+      'SELECT id FROM user_identities WHERE user_uid = ? AND provider = ?',
+      [uid, providerId]
+    );
+    if (existing) {
+      throw new Error('已关联该登录方式的其他账号，请先解除关联');
+    }
+
+    await database.run(
+      'INSERT INTO user_identities (user_uid, provider, subject, email, created_at) VALUES (?, ?, ?, ?, ?)',
+      [uid, providerId, claims.sub, claims.email || null, Date.now()]
+    );
+
+    return await this.getIdentity(uid, providerId);
+  }
+
+  // 解除外部身份关联（账号没有密码且只剩这一种登录方式时不允许解除）
+  async unlinkIdentity(uid, providerId) {
+    const identity = await database.get(
+      'SELECT id FROM user_identities WHERE user_uid = ? AND provider = ?',
+      [uid, providerId]
+    );
+    if (!identity) {
+      throw new Error('未关联该登录方式');
+    }
+
+    const user = await database.get('SELECT has_password FROM users WHERE uid = ?', [uid]);
+    const count = await database.get(
+      'SELECT COUNT(*) as count FROM user_identities WHERE user_uid = ?',
+      [uid]
+    );
+    if (user && !user.has_password && count.count <= 1) {
+      throw new Error('请先设置密码再解除关联，否则将无法登录');
+    }
+
+    await database.run('DELETE FROM user_identities WHERE id = ?', [identity.id]);
+  }
+
+  // 记录外部身份的登录时间
+  async touchIdentity(providerId, subject, email) {
+    await database.run(
+      'UPDATE user_identities SET last_login_at = ?, email = COALESCE(?, email) WHERE provider = ? AND subject = ?',
+      [Date.now(), email || null, providerId, subject]
+    );
+  }
+
+  // 获取用户关联的某个外部身份
+  async getIdentity(uid, providerId) {
+    const row = await database.get(
+      'SELECT * FROM user_identities WHERE user_uid = ? AND provider = ?',
+      [uid, providerId]
+    );
+    return row ? this.formatIdentity(row) : null;
+  }
+
+  // 获取用户关联的外部身份列表
+  async getIdentities(uid) {
+    const rows = await database.all(
+      'SELECT * FROM user_identities WHERE user_uid = ? ORDER BY created_at',
+      [uid]
+    );
+    return rows.map(row => this.formatIdentity(row));
+  }
+
+  // 清理过期的登录请求
+  async cleanupExpiredStates() {
+    const result = await database.run(
+      'DELETE FROM oidc_login_states WHERE expires_at < ?',
+      [Date.now()]
+    );
+    return result.changes;
+  }
+
+  formatIdentity(row) {
+    const provider = config.oidc.providers.find(item => item.id === row.provider);
+    return {
+      provider: row.provider,
+      providerName: provider ? provider.name || provider.id : row.provider,
+      subject: row.subject,
+      email: row.email,
+      createdAt: row.created_at,
+      lastLoginAt: row.last_login_at
+    };
+  }
+}
+
+module.exports = new OidcService();
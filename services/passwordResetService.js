@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+
+const database = require('../database');
+const utils = require('../utils');
+const config = require('../config');
+const userService = require('./userService');
+const mailService = require('./mailService');
+
+// 密码重置：通过邮件发送一次性、限时有效的重置令牌，数据库中只保存令牌哈希
+class PasswordResetService {
+  // 申请重置密码，邮箱未注册、账号被封禁或发送过于频繁时不发送邮件（返回 false）
+  async requestReset(email, clientInfo = {}) {
+    const user = await database.get(
+      'SELECT uid, nickname, email FROM users WHERE email = ? AND is_banned = 0',
+      [email]
+    );
+    if (!user) {
+      return false;
+    }
+
+    const now = Date.now();
+    const lastRequest = await database.get(
+      'SELECT created_at FROM password_reset_tokens WHERE user_uid = ? ORDER BY created_at DESC LIMIT 1',
+      [user.uid]
+    );
+    if (lastRequest && now - lastRequest.created_at < config.passwordReset.requestInterval) {
+      return false;
+    }
+
+    // 新令牌生成后，之前发送的令牌作废
+    await database.run(
+      'UPDATE password_reset_tokens SET used_at = ? WHERE user_uid = ? AND used_at IS NULL',
+      [now, user.uid]
+    );
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    await database.run(`
+      INSERT INTO password_reset_tokens (token_hash, user_uid, ip_address, created_at, expires_at)
+      VALUES (?, ?, ?, ?, ?)
+    `, [this.hashToken(token), user.uid, clientInfo.ipAddress || null, now, now + config.passwordReset.tokenTtl]);
+
+    await mailService.sendPasswordReset(user, token);
+    return true;
+  }
+
+  // 使用重置令牌设置新密码，成功后撤销该用户的所有登录会话，返回用户UID和被撤销的会话ID列表
+  async resetPassword(token, password) {
+    if (!utils.isValidPassword(password)) {
+      throw new Error('密码长度必须在6-50个字符之间');
+    }
+
+    const tokenHash = this.hashToken(token);
+    const row = await database.get(`
+      SELECT t.user_uid
+      FROM password_reset_tokens t
+      JOIN users u ON u.uid = t.user_uid
+      WHERE t.token_hash = ? AND t.used_at IS NULL AND t.expires_at > ? AND u.is_banned = 0
+    `, [tokenHash, Date.now()]);
+    if (!row) {
+      throw new Error('重置链接无效或已过期');
+    }
+
+    // 先标记为已使用，防止同一令牌被并发使用
+    const result = await database.run(
+      'UPDATE password_reset_tokens SET used_at = ? WHERE token_hash = ? AND used_at IS NULL',
+      [Date.now(), tokenHash]
+    );
+    if (result.changes === 0) {
+      throw new Error('重置链接无效或已过期');
+    }
+
+    const revokedSessions = await userService.setPassword(row.user_uid, password);
+
+    return { uid: row.user_uid, revokedSessions };
+  }
+
+  // 清理过期的重置令牌
+  async cleanupExpiredTokens() {
+    const result = await database.run(
+      'DELETE FROM password_reset_tokens WHERE expires_at < ?',
+      [Date.now()]
+    );
+    return result.changes;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+}
+
+module.exports = new PasswordResetService();
@@ -0,0 +1,222 @@
+const { v4: uuidv4 } = require('uuid');
+
+const database = require('../database');
+const config = require('../config');
+const storageService = require('./storageService');
+const fileService = require('./fileService');
+
+// 上传文件隔离区：未通过类型检查的文件不登记为聊天文件，而是保存到隔离区，由站点管理员审核后放行或删除
+class QuarantineService {
+  // 将文件登记到隔离区（文件内容已写入 quarantine/ 下），返回隔离记录
+  async quarantineFile({ uploaderUid, chatroomId, originalName, declaredType, inspection, fileSize, storedName, compressedSize, isCompressed }) {
+    const quarantineId = uuidv4();
+
+    await database.run(`
+      INSERT INTO quarantined_files (
+        quarantine_id, uploader_uid, chatroom_id, original_name, declared_type, detected_type, mime_type,
+        file_size, stored_name, compressed_size, is_compressed, verdict, reason, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      quarantineId,
+      uploaderUid,
+      chatroomId,
+      originalName,
+      declaredType || null,
+      inspection.detectedType,
+      inspection.mimeType,
+      fileSize,
+      storedName,
+      compressedSize,
+      isCompressed ? 1 : 0,
+      inspection.verdict,
+      inspection.reason,
+      Date.now()
+    ]);
+
+    console.warn(`文件已隔离: ${originalName}（${inspection.reason}）`);
+
+    return await this.getQuarantinedFile(quarantineId);
+  }
+
+  // 创建文件被隔离的错误（上传接口据此返回隔离信息）
+  quarantinedError(record) {
+    const error = new Error(record.verdict === 'rejected'
+      ? '不支持的文件类型或存在安全风险'
+      : '文件内容与声明的类型不符，已提交管理员审核');
+    error.code = 'FILE_QUARANTINED';
+    error.quarantine = { quarantineId: record.quarantineId, verdict: record.verdict, reason: record.reason };
+    return error;
+  }
+
+  // 获取隔离区中的文件
+  async getQuarantinedFile(quarantineId) {
+    const row = await this.getRow(quarantineId);
+    return this.formatQuarantinedFile(row);
+  }
+
+  // 获取隔离区记录
+  async getRow(quarantineId) {
+    const row = await database.get(
+      'SELECT * FROM quarantined_files WHERE quarantine_id = ?',
+      [quarantineId]
+    );
+
+    if (!row) {
+      throw new Error('隔离文件不存在');
+    }
+
+    return row;
+  }
+
+  // 获取隔离区文件列表（默认只返回待审核的文件）
+  async getQuarantinedFiles({ status = 'pending', limit = 50, offset = 0 } = {}) {
+    const rows = await database.all(`
+      SELECT q.*, u.nickname as uploader_nickname, c.name as chatroom_name
+      FROM quarantined_files q
+      LEFT JOIN users u ON u.uid = q.uploader_uid
+      LEFT JOIN chatrooms c ON c.room_id = q.chatroom_id
+      WHERE q.status = ?
+      ORDER BY q.created_at DESC
+      LIMIT ? OFFSET ?
+    `, [status, limit, offset]);
+
+    const total = await database.get(
+      'SELECT COUNT(*) as count FROM quarantined_files WHERE status = ?',
+      [status]
+    );
+
+    return {
+      files: rows.map(row => this.formatQuarantinedFile(row)),
+      total: total.count
+    };
+  }
+
+  // 读取待审核文件的内容（供管理员下载检查）
+  async openStream(quarantineId) {
+    const row = await this.getPendingRow(quarantineId);
+    const stream = await fileService.openStream(row, null, storageService.getQuarantineKey(row.stored_name));
+    return { row, stream };
+  }
+
+  // 放行文件：移动到聊天文件存储并登记到原聊天室（按聊天室设置计算保留时间和配额）
+  async releaseFile(quarantineId, adminUid) {
+    const row = await this.getPendingRow(quarantineId);
+
+    // 先标记为已放行，防止并发重复放行
+    const locked = await database.run(
+      "UPDATE quarantined_files SET status = 'released', reviewed_by = ?, reviewed_at = ? WHERE quarantine_id = ? AND status = 'pending'",
+      [adminUid, Date.now(), quarantineId]
+    );
+    if (locked.changes === 0) {
+      throw new Error('隔离文件已被处理');
+    }
+
+    let moved = false;
+    try {
+      await fileService.moveFromQuarantine(row.stored_name);
+      moved = true;
+
+      const { fileId } = await fileService.registerFile({
+        uploaderUid: row.uploader_uid,
+        chatroomId: row.chatroom_id,
+        originalName: row.original_name,
+        mimeType: row.mime_type,
+        fileSize: row.file_size,
+        storedName: row.stored_name,
+        compressedSize: row.compressed_size,
+        isCompressed: row.is_compressed === 1
+      });
+
+      await database.run(
+        'UPDATE quarantined_files SET file_id = ? WHERE quarantine_id = ?',
+        [fileId, quarantineId]
+      );
+    } catch (error) {
+      // 放行失败（例如超出存储配额）时恢复为待审核
+      if (moved) {
+        await fileService.moveToQuarantine(row.stored_name);
+      }
+      await database.run(
+        "UPDATE quarantined_files SET status = 'pending', reviewed_by = NULL, reviewed_at = NULL WHERE quarantine_id = ?",
+        [quarantineId]
+      );
+      throw error;
+    }
+
+    return await this.getQuarantinedFile(quarantineId);
+  }
+
+  // 删除隔离文件（保留隔离记录用于审计）
+  async deleteFile(quarantineId, adminUid) {
+    const row = await this.getPendingRow(quarantineId);
+
+    const result = await database.run(
+      "UPDATE quarantined_files SET status = 'deleted', reviewed_by = ?, reviewed_at = ? WHERE quarantine_id = ? AND status = 'pending'",
+      [adminUid, Date.now(), quarantineId]
+    );
+    if (result.changes === 0) {
+      throw new Error('隔离文件已被处理');
+    }
+
+    await fileService.deleteFromStorage(row.stored_name, { quarantine: true });
+
+    return await this.getQuarantinedFile(quarantineId);
+  }
+
+  // 获取待审核的隔离记录
+  async getPendingRow(quarantineId) {
+    const row = await this.getRow(quarantineId);
+
+    if (row.status !== 'pending') {
+      throw new Error('隔离文件已被处理');
+    }
+
+    return row;
+  }
+
+  // 删除长时间未审核的隔离文件
+  async cleanupExpiredQuarantine() {
+    const rows = await database.all(
+      "SELECT quarantine_id, stored_name FROM quarantined_files WHERE status = 'pending' AND created_at < ?",
+      [Date.now() - config.fileType.quarantineRetention]
+    );
+
+    for (const row of rows) {
+      await database.run(
+        "UPDATE quarantined_files SET status = 'expired' WHERE quarantine_id = ? AND status = 'pending'",
+        [row.quarantine_id]
+      );
+      await fileService.deleteFromStorage(row.stored_name, { quarantine: true });
+    }
+
+    if (rows.length > 0) {
+      console.log(`清理了 ${rows.length} 个过期的隔离文件`);
+    }
+    return rows.length;
+  }
+
+  // 格式化隔离记录
+  formatQuarantinedFile(row) {
+    return {
+      quarantineId: row.quarantine_id,
+      uploaderUid: row.uploader_uid,
+      uploaderNickname: row.uploader_nickname,
+      chatroomId: row.chatroom_id,
+      chatroomName: row.chatroom_name,
+      fileName: row.original_name,
+      fileSize: row.file_size,
+      declaredType: row.declared_type,
+      detectedType: row.detected_type,
+      mimeType: row.mime_type,
+      verdict: row.verdict,
+      reason: row.reason,
+      status: row.status,
+      fileId: row.file_id,
+      reviewedBy: row.reviewed_by,
+      reviewedAt: row.reviewed_at,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = new QuarantineService();
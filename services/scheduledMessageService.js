@@ -0,0 +1,464 @@
+const database = require('../database');
+const config = require('../config');
+const messageService = require('./messageService');
+const chatroomService = require('./chatroomService');
+const storageService = require('./storageService');
+
+class ScheduledMessageService {
+  // 创建定时消息
+  async scheduleMessage(messageData) {
+    const {
+      chatroomId,
+      userUid,
+      userType = 'user',
+      messageType = 'text',
+      content = '',
+      markdownContent = null,
+      bilibiliId = null,
+      imageUrl = null,
+      thumbnailUrl = null,
+      previewUrl = null,
+      imageWidth = null,
+      imageHeight = null,
+      fileId = null,
+      replyToMessageId = null,
+      threadRootId = null,
+      scheduledAt
+    } = messageData;
+
+    this.validateScheduledTime(scheduledAt);
+    await this.assertCanSchedule(chatroomId, userUid);
+
+    const pending = await database.get(
+      "SELECT COUNT(*) as count FROM scheduled_messages WHERE sender_uid = ? AND status = 'pending'",
+      [userUid]
+    );
+
+    if (pending.count >= config.scheduledMessage.maxPendingPerUser) {
+      throw new Error(`待发送的定时消息已达上限（${config.scheduledMessage.maxPendingPerUser}条）`);
+    }
+
+    // 文件消息：文件需先上传到该聊天室，且在计划发送时仍未过期
+    let fileName = null;
+    let fileSize = null;
+    let fileExpiry = null;
+    let finalContent = content;
+    if (messageType === 'file') {
+      const file = await this.getSenderFile(fileId, userUid, chatroomId);
+      if (file.expiry_time <= scheduledAt) {
+        throw new Error('文件将在计划发送时间之前过期');
+      }
+      fileName = file.original_name;
+      fileSize = file.file_size;
+      fileExpiry = file.expiry_time;
+      finalContent = file.original_name;
+    }
+
+    messageService.validateMessageContent({
+      messageType,
+      content: finalContent,
+      markdownContent,
+      bilibiliId,
+      imageUrl,
+      fileId,
+      fileName,
+      fileSize,
+      fileExpiry
+    });
+
+    await this.validateReferences(chatroomId, replyToMessageId, threadRootId);
+
+    const now = Date.now();
+    const result = await database.run(`
+      INSERT INTO scheduled_messages
+      (chatroom_id, sender_uid, sender_type, message_type, content, markdown_content, bilibili_bv, image_url, thumbnail_url, preview_url, image_width, image_height, file_id, reply_to_message_id, thread_root_id, scheduled_at, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [chatroomId, userUid, userType, messageType, finalContent, markdownContent, bilibiliId, imageUrl, thumbnailUrl, previewUrl, imageWidth, imageHeight, fileId, replyToMessageId, threadRootId, scheduledAt, now, now]);
+
+    return await this.getScheduledMessage(result.id, userUid, chatroomId);
+  }
+
+  // 获取用户在聊天室中的定时消息
+  async getScheduledMessages(chatroomId, userUid, status = 'pending') {
+    const conditions = ['chatroom_id = ?', 'sender_uid = ?'];
+    const params = [chatroomId, userUid];
+
+    if (status !== 'all') {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+
+    const rows = await database.all(`
+      SELECT * FROM scheduled_messages
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY scheduled_at ASC
+      LIMIT 100
+    `, params);
+
+    return rows.map(row => this.formatScheduledMessage(row));
+  }
+
+  // 获取单条定时消息（只能查看自己的）
+  async getScheduledMessage(scheduleId, userUid, chatroomId) {
+    const row = await database.get(
+      'SELECT * FROM scheduled_messages WHERE id = ? AND chatroom_id = ? AND sender_uid = ?',
+      [scheduleId, chatroomId, userUid]
+    );
+
+    if (!row) {
+      throw new Error('定时消息不存在');
+    }
+
+    return this.formatScheduledMessage(row);
+  }
+
+  // 修改待发送的定时消息（内容和发送时间）
+  async updateScheduledMessage(scheduleId, userUid, chatroomId, updates) {
+    const row = await this.getPendingRow(scheduleId, userUid, chatroomId);
+
+    const scheduledAt = updates.scheduledAt !== undefined ? updates.scheduledAt : row.scheduled_at;
+    const content = updates.content !== undefined ? updates.content : row.content;
+    const markdownContent = updates.markdownContent !== undefined ? updates.markdownContent : row.markdown_content;
+    const bilibiliId = updates.bilibiliId !== undefined ? updates.bilibiliId : row.bilibili_bv;
+
+    if (row.message_type === 'file' && updates.content !== undefined) {
+      throw new Error('文件消息不能修改内容');
+    }
+
+    if (updates.scheduledAt !== undefined) {
+      this.validateScheduledTime(scheduledAt);
+    }
+
+    if (row.message_type === 'file') {
+      const file = await this.getSenderFile(row.file_id, userUid, chatroomId);
+      if (file.expiry_time <= scheduledAt) {
+        throw new Error('文件将在计划发送时间之前过期');
+      }
+    } else {
+      messageService.validateMessageContent({
+        messageType: row.message_type,
+        content,
+        markdownContent,
+        bilibiliId,
+        imageUrl: row.image_url
+      });
+    }
+
+    const result = await database.run(`
+      UPDATE scheduled_messages
+      SET content = ?, markdown_content = ?, bilibili_bv = ?, scheduled_at = ?, updated_at = ?
+      WHERE id = ? AND status = 'pending'
+    `, [content, markdownContent, bilibiliId, scheduledAt, Date.now(), scheduleId]);
+
+    // 修改期间消息可能已被调度器取走
+    if (result.changes === 0) {
+      throw new Error('定时消息已发送或已取消');
+    }
+
+    return await this.getScheduledMessage(scheduleId, userUid, chatroomId);
+  }
+
+  // 取消待发送的定时消息
+  async cancelScheduledMessage(scheduleId, userUid, chatroomId) {
+    const row = await this.getPendingRow(scheduleId, userUid, chatroomId);
+
+    const result = await database.run(
+      "UPDATE scheduled_messages SET status = 'cancelled', updated_at = ? WHERE id = ? AND status = 'pending'",
+      [Date.now(), scheduleId]
+    );
+
+    if (result.changes === 0) {
+      throw new Error('定时消息已发送或已取消');
+    }
+
+    // 删除为定时消息上传的图片
+    await storageService.deleteImage(row.image_url);
+
+    return await this.getScheduledMessage(scheduleId, userUid, chatroomId);
+  }
+
+  // 发送所有到期的定时消息（由定时任务调用，服务重启后会补发错过的消息）
+  async deliverDueMessages(io) {
+    const dueMessages = await database.all(`
+      SELECT * FROM scheduled_messages
+      WHERE status = 'pending' AND scheduled_at <= ?
+      ORDER BY scheduled_at ASC, id ASC
+      LIMIT 100
+    `, [Date.now()]);
+
+    let delivered = 0;
+    for (const row of dueMessages) {
+      // 先将状态改为发送中，避免重复发送
+      const claim = await database.run(
+        "UPDATE scheduled_messages SET status = 'sending', updated_at = ? WHERE id = ? AND status = 'pending'",
+        [Date.now(), row.id]
+      );
+
+      if (claim.changes === 0) {
+        continue;
+      }
+
+      if (await this.deliver(io, row)) {
+        delivered++;
+      }
+    }
+
+    return delivered;
+  }
+
+  // 发送单条定时消息
+  async deliver(io, row) {
+    let message;
+
+    try {
+      // 发送时重新检查聊天室状态和发送者身份（禁言由 sendMessage 检查）
+      const chatroom = await database.get(
+        'SELECT is_active FROM chatrooms WHERE room_id = ?',
+        [row.chatroom_id]
+      );
+
+      if (!chatroom || !chatroom.is_active) {
+        throw new Error('聊天室已关闭');
+      }
+
+      const member = await database.get(
+        'SELECT id FROM chatroom_members WHERE chatroom_id = ? AND user_uid = ? AND is_active = 1',
+        [row.chatroom_id, row.sender_uid]
+      );
+
+      if (!member) {
+        throw new Error('您已不在此聊天室中');
+      }
+
+      const messageData = {
+        chatroomId: row.chatroom_id,
+        userUid: row.sender_uid,
+        userType: row.sender_type,
+        content: row.content,
+        messageType: row.message_type,
+        markdownContent: row.markdown_content,
+        bilibiliId: row.bilibili_bv,
+        imageUrl: row.image_url,
+        thumbnailUrl: row.thumbnail_url,
+        previewUrl: row.preview_url,
+        imageWidth: row.image_width,
+        imageHeight: row.image_height,
+        replyToMessageId: await this.resolveReference(row.chatroom_id, row.reply_to_message_id),
+        threadRootId: await this.resolveReference(row.chatroom_id, row.thread_root_id)
+      };
+
+      if (row.message_type === 'file') {
+        const file = await this.getSenderFile(row.file_id, row.sender_uid, row.chatroom_id);
+        Object.assign(messageData, {
+          fileId: file.file_id,
+          fileName: file.original_name,
+          fileSize: file.file_size,
+          fileExpiry: file.expiry_time
+        });
+      }
+
+      message = await messageService.sendMessage(messageData);
+    } catch (error) {
+      console.error(`发送定时消息失败 (ID: ${row.id}):`, error.message);
+
+      await database.run(
+        "UPDATE scheduled_messages SET status = 'failed', failure_reason = ?, updated_at = ? WHERE id = ?",
+        [error.message, Date.now(), row.id]
+      );
+
+      await storageService.deleteImage(row.image_url);
+
+      if (io) {
+        io.to(`user:${row.sender_uid}`).emit('scheduled-message-failed', {
+          scheduleId: row.id,
+          chatroomId: row.chatroom_id,
+          reason: error.message,
+          timestamp: Date.now()
+        });
+      }
+
+      return false;
+    }
+
+    // 消息已经发出：之后的记录更新或广播出错只记录日志，不能再把定时消息标记为失败（图片仍被消息引用）
+    try {
+      await database.run(
+        "UPDATE scheduled_messages SET status = 'sent', message_id = ?, sent_at = ?, updated_at = ? WHERE id = ?",
+        [message.id, Date.now(), Date.now(), row.id]
+      );
+
+      if (message.fileId) {
+        // 更新文件记录的消息ID
+        await database.run(
+          'UPDATE files SET message_id = ? WHERE file_id = ?',
+          [message.messageId, message.fileId]
+        );
+      }
+
+      // 与即时消息走相同的广播流程
+      await messageService.broadcastNewMessage(io, message);
+
+      if (io) {
+        io.to(`user:${row.sender_uid}`).emit('scheduled-message-sent', {
+          scheduleId: row.id,
+          chatroomId: row.chatroom_id,
+          message,
+          timestamp: Date.now()
+        });
+      }
+    } catch (error) {
+      console.error(`定时消息已发送，但后续处理失败 (ID: ${row.id}):`, error);
+    }
+
+    return true;
+  }
+
+  // 服务启动时恢复上次中断在发送中的定时消息
+  async recoverInterruptedMessages() {
+    const result = await database.run(
+      "UPDATE scheduled_messages SET status = 'pending', updated_at = ? WHERE status = 'sending'",
+      [Date.now()]
+    );
+
+    return result.changes;
+  }
+
+  // 检查用户是否可以在该聊天室创建定时消息
+  async assertCanSchedule(chatroomId, userUid) {
+    const chatroom = await database.get(
+      "SELECT room_id FROM chatrooms WHERE room_id = ? AND is_active = 1 AND room_type = 'group'",
+      [chatroomId]
+    );
+
+    if (!chatroom) {
+      throw new Error('聊天室不存在或已关闭');
+    }
+
+    const member = await database.get(
+      'SELECT id FROM chatroom_members WHERE chatroom_id = ? AND user_uid = ? AND is_active = 1',
+      [chatroomId, userUid]
+    );
+
+    if (!member) {
+      throw new Error('您不在此聊天室中');
+    }
+
+    const muteStatus = await chatroomService.checkUserMuted(userUid, chatroomId);
+    if (muteStatus.isMuted) {
+      const remainingMinutes = Math.ceil(muteStatus.remaining / 60000);
+      throw new Error(`您已被禁言，还有 ${remainingMinutes} 分钟解除`);
+    }
+  }
+
+  // 验证计划发送时间
+  validateScheduledTime(scheduledAt) {
+    if (!Number.isFinite(scheduledAt)) {
+      throw new Error('发送时间无效');
+    }
+
+    const now = Date.now();
+    if (scheduledAt <= now) {
+      throw new Error('发送时间必须晚于当前时间');
+    }
+
+    if (scheduledAt > now + config.scheduledMessage.maxAhead) {
+      const days = Math.floor(config.scheduledMessage.maxAhead / (24 * 60 * 60 * 1000));
+      throw new Error(`最多只能提前 ${days} 天安排消息`);
+    }
+  }
+
+  // 验证回复和话题引用的消息
+  async validateReferences(chatroomId, replyToMessageId, threadRootId) {
+    for (const messageId of [replyToMessageId, threadRootId]) {
+      if (!messageId) {
+        continue;
+      }
+
+      const message = await database.get(
+        'SELECT id FROM messages WHERE id = ? AND chatroom_id = ? AND is_deleted = 0',
+        [messageId, chatroomId]
+      );
+
+      if (!message) {
+        throw new Error(messageId === threadRootId ? '话题消息不存在' : '回复的消息不存在');
+      }
+    }
+  }
+
+  // 发送时被引用的消息可能已被删除，此时不再引用
+  async resolveReference(chatroomId, messageId) {
+    if (!messageId) {
+      return null;
+    }
+
+    const message = await database.get(
+      'SELECT id FROM messages WHERE id = ? AND chatroom_id = ? AND is_deleted = 0',
+      [messageId, chatroomId]
+    );
+
+    return message ? message.id : null;
+  }
+
+  // 获取发送者上传到聊天室且未过期的文件
+  async getSenderFile(fileId, userUid, chatroomId) {
+    const file = await database.get(
+      'SELECT * FROM files WHERE file_id = ? AND uploader_uid = ? AND chatroom_id = ? AND is_expired = 0',
+      [fileId, userUid, chatroomId]
+    );
+
+    if (!file || Date.now() > file.expiry_time) {
+      throw new Error('文件不存在或已过期');
+    }
+
+    return file;
+  }
+
+  // 获取待发送的定时消息记录
+  async getPendingRow(scheduleId, userUid, chatroomId) {
+    const row = await database.get(
+      'SELECT * FROM scheduled_messages WHERE id = ? AND chatroom_id = ? AND sender_uid = ?',
+      [scheduleId, chatroomId, userUid]
+    );
+
+    if (!row) {
+      throw new Error('定时消息不存在');
+    }
+
+    if (row.status !== 'pending') {
+      throw new Error('定时消息已发送或已取消');
+    }
+
+    return row;
+  }
+
+  // 格式化定时消息
+  formatScheduledMessage(row) {
+    return {
+      id: row.id,
+      chatroomId: row.chatroom_id,
+      userUid: row.sender_uid,
+      userType: row.sender_type,
+      messageType: row.message_type,
+      content: row.content,
+      markdownContent: row.markdown_content,
+      bilibiliId: row.bilibili_bv,
+      imageUrl: row.image_url,
+      thumbnailUrl: row.thumbnail_url || row.image_url,
+      previewUrl: row.preview_url || row.image_url,
+      width: row.image_width || null,
+      height: row.image_height || null,
+      fileId: row.file_id,
+      replyToMessageId: row.reply_to_message_id,
+      threadRootId: row.thread_root_id,
+      scheduledAt: row.scheduled_at,
+      status: row.status,
+      failureReason: row.failure_reason,
+      messageId: row.message_id,
+      sentAt: row.sent_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = new ScheduledMessageService();
@@ -0,0 +1,249 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const database = require('../database');
+const utils = require('../utils');
+const config = require('../config');
+
+// 登录会话：访问令牌（JWT）短期有效并携带会话ID，刷新令牌只在服务端保存哈希，每次刷新后轮换
+// 会话被撤销后，其访问令牌和刷新令牌都立即失效
+class SessionService {
+  // 创建登录会话，返回访问令牌和刷新令牌
+  async createSession(user, clientInfo = {}) {
+    const sessionId = uuidv4();
+    const secret = this.generateSecret();
+    const now = Date.now();
+    const expiresAt = now + this.getRefreshTokenTtl(user.type);
+
+    await database.run(`
+      INSERT INTO auth_sessions (
+        session_id, user_uid, user_type, refresh_token_hash, user_agent, ip_address, created_at, last_used_at, expires_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      sessionId,
+      user.uid,
+      user.type,
+      this.hashSecret(secret),
+      clientInfo.userAgent || null,
+      clientInfo.ipAddress || null,
+      now,
+      now,
+      expiresAt
+    ]);
+
+    return this.issueTokens(user, sessionId, secret, expiresAt);
+  }
+
+  // 验证访问令牌：签名有效且所属会话未撤销、未过期时返回令牌内容，否则返回 null
+  async verifyAccessToken(token) {
+    const decoded = utils.verifyToken(token);
+    if (!decoded || !decoded.sid) {
+      return null;
+    }
+
+    const session = await database.get(
+      'SELECT session_id FROM auth_sessions WHERE session_id = ? AND user_uid = ? AND revoked_at IS NULL AND expires_at > ?',
+      [decoded.sid, decoded.uid, Date.now()]
+    );
+
+    return session ? decoded : null;
+  }
+
+  // 使用刷新令牌换取新的访问令牌和刷新令牌（旧刷新令牌随即失效）
+  // 已轮换掉的刷新令牌再次被使用说明令牌可能已泄露，此时撤销整个会话
+  async refreshSession(refreshToken, clientInfo = {}) {
+    const { sessionId, secret } = this.parseRefreshToken(refreshToken);
+
+    const session = await database.get(
+      'SELECT * FROM auth_sessions WHERE session_id = ?',
+      [sessionId]
+    );
+    if (!session) {
+      throw new Error('无效的刷新令牌');
+    }
+
+    const now = Date.now();
+    if (session.revoked_at || session.expires_at <= now) {
+      throw new Error('登录会话已失效，请重新登录');
+    }
+
+    const hash = this.hashSecret(secret);
+    if (session.previous_token_hash && hash === session.previous_token_hash) {
+      await this.revokeSession(session.user_uid, sessionId);
+      console.warn(`检测到刷新令牌被重复使用，已撤销会话: ${sessionId}（用户 ${session.user_uid}）`);
+      throw new Error('刷新令牌已被使用，登录会话已撤销');
+    }
+    if (hash !== session.refresh_token_hash) {
+      throw new Error('无效的刷新令牌');
+    }
+
+    const user = await this.getSessionUser(session);
+    if (!user) {
+      await this.revokeSession(session.user_uid, sessionId);
+      throw new Error('用户不存在或已过期');
+    }
+
+    const newSecret = this.generateSecret();
+    const expiresAt = now + this.getRefreshTokenTtl(session.user_type);
+
+    // 以旧哈希为条件更新，防止同一刷新令牌被并发使用两次
+    const result = await database.run(`
+      UPDATE auth_sessions
+      SET previous_token_hash = refresh_token_hash,
+          refresh_token_hash = ?,
+          user_agent = COALESCE(?, user_agent),
+          ip_address = COALESCE(?, ip_address),
+          last_used_at = ?,
+          expires_at = ?
+      WHERE session_id = ? AND refresh_token_hash = ? AND revoked_at IS NULL
+    `, [
+      this.hashSecret(newSecret),
+      clientInfo.userAgent || null,
+      clientInfo.ipAddress || null,
+      now,
+      expiresAt,
+      sessionId,
+      hash
+    ]);
+    if (result.changes === 0) {
+      throw new Error('刷新令牌已被使用，请重新登录');
+    }
+
+    return this.issueTokens(user, sessionId, newSecret, expiresAt);
+  }
+
+  // 获取用户的有效登录会话列表，currentSessionId 对应的会话标记为当前会话
+  async getSessions(uid, currentSessionId = null) {
+    const rows = await database.all(`
+      SELECT session_id, user_agent, ip_address, created_at, last_used_at, expires_at
+      FROM auth_sessions
+      WHERE user_uid = ? AND revoked_at IS NULL AND expires_at > ?
+      ORDER BY last_used_at DESC
+    `, [uid, Date.now()]);
+
+    return rows.map(row => ({
+      sessionId: row.session_id,
+      userAgent: row.user_agent,
+      ipAddress: row.ip_address,
+      createdAt: row.created_at,
+      lastUsedAt: row.last_used_at,
+      expiresAt: row.expires_at,
+      current: row.session_id === currentSessionId
+    }));
+  }
+
+  // 撤销用户的某个登录会话
+  async revokeSession(uid, sessionId) {
+    const result = await database.run(
+      'UPDATE auth_sessions SET revoked_at = ? WHERE session_id = ? AND user_uid = ? AND revoked_at IS NULL',
+      [Date.now(), sessionId, uid]
+    );
+
+    if (result.changes === 0) {
+      throw new Error('登录会话不存在或已失效');
+    }
+  }
+
+  // 撤销用户的所有登录会话（可保留当前会话），返回被撤销的会话ID列表
+  async revokeAllSessions(uid, { exceptSessionId = null } = {}) {
+    const rows = await database.all(
+      'SELECT session_id FROM auth_sessions WHERE user_uid = ? AND revoked_at IS NULL AND session_id != ?',
+      [uid, exceptSessionId || '']
+    );
+    if (rows.length === 0) {
+      return [];
+    }
+
+    await database.run(
+      'UPDATE auth_sessions SET revoked_at = ? WHERE user_uid = ? AND revoked_at IS NULL AND session_id != ?',
+      [Date.now(), uid, exceptSessionId || '']
+    );
+
+    return rows.map(row => row.session_id);
+  }
+
+  // 清理过期和已撤销一天以上的登录会话
+  async cleanupExpiredSessions() {
+    const now = Date.now();
+    const result = await database.run(
+      'DELETE FROM auth_sessions WHERE expires_at < ? OR revoked_at < ?',
+      [now, now - 24 * 60 * 60 * 1000]
+    );
+
+    if (result.changes > 0) {
+      console.log(`清理了 ${result.changes} 个过期登录会话`);
+    }
+    return result.changes;
+  }
+
+  // 从请求中提取客户端信息（用于会话列表展示）
+  getClientInfo(req) {
+    const userAgent = req.headers['user-agent'];
+    return {
+      userAgent: userAgent ? userAgent.slice(0, 255) : null,
+      ipAddress: req.ip || null
+    };
+  }
+
+  // 获取会话所属的用户（用户被封禁、删除或匿名用户已停用时返回 null）
+  async getSessionUser(session) {
+    if (session.user_type === 'user') {
+      const user = await database.get(
+        'SELECT uid, nickname FROM users WHERE uid = ? AND is_banned = 0',
+        [session.user_uid]
+      );
+      return user ? { uid: user.uid, nickname: user.nickname, type: 'user' } : null;
+    }
+
+    const anonymousUser = await database.get(
+      'SELECT uid, nickname FROM anonymous_users WHERE uid = ? AND is_active = 1',
+      [session.user_uid]
+    );
+    return anonymousUser ? { uid: anonymousUser.uid, nickname: anonymousUser.nickname, type: 'anonymous' } : null;
+  }
+
+  // 签发访问令牌，刷新令牌格式为 <会话ID>.<随机串>
+  issueTokens(user, sessionId, secret, expiresAt) {
+    const token = utils.generateToken({
+      uid: user.uid,
+      nickname: user.nickname,
+      type: user.type,
+      sid: sessionId
+    });
+
+    return {
+      token,
+      refreshToken: `${sessionId}.${secret}`,
+      expiresIn: config.auth.accessTokenTtl,
+      refreshTokenExpiresAt: expiresAt
+    };
+  }
+
+  // 解析刷新令牌
+  parseRefreshToken(refreshToken) {
+    const separator = typeof refreshToken === 'string' ? refreshToken.indexOf('.') : -1;
+    if (separator <= 0 || separator === refreshToken.length - 1) {
+      throw new Error('无效的刷新令牌');
+    }
+
+    return {
+      sessionId: refreshToken.slice(0, separator),
+      secret: refreshToken.slice(separator + 1)
+    };
+  }
+
+  // 匿名用户的会话有效期与匿名身份的有效期一致
+  getRefreshTokenTtl(userType) {
+    return userType === 'anonymous' ? config.anonymous.sessionExpiry : config.auth.refreshTokenTtl;
+  }
+
+  generateSecret() {
+    return crypto.randomBytes(32).toString('base64url');
+  }
+
+  hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+}
+
+module.exports = new SessionService();
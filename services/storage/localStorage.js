@@ -0,0 +1,84 @@
+const path = require('path');
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+
+// 本地磁盘存储：对象键映射为存储根目录下的相对路径
+class LocalStorage {
+  constructor(options = {}) {
+    this.root = path.resolve(options.root);
+  }
+
+  // 将对象键解析为文件路径（禁止跳出存储根目录）
+  resolvePath(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error('无效的存储路径');
+    }
+    return filePath;
+  }
+
+  // 写入对象（data 为 Buffer 或可读流）
+  async put(key, data) {
+    const filePath = this.resolvePath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    if (Buffer.isBuffer(data)) {
+      await fs.promises.writeFile(filePath, data);
+    } else {
+      await pipeline(data, fs.createWriteStream(filePath));
+    }
+  }
+
+  // 读取整个对象，不存在时返回 null
+  async get(key) {
+    try {
+      return await fs.promises.readFile(this.resolvePath(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // 获取对象元数据，不存在时返回 null
+  async stat(key) {
+    try {
+      const stats = await fs.promises.stat(this.resolvePath(key));
+      if (!stats.isFile()) return null;
+      return {
+        size: stats.size,
+        lastModified: stats.mtime.getTime(),
+        contentType: null
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // 以流的形式读取对象（可指定字节范围，end 包含在内），不存在时返回 null
+  async stream(key, range = {}) {
+    const info = await this.stat(key);
+    if (!info) return null;
+
+    return {
+      ...info,
+      stream: fs.createReadStream(this.resolvePath(key), { start: range.start, end: range.end })
+    };
+  }
+
+  // 删除对象（不存在时忽略）
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.resolvePath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  // 删除指定前缀（目录）下的全部对象
+  async deletePrefix(prefix) {
+    await fs.promises.rm(this.resolvePath(prefix), { recursive: true, force: true });
+  }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,362 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+// S3 分段上传除最后一段外每段至少 5MB
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+
+// S3 兼容对象存储（AWS S3、MinIO 等），使用 AWS Signature V4 签名请求
+class S3Storage {
+  constructor(options = {}) {
+    const { endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle, prefix, timeout, partSize } = options;
+
+    if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error('S3存储配置不完整（需要 endpoint、bucket、accessKeyId 和 secretAccessKey）');
+    }
+
+    this.endpoint = new URL(endpoint);
+    this.region = region || 'us-east-1';
+    this.bucket = bucket;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.forcePathStyle = forcePathStyle !== false;
+    this.prefix = prefix ? prefix.replace(/\/+$/, '') + '/' : '';
+    this.timeout = timeout || 30 * 1000;
+    this.partSize = Math.max(partSize || 8 * 1024 * 1024, MIN_PART_SIZE);
+  }
+
+  // 写入对象（data 为 Buffer 或可读流）；流按分段读取，超过一个分段时使用分段上传，内存中最多保留一个分段
+  async put(key, data, options = {}) {
+    const contentType = options.contentType || 'application/octet-stream';
+
+    if (Buffer.isBuffer(data)) {
+      return this.putObject(key, data, contentType);
+    }
+
+    let uploadId = null;
+    const parts = [];
+    let chunks = [];
+    let size = 0;
+
+    try {
+      for await (const chunk of data) {
+        chunks.push(chunk);
+        size += chunk.length;
+
+        if (size >= this.partSize) {
+          if (!uploadId) {
+            uploadId = await this.createMultipartUpload(key, contentType);
+          }
+          parts.push(await this.uploadPart(key, uploadId, parts.length + 1, Buffer.concat(chunks)));
+          chunks = [];
+          size = 0;
+        }
+      }
+
+      // 不足一个分段时直接上传
+      if (!uploadId) {
+        return await this.putObject(key, Buffer.concat(chunks), contentType);
+      }
+
+      if (size > 0) {
+        parts.push(await this.uploadPart(key, uploadId, parts.length + 1, Buffer.concat(chunks)));
+      }
+      await this.completeMultipartUpload(key, uploadId, parts);
+    } catch (error) {
+      if (uploadId) {
+        await this.abortMultipartUpload(key, uploadId).catch(() => {});
+      }
+      throw error;
+    }
+  }
+
+  // 单次请求上传整个对象
+  async putObject(key, body, contentType) {
+    const headers = {
+      'Content-Type': contentType,
+      'Content-Length': body.length
+    };
+
+    const res = await this.request('PUT', key, { body, headers });
+    await this.readAll(res);
+  }
+
+  // 开始分段上传，返回 UploadId
+  async createMultipartUpload(key, contentType) {
+    const res = await this.request('POST', key, {
+      query: { uploads: '' },
+      headers: { 'Content-Type': contentType }
+    });
+    const uploadId = /<UploadId>([^<]+)<\/UploadId>/.exec((await this.readAll(this.expectFound(res, key))).toString());
+    if (!uploadId) {
+      throw new Error(`S3请求失败: 无法开始分段上传 ${key}`);
+    }
+    return uploadId[1];
+  }
+
+  // 上传一个分段，返回 { partNumber, etag }
+  async uploadPart(key, uploadId, partNumber, body) {
+    const res = this.expectFound(await this.request('PUT', key, {
+      query: { partNumber: String(partNumber), uploadId },
+      body,
+      headers: { 'Content-Length': body.length }
+    }), key);
+    res.resume();
+    return { partNumber, etag: res.headers.etag };
+  }
+
+  // 完成分段上传（S3 可能在 200 响应中返回错误）
+  async completeMultipartUpload(key, uploadId, parts) {
+    const body = Buffer.from(
+      '<CompleteMultipartUpload>' +
+      parts.map(part => `<Part><PartNumber>${part.partNumber}</PartNumber><ETag>${part.etag}</ETag></Part>`).join('') +
+      '</CompleteMultipartUpload>'
+    );
+
+    const res = await this.request('POST', key, {
+      query: { uploadId },
+      body,
+      headers: { 'Content-Type': 'application/xml', 'Content-Length': body.length }
+    });
+    const result = (await this.readAll(this.expectFound(res, key))).toString();
+    if (/<Error>/.test(result)) {
+      const code = /<Code>([^<]+)<\/Code>/.exec(result);
+      throw new Error(`S3请求失败: 完成分段上传 ${key}${code ? ` ${code[1]}` : ''}`);
+    }
+  }
+
+  // 取消分段上传，释放已上传的分段
+  async abortMultipartUpload(key, uploadId) {
+    const res = await this.request('DELETE', key, { query: { uploadId } });
+    if (res) res.resume();
+  }
+
+  // 分段上传相关请求返回 404 时说明上传已不存在
+  expectFound(res, key) {
+    if (!res) {
+      throw new Error(`S3请求失败: 分段上传不存在 ${key}`);
+    }
+    return res;
+  }
+
+  // 读取整个对象，不存在时返回 null
+  async get(key) {
+    const res = await this.request('GET', key);
+    if (!res) return null;
+    return this.readAll(res);
+  }
+
+  // 获取对象元数据，不存在时返回 null
+  async stat(key) {
+    const res = await this.request('HEAD', key);
+    if (!res) return null;
+    res.resume();
+    return this.getObjectInfo(res, parseInt(res.headers['content-length'], 10));
+  }
+
+  // 以流的形式读取对象（可指定字节范围，end 包含在内），不存在时返回 null
+  async stream(key, range = {}) {
+    const headers = {};
+    if (range.start !== undefined || range.end !== undefined) {
+      headers.Range = `bytes=${range.start || 0}-${range.end !== undefined ? range.end : ''}`;
+    }
+
+    const res = await this.request('GET', key, { headers });
+    if (!res) return null;
+
+    // 范围请求时从 Content-Range 中读取对象总大小
+    const contentRange = res.headers['content-range'];
+    const size = contentRange
+      ? parseInt(contentRange.split('/')[1], 10)
+      : parseInt(res.headers['content-length'], 10);
+
+    return {
+      ...this.getObjectInfo(res, size),
+      stream: res
+    };
+  }
+
+  // 删除对象（不存在时忽略）
+  async delete(key) {
+    const res = await this.request('DELETE', key);
+    if (res) res.resume();
+  }
+
+  // 删除指定前缀下的全部对象
+  async deletePrefix(prefix) {
+    for (const key of await this.list(prefix)) {
+      await this.delete(key);
+    }
+  }
+
+  // 列出指定前缀下的全部对象键（不含存储前缀）
+  async list(prefix) {
+    const keys = [];
+    let continuationToken = null;
+
+    do {
+      const query = { 'list-type': '2', prefix: this.prefix + prefix };
+      if (continuationToken) {
+        query['continuation-token'] = continuationToken;
+      }
+
+      const res = await this.request('GET', null, { query });
+      if (!res) break;
+
+      const result = (await this.readAll(res)).toString();
+      for (const match of result.matchAll(/<Key>([^<]*)<\/Key>/g)) {
+        keys.push(decodeXml(match[1]).slice(this.prefix.length));
+      }
+
+      const next = /<NextContinuationToken>([^<]+)<\/NextContinuationToken>/.exec(result);
+      continuationToken = /<IsTruncated>true<\/IsTruncated>/.test(result) && next ? decodeXml(next[1]) : null;
+    } while (continuationToken);
+
+    return keys;
+  }
+
+  // 从响应头提取对象元数据
+  getObjectInfo(res, size) {
+    return {
+      size,
+      lastModified: res.headers['last-modified'] ? new Date(res.headers['last-modified']).getTime() : null,
+      contentType: res.headers['content-type'] || null
+    };
+  }
+
+  // 发送签名请求；对象不存在（404）时返回 null，其他错误抛出异常
+  request(method, key, { body = null, headers = {}, query = {} } = {}) {
+    const { hostname, path } = this.getObjectLocation(key);
+    const payloadHash = body
+      ? crypto.createHash('sha256').update(body).digest('hex')
+      : EMPTY_PAYLOAD_HASH;
+
+    // 查询参数按名称排序并编码（签名要求的规范格式）
+    const queryString = Object.keys(query)
+      .sort()
+      .map(name => `${this.encodeSegment(name)}=${this.encodeSegment(query[name])}`)
+      .join('&');
+
+    const signedHeaders = this.sign(method, hostname, path, payloadHash, queryString);
+    const transport = this.endpoint.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request({
+        protocol: this.endpoint.protocol,
+        hostname: this.endpoint.hostname,
+        port: this.endpoint.port || undefined,
+        method,
+        path: queryString ? `${path}?${queryString}` : path,
+        headers: { ...headers, ...signedHeaders },
+        timeout: this.timeout
+      }, (res) => {
+        if (res.statusCode === 404) {
+          res.resume();
+          return resolve(null);
+        }
+
+        if (res.statusCode >= 300) {
+          return this.readAll(res)
+            .then((data) => {
+              const code = /<Code>([^<]+)<\/Code>/.exec(data.toString());
+              reject(new Error(`S3请求失败: ${method} ${key} ${res.statusCode}${code ? ` ${code[1]}` : ''}`));
+            })
+            .catch(reject);
+        }
+
+        resolve(res);
+      });
+
+      req.on('timeout', () => req.destroy(new Error(`S3请求超时: ${method} ${key}`)));
+      req.on('error', reject);
+      req.end(body || undefined);
+    });
+  }
+
+  // 计算对象的请求地址（路径风格：/bucket/key，虚拟主机风格：bucket.host/key；key 为 null 时为存储桶本身）
+  getObjectLocation(key) {
+    const encodedKey = key === null
+      ? ''
+      : (this.prefix + key)
+        .split('/')
+        .map(segment => this.encodeSegment(segment))
+        .join('/');
+
+    const host = this.endpoint.host;
+    const basePath = this.endpoint.pathname.replace(/\/+$/, '');
+
+    if (this.forcePathStyle) {
+      return { hostname: host, path: `${basePath}/${this.encodeSegment(this.bucket)}/${encodedKey}` };
+    }
+    return { hostname: `${this.bucket}.${host}`, path: `${basePath}/${encodedKey}` };
+  }
+
+  // 按 RFC 3986 编码路径片段
+  encodeSegment(segment) {
+    return encodeURIComponent(segment).replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+  }
+
+  // 生成 AWS Signature V4 请求头
+  sign(method, host, path, payloadHash, queryString = '') {
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+
+    const headers = {
+      host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    const signedHeaderNames = Object.keys(headers).sort();
+
+    const canonicalRequest = [
+      method,
+      path,
+      queryString,
+      signedHeaderNames.map(name => `${name}:${headers[name]}\n`).join(''),
+      signedHeaderNames.join(';'),
+      payloadHash
+    ].join('\n');
+
+    const stringToSign = [
+      'AWS4-HMAC-SHA256',
+      amzDate,
+      scope,
+      crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+    ].join('\n');
+
+    const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${this.secretAccessKey}`, dateStamp), this.region), 's3'), 'aws4_request');
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    return {
+      Host: host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaderNames.join(';')}, Signature=${signature}`
+    };
+  }
+
+  // 读取流的全部内容
+  async readAll(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+}
+
+// 解码 XML 响应中的实体
+function decodeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+module.exports = S3Storage;
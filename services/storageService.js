@@ -0,0 +1,130 @@
+const path = require('path');
+const config = require('../config');
+const LocalStorage = require('./storage/localStorage');
+const S3Storage = require('./storage/s3Storage');
+
+// 聊天图片的衍生尺寸（缩略图、预览图）
+const IMAGE_VARIANTS = ['thumb', 'preview'];
+
+// 上传文件存储服务：按配置选择存储后端，统一提供 put / get / stat / stream / delete / deletePrefix 操作
+// 对象键约定：files/<存储名>（聊天文件，gzip压缩）、images/<文件名>（聊天图片及其 _thumb、_preview 衍生图）、avatars/<UID>.<扩展名>（头像）、
+// chunks/<上传ID>/<分片序号>（分片上传的临时分片）、quarantine/<存储名>（未通过类型检查、等待审核的文件）
+class StorageService {
+  constructor() {
+    this.backend = this.createBackend(config.storage);
+  }
+
+  // 创建存储后端
+  createBackend(storageConfig) {
+    if (storageConfig.driver === 's3') {
+      return new S3Storage(storageConfig.s3);
+    }
+
+    if (storageConfig.driver !== 'local') {
+      throw new Error(`不支持的存储类型: ${storageConfig.driver}`);
+    }
+
+    // 相对路径以项目根目录为基准
+    return new LocalStorage({ root: path.resolve(__dirname, '..', config.uploadPath) });
+  }
+
+  put(key, data, options = {}) {
+    return this.backend.put(key, data, options);
+  }
+
+  get(key) {
+    return this.backend.get(key);
+  }
+
+  stat(key) {
+    return this.backend.stat(key);
+  }
+
+  stream(key, range = {}) {
+    return this.backend.stream(key, range);
+  }
+
+  delete(key) {
+    return this.backend.delete(key);
+  }
+
+  deletePrefix(prefix) {
+    return this.backend.deletePrefix(prefix);
+  }
+
+  // 聊天文件的对象键
+  getFileKey(storedName) {
+    return `files/${storedName}`;
+  }
+
+  // 聊天图片的对象键
+  getImageKey(filename) {
+    return `images/${filename}`;
+  }
+
+  // 头像的对象键
+  getAvatarKey(uid, extension) {
+    return `avatars/${uid}.${extension}`;
+  }
+
+  // 分片上传临时分片的对象键前缀（每个上传会话一个）
+  getChunkPrefix(uploadId) {
+    return `chunks/${uploadId}/`;
+  }
+
+  // 分片上传临时分片的对象键
+  getChunkKey(uploadId, index) {
+    return `${this.getChunkPrefix(uploadId)}${index}`;
+  }
+
+  // 隔离区文件的对象键（格式与聊天文件相同，放行时移动到 files/ 下）
+  getQuarantineKey(storedName) {
+    return `quarantine/${storedName}`;
+  }
+
+  // 检查图片文件名是否合法（防止路径穿越）
+  isValidImageName(filename) {
+    return /^[\w-]+(\.[a-z0-9]+)?$/i.test(filename);
+  }
+
+  // 聊天图片缩略图、预览图的文件名（img-xxx.jpg -> img-xxx_thumb.jpg）
+  getImageVariantName(filename, variant) {
+    const ext = path.extname(filename);
+    return `${path.basename(filename, ext)}_${variant}${ext}`;
+  }
+
+  // 由缩略图、预览图的文件名得到原图文件名
+  getOriginalImageName(filename) {
+    return filename.replace(/_(thumb|preview)(\.[a-z0-9]+)?$/i, '$2');
+  }
+
+  // 根据图片地址删除聊天图片及其缩略图、预览图
+  async deleteImage(imageUrl) {
+    if (!imageUrl || !imageUrl.startsWith('/uploads/images/')) {
+      return;
+    }
+
+    const filename = path.basename(imageUrl);
+    const names = [filename, ...IMAGE_VARIANTS.map(variant => this.getImageVariantName(filename, variant))];
+    for (const name of names) {
+      try {
+        await this.delete(this.getImageKey(name));
+      } catch (error) {
+        console.warn(`删除图片失败: ${name}`, error);
+      }
+    }
+  }
+
+  // 删除聊天文件（失败时只记录日志，不影响主流程）
+  async deleteFile(storedName) {
+    try {
+      await this.delete(this.getFileKey(storedName));
+      return true;
+    } catch (error) {
+      console.warn(`删除文件失败: ${storedName}`, error);
+      return false;
+    }
+  }
+}
+
+module.exports = new StorageService();
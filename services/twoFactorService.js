@@ -0,0 +1,336 @@
+const crypto = require('crypto');
+
+const database = require('../database');
+const utils = require('../utils');
+const config = require('../config');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_PERIOD = 30; // 秒
+const TOTP_DIGITS = 6;
+
+// 两步验证（TOTP，RFC 6238）：开启后登录需要在密码之外再输入身份验证器中的验证码或一次性备用验证码
+class TwoFactorService {
+  // 获取两步验证状态
+  async getStatus(uid) {
+    const user = await this.getUser(uid);
+    const backupCodes = await database.get(
+      'SELECT COUNT(*) as count FROM two_factor_backup_codes WHERE user_uid = ? AND used_at IS NULL',
+      [uid]
+    );
+
+    return {
+      enabled: Boolean(user.totp_enabled),
+      enabledAt: user.totp_enabled_at,
+      backupCodesRemaining: user.totp_enabled ? backupCodes.count : 0
+    };
+  }
+
+  // 开始开启两步验证：生成新密钥，返回密钥和 otpauth 链接（用于生成二维码），确认验证码后才生效
+  async beginEnrollment(uid) {
+    const user = await this.getUser(uid);
+    if (user.totp_enabled) {
+      throw new Error('已开启两步验证');
+    }
+
+    const secret = this.base32Encode(crypto.randomBytes(20));
+    await database.run(
+      'UPDATE users SET totp_secret = ?, totp_last_step = NULL WHERE uid = ?',
+      [this.encryptSecret(secret), uid]
+    );
+
+    const issuer = config.twoFactor.issuer;
+    const label = `${issuer}:${user.email || user.uid}`;
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: String(TOTP_DIGITS),
+      period: String(TOTP_PERIOD)
+    });
+
+    return {
+      secret,
+      otpauthUri: `otpauth://totp/${encodeURIComponent(label)}?${params.toString()}`
+    };
+  }
+
+  // 确认开启两步验证（验证码正确后生效），返回备用验证码（只显示这一次）
+  async confirmEnrollment(uid, code) {
+    const user = await this.getUser(uid);
+    if (user.totp_enabled) {
+      throw new Error('已开启两步验证');
+    }
+    if (!user.totp_secret) {
+      throw new Error('请先获取两步验证密钥');
+    }
+
+    const step = this.verifyTotp(this.decryptSecret(user.totp_secret), code);
+    if (step === null) {
+      throw new Error('验证码错误');
+    }
+
+    await database.run(
+      'UPDATE users SET totp_enabled = 1, totp_enabled_at = ?, totp_last_step = ? WHERE uid = ?',
+      [Date.now(), step, uid]
+    );
+
+    return { backupCodes: await this.createBackupCodes(uid) };
+  }
+
+  // 重新生成备用验证码（需要验证码），旧的备用验证码全部失效
+  async regenerateBackupCodes(uid, code) {
+    await this.verifyCode(uid, code, { allowBackupCode: false });
+    return { backupCodes: await this.createBackupCodes(uid) };
+  }
+
+  // 关闭两步验证（需要密码和验证码）
+  async disable(uid, password, code) {
+    const user = await this.getUser(uid);
+    if (!user.totp_enabled) {
+      throw new Error('未开启两步验证');
+    }
+
+    // 尚未设置密码的账号（通过单点登录创建）只需要验证码
+    if (user.has_password) {
+      const isValidPassword = await utils.verifyPassword(password || '', user.password_hash);
+      if (!isValidPassword) {
+        throw new Error('密码错误');
+      }
+    }
+
+    await this.verifyCode(uid, code);
+
+    await database.run(
+      'UPDATE users SET totp_secret = NULL, totp_enabled = 0, totp_enabled_at = NULL, totp_last_step = NULL WHERE uid = ?',
+      [uid]
+    );
+    await database.run('DELETE FROM two_factor_backup_codes WHERE user_uid = ?', [uid]);
+    await database.run('DELETE FROM two_factor_challenges WHERE user_uid = ?', [uid]);
+  }
+
+  // 检查用户是否开启了两步验证
+  async isEnabled(uid) {
+    const user = await database.get('SELECT totp_enabled FROM users WHERE uid = ?', [uid]);
+    return Boolean(user && user.totp_enabled);
+  }
+
+  // 密码验证通过后创建登录验证挑战，返回挑战令牌
+  async createChallenge(uid) {
+    const challengeToken = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = Date.now() + config.twoFactor.challengeTtl;
+
+    await database.run(
+      'INSERT INTO two_factor_challenges (challenge_hash, user_uid, created_at, expires_at) VALUES (?, ?, ?, ?)',
+      [this.hash(challengeToken), uid, Date.now(), expiresAt]
+    );
+
+    return { challengeToken, expiresAt };
+  }
+
+  // 使用挑战令牌和验证码完成登录验证，返回用户UID；验证码错误次数过多时挑战失效
+  async verifyChallenge(challengeToken, code) {
+    const challengeHash = this.hash(challengeToken);
+
+    // 先计入尝试次数，防止并发请求绕过次数限制
+    const attempt = await database.run(
+      'UPDATE two_factor_challenges SET attempts = attempts + 1 WHERE challenge_hash = ? AND attempts < ? AND expires_at > ?',
+      [challengeHash, config.twoFactor.maxAttempts, Date.now()]
+    );
+    if (attempt.changes === 0) {
+      throw new Error('登录验证已过期，请重新登录');
+    }
+
+    const challenge = await database.get(
+      'SELECT user_uid FROM two_factor_challenges WHERE challenge_hash = ?',
+      [challengeHash]
+    );
+    await this.verifyCode(challenge.user_uid, code);
+
+    // 挑战只能使用一次
+    const result = await database.run(
+      'DELETE FROM two_factor_challenges WHERE challenge_hash = ?',
+      [challengeHash]
+    );
+    if (result.changes === 0) {
+      throw new Error('登录验证已过期，请重新登录');
+    }
+
+    return challenge.user_uid;
+  }
+
+  // 验证身份验证器中的验证码或备用验证码（备用验证码使用后失效）
+  async verifyCode(uid, code, { allowBackupCode = true } = {}) {
+    const user = await this.getUser(uid);
+    if (!user.totp_enabled) {
+      throw new Error('未开启两步验证');
+    }
+
+    const normalized = String(code || '').replace(/[\s-]/g, '');
+
+    if (/^\d{6}$/.test(normalized)) {
+      const step = this.verifyTotp(this.decryptSecret(user.totp_secret), normalized);
+
+      // 同一周期（及更早周期）的验证码只能使用一次
+      if (step !== null && (user.totp_last_step === null || step > user.totp_last_step)) {
+        const result = await database.run(
+          'UPDATE users SET totp_last_step = ? WHERE uid = ? AND (totp_last_step IS NULL OR totp_last_step < ?)',
+          [step, uid, step]
+        );
+        if (result.changes > 0) {
+          return { method: 'totp' };
+        }
+      }
+    } else if (allowBackupCode && normalized) {
+      const result = await database.run(
+        'UPDATE two_factor_backup_codes SET used_at = ? WHERE user_uid = ? AND code_hash = ? AND used_at IS NULL',
+        [Date.now(), uid, this.hash(normalized.toLowerCase())]
+      );
+      if (result.changes > 0) {
+        return { method: 'backup_code' };
+      }
+    }
+
+    throw new Error('验证码错误');
+  }
+
+  // 清理过期的登录验证挑战
+  async cleanupExpiredChallenges() {
+    const result = await database.run(
+      'DELETE FROM two_factor_challenges WHERE expires_at < ?',
+      [Date.now()]
+    );
+    return result.changes;
+  }
+
+  // 生成新的备用验证码（格式 xxxxx-xxxxx），替换旧的备用验证码
+  async createBackupCodes(uid) {
+    const codes = [];
+    for (let i = 0; i < config.twoFactor.backupCodeCount; i++) {
+      const code = this.base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+      codes.push(`${code.slice(0, 5)}-${code.slice(5)}`);
+    }
+
+    await database.run('DELETE FROM two_factor_backup_codes WHERE user_uid = ?', [uid]);
+    for (const code of codes) {
+      await database.run(
+        'INSERT INTO two_factor_backup_codes (user_uid, code_hash, created_at) VALUES (?, ?, ?)',
+        [uid, this.hash(code.replace('-', '')), Date.now()]
+      );
+    }
+
+    return codes;
+  }
+
+  // 获取注册用户（含两步验证字段）
+  async getUser(uid) {
+    const user = await database.get(
+      'SELECT uid, email, password_hash, has_password, totp_secret, totp_enabled, totp_enabled_at, totp_last_step FROM users WHERE uid = ? AND is_banned = 0',
+      [uid]
+    );
+
+    if (!user) {
+      throw new Error('用户不存在');
+    }
+
+    return user;
+  }
+
+  // 验证 TOTP 验证码，返回匹配的时间周期，不匹配时返回 null
+  verifyTotp(secret, code, now = Date.now()) {
+    if (!/^\d{6}$/.test(String(code || ''))) {
+      return null;
+    }
+
+    const currentStep = Math.floor(now / 1000 / TOTP_PERIOD);
+    const expected = Buffer.from(String(code));
+
+    for (let offset = -config.twoFactor.window; offset <= config.twoFactor.window; offset++) {
+      const step = currentStep + offset;
+      if (crypto.timingSafeEqual(Buffer.from(this.generateTotp(secret, step)), expected)) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  // 计算指定时间周期的 TOTP 验证码（HMAC-SHA1，6位）
+  generateTotp(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const digest = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+    const offset = digest[digest.length - 1] & 0x0f;
+    const value = (digest.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+
+    return String(value).padStart(TOTP_DIGITS, '0');
+  }
+
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  base32Decode(input) {
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of input.replace(/=+$/, '').toUpperCase()) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('无效的密钥');
+      }
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 0xff);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  // 使用 AES-256-GCM 加密保存 TOTP 密钥，格式为 <iv>.<tag>.<密文>
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+  }
+
+  decryptSecret(value) {
+    const [iv, tag, encrypted] = value.split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  getEncryptionKey() {
+    return crypto.createHash('sha256').update(config.twoFactor.secretKey).digest();
+  }
+
+  hash(value) {
+    return crypto.createHash('sha256').update(String(value)).digest('hex');
+  }
+}
+
+module.exports = new TwoFactorService();
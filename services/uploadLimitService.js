@@ -0,0 +1,150 @@
+const database = require('../database');
+const config = require('../config');
+const utils = require('../utils');
+
+// 聊天室可单独设置的上传限制：字段名 -> 数据库列和允许设置的上限
+const ROOM_SETTINGS = {
+  fileMaxSize: { column: 'file_max_size', max: () => config.upload.maxFileMaxSize },
+  imageMaxSize: { column: 'image_max_size', max: () => config.upload.maxImageMaxSize },
+  fileRetention: { column: 'file_retention', max: () => config.upload.maxFileRetention },
+  storageQuota: { column: 'storage_quota', max: () => config.upload.maxRoomQuota }
+};
+
+class UploadLimitService {
+  // 获取聊天室生效的上传限制（未单独设置的项使用全局默认值）
+  async getRoomSettings(roomId) {
+    const chatroom = await database.get(
+      `SELECT room_id, creator_uid, file_max_size, image_max_size, file_retention, storage_quota
+       FROM chatrooms WHERE room_id = ? AND is_active = 1`,
+      [roomId]
+    );
+
+    if (!chatroom) {
+      throw new Error('聊天室不存在');
+    }
+
+    return this.formatRoomSettings(chatroom);
+  }
+
+  // 更新聊天室上传限制（仅创建者可操作；值为 null 时恢复默认值）
+  async updateRoomSettings(roomId, operatorUid, settings) {
+    const chatroom = await database.get(
+      "SELECT creator_uid FROM chatrooms WHERE room_id = ? AND is_active = 1 AND room_type = 'group'",
+      [roomId]
+    );
+
+    if (!chatroom) {
+      throw new Error('聊天室不存在');
+    }
+
+    if (chatroom.creator_uid !== operatorUid) {
+      throw new Error('只有聊天室创建者可以修改上传限制');
+    }
+
+    const updates = [];
+    const params = [];
+
+    for (const [field, { column, max }] of Object.entries(ROOM_SETTINGS)) {
+      const value = settings[field];
+      if (value === undefined) continue;
+
+      if (value !== null && (!Number.isInteger(value) || value <= 0 || value > max())) {
+        throw new Error(`${field} 必须是 1 到 ${max()} 之间的整数`);
+      }
+
+      updates.push(`${column} = ?`);
+      params.push(value);
+    }
+
+    if (updates.length === 0) {
+      throw new Error('没有需要更新的设置');
+    }
+
+    await database.run(
+      `UPDATE chatrooms SET ${updates.join(', ')} WHERE room_id = ?`,
+      [...params, roomId]
+    );
+
+    return await this.getRoomSettings(roomId);
+  }
+
+  // 格式化聊天室上传限制
+  formatRoomSettings(chatroom) {
+    const overrides = {};
+    for (const [field, { column }] of Object.entries(ROOM_SETTINGS)) {
+      overrides[field] = chatroom[column] ?? null;
+    }
+
+    return {
+      roomId: chatroom.room_id,
+      fileMaxSize: overrides.fileMaxSize ?? config.upload.fileMaxSize,
+      imageMaxSize: overrides.imageMaxSize ?? config.upload.imageMaxSize,
+      fileRetention: overrides.fileRetention ?? config.upload.fileRetention,
+      storageQuota: overrides.storageQuota ?? config.upload.roomQuota,
+      overrides,
+      limits: {
+        maxFileMaxSize: config.upload.maxFileMaxSize,
+        maxImageMaxSize: config.upload.maxImageMaxSize,
+        maxFileRetention: config.upload.maxFileRetention,
+        maxRoomQuota: config.upload.maxRoomQuota
+      }
+    };
+  }
+
+  // 统计用户上传的未过期文件占用的存储空间
+  async getUserUsage(uid) {
+    const row = await database.get(
+      `SELECT COUNT(*) as file_count, COALESCE(SUM(COALESCE(compressed_size, file_size)), 0) as used
+       FROM files WHERE uploader_uid = ? AND is_expired = 0 AND expiry_time > ?`,
+      [uid, Date.now()]
+    );
+
+    return this.formatUsage(row, config.upload.userQuota);
+  }
+
+  // 统计聊天室内未过期文件占用的存储空间
+  async getRoomUsage(roomId, settings = null) {
+    const roomSettings = settings || await this.getRoomSettings(roomId);
+    const row = await database.get(
+      `SELECT COUNT(*) as file_count, COALESCE(SUM(COALESCE(compressed_size, file_size)), 0) as used
+       FROM files WHERE chatroom_id = ? AND is_expired = 0 AND expiry_time > ?`,
+      [roomId, Date.now()]
+    );
+
+    return this.formatUsage(row, roomSettings.storageQuota);
+  }
+
+  // 格式化存储用量（配额为 0 表示不限制，此时剩余空间为 null）
+  formatUsage(row, quota) {
+    return {
+      used: row.used,
+      fileCount: row.file_count,
+      quota,
+      remaining: quota > 0 ? Math.max(0, quota - row.used) : null
+    };
+  }
+
+  // 检查写入指定大小的文件后是否超出用户或聊天室的存储配额，超出时抛出 code 为 QUOTA_EXCEEDED 的错误
+  async checkQuota(uid, roomId, size, settings = null) {
+    const userUsage = await this.getUserUsage(uid);
+    if (userUsage.quota > 0 && userUsage.used + size > userUsage.quota) {
+      throw this.quotaError(`个人存储空间不足（已使用 ${utils.formatFileSize(userUsage.used)}，配额 ${utils.formatFileSize(userUsage.quota)}）`);
+    }
+
+    const roomUsage = await this.getRoomUsage(roomId, settings);
+    if (roomUsage.quota > 0 && roomUsage.used + size > roomUsage.quota) {
+      throw this.quotaError(`聊天室存储空间不足（已使用 ${utils.formatFileSize(roomUsage.used)}，配额 ${utils.formatFileSize(roomUsage.quota)}）`);
+    }
+
+    return { user: userUsage, room: roomUsage };
+  }
+
+  // 创建超出存储配额的错误
+  quotaError(message) {
+    const error = new Error(message);
+    error.code = 'QUOTA_EXCEEDED';
+    return error;
+  }
+}
+
+module.exports = new UploadLimitService();
@@ -1,10 +1,20 @@
+const crypto = require('crypto');
 const database = require('../database');
 const utils = require('../utils');
 const config = require('../config');
+const storageService = require('./storageService');
+const imageService = require('./imageService');
+const sessionService = require('./sessionService');
+const emailVerificationService = require('./emailVerificationService');
+const twoFactorService = require('./twoFactorService');
+const oidcService = require('./oidcService');
+
+// 头像文件支持的扩展名，按优先级排序
+const AVATAR_EXTENSIONS = ['png', 'jpg', 'jpeg', 'webp'];
 
 class UserService {
-  // 用户注册
-  async register(userData) {
+  // 用户注册（clientInfo 为创建登录会话时记录的客户端信息）
+  async register(userData, clientInfo = {}) {
     const { nickname, email, password, avatarUrl } = userData;
 
     // 验证输入数据
@@ -57,19 +67,22 @@ class UserService {
       VALUES (?, ?, ?, ?, ?)
     `, [uid, nickname, email || null, passwordHash, finalAvatarUrl]);
 
-    // 生成JWT令牌
-    const token = utils.generateToken({
-      uid,
-      nickname,
-      type: 'user'
-    });
+    // 发送邮箱验证邮件
+    if (email) {
+      this.sendVerificationInBackground(uid);
+    }
+
+    // 创建登录会话
+    const session = await sessionService.createSession({ uid, nickname, type: 'user' }, clientInfo);
 
     return {
-      token,
+      ...session,
       user: {
         uid,
         nickname,
         email,
+        emailVerified: false,
+        twoFactorEnabled: false,
         avatarUrl: finalAvatarUrl,
         isAdmin: false,
         type: 'user'
@@ -78,7 +91,7 @@ class UserService {
   }
 
   // 用户登录
-  async login(identifier, password) {
+  async login(identifier, password, clientInfo = {}) {
     // identifier 可以是 UID 或邮箱
     let user;
     
@@ -104,25 +117,129 @@ class UserService {
       throw new Error('密码错误');
     }
 
+    return await this.authenticate(user, clientInfo);
+  }
+
+  // 通过单点登录登录：已关联的外部身份直接登录，未关联时按配置自动创建账号
+  async loginWithOidc(providerId, claims, clientInfo = {}) {
+    let uid = await oidcService.findLinkedUser(providerId, claims.sub);
+
+    if (!uid) {
+      if (!config.oidc.allowRegistration) {
+        throw new Error('该外部账号未关联 ChatFlow 账号，请登录后在账号设置中关联');
+      }
+      uid = await this.registerWithOidc(providerId, claims);
+    }
+
+    const user = await database.get(
+      'SELECT * FROM users WHERE uid = ? AND is_banned = 0',
+      [uid]
+    );
+    if (!user) {
+      throw new Error('用户不存在或已被封禁');
+    }
+
+    await oidcService.touchIdentity(providerId, claims.sub, claims.email);
+
+    return await this.authenticate(user, clientInfo);
+  }
+
+  // 使用外部身份创建账号（没有可用密码），返回新用户UID
+  // 提供方已验证的邮箱作为账号邮箱；邮箱已被其他账号使用时不自动关联，以免账号被接管
+  async registerWithOidc(providerId, claims) {
+    const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+    const email = claims.email && emailVerified && utils.isValidEmail(claims.email)
+      ? claims.email
+      : null;
+
+    if (email) {
+      const existingUser = await database.get('SELECT id FROM users WHERE email = ?', [email]);
+      if (existingUser) {
+        throw new Error('该邮箱已注册，请使用原账号登录后在账号设置中关联');
+      }
+    }
+
+    let uid;
+    let attempts = 0;
+    do {
+      uid = utils.generateUserUID();
+      const existing = await database.get('SELECT id FROM users WHERE uid = ?', [uid]);
+      if (!existing) break;
+      attempts++;
+    } while (attempts < 10);
+
+    if (attempts >= 10) {
+      throw new Error('系统繁忙，请稍后重试');
+    }
+
+    // 昵称取提供方的显示名称，不符合格式时使用默认昵称
+    const candidate = String(claims.name || claims.preferred_username || '').trim().slice(0, 20);
+    const nickname = utils.isValidNickname(candidate) ? candidate : `用户${uid.slice(-4)}`;
+
+    // 随机密码不会告知用户，需要密码登录时通过重置密码设置
+    const passwordHash = await utils.hashPassword(crypto.randomBytes(32).toString('base64url'));
+
+    await database.run(`
+      INSERT INTO users (uid, nickname, email, password_hash, avatar_url, email_verified, email_verified_at, has_password)
+      VALUES (?, ?, ?, ?, ?, ?, ?, 0)
+    `, [uid, nickname, email, passwordHash, `/avatars/${uid}`, email ? 1 : 0, email ? Date.now() : null]);
+
+    await oidcService.linkIdentity(uid, providerId, claims);
+
+    return uid;
+  }
+
+  // 身份验证通过（密码或单点登录）后：开启两步验证时先返回登录验证挑战，验证码通过后再创建登录会话
+  async authenticate(user, clientInfo = {}) {
+    if (user.totp_enabled) {
+      const challenge = await twoFactorService.createChallenge(user.uid);
+      return {
+        twoFactorRequired: true,
+        ...challenge
+      };
+    }
+
+    return await this.completeLogin(user, clientInfo);
+  }
+
+  // 使用登录验证挑战令牌和两步验证码完成登录
+  async completeTwoFactorLogin(challengeToken, code, clientInfo = {}) {
+    const uid = await twoFactorService.verifyChallenge(challengeToken, code);
+
+    const user = await database.get(
+      'SELECT * FROM users WHERE uid = ? AND is_banned = 0',
+      [uid]
+    );
+    if (!user) {
+      throw new Error('用户不存在或已被封禁');
+    }
+
+    return await this.completeLogin(user, clientInfo);
+  }
+
+  // 完成登录：更新最后登录时间并创建登录会话
+  async completeLogin(user, clientInfo = {}) {
     // 更新最后登录时间
     await database.run(
       'UPDATE users SET updated_at = CURRENT_TIMESTAMP WHERE id = ?',
       [user.id]
     );
 
-    // 生成JWT令牌
-    const token = utils.generateToken({
+    // 创建登录会话
+    const session = await sessionService.createSession({
       uid: user.uid,
       nickname: user.nickname,
       type: 'user'
-    });
+    }, clientInfo);
 
     return {
-      token,
+      ...session,
       user: {
         uid: user.uid,
         nickname: user.nickname,
         email: user.email,
+        emailVerified: Boolean(user.email_verified),
+        twoFactorEnabled: Boolean(user.totp_enabled),
         avatarUrl: user.avatar_url,
         isAdmin: Boolean(user.is_admin),
         type: 'user'
@@ -130,10 +247,56 @@ class UserService {
     };
   }
 
+  // 修改密码（需要验证当前密码；通过单点登录创建、尚未设置密码的账号可以直接设置），保留当前登录会话，返回被撤销的其他会话ID列表
+  async changePassword(uid, currentPassword, newPassword, { currentSessionId = null } = {}) {
+    const user = await database.get(
+      'SELECT password_hash, has_password FROM users WHERE uid = ? AND is_banned = 0',
+      [uid]
+    );
+
+    if (!user) {
+      throw new Error('用户不存在');
+    }
+
+    if (user.has_password) {
+      const isValidPassword = await utils.verifyPassword(currentPassword || '', user.password_hash);
+      if (!isValidPassword) {
+        throw new Error('当前密码错误');
+      }
+    }
+
+    if (currentPassword === newPassword) {
+      throw new Error('新密码不能与当前密码相同');
+    }
+
+    return await this.setPassword(uid, newPassword, { exceptSessionId: currentSessionId });
+  }
+
+  // 设置新密码：撤销登录会话（exceptSessionId 指定保留的会话）并作废未使用的密码重置令牌，返回被撤销的会话ID列表
+  async setPassword(uid, password, { exceptSessionId = null } = {}) {
+    if (!utils.isValidPassword(password)) {
+      throw new Error('密码长度必须在6-50个字符之间');
+    }
+
+    const passwordHash = await utils.hashPassword(password);
+    const now = Date.now();
+
+    await database.run(
+      'UPDATE users SET password_hash = ?, has_password = 1, updated_at = ? WHERE uid = ?',
+      [passwordHash, now, uid]
+    );
+    await database.run(
+      'UPDATE password_reset_tokens SET used_at = ? WHERE user_uid = ? AND used_at IS NULL',
+      [now, uid]
+    );
+
+    return await sessionService.revokeAllSessions(uid, { exceptSessionId });
+  }
+
   // 获取用户信息
   async getUserInfo(uid) {
     const user = await database.get(
-      'SELECT uid, nickname, email, avatar_url, is_admin, created_at FROM users WHERE uid = ? AND is_banned = 0',
+      'SELECT uid, nickname, email, email_verified, totp_enabled, avatar_url, is_admin, created_at FROM users WHERE uid = ? AND is_banned = 0',
       [uid]
     );
 
@@ -145,6 +308,8 @@ class UserService {
       uid: user.uid,
       nickname: user.nickname,
       email: user.email,
+      emailVerified: Boolean(user.email_verified),
+      twoFactorEnabled: Boolean(user.totp_enabled),
       avatarUrl: user.avatar_url,
       isAdmin: Boolean(user.is_admin),
       createdAt: user.created_at,
@@ -322,6 +487,7 @@ class UserService {
       updateValues.push(nickname);
     }
     
+    let emailChanged = false;
     if (email !== undefined) {
       if (email && !utils.isValidEmail(email)) {
         throw new Error('邮箱格式不正确');
@@ -340,6 +506,13 @@ class UserService {
       
       updateFields.push('email = ?');
       updateValues.push(email || null);
+
+      // 更换邮箱后需要重新验证
+      const current = await database.get('SELECT email FROM users WHERE uid = ?', [uid]);
+      emailChanged = !current || current.email !== (email || null);
+      if (emailChanged) {
+        updateFields.push('email_verified = 0', 'email_verified_at = NULL');
+      }
     }
     
     if (avatarUrl !== undefined) {
@@ -359,11 +532,49 @@ class UserService {
     // 执行更新
     const sql = `UPDATE users SET ${updateFields.join(', ')} WHERE uid = ?`;
     await database.run(sql, updateValues);
+
+    if (emailChanged && email) {
+      this.sendVerificationInBackground(uid);
+    }
     
     // 返回更新后的用户信息
     return await this.getUserInfo(uid);
   }
 
+  // 保存用户头像（裁剪缩放到配置的尺寸并移除元数据，以UID作为文件名并保持原始格式，同时删除其他格式的旧头像）
+  async saveAvatar(uid, source) {
+    const { buffer, mimeType } = await imageService.processInWorker('processAvatar', source);
+    const extension = mimeType === 'image/jpeg' ? 'jpg' :
+                      mimeType === 'image/png' ? 'png' : 'webp';
+
+    for (const oldExtension of AVATAR_EXTENSIONS) {
+      if (oldExtension !== extension) {
+        await storageService.delete(storageService.getAvatarKey(uid, oldExtension));
+      }
+    }
+
+    await storageService.put(storageService.getAvatarKey(uid, extension), buffer, { contentType: mimeType });
+
+    return `/avatars/${uid}`;
+  }
+
+  // 查找用户头像文件，返回文件流和元数据，不存在时返回 null
+  async findAvatar(uid) {
+    for (const extension of AVATAR_EXTENSIONS) {
+      const object = await storageService.stream(storageService.getAvatarKey(uid, extension));
+      if (object) {
+        return { ...object, extension };
+      }
+    }
+    return null;
+  }
+
+  // 在后台发送邮箱验证邮件（发送失败或过于频繁时用户可以稍后重新发送）
+  sendVerificationInBackground(uid) {
+    emailVerificationService.sendVerification(uid)
+      .catch(error => console.error('发送邮箱验证邮件错误:', error.message));
+  }
+
   // 检查用户权限
   async checkUserPermissions(uid, chatroomId) {
     // 检查是否为聊天室创建者
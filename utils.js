@@ -41,9 +41,9 @@ class Utils {
   }
 
   // 生成JWT令牌
-  generateToken(payload) {
+  generateToken(payload, ttl = config.auth.accessTokenTtl) {
     return jwt.sign(payload, config.jwtSecret, { 
-      expiresIn: '24h',
+      expiresIn: Math.floor(ttl / 1000),
       issuer: 'chatroom-server'
     });
   }
@@ -206,6 +206,20 @@ class Utils {
     }
   }
 
+  // 格式化文件大小（用于提示信息）
+  formatFileSize(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let size = bytes;
+    let unitIndex = 0;
+
+    while (size >= 1024 && unitIndex < units.length - 1) {
+      size /= 1024;
+      unitIndex++;
+    }
+
+    return `${Number.isInteger(size) ? size : size.toFixed(1)}${units[unitIndex]}`;
+  }
+
   // 生成文件名
   generateFileName(originalName, uid) {
     const ext = originalName.split('.').pop();